@@ -16,7 +16,21 @@ const reportRoutes = require('./routes/reportRoutes');
 const authRoutes = require('./routes/authRoutes');
 const searchRoutes = require('./routes/searchRoutes');
 const imageRoutes = require('./routes/imageRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const taxRuleRoutes = require('./routes/taxRuleRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const warehouseRoutes = require('./routes/warehouseRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const stocktakeRoutes = require('./routes/stocktakeRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const serialRoutes = require('./routes/serialRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 const setupAssociations = require('./models/associations');
+const { registerJobHandlers } = require('./services/jobHandlers');
 
 const app = express();
 
@@ -28,7 +42,12 @@ app.use(cors());
 app.use(compression()); // Compress responses
 
 // Request parsing middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // Logging middleware
@@ -51,12 +70,28 @@ app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/images', imageRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/serials', serialRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Make sure to call setupAssociations() before starting your server
 // Add this before your server starts listening
 setupAssociations();
 console.log('Model associations have been set up');
 
+// Job types the API can queue
+registerJobHandlers();
+
 // Health Check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', message: 'Server is running' });
@@ -20,6 +20,32 @@ const sequelize = new Sequelize(
   }
 );
 
+/**
+ * Get the columns of a table
+ * @param {string} tableName - Table name
+ * @returns {Promise<Object|null>} - Columns by name, null when the table does not exist yet
+ */
+const describeTable = async (tableName) => {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+
+  return tables.includes(tableName) ? sequelize.getQueryInterface().describeTable(tableName) : null;
+};
+
+/**
+ * Get the names of the unique indexes of a table on exactly the given columns
+ * @param {string} tableName - Table name
+ * @param {Array<string>} fields - Column names, in index order
+ * @returns {Promise<Array<string>>} - Index names
+ */
+const findUniqueIndexes = async (tableName, fields) => {
+  const indexes = await sequelize.getQueryInterface().showIndex(tableName);
+
+  return indexes
+    .filter(index => index.unique && !index.primary)
+    .filter(index => index.fields.map(field => field.attribute).join() === fields.join())
+    .map(index => index.name);
+};
+
 const connectDB = async () => {
   try {
     await sequelize.authenticate();
@@ -27,7 +53,37 @@ const connectDB = async () => {
     
     // Sync models with database
     if (process.env.NODE_ENV === 'development') {
+      const productColumns = await describeTable('products');
+      const inventoryColumns = await describeTable('inventory');
+
+      // The SKU of an inventory record used to be unique on its own, then per warehouseId. The sync
+      // adds the index on sku and warehouseKey but never drops the old ones, which would still keep
+      // the same SKU out of a second warehouse
+      if (inventoryColumns) {
+        const oldIndexes = [
+          ...await findUniqueIndexes('inventory', ['sku']),
+          ...await findUniqueIndexes('inventory', ['sku', 'warehouseId'])
+        ];
+
+        for (const name of oldIndexes) {
+          await sequelize.getQueryInterface().removeIndex('inventory', name);
+        }
+
+        if (!inventoryColumns.warehouseKey) {
+          await sequelize.query('ALTER TABLE inventory ADD COLUMN warehouseKey INTEGER NOT NULL DEFAULT 0');
+          await sequelize.query('UPDATE inventory SET warehouseKey = COALESCE(warehouseId, 0)');
+        }
+      }
+
       await sequelize.sync({ alter: true });
+
+      // Products from before moderation were already on sale: they stay published
+      // (isActive is kept), only products created from now on start as drafts
+      if (productColumns && !productColumns.status) {
+        await sequelize.query("UPDATE products SET status = 'published'");
+        console.log('Existing products were published.');
+      }
+
       console.log('All models were synchronized successfully.');
     }
   } catch (error) {
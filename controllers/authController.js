@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const crypto = require('crypto');
 const User = require('../models/user');
+const CartService = require('../services/cartService');
 
 /**
  * Generate a JWT token for a user
@@ -137,6 +138,15 @@ exports.login = async (req, res, next) => {
         // Update last login timestamp
         await user.update({ lastLogin: new Date() });
 
+        // Merge the guest cart into the user's cart
+        if (req.body.cartToken) {
+            try {
+                await CartService.mergeGuestCart(user.id, req.body.cartToken);
+            } catch (error) {
+                console.error('Guest cart merge error:', error);
+            }
+        }
+
         // Send token
         createSendToken(user, 200, res);
     } catch (error) {
@@ -163,13 +173,13 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * Update user details (name and email)
+ * Update user details (name, email and seller business details)
  * @route PUT /api/auth/update-details
  * @access Private
  */
 exports.updateDetails = async (req, res, next) => {
     try {
-        const { firstName, lastName, email } = req.body;
+        const { firstName, lastName, email, companyName, businessAddress, taxId } = req.body;
 
         // Update user
         const user = await User.findByPk(req.user.id);
@@ -187,7 +197,10 @@ exports.updateDetails = async (req, res, next) => {
         await user.update({
             firstName: firstName || user.firstName,
             lastName: lastName || user.lastName,
-            email: email || user.email
+            email: email || user.email,
+            companyName: companyName !== undefined ? companyName : user.companyName,
+            businessAddress: businessAddress !== undefined ? businessAddress : user.businessAddress,
+            taxId: taxId !== undefined ? taxId : user.taxId
         });
 
         res.status(200).json({
@@ -0,0 +1,150 @@
+const CartService = require('../services/cartService');
+const ShippingService = require('../services/shippingService');
+
+/**
+ * Get the cart owner from the request
+ * Logged in users own their cart, guests are identified by the X-Cart-Token header
+ * @param {Object} req - Express request object
+ * @returns {Object} - { userId } or { guestToken }
+ */
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { userId: req.user.id };
+  }
+
+  return { guestToken: req.get('X-Cart-Token') || null };
+};
+
+/**
+ * Get the current cart
+ * @route GET /api/cart
+ * @access Public
+ */
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await CartService.getOrCreateCart(getCartOwner(req));
+    const pricedCart = await CartService.getPricedCart(cart, req.query.region);
+
+    res.status(200).json({
+      success: true,
+      data: pricedCart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Quote the shipping methods available for the current cart
+ * @route GET /api/cart/shipping-rates
+ * @access Public
+ */
+exports.getShippingRates = async (req, res, next) => {
+  try {
+    const cart = await CartService.getOrCreateCart(getCartOwner(req));
+    const quote = await ShippingService.quoteCart(cart, req.query.region);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a product or variant to the cart
+ * @route POST /api/cart/items
+ * @access Public
+ */
+exports.addItem = async (req, res, next) => {
+  try {
+    const { productId, variantId, quantity } = req.body;
+
+    const cart = await CartService.addItem(getCartOwner(req), { productId, variantId, quantity });
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the quantity of a cart item
+ * @route PATCH /api/cart/items/:itemId
+ * @access Public
+ */
+exports.updateItem = async (req, res, next) => {
+  try {
+    const cart = await CartService.updateItemQuantity(
+      getCartOwner(req),
+      parseInt(req.params.itemId, 10),
+      req.body.quantity
+    );
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an item from the cart
+ * @route DELETE /api/cart/items/:itemId
+ * @access Public
+ */
+exports.removeItem = async (req, res, next) => {
+  try {
+    const cart = await CartService.removeItem(getCartOwner(req), parseInt(req.params.itemId, 10));
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove all items from the cart
+ * @route DELETE /api/cart
+ * @access Public
+ */
+exports.clearCart = async (req, res, next) => {
+  try {
+    const cart = await CartService.clearCart(getCartOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge a guest cart into the logged in user's cart
+ * @route POST /api/cart/merge
+ * @access Private
+ */
+exports.mergeCart = async (req, res, next) => {
+  try {
+    const cart = await CartService.mergeGuestCart(req.user.id, req.body.cartToken);
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,28 @@
 const imageService = require('../services/imageService');
+const JobService = require('../services/jobService');
+const { imageFile } = require('../services/jobHandlers');
 const Product = require('../models/product');
 const Variant = require('../models/variant');
 
+/**
+ * Queue the processing of uploaded images as a background job and answer 202 with it
+ * @param {Object} req - Request with the uploaded files
+ * @param {Object} res - Response
+ * @param {Object} payload - productId and variantId the images are for
+ */
+const enqueueImages = async (req, res, payload) => {
+  const files = Object.fromEntries(req.files.map((file, index) => [imageFile(index), file.buffer]));
+  const job = await JobService.enqueue('images.process', { ...payload, count: req.files.length }, {
+    user: req.user,
+    files
+  });
+  
+  res.status(202).location(`/api/jobs/${job.id}`).json({
+    success: true,
+    data: job
+  });
+};
+
 /**
  * Upload product images
  * @route POST /api/images/products/:productId
@@ -33,6 +54,11 @@ exports.uploadProductImages = async (req, res, next) => {
       });
     }
     
+    // Many or large images can be left to a background job
+    if (req.query.async === true) {
+      return await enqueueImages(req, res, { productId: product.id, variantId: null });
+    }
+    
     // Process the uploaded images
     const images = await imageService.processProductImages(req.files, productId);
     
@@ -90,6 +116,11 @@ exports.uploadVariantImages = async (req, res, next) => {
     // Product ID is used for folder organization
     const productId = variant.productId;
     
+    // Many or large images can be left to a background job
+    if (req.query.async === true) {
+      return await enqueueImages(req, res, { productId, variantId: variant.id });
+    }
+    
     // Process the uploaded images
     const images = await imageService.processProductImages(req.files, productId);
     
@@ -3,6 +3,15 @@ const { sequelize } = require('../config/database');
 const Inventory = require('../models/inventory');
 const Product = require('../models/product');
 const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const StockMovement = require('../models/stockMovement');
+const InventoryLot = require('../models/inventoryLot');
+const User = require('../models/user');
+const InventoryService = require('../services/inventoryService');
+const LotService = require('../services/lotService');
+const SerialService = require('../services/serialService');
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const ReplenishmentService = require('../services/replenishmentService');
 
 /**
  * Get inventory items with filtering and pagination
@@ -15,6 +24,7 @@ exports.getAllInventory = async (req, res, next) => {
       sku,
       lowStock,
       location,
+      warehouseId,
       page = 1,
       limit = 10,
       sortBy = 'quantity',
@@ -32,6 +42,10 @@ exports.getAllInventory = async (req, res, next) => {
       where.location = { [Op.like]: `%${location}%` };
     }
     
+    if (warehouseId) {
+      where.warehouseId = warehouseId;
+    }
+    
     if (lowStock === 'true') {
       where[Op.and] = [
         { quantity: { [Op.lte]: sequelize.col('lowStockThreshold') } },
@@ -66,6 +80,11 @@ exports.getAllInventory = async (req, res, next) => {
               attributes: ['id', 'name']
             }
           ]
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'code', 'name', 'isActive']
         }
       ],
       order: [[orderBy, order]],
@@ -111,6 +130,11 @@ exports.getInventoryById = async (req, res, next) => {
               attributes: ['id', 'name']
             }
           ]
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'code', 'name', 'isActive']
         }
       ]
     });
@@ -135,21 +159,28 @@ exports.getInventoryById = async (req, res, next) => {
 
 /**
  * Update inventory
+ * A quantity change is recorded as a stock movement
  * @route PUT /api/inventory/:id
- * @access Private
+ * @access Private (Seller, Admin)
  */
 exports.updateInventory = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
   try {
+    // reservedQuantity and quarantinedQuantity are managed by checkout and returns and cannot be edited here
     const {
       quantity,
+      type,
+      notes,
+      unitCost,
       lowStockThreshold,
-      reservedQuantity,
       location
     } = req.body;
     
-    const inventory = await Inventory.findByPk(req.params.id);
+    const inventory = await InventoryService.lockInventory(req.params.id, transaction);
     
     if (!inventory) {
+      await transaction.rollback();
       return res.status(404).json({
         success: false,
         error: {
@@ -158,30 +189,23 @@ exports.updateInventory = async (req, res, next) => {
       });
     }
     
-    // Update inventory
-    const updateData = {};
-    
     if (quantity !== undefined) {
-      updateData.quantity = quantity;
-      // Update lastRestockDate if quantity is increasing
-      if (quantity > inventory.quantity) {
-        updateData.lastRestockDate = new Date();
-      }
+      await InventoryService.setQuantity(inventory, quantity, { type, actor: req.user, notes, unitCost }, transaction);
     }
     
+    // Update the other fields
+    const updateData = {};
+    
     if (lowStockThreshold !== undefined) {
       updateData.lowStockThreshold = lowStockThreshold;
     }
     
-    if (reservedQuantity !== undefined) {
-      updateData.reservedQuantity = reservedQuantity;
-    }
-    
     if (location !== undefined) {
       updateData.location = location;
     }
     
-    await inventory.update(updateData);
+    await inventory.update(updateData, { transaction });
+    await transaction.commit();
     
     // Get the updated inventory with its relationships
     const updatedInventory = await Inventory.findByPk(inventory.id, {
@@ -199,6 +223,11 @@ exports.updateInventory = async (req, res, next) => {
               attributes: ['id', 'name']
             }
           ]
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'code', 'name', 'isActive']
         }
       ]
     });
@@ -208,12 +237,14 @@ exports.updateInventory = async (req, res, next) => {
       data: updatedInventory
     });
   } catch (error) {
+    await transaction.rollback();
     next(error);
   }
 };
 
 /**
  * Get low stock items
+ * Each item shows the units still on order from suppliers
  * @route GET /api/inventory/low-stock
  * @access Private
  */
@@ -246,6 +277,11 @@ exports.getLowStockItems = async (req, res, next) => {
               attributes: ['id', 'name']
             }
           ]
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'code', 'name', 'isActive']
         }
       ],
       order: [['quantity', 'ASC']],
@@ -254,6 +290,8 @@ exports.getLowStockItems = async (req, res, next) => {
       distinct: true
     });
     
+    const onOrder = await PurchaseOrderService.getOnOrderQuantities(inventory);
+    
     // Calculate total pages
     const totalPages = Math.ceil(count / limit);
     
@@ -262,7 +300,36 @@ exports.getLowStockItems = async (req, res, next) => {
       count,
       totalPages,
       currentPage: parseInt(page, 10),
-      data: inventory
+      data: inventory.map(item => ({ ...item.toJSON(), onOrderQuantity: onOrder.get(item.id) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get reorder suggestions from recent sales
+ * @route GET /api/inventory/reorder-suggestions
+ * @access Private (Seller, Admin)
+ */
+exports.getReorderSuggestions = async (req, res, next) => {
+  try {
+    // The query values were converted to integers by the route validators
+    const { warehouseId, supplierId, windowDays, safetyDays, coverDays, horizonDays } = req.query;
+    
+    const suggestions = await ReplenishmentService.getReorderSuggestions(req.user, {
+      warehouseId,
+      supplierId,
+      windowDays,
+      safetyDays,
+      coverDays,
+      horizonDays
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
     });
   } catch (error) {
     next(error);
@@ -300,6 +367,11 @@ exports.getOutOfStockItems = async (req, res, next) => {
               attributes: ['id', 'name']
             }
           ]
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'code', 'name', 'isActive']
         }
       ],
       order: [['lastRestockDate', 'ASC']],
@@ -325,8 +397,9 @@ exports.getOutOfStockItems = async (req, res, next) => {
 
 /**
  * Update inventory quantity (for batch updates)
+ * Each changed quantity is recorded as a stock movement with the notes of the update
  * @route PATCH /api/inventory/update-quantity
- * @access Private
+ * @access Private (Seller, Admin)
  */
 exports.updateInventoryQuantity = async (req, res, next) => {
   const transaction = await sequelize.transaction();
@@ -347,13 +420,13 @@ exports.updateInventoryQuantity = async (req, res, next) => {
     const results = [];
     
     for (const update of updates) {
-      const { id, quantity, notes } = update;
+      const { id, quantity, type, notes, unitCost } = update;
       
       if (!id || quantity === undefined) {
         continue;
       }
       
-      const inventory = await Inventory.findByPk(id, { transaction });
+      const inventory = await InventoryService.lockInventory(id, transaction);
       
       if (!inventory) {
         results.push({
@@ -364,18 +437,29 @@ exports.updateInventoryQuantity = async (req, res, next) => {
         continue;
       }
       
-      const oldQuantity = inventory.quantity;
+      if (quantity < inventory.reservedQuantity && quantity < inventory.quantity) {
+        results.push({
+          id,
+          success: false,
+          message: `Quantity cannot be lower than the ${inventory.reservedQuantity} unit(s) reserved by open orders`
+        });
+        continue;
+      }
       
-      await inventory.update({
+      const oldQuantity = inventory.quantity;
+      const movement = await InventoryService.setQuantity(
+        inventory,
         quantity,
-        lastRestockDate: quantity > oldQuantity ? new Date() : inventory.lastRestockDate
-      }, { transaction });
+        { type, actor: req.user, notes, unitCost },
+        transaction
+      );
       
       results.push({
         id,
         success: true,
         oldQuantity,
         newQuantity: quantity,
+        movementId: movement ? movement.id : null,
         notes
       });
     }
@@ -390,4 +474,318 @@ exports.updateInventoryQuantity = async (req, res, next) => {
     await transaction.rollback();
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Release quarantined stock, back on hand or written off
+ * @route POST /api/inventory/:id/quarantine/release
+ * @access Private (Seller, Admin)
+ */
+exports.releaseQuarantine = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { quantity, serialNumbers, restock = true } = req.body;
+
+    // Serialized units are released by serial number
+    const inventory = serialNumbers
+      ? await SerialService.releaseQuarantine(parseInt(req.params.id, 10), serialNumbers, restock, req.user, transaction)
+      : await InventoryService.releaseQuarantine(
+        parseInt(req.params.id, 10),
+        quantity,
+        restock,
+        transaction,
+        { actor: req.user, reference: 'quarantine' }
+      );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      success: true,
+      data: inventory
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Get the stock movements of an inventory record, newest first
+ * @route GET /api/inventory/:id/movements
+ * @access Private (Seller, Admin)
+ */
+exports.getInventoryMovements = async (req, res, next) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    
+    const inventory = await Inventory.findByPk(req.params.id, {
+      attributes: ['id', 'sku', 'quantity']
+    });
+    
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Inventory record not found'
+        }
+      });
+    }
+    
+    const where = { inventoryId: inventory.id };
+    
+    if (type) {
+      where.type = type;
+    }
+    
+    // Pagination
+    const offset = (page - 1) * limit;
+    
+    const { count, rows: movements } = await StockMovement.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'firstName', 'lastName']
+        },
+        {
+          model: InventoryLot,
+          as: 'lot',
+          attributes: ['id', 'lotNumber', 'expiresAt']
+        }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+    
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      ledgerQuantity: await InventoryService.getLedgerQuantity(inventory.id),
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the lots of an inventory record, first to expire first
+ * @route GET /api/inventory/:id/lots
+ * @access Private (Seller, Admin)
+ */
+exports.getInventoryLots = async (req, res, next) => {
+  try {
+    const result = await LotService.getLots(parseInt(req.params.id, 10), req.query.includeEmpty === 'true');
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive stock into a lot of an inventory record
+ * @route POST /api/inventory/:id/lots
+ * @access Private (Seller, Admin)
+ */
+exports.receiveInventoryLot = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { lotNumber, manufacturedAt, expiresAt, quantity, unitCost, notes } = req.body;
+
+    const lot = await LotService.receiveLot(
+      parseInt(req.params.id, 10),
+      { lotNumber, manufacturedAt, expiresAt, quantity, unitCost, notes },
+      req.user,
+      transaction
+    );
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Correct the manufacture or expiry date of a lot
+ * @route PATCH /api/inventory/:id/lots/:lotId
+ * @access Private (Seller, Admin)
+ */
+exports.updateInventoryLot = async (req, res, next) => {
+  try {
+    const { manufacturedAt, expiresAt } = req.body;
+
+    const lot = await LotService.updateLot(
+      parseInt(req.params.id, 10),
+      parseInt(req.params.lotId, 10),
+      { manufacturedAt, expiresAt }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Write off units of a lot as damage
+ * @route POST /api/inventory/:id/lots/:lotId/write-off
+ * @access Private (Seller, Admin)
+ */
+exports.writeOffInventoryLot = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { quantity, notes } = req.body;
+
+    const result = await LotService.writeOffLot(
+      parseInt(req.params.id, 10),
+      parseInt(req.params.lotId, 10),
+      { quantity, notes },
+      req.user,
+      transaction
+    );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Get the serial numbers of an inventory record
+ * @route GET /api/inventory/:id/serials
+ * @access Private (Seller, Admin)
+ */
+exports.getInventorySerials = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const result = await SerialService.getInventorySerials(parseInt(req.params.id, 10), {
+      status,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.count,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      data: {
+        inventory: result.inventory,
+        counts: result.counts,
+        serialNumbers: result.serialNumbers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive units of a serialized inventory record by their serial numbers
+ * @route POST /api/inventory/:id/serials
+ * @access Private (Seller, Admin)
+ */
+exports.registerInventorySerials = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { serialNumbers, unitCost, notes } = req.body;
+
+    const serials = await SerialService.registerSerials(
+      parseInt(req.params.id, 10),
+      { serialNumbers, unitCost, notes },
+      req.user,
+      transaction
+    );
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      data: serials
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Write off units of a serialized inventory record by their serial numbers
+ * @route POST /api/inventory/:id/serials/write-off
+ * @access Private (Seller, Admin)
+ */
+exports.writeOffInventorySerials = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { serialNumbers, notes } = req.body;
+
+    const serials = await SerialService.writeOffSerials(
+      parseInt(req.params.id, 10),
+      { serialNumbers, notes },
+      req.user,
+      transaction
+    );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      success: true,
+      data: serials
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
+
+/**
+ * Set the quantity of an inventory record back to the sum of its stock movements
+ * @route POST /api/inventory/:id/reconcile
+ * @access Private (Admin)
+ */
+exports.reconcileInventory = async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const result = await InventoryService.reconcile(parseInt(req.params.id, 10), transaction);
+
+    await transaction.commit();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    await transaction.rollback();
+    next(error);
+  }
+};
@@ -0,0 +1,103 @@
+const JobService = require('../services/jobService');
+
+/**
+ * List background jobs
+ * @route GET /api/jobs
+ * @access Private (Own jobs, admin sees all)
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, type } = req.query;
+
+    const { count, jobs } = await JobService.getJobs(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      type
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a background job with its progress, and its result once it is done
+ * @route GET /api/jobs/:id
+ * @access Private (User who started it, admin)
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await JobService.getJob(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the file a completed job produced
+ * @route GET /api/jobs/:id/download
+ * @access Private (User who started it, admin)
+ */
+exports.downloadJobFile = async (req, res, next) => {
+  try {
+    const file = await JobService.getJobFile(parseInt(req.params.id, 10), req.user);
+
+    res.set('Content-Type', file.contentType);
+    res.download(file.path, file.filename, (error) => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * @route POST /api/jobs/:id/cancel
+ * @access Private (User who started it, admin)
+ */
+exports.cancelJob = async (req, res, next) => {
+  try {
+    const job = await JobService.cancelJob(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a failed or cancelled job again
+ * @route POST /api/jobs/:id/retry
+ * @access Private (User who started it, admin)
+ */
+exports.retryJob = async (req, res, next) => {
+  try {
+    const job = await JobService.retryJob(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
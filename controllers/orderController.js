@@ -2,9 +2,9 @@
  * Order Controller
  * Handles HTTP requests related to orders
  */
-const OrderService = require('../services/OrderService');
-const { ApiError } = require('../utils/errorHandler');
-const logger = require('../utils/logger');
+const OrderService = require('../services/orderService');
+const InvoiceService = require('../services/invoiceService');
+const SerialService = require('../services/serialService');
 
 /**
  * Order controller class
@@ -20,12 +20,39 @@ class OrderController {
     async createOrder(req, res, next) {
         try {
             const { items, ...orderData } = req.body;
-            const userId = req.user.id;
 
-            const order = await OrderService.createOrder(orderData, items, userId);
+            const order = await OrderService.createOrder(orderData, items, req.user);
 
             res.status(201).json({
-                status: 'success',
+                success: true,
+                message: 'Order created successfully',
+                data: order
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Check out the user's cart
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async checkout(req, res, next) {
+        try {
+            const { shippingAddress, shippingRegion, shippingMethodId, paymentMethod, notes } = req.body;
+
+            const order = await OrderService.checkout(req.user, {
+                shippingAddress,
+                shippingRegion,
+                shippingMethodId,
+                paymentMethod,
+                notes
+            });
+
+            res.status(201).json({
+                success: true,
                 message: 'Order created successfully',
                 data: order
             });
@@ -43,15 +70,19 @@ class OrderController {
     async getUserOrders(req, res, next) {
         try {
             const userId = req.user.id;
-            const { limit = 10, offset = 0 } = req.query;
+            const { page = 1, limit = 10, status } = req.query;
 
-            const orders = await OrderService.getUserOrders(userId, {
-                limit: parseInt(limit),
-                offset: parseInt(offset)
+            const { count, orders } = await OrderService.getUserOrders(userId, {
+                page: parseInt(page, 10),
+                limit: parseInt(limit, 10),
+                status
             });
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
+                count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page, 10),
                 data: orders
             });
         } catch (error) {
@@ -67,13 +98,12 @@ class OrderController {
      */
     async getOrderDetails(req, res, next) {
         try {
-            const orderId = parseInt(req.params.id);
-            const userId = req.user.id;
+            const orderId = parseInt(req.params.id, 10);
 
-            const order = await OrderService.getOrderDetails(orderId, userId);
+            const order = await OrderService.getOrderDetails(orderId, req.user);
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
                 data: order
             });
         } catch (error) {
@@ -81,6 +111,97 @@ class OrderController {
         }
     }
 
+    /**
+     * Get the status history of an order
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getOrderHistory(req, res, next) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+
+            const history = await OrderService.getOrderHistory(orderId, req.user);
+
+            res.status(200).json({
+                success: true,
+                count: history.length,
+                data: history
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the shipments of an order
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getOrderShipments(req, res, next) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+
+            const shipments = await OrderService.getOrderShipments(orderId, req.user);
+
+            res.status(200).json({
+                success: true,
+                count: shipments.length,
+                data: shipments
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Download the invoice of a seller's part of an order as a PDF
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getInvoice(req, res, next) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+            const sellerId = req.query.sellerId ? parseInt(req.query.sellerId, 10) : undefined;
+
+            const { invoice, pdf } = await InvoiceService.getInvoicePdf(orderId, req.user, sellerId);
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`,
+                'X-Invoice-Number': invoice.invoiceNumber
+            });
+            res.status(200).send(pdf);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Download the packing slip of a seller's part of an order as a PDF
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getPackingSlip(req, res, next) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+            const sellerId = req.query.sellerId ? parseInt(req.query.sellerId, 10) : undefined;
+
+            const pdf = await InvoiceService.getPackingSlipPdf(orderId, req.user, sellerId);
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `inline; filename="packing-slip-${orderId}.pdf"`
+            });
+            res.status(200).send(pdf);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Cancel order
      * @param {Object} req - Express request object
@@ -89,14 +210,13 @@ class OrderController {
      */
     async cancelOrder(req, res, next) {
         try {
-            const orderId = parseInt(req.params.id);
-            const userId = req.user.id;
+            const orderId = parseInt(req.params.id, 10);
             const { reason } = req.body;
 
-            const order = await OrderService.cancelOrder(orderId, userId, reason);
+            const order = await OrderService.cancelOrder(orderId, req.user, reason);
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
                 message: 'Order cancelled successfully',
                 data: order
             });
@@ -114,15 +234,19 @@ class OrderController {
     async getSellerOrders(req, res, next) {
         try {
             const sellerId = req.user.id;
-            const { limit = 10, offset = 0 } = req.query;
+            const { page = 1, limit = 10, status } = req.query;
 
-            const orders = await OrderService.getSellerOrders(sellerId, {
-                limit: parseInt(limit),
-                offset: parseInt(offset)
+            const { count, orders } = await OrderService.getSellerOrders(sellerId, {
+                page: parseInt(page, 10),
+                limit: parseInt(limit, 10),
+                status
             });
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
+                count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page, 10),
                 data: orders
             });
         } catch (error) {
@@ -138,14 +262,18 @@ class OrderController {
      */
     async updateOrderStatus(req, res, next) {
         try {
-            const orderId = parseInt(req.params.id);
-            const sellerId = req.user.id;
-            const { status } = req.body;
-
-            const order = await OrderService.updateOrderStatus(orderId, status, sellerId);
+            const orderId = parseInt(req.params.id, 10);
+            const { status, trackingNumber, carrierCode, sellerId, reason } = req.body;
+
+            const order = await OrderService.updateOrderStatus(orderId, status, req.user, {
+                trackingNumber,
+                carrierCode,
+                sellerId,
+                reason
+            });
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
                 message: 'Order status updated successfully',
                 data: order
             });
@@ -165,8 +293,8 @@ class OrderController {
             const sellerId = req.user.id;
             const stats = await OrderService.getDashboardStats(sellerId);
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
                 data: stats
             });
         } catch (error) {
@@ -184,8 +312,8 @@ class OrderController {
         try {
             const stats = await OrderService.getDashboardStats();
 
-            res.json({
-                status: 'success',
+            res.status(200).json({
+                success: true,
                 data: stats
             });
         } catch (error) {
@@ -201,38 +329,27 @@ class OrderController {
      */
     async getAllOrders(req, res, next) {
         try {
-            // Check if user is admin
-            if (req.user.role !== 'admin') {
-                throw ApiError.forbidden('Not authorized');
-            }
-
             const {
+                page = 1,
                 limit = 10,
-                offset = 0,
-                status = null,
-                sort = 'created_at',
-                order = 'DESC'
+                status,
+                sortBy = 'createdAt',
+                sortOrder = 'DESC'
             } = req.query;
 
-            let orders;
-            const options = {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                orderBy: `${sort} ${order}`
-            };
-
-            if (status) {
-                orders = await OrderService.findByStatus(status, options);
-            } else {
-                orders = await OrderService.findAll(options);
-            }
-
-            const total = await OrderService.count(status ? `status = '${status}'` : '');
+            const { count, orders } = await OrderService.getAllOrders({
+                page: parseInt(page, 10),
+                limit: parseInt(limit, 10),
+                status,
+                sortBy,
+                sortOrder
+            });
 
             res.status(200).json({
-                status: 'success',
-                count: orders.length,
-                total,
+                success: true,
+                count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page, 10),
                 data: orders
             });
         } catch (error) {
@@ -241,44 +358,23 @@ class OrderController {
     }
 
     /**
-     * Ship an order (admin or seller)
+     * Ship a seller's part of an order (admin or seller)
+     * Sellers can only ship their own items, the order is shipped once every seller has shipped
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next middleware function
      */
     async shipOrder(req, res, next) {
         try {
-            // Admin can ship any order, seller can only ship orders with their products
-            if (req.user.role !== 'admin' && req.user.role !== 'seller') {
-                throw ApiError.forbidden('Not authorized');
-            }
-
-            const orderId = parseInt(req.params.id);
-            const { trackingNumber } = req.body;
+            const orderId = parseInt(req.params.id, 10);
+            const { trackingNumber, carrierCode, sellerId } = req.body;
 
-            if (!trackingNumber) {
-                throw ApiError.badRequest('Tracking number is required');
-            }
-
-            // For sellers, check if order contains their products
-            if (req.user.role === 'seller') {
-                const orderDetails = await OrderService.getOrderDetails(orderId);
-                if (!orderDetails) {
-                    throw ApiError.notFound('Order not found');
-                }
-
-                const hasSellerProducts = orderDetails.items.some(item => item.seller_id === req.user.id);
-                if (!hasSellerProducts) {
-                    throw ApiError.forbidden('Not authorized to ship this order');
-                }
-            }
-
-            const shipped = await OrderService.shipOrder(orderId, trackingNumber);
+            const order = await OrderService.shipOrder(orderId, req.user, { trackingNumber, carrierCode, sellerId });
 
             res.status(200).json({
-                status: 'success',
-                message: 'Order shipped successfully',
-                data: { shipped, trackingNumber }
+                success: true,
+                message: order.status === 'shipped' ? 'Order shipped successfully' : 'Seller order shipped successfully',
+                data: order
             });
         } catch (error) {
             next(error);
@@ -286,39 +382,45 @@ class OrderController {
     }
 
     /**
-       * Mark order as delivered (admin or seller)
-       * @param {Object} req - Express request object
-       * @param {Object} res - Express response object
-       * @param {Function} next - Express next middleware function
-       */
+     * Mark a seller's part of an order as delivered (admin or seller)
+     * Sellers can only deliver their own items, the order is delivered once every seller's part is
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
     async deliverOrder(req, res, next) {
         try {
-            // Admin can deliver any order, seller can only deliver orders with their products
-            if (req.user.role !== 'admin' && req.user.role !== 'seller') {
-                throw ApiError.forbidden('Not authorized');
-            }
+            const orderId = parseInt(req.params.id, 10);
 
-            const orderId = parseInt(req.params.id);
+            const order = await OrderService.deliverOrder(orderId, req.user, { sellerId: req.body.sellerId });
 
-            // For sellers, check if order contains their products
-            if (req.user.role === 'seller') {
-                const orderDetails = await OrderService.getOrderDetails(orderId);
-                if (!orderDetails) {
-                    throw ApiError.notFound('Order not found');
-                }
+            res.status(200).json({
+                success: true,
+                message: order.status === 'delivered' ? 'Order marked as delivered' : 'Seller order marked as delivered',
+                data: order
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 
-                const hasSellerProducts = orderDetails.items.some(item => item.seller_id === req.user.id);
-                if (!hasSellerProducts) {
-                    throw ApiError.forbidden('Not authorized to deliver this order');
-                }
-            }
+    /**
+     * Assign the serial numbers of the units an order item ships with (admin or seller)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async assignSerials(req, res, next) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+            const itemId = parseInt(req.params.itemId, 10);
 
-            const delivered = await OrderService.deliverOrder(orderId);
+            const serialNumbers = await SerialService.assignSerials(orderId, itemId, req.body.serialNumbers, req.user);
 
             res.status(200).json({
-                status: 'success',
-                message: 'Order marked as delivered',
-                data: { delivered }
+                success: true,
+                message: 'Serial numbers assigned successfully',
+                data: serialNumbers
             });
         } catch (error) {
             next(error);
@@ -0,0 +1,127 @@
+const OrderService = require('../services/orderService');
+const PaymentService = require('../services/paymentService');
+
+/**
+ * Get the payments of an order
+ * @route GET /api/payments/orders/:orderId
+ * @access Private (Order owner, seller of an item, admin)
+ */
+exports.getOrderPayments = async (req, res, next) => {
+  try {
+    const order = await OrderService.getOrderDetails(parseInt(req.params.orderId, 10), req.user);
+    const payments = await PaymentService.getOrderPayments(order.id);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: payments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorize payment for an order, and optionally capture it right away
+ * @route POST /api/payments/orders/:orderId
+ * @access Private (Order owner, admin)
+ */
+exports.authorizePayment = async (req, res, next) => {
+  try {
+    const { paymentToken, provider, capture } = req.body;
+
+    const payment = await OrderService.payOrder(parseInt(req.params.orderId, 10), req.user, {
+      paymentToken,
+      provider,
+      capture
+    });
+
+    res.status(201).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Capture an authorized payment
+ * @route POST /api/payments/:id/capture
+ * @access Private (Admin)
+ */
+exports.capturePayment = async (req, res, next) => {
+  try {
+    const payment = await OrderService.capturePayment(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void an authorized payment
+ * @route POST /api/payments/:id/void
+ * @access Private (Admin)
+ */
+exports.voidPayment = async (req, res, next) => {
+  try {
+    const payment = await PaymentService.getPaymentById(parseInt(req.params.id, 10));
+    const voided = await PaymentService.void(payment);
+
+    res.status(200).json({
+      success: true,
+      data: voided
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund a captured payment
+ * @route POST /api/payments/:id/refund
+ * @access Private (Admin)
+ */
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await PaymentService.getPaymentById(parseInt(req.params.id, 10));
+    const refunded = await PaymentService.refund(payment, amount, reason);
+
+    res.status(200).json({
+      success: true,
+      data: refunded
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a webhook from a payment provider
+ * @route POST /api/payments/webhooks/:provider
+ * @access Public (signature checked by the provider)
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const { event, payment, applied } = await PaymentService.handleWebhook(req.params.provider, req.headers, req.rawBody);
+
+    // A capture that comes after the order was cancelled is refunded
+    if (event.type === 'payment.captured') {
+      await OrderService.markOrderPaid(payment.orderId, null, applied ? payment : null);
+    }
+
+    res.status(200).json({
+      success: true,
+      received: true
+    });
+  } catch (error) {
+    next(error);
+  }
+};
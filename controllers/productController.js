@@ -4,7 +4,95 @@ const Product = require('../models/product');
 const Category = require('../models/category');
 const Variant = require('../models/variant');
 const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
 const User = require('../models/user');
+const InventoryService = require('../services/inventoryService');
+const AvailabilityService = require('../services/availabilityService');
+const SerialService = require('../services/serialService');
+const ProductImportService = require('../services/productImportService');
+const CatalogExportService = require('../services/catalogExportService');
+const ProductModerationService = require('../services/productModerationService');
+const ProductScheduleService = require('../services/productScheduleService');
+const JobService = require('../services/jobService');
+const imageService = require('../services/imageService');
+const { IMPORT_FILE } = require('../services/jobHandlers');
+const { ApiError } = require('../utils/errorHandler');
+
+// Stock rows of a product or variant, one per warehouse
+// Built per call as getProductById needs it for the product and for its variants
+const inventoryInclude = () => ({
+  model: Inventory,
+  as: 'inventories',
+  attributes: ['id', 'warehouseId', 'quantity', 'lowStockThreshold', 'reservedQuantity', 'location'],
+  include: [
+    {
+      model: Warehouse,
+      as: 'warehouse',
+      attributes: ['id', 'code', 'name', 'isActive']
+    }
+  ]
+});
+
+/**
+ * Check the warehouse an inventory body refers to
+ * @param {number} warehouseId - Warehouse ID (optional)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number|null>} - Warehouse ID, or null for stock outside any warehouse
+ */
+const resolveWarehouseId = async (warehouseId, transaction) => {
+  if (!warehouseId) {
+    return null;
+  }
+
+  const warehouse = await Warehouse.findByPk(warehouseId, { transaction });
+
+  if (!warehouse) {
+    throw ApiError.badRequest('Warehouse not found');
+  }
+
+  return warehouse.id;
+};
+
+/**
+ * Variants of a product a user may see: admins and the seller of the product see them all,
+ * everybody else only the active ones
+ * @param {Object} product - Product instance
+ * @param {Array} variants - Variants of the product
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Array} - Visible variants
+ */
+const visibleVariants = (product, variants, user) => (ProductModerationService.canManage(product, user)
+  ? variants
+  : variants.filter(variant => variant.isActive));
+
+/**
+ * Product data as a user may see it, without inactive variants and schedules for buyers
+ * @param {Object} data - Product as plain data
+ * @param {Object} product - Product instance
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Object} - Product data to send
+ */
+const presentProduct = (data, product, user) => {
+  if (ProductModerationService.canManage(product, user)) {
+    return data;
+  }
+
+  return {
+    ...ProductScheduleService.withoutSchedule(data),
+    ...(data.Variants ? { Variants: visibleVariants(product, data.Variants, user) } : {})
+  };
+};
+
+/**
+ * Variant data as a user may see it, without the schedule for buyers
+ * @param {Object} data - Variant as plain data
+ * @param {Object} product - Product of the variant
+ * @param {Object} user - Authenticated user (optional)
+ * @returns {Object} - Variant data to send
+ */
+const presentVariant = (data, product, user) => (ProductModerationService.canManage(product, user)
+  ? data
+  : ProductScheduleService.withoutSchedule(data));
 
 /**
  * Get all products with filtering, sorting, and pagination
@@ -14,63 +102,13 @@ const User = require('../models/user');
 exports.getAllProducts = async (req, res, next) => {
   try {
     const {
-      name,
-      categoryId,
-      minPrice,
-      maxPrice,
-      tags,
-      isActive,
-      isFeatured,
-      sellerId,
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
       sortOrder = 'DESC'
     } = req.query;
     
-    // Build where clause
-    const where = {};
-    
-    if (name) {
-      where.name = { [Op.like]: `%${name}%` };
-    }
-    
-    if (categoryId) {
-      where.categoryId = categoryId;
-    }
-    
-    if (minPrice) {
-      where.basePrice = { ...where.basePrice, [Op.gte]: minPrice };
-    }
-    
-    if (maxPrice) {
-      where.basePrice = { ...where.basePrice, [Op.lte]: maxPrice };
-    }
-    
-    if (tags) {
-      where.tags = { [Op.like]: `%${tags}%` };
-    }
-    
-    // For non-admins, only show active products
-    if (isActive !== undefined) {
-      where.isActive = isActive === 'true';
-    } else if (!req.user || req.user.role !== 'admin') {
-      where.isActive = true;
-    }
-    
-    if (isFeatured !== undefined) {
-      where.isFeatured = isFeatured === 'true';
-    }
-    
-    // Filter by seller
-    if (sellerId) {
-      where.userId = sellerId;
-    }
-    
-    // If user is a seller, only show their products
-    if (req.user && req.user.role === 'seller') {
-      where.userId = req.user.id;
-    }
+    const where = CatalogExportService.buildFilter(req.query, req.user);
     
     // Pagination
     const offset = (page - 1) * limit;
@@ -85,6 +123,7 @@ exports.getAllProducts = async (req, res, next) => {
     // Get products
     const { count, rows: products } = await Product.findAndCountAll({
       where,
+      attributes: { include: [AvailabilityService.rankAttribute()] },
       include: [
         {
           model: Category,
@@ -92,7 +131,7 @@ exports.getAllProducts = async (req, res, next) => {
         },
         {
           model: Variant,
-          attributes: ['id', 'sku', 'name', 'price']
+          attributes: ['id', 'sku', 'name', 'price', 'isActive']
         },
         {
           model: User,
@@ -114,7 +153,7 @@ exports.getAllProducts = async (req, res, next) => {
       count,
       totalPages,
       currentPage: parseInt(page, 10),
-      data: products
+      data: products.map(product => presentProduct(AvailabilityService.withStatus(product), product, req.user))
     });
   } catch (error) {
     next(error);
@@ -136,17 +175,9 @@ exports.getProductById = async (req, res, next) => {
         },
         {
           model: Variant,
-          include: [
-            {
-              model: Inventory,
-              attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-            }
-          ]
-        },
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
+          include: [inventoryInclude()]
         },
+        inventoryInclude(),
         {
           model: User,
           as: 'seller',
@@ -164,11 +195,8 @@ exports.getProductById = async (req, res, next) => {
       });
     }
     
-    // Check if product is active or user is admin/seller of the product
-    if (!product.isActive && 
-        (!req.user || 
-         (req.user.role !== 'admin' && 
-          !(req.user.role === 'seller' && req.user.id === product.userId)))) {
+    // Unpublished and inactive products are only shown to admins and the seller of the product
+    if (!ProductModerationService.isVisible(product, req.user)) {
       return res.status(404).json({
         success: false,
         error: {
@@ -177,9 +205,23 @@ exports.getProductById = async (req, res, next) => {
       });
     }
     
+    // Stock summed over the warehouses, the product's figures include its variants
+    const shownVariants = visibleVariants(product, product.Variants, req.user);
+    const variants = shownVariants.map(variant => presentVariant({
+      ...variant.toJSON(),
+      stock: InventoryService.summarizeStock(variant.inventories),
+      availability: AvailabilityService.getItemStatus(product, variant, variant.inventories)
+    }, product, req.user));
+    const allInventories = [...product.inventories, ...shownVariants.flatMap(variant => variant.inventories)];
+    
     res.status(200).json({
       success: true,
-      data: product
+      data: presentProduct({
+        ...product.toJSON(),
+        Variants: variants,
+        stock: InventoryService.summarizeStock(allInventories),
+        availability: AvailabilityService.getProductStatus(product, product.Variants)
+      }, product, req.user)
     });
   } catch (error) {
     next(error);
@@ -209,8 +251,18 @@ exports.createProduct = async (req, res, next) => {
       tags,
       imageUrls,
       attributes,
+      weight,
+      length,
+      width,
+      height,
       isActive,
       isFeatured,
+      backorderPolicy,
+      backorderLimit,
+      availableAt,
+      isSerialized,
+      publishAt,
+      unpublishAt,
       inventory
     } = req.body;
     
@@ -258,22 +310,31 @@ exports.createProduct = async (req, res, next) => {
       tags,
       imageUrls,
       attributes,
+      weight,
+      length,
+      width,
+      height,
       isActive: isActive !== undefined ? isActive : true,
-      isFeatured: isFeatured !== undefined ? isFeatured : false
+      isFeatured: isFeatured !== undefined ? isFeatured : false,
+      backorderPolicy: backorderPolicy || 'none',
+      backorderLimit,
+      availableAt,
+      isSerialized: isSerialized !== undefined ? isSerialized : false,
+      publishAt,
+      unpublishAt
     }, { transaction });
     
     // Create inventory if provided
     if (inventory) {
-      await Inventory.create({
+      await InventoryService.createInventory({
         productId: product.id,
         variantId: null, // Explicitly set variantId to null for product inventory
+        warehouseId: await resolveWarehouseId(inventory.warehouseId, transaction),
         sku: product.sku,
         quantity: inventory.quantity || 0,
         lowStockThreshold: inventory.lowStockThreshold || 10,
-        reservedQuantity: inventory.reservedQuantity || 0,
-        location: inventory.location,
-        lastRestockDate: inventory.quantity > 0 ? new Date() : null
-      }, { transaction });
+        location: inventory.location
+      }, { actor: req.user }, transaction);
     }
     
     // Commit the transaction
@@ -291,10 +352,7 @@ exports.createProduct = async (req, res, next) => {
           as: 'seller',
           attributes: ['id', 'firstName', 'lastName']
         },
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-        }
+        inventoryInclude()
       ]
     });
     
@@ -333,8 +391,18 @@ exports.updateProduct = async (req, res, next) => {
       tags,
       imageUrls,
       attributes,
+      weight,
+      length,
+      width,
+      height,
       isActive,
       isFeatured,
+      backorderPolicy,
+      backorderLimit,
+      availableAt,
+      isSerialized,
+      publishAt,
+      unpublishAt,
       inventory
     } = req.body;
     
@@ -397,6 +465,14 @@ exports.updateProduct = async (req, res, next) => {
       }
     }
     
+    // Serial tracking can only be switched while there is no stock without serial numbers
+    if (isSerialized !== undefined && isSerialized !== product.isSerialized) {
+      await SerialService.assertSwitchable(product, null, transaction);
+    }
+    
+    // A seller changing reviewed content sends the product back to review
+    const resubmit = ProductModerationService.needsReview(product, req.user, req.body);
+    
     // Update product
     await product.update({
       name: name || product.name,
@@ -409,45 +485,73 @@ exports.updateProduct = async (req, res, next) => {
       tags: tags !== undefined ? tags : product.tags,
       imageUrls: imageUrls !== undefined ? imageUrls : product.imageUrls,
       attributes: attributes !== undefined ? attributes : product.attributes,
+      weight: weight !== undefined ? weight : product.weight,
+      length: length !== undefined ? length : product.length,
+      width: width !== undefined ? width : product.width,
+      height: height !== undefined ? height : product.height,
       isActive: isActive !== undefined ? isActive : product.isActive,
-      isFeatured: isFeatured !== undefined ? isFeatured : product.isFeatured
+      isFeatured: isFeatured !== undefined ? isFeatured : product.isFeatured,
+      backorderPolicy: backorderPolicy || product.backorderPolicy,
+      backorderLimit: backorderLimit !== undefined ? backorderLimit : product.backorderLimit,
+      availableAt: availableAt !== undefined ? availableAt : product.availableAt,
+      isSerialized: isSerialized !== undefined ? isSerialized : product.isSerialized,
+      publishAt: publishAt !== undefined ? publishAt : product.publishAt,
+      unpublishAt: unpublishAt !== undefined ? unpublishAt : product.unpublishAt
     }, { transaction });
     
-    // Update inventory if provided
+    if (resubmit) {
+      await ProductModerationService.returnToReview(product, req.user, transaction);
+    }
+    
+    // Keep the SKU of the stock rows in every warehouse in line with the product
+    // (the productId/variantId check cannot run on a bulk update that only sets the SKU)
+    await Inventory.update(
+      { sku: product.sku },
+      { where: { productId: product.id, variantId: null }, validate: false, transaction }
+    );
+    
+    // Update inventory if provided, each warehouse keeps its own stock row
     if (inventory) {
+      const warehouseId = await resolveWarehouseId(inventory.warehouseId, transaction);
       const existingInventory = await Inventory.findOne({
         where: { 
           productId: product.id,
-          variantId: null // Ensure we're getting the product's inventory, not a variant's
+          variantId: null, // Ensure we're getting the product's inventory, not a variant's
+          warehouseId
         },
-        transaction
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
       
       if (existingInventory) {
+        if (inventory.quantity !== undefined) {
+          await InventoryService.setQuantity(existingInventory, inventory.quantity, { actor: req.user }, transaction);
+        }
+        
         await existingInventory.update({
           sku: sku || product.sku,
-          quantity: inventory.quantity !== undefined ? inventory.quantity : existingInventory.quantity,
           lowStockThreshold: inventory.lowStockThreshold !== undefined ? inventory.lowStockThreshold : existingInventory.lowStockThreshold,
-          reservedQuantity: inventory.reservedQuantity !== undefined ? inventory.reservedQuantity : existingInventory.reservedQuantity,
-          location: inventory.location !== undefined ? inventory.location : existingInventory.location,
-          lastRestockDate: inventory.quantity > existingInventory.quantity ? new Date() : existingInventory.lastRestockDate
+          location: inventory.location !== undefined ? inventory.location : existingInventory.location
         }, { transaction });
       } else {
-        await Inventory.create({
+        await InventoryService.createInventory({
           productId: product.id,
           variantId: null, // Explicitly set variantId to null for product inventory
+          warehouseId,
           sku: product.sku,
           quantity: inventory.quantity || 0,
           lowStockThreshold: inventory.lowStockThreshold || 10,
-          reservedQuantity: inventory.reservedQuantity || 0,
-          location: inventory.location,
-          lastRestockDate: inventory.quantity > 0 ? new Date() : null
-        }, { transaction });
+          location: inventory.location
+        }, { actor: req.user }, transaction);
       }
     }
     
     await transaction.commit();
     
+    if (resubmit) {
+      await ProductModerationService.invalidateCatalogCache();
+    }
+    
     // Get the updated product with its relationships
     const updatedProduct = await Product.findByPk(product.id, {
       include: [
@@ -455,10 +559,7 @@ exports.updateProduct = async (req, res, next) => {
           model: Category,
           attributes: ['id', 'name']
         },
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-        },
+        inventoryInclude(),
         {
           model: User,
           as: 'seller',
@@ -513,11 +614,25 @@ exports.deleteProduct = async (req, res, next) => {
       });
     }
     
+    // A product with many variants, stock rows and images can be deleted by a background job
+    if (req.query.async === true) {
+      await transaction.rollback();
+      const job = await JobService.enqueue('products.delete', { productId: product.id }, { user: req.user });
+      
+      return res.status(202).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        data: job
+      });
+    }
+    
     // Delete product (will cascade to inventory and variants)
     await product.destroy({ transaction });
     
     await transaction.commit();
     
+    // The image files go once the rows are gone. The product is deleted either way, a failure is only logged
+    await imageService.deleteProductImages(product.id).catch(() => {});
+    
     res.status(200).json({
       success: true,
       data: {}
@@ -559,12 +674,14 @@ exports.searchProducts = async (req, res, next) => {
         { tags: { [Op.like]: `%${query}%` } },
         { sku: { [Op.like]: `%${query}%` } }
       ],
-      isActive: true // Only search active products
+      isActive: true, // Only search active products
+      status: 'published'
     };
     
     // Get products
     const { count, rows: products } = await Product.findAndCountAll({
       where,
+      attributes: { include: [AvailabilityService.rankAttribute()] },
       include: [
         {
           model: Category,
@@ -590,7 +707,7 @@ exports.searchProducts = async (req, res, next) => {
       count,
       totalPages,
       currentPage: parseInt(page, 10),
-      data: products
+      data: products.map(product => presentProduct(AvailabilityService.withStatus(product), product, req.user))
     });
   } catch (error) {
     next(error);
@@ -615,11 +732,8 @@ exports.getProductVariants = async (req, res, next) => {
       });
     }
     
-    // Check if product is active or user is admin/seller of the product
-    if (!product.isActive && 
-        (!req.user || 
-         (req.user.role !== 'admin' && 
-          !(req.user.role === 'seller' && req.user.id === product.userId)))) {
+    // Unpublished and inactive products are only shown to admins and the seller of the product
+    if (!ProductModerationService.isVisible(product, req.user)) {
       return res.status(404).json({
         success: false,
         error: {
@@ -629,12 +743,11 @@ exports.getProductVariants = async (req, res, next) => {
     }
     
     const variants = await Variant.findAll({
-      where: { productId: req.params.id },
+      where: ProductModerationService.canManage(product, req.user)
+        ? { productId: req.params.id }
+        : { productId: req.params.id, isActive: true },
       include: [
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-        }
+        inventoryInclude()
       ],
       order: [['createdAt', 'ASC']]
     });
@@ -642,7 +755,11 @@ exports.getProductVariants = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: variants.length,
-      data: variants
+      data: variants.map(variant => presentVariant({
+        ...variant.toJSON(),
+        stock: InventoryService.summarizeStock(variant.inventories),
+        availability: AvailabilityService.getItemStatus(product, variant, variant.inventories)
+      }, product, req.user))
     });
   } catch (error) {
     next(error);
@@ -669,6 +786,12 @@ exports.createProductVariant = async (req, res, next) => {
       options,
       imageUrls,
       isActive,
+      backorderPolicy,
+      backorderLimit,
+      availableAt,
+      isSerialized,
+      publishAt,
+      unpublishAt,
       inventory
     } = req.body;
     
@@ -711,6 +834,9 @@ exports.createProductVariant = async (req, res, next) => {
       });
     }
     
+    // A seller adding a variant to a reviewed product sends the product back to review
+    const resubmit = ProductModerationService.needsReview(product, req.user, req.body, null);
+    
     // Create variant
     const variant = await Variant.create({
       productId: product.id,
@@ -721,32 +847,42 @@ exports.createProductVariant = async (req, res, next) => {
       discountValue: discountValue || 0,
       options,
       imageUrls,
-      isActive: isActive !== undefined ? isActive : true
+      isActive: ProductScheduleService.getVariantActive(isActive, publishAt),
+      backorderPolicy,
+      backorderLimit,
+      availableAt,
+      isSerialized,
+      publishAt,
+      unpublishAt
     }, { transaction });
     
+    if (resubmit) {
+      await ProductModerationService.returnToReview(product, req.user, transaction);
+    }
+    
     // Create inventory if provided
     if (inventory) {
-      await Inventory.create({
+      await InventoryService.createInventory({
         variantId: variant.id,
         productId: null, // Explicitly set productId to null for variant inventory
+        warehouseId: await resolveWarehouseId(inventory.warehouseId, transaction),
         sku: variant.sku,
         quantity: inventory.quantity || 0,
         lowStockThreshold: inventory.lowStockThreshold || 10,
-        reservedQuantity: inventory.reservedQuantity || 0,
-        location: inventory.location,
-        lastRestockDate: inventory.quantity > 0 ? new Date() : null
-      }, { transaction });
+        location: inventory.location
+      }, { actor: req.user }, transaction);
     }
     
     await transaction.commit();
     
+    if (resubmit) {
+      await ProductModerationService.invalidateCatalogCache();
+    }
+    
     // Get the variant with its relationships
     const createdVariant = await Variant.findByPk(variant.id, {
       include: [
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-        }
+        inventoryInclude()
       ]
     });
     
@@ -782,6 +918,12 @@ exports.updateProductVariant = async (req, res, next) => {
       options,
       imageUrls,
       isActive,
+      backorderPolicy,
+      backorderLimit,
+      availableAt,
+      isSerialized,
+      publishAt,
+      unpublishAt,
       inventory
     } = req.body;
     
@@ -849,6 +991,15 @@ exports.updateProductVariant = async (req, res, next) => {
       }
     }
     
+    // Serial tracking can only be switched while there is no stock without serial numbers
+    if (isSerialized !== undefined &&
+      InventoryService.tracksSerials(product, { isSerialized }) !== InventoryService.tracksSerials(product, variant)) {
+      await SerialService.assertSwitchable(product, variant, transaction);
+    }
+    
+    // A seller changing reviewed content of a variant sends the product back to review
+    const resubmit = ProductModerationService.needsReview(product, req.user, req.body, variant);
+    
     // Update variant
     await variant.update({
       sku: sku || variant.sku,
@@ -858,51 +1009,71 @@ exports.updateProductVariant = async (req, res, next) => {
       discountValue: discountValue !== undefined ? discountValue : variant.discountValue,
       options: options !== undefined ? options : variant.options,
       imageUrls: imageUrls !== undefined ? imageUrls : variant.imageUrls,
-      isActive: isActive !== undefined ? isActive : variant.isActive
+      isActive: ProductScheduleService.getVariantActive(isActive, publishAt, variant.isActive),
+      backorderPolicy: backorderPolicy !== undefined ? backorderPolicy : variant.backorderPolicy,
+      backorderLimit: backorderLimit !== undefined ? backorderLimit : variant.backorderLimit,
+      availableAt: availableAt !== undefined ? availableAt : variant.availableAt,
+      isSerialized: isSerialized !== undefined ? isSerialized : variant.isSerialized,
+      publishAt: publishAt !== undefined ? publishAt : variant.publishAt,
+      unpublishAt: unpublishAt !== undefined ? unpublishAt : variant.unpublishAt
     }, { transaction });
     
-    // Update inventory if provided
+    if (resubmit) {
+      await ProductModerationService.returnToReview(product, req.user, transaction);
+    }
+    
+    // Keep the SKU of the stock rows in every warehouse in line with the variant
+    await Inventory.update(
+      { sku: variant.sku },
+      { where: { variantId: variant.id, productId: null }, validate: false, transaction }
+    );
+    
+    // Update inventory if provided, each warehouse keeps its own stock row
     if (inventory) {
+      const warehouseId = await resolveWarehouseId(inventory.warehouseId, transaction);
       const existingInventory = await Inventory.findOne({
         where: { 
           variantId: variant.id,
-          productId: null // Ensure we're getting the variant's inventory
+          productId: null, // Ensure we're getting the variant's inventory
+          warehouseId
         },
-        transaction
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
       
       if (existingInventory) {
+        if (inventory.quantity !== undefined) {
+          await InventoryService.setQuantity(existingInventory, inventory.quantity, { actor: req.user }, transaction);
+        }
+        
         await existingInventory.update({
           sku: sku || variant.sku,
-          quantity: inventory.quantity !== undefined ? inventory.quantity : existingInventory.quantity,
           lowStockThreshold: inventory.lowStockThreshold !== undefined ? inventory.lowStockThreshold : existingInventory.lowStockThreshold,
-          reservedQuantity: inventory.reservedQuantity !== undefined ? inventory.reservedQuantity : existingInventory.reservedQuantity,
-          location: inventory.location !== undefined ? inventory.location : existingInventory.location,
-          lastRestockDate: inventory.quantity > existingInventory.quantity ? new Date() : existingInventory.lastRestockDate
+          location: inventory.location !== undefined ? inventory.location : existingInventory.location
         }, { transaction });
       } else {
-        await Inventory.create({
+        await InventoryService.createInventory({
           variantId: variant.id,
           productId: null, // Explicitly set productId to null for variant inventory
+          warehouseId,
           sku: variant.sku,
           quantity: inventory.quantity || 0,
           lowStockThreshold: inventory.lowStockThreshold || 10,
-          reservedQuantity: inventory.reservedQuantity || 0,
-          location: inventory.location,
-          lastRestockDate: inventory.quantity > 0 ? new Date() : null
-        }, { transaction });
+          location: inventory.location
+        }, { actor: req.user }, transaction);
       }
     }
     
     await transaction.commit();
     
+    if (resubmit) {
+      await ProductModerationService.invalidateCatalogCache();
+    }
+    
     // Get the updated variant with its relationships
     const updatedVariant = await Variant.findByPk(variant.id, {
       include: [
-        {
-          model: Inventory,
-          attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity']
-        }
+        inventoryInclude()
       ]
     });
     
@@ -987,4 +1158,310 @@ exports.deleteProductVariant = async (req, res, next) => {
     }
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+ * Import products and variants from a CSV or JSON Lines file
+ * Rows are matched on SKU: new SKUs are created and known ones updated
+ * @route POST /api/products/import
+ * @access Private (Admins and Sellers only)
+ */
+exports.importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'No file uploaded'
+        }
+      });
+    }
+    
+    const { format, dryRun, report } = req.query;
+    
+    // Large files can be left to a background job, the file is checked for its format first
+    if (req.query.async === true) {
+      const job = await JobService.enqueue('products.import', {
+        format: ProductImportService.detectFormat(req.file, format),
+        dryRun: dryRun === true,
+        filename: req.file.originalname
+      }, { user: req.user, files: { [IMPORT_FILE]: req.file.buffer } });
+      
+      return res.status(202).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        data: job
+      });
+    }
+    
+    const result = await ProductImportService.importProducts(req.file, { format, dryRun: dryRun === true }, req.user);
+    
+    // The error report as a file, the totals travel in the headers
+    if (report === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="product-import-errors.csv"',
+        'X-Import-Rows': result.summary.rows,
+        'X-Import-Created': result.summary.created,
+        'X-Import-Updated': result.summary.updated,
+        'X-Import-Failed': result.summary.failed
+      });
+      return res.status(200).send(ProductImportService.toErrorCsv(result));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the products matching the product list filters as CSV, JSON Lines or XLSX
+ * The file is streamed while the products are read, with the columns of the product import.
+ * With async=true it is written by a background job instead
+ * @route GET /api/products/export
+ * @access Private (Admins and Sellers only)
+ */
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const { format: requestedFormat, async: inBackground, ...filters } = req.query;
+    const format = requestedFormat || 'csv';
+    
+    if (inBackground === true) {
+      const job = await JobService.enqueue('products.export', { format, filters }, { user: req.user });
+      
+      return res.status(202).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        data: job
+      });
+    }
+    
+    const { contentType, extension } = CatalogExportService.getFormat(format);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="products-${date}.${extension}"`
+    });
+    
+    await CatalogExportService.exportCatalog(CatalogExportService.buildFilter(filters, req.user), format, res);
+    res.end();
+  } catch (error) {
+    // Once the file has started there is no room for an error response, the download is cut off instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * List the products waiting for review, oldest submission first
+ * @route GET /api/products/moderation
+ * @access Private (Admin only)
+ */
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, sellerId, categoryId } = req.query;
+    
+    const { count, products } = await ProductModerationService.getModerationQueue({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      sellerId,
+      categoryId
+    });
+    
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status changes of a product with the reasons given by the moderators
+ * @route GET /api/products/:id/status-history
+ * @access Private (Admin or Product Owner)
+ */
+exports.getProductStatusHistory = async (req, res, next) => {
+  try {
+    const history = await ProductModerationService.getStatusHistory(parseInt(req.params.id, 10), req.user);
+    
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit a draft or rejected product for review
+ * @route POST /api/products/:id/submit
+ * @access Private (Admin or Product Owner)
+ */
+exports.submitProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.submitProduct(parseInt(req.params.id, 10), req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a product waiting for review, publishing it right away with publish=true
+ * @route POST /api/products/:id/approve
+ * @access Private (Admin only)
+ */
+exports.approveProduct = async (req, res, next) => {
+  try {
+    const { publish, note } = req.body;
+    
+    const product = await ProductModerationService.approveProduct(parseInt(req.params.id, 10), req.user, {
+      publish,
+      note
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a product waiting for review, with the reason the seller gets back
+ * @route POST /api/products/:id/reject
+ * @access Private (Admin only)
+ */
+exports.rejectProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.rejectProduct(parseInt(req.params.id, 10), req.user, req.body.reason);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put an approved product on sale
+ * @route POST /api/products/:id/publish
+ * @access Private (Admin or Product Owner)
+ */
+exports.publishProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.publishProduct(parseInt(req.params.id, 10), req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a published product off sale
+ * @route POST /api/products/:id/unpublish
+ * @access Private (Admin or Product Owner)
+ */
+exports.unpublishProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.unpublishProduct(parseInt(req.params.id, 10), req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive a product
+ * @route POST /api/products/:id/archive
+ * @access Private (Admin or Product Owner)
+ */
+exports.archiveProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.archiveProduct(parseInt(req.params.id, 10), req.user, req.body.reason);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bring an archived product back as a draft
+ * @route POST /api/products/:id/restore
+ * @access Private (Admin or Product Owner)
+ */
+exports.restoreProduct = async (req, res, next) => {
+  try {
+    const product = await ProductModerationService.restoreProduct(parseInt(req.params.id, 10), req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the scheduled publishing and unpublishing of products and variants, soonest first
+ * @route GET /api/products/schedule
+ * @access Private (Admin only)
+ */
+exports.getUpcomingSchedule = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, from, to, type, sellerId } = req.query;
+    
+    const { count, entries } = await ProductScheduleService.getUpcomingSchedule({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      from,
+      to,
+      type,
+      sellerId
+    });
+    
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,186 @@
+const PurchaseOrderService = require('../services/purchaseOrderService');
+
+/**
+ * List purchase orders
+ * @route GET /api/purchase-orders
+ * @access Private (Sellers see the purchase orders they drafted, admins all)
+ */
+exports.getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, supplierId, warehouseId } = req.query;
+
+    const { count, purchaseOrders } = await PurchaseOrderService.getPurchaseOrders(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      supplierId: supplierId ? parseInt(supplierId, 10) : undefined,
+      warehouseId: warehouseId ? parseInt(warehouseId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: purchaseOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the units still to be delivered by open purchase orders
+ * @route GET /api/purchase-orders/on-order
+ * @access Private (Sellers see the purchase orders they drafted, admins all)
+ */
+exports.getOnOrder = async (req, res, next) => {
+  try {
+    const { productId, variantId, warehouseId } = req.query;
+
+    const onOrder = await PurchaseOrderService.getOnOrder(req.user, {
+      productId: productId ? parseInt(productId, 10) : undefined,
+      variantId: variantId ? parseInt(variantId, 10) : undefined,
+      warehouseId: warehouseId ? parseInt(warehouseId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: onOrder.length,
+      data: onOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a purchase order with its lines and totals
+ * @route GET /api/purchase-orders/:id
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.getPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrderService.getPurchaseOrderDetails(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Draft a purchase order
+ * @route POST /api/purchase-orders
+ * @access Private (Seller, Admin)
+ */
+exports.createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplierId, warehouseId, expectedDate, supplierReference, notes, lines } = req.body;
+
+    const purchaseOrder = await PurchaseOrderService.createPurchaseOrder(req.user, {
+      supplierId,
+      warehouseId,
+      expectedDate,
+      supplierReference,
+      notes,
+      lines
+    });
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a draft purchase order
+ * @route PUT /api/purchase-orders/:id
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplierId, warehouseId, expectedDate, supplierReference, notes, lines } = req.body;
+
+    const purchaseOrder = await PurchaseOrderService.updatePurchaseOrder(parseInt(req.params.id, 10), req.user, {
+      supplierId,
+      warehouseId,
+      expectedDate,
+      supplierReference,
+      notes,
+      lines
+    });
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Place a draft purchase order with the supplier
+ * @route POST /api/purchase-orders/:id/place
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.placePurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrderService.placePurchaseOrder(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Book a delivery into stock
+ * @route POST /api/purchase-orders/:id/receive
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const { lines, close } = req.body;
+
+    const purchaseOrder = await PurchaseOrderService.receivePurchaseOrder(parseInt(req.params.id, 10), req.user, {
+      lines,
+      close
+    });
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a purchase order nothing was delivered for yet
+ * @route POST /api/purchase-orders/:id/cancel
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrderService.cancelPurchaseOrder(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,11 @@ const { sequelize } = require('../config/database');
 const Product = require('../models/product');
 const Category = require('../models/category');
 const Inventory = require('../models/inventory');
+const Variant = require('../models/variant');
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const LotService = require('../services/lotService');
+const ValuationService = require('../services/valuationService');
+const JobService = require('../services/jobService');
 
 /**
  * Get inventory status report
@@ -41,6 +46,7 @@ exports.getInventoryStatusReport = async (req, res, next) => {
       attributes: [
         'id',
         'sku',
+        'warehouseId',
         'quantity',
         'lowStockThreshold',
         [sequelize.literal('(quantity / lowStockThreshold) * 100'), 'stockPercentage']
@@ -134,6 +140,7 @@ exports.getCategoryDistributionReport = async (req, res, next) => {
 
 /**
  * Get low stock alert report
+ * Items show the units still on order from suppliers
  * @route GET /api/reports/low-stock-alert
  * @access Private
  */
@@ -176,7 +183,10 @@ exports.getLowStockAlertReport = async (req, res, next) => {
       },
       attributes: [
         'id',
+        'productId',
+        'variantId',
         'sku',
+        'warehouseId',
         'quantity',
         'lowStockThreshold',
         'reservedQuantity',
@@ -215,14 +225,91 @@ exports.getLowStockAlertReport = async (req, res, next) => {
       ]
     });
     
+    const onOrder = await PurchaseOrderService.getOnOrderQuantities(lowStockItems);
+    
     res.status(200).json({
       success: true,
       data: {
         categorySummary: lowStockByCategory,
-        items: lowStockItems
+        items: lowStockItems.map(item => ({ ...item.toJSON(), onOrderQuantity: onOrder.get(item.id) }))
       }
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get expiring soon report
+ * Lots with units on hand that expire within the window, lots already expired first
+ * @route GET /api/reports/expiring-soon
+ * @access Private
+ */
+exports.getExpiringSoonReport = async (req, res, next) => {
+  try {
+    const { days = 30, warehouseId } = req.query;
+    
+    const report = await LotService.getExpiringLots({
+      days: parseInt(days, 10),
+      warehouseId: warehouseId ? parseInt(warehouseId, 10) : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get inventory valuation report
+ * Stock value at the end of the period and cost of goods sold within it, this month to date by default
+ * @route GET /api/reports/inventory-valuation
+ * @access Private (Seller, Admin)
+ */
+exports.getInventoryValuationReport = async (req, res, next) => {
+  try {
+    const { method, groupBy, warehouseId, categoryId } = req.query;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || `${to.slice(0, 8)}01`;
+    
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'From date must not be after the to date'
+        }
+      });
+    }
+    
+    const params = {
+      method,
+      groupBy,
+      from,
+      to,
+      warehouseId: warehouseId ? parseInt(warehouseId, 10) : undefined,
+      categoryId: categoryId ? parseInt(categoryId, 10) : undefined
+    };
+    
+    // A long period over a large catalog can be valued by a background job
+    if (req.query.async === true) {
+      const job = await JobService.enqueue('reports.inventory-valuation', params, { user: req.user });
+      
+      return res.status(202).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        data: job
+      });
+    }
+    
+    const report = await ValuationService.getValuation(params, req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
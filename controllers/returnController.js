@@ -0,0 +1,162 @@
+const ReturnService = require('../services/returnService');
+
+/**
+ * List return requests
+ * @route GET /api/returns
+ * @access Private (Buyers see their own, sellers the returns of their items, admins all)
+ */
+exports.getReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, orderId } = req.query;
+
+    const { count, returns } = await ReturnService.getReturns(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      orderId: orderId ? parseInt(orderId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: returns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a return request
+ * @route GET /api/returns/:id
+ * @access Private (Buyer, seller of the items, admin)
+ */
+exports.getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.getReturnDetails(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a return for items of a delivered order
+ * @route POST /api/returns
+ * @access Private (Buyer)
+ */
+exports.createReturn = async (req, res, next) => {
+  try {
+    const { orderId, comment, items } = req.body;
+
+    const returnRequest = await ReturnService.createReturn(req.user, { orderId, comment, items });
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a return that has not been reviewed yet
+ * @route POST /api/returns/:id/cancel
+ * @access Private (Buyer, admin)
+ */
+exports.cancelReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.cancelReturn(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a return
+ * @route POST /api/returns/:id/approve
+ * @access Private (Seller of the items, admin)
+ */
+exports.approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.approveReturn(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a return
+ * @route POST /api/returns/:id/reject
+ * @access Private (Seller of the items, admin)
+ */
+exports.rejectReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.rejectReturn(parseInt(req.params.id, 10), req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive the returned goods and restock them
+ * @route POST /api/returns/:id/receive
+ * @access Private (Seller of the items, admin)
+ */
+exports.receiveReturn = async (req, res, next) => {
+  try {
+    const { disposition, items } = req.body;
+
+    const returnRequest = await ReturnService.receiveReturn(parseInt(req.params.id, 10), req.user, {
+      disposition,
+      items
+    });
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund the buyer for a received return
+ * @route POST /api/returns/:id/refund
+ * @access Private (Seller of the items, admin)
+ */
+exports.refundReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.refundReturn(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -17,7 +17,7 @@ exports.advancedSearch = async (req, res, next) => {
       tags,
       attributes,
       inStock,
-      isActive,
+      availability,
       isFeatured,
       createdAfter,
       createdBefore,
@@ -64,7 +64,7 @@ exports.advancedSearch = async (req, res, next) => {
       tags: parsedTags,
       attributes: parsedAttributes,
       inStock: inStock !== undefined ? inStock === 'true' : undefined,
-      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+      availability: availability ? availability.split(',') : undefined,
       isFeatured: isFeatured !== undefined ? isFeatured === 'true' : undefined,
       createdAfter,
       createdBefore,
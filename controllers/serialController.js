@@ -0,0 +1,20 @@
+const SerialService = require('../services/serialService');
+
+/**
+ * Get every unit registered with a serial number and its history
+ * @route GET /api/serials/:serialNumber
+ * @access Private (Seller, Admin)
+ */
+exports.getSerialHistory = async (req, res, next) => {
+  try {
+    const serials = await SerialService.getSerialHistory(req.params.serialNumber, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: serials.length,
+      data: serials
+    });
+  } catch (error) {
+    next(error);
+  }
+};
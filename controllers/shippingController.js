@@ -0,0 +1,228 @@
+const ShippingService = require('../services/shippingService');
+
+const ZONE_FIELDS = ['name', 'regions', 'isActive'];
+const METHOD_FIELDS = ['zoneId', 'name', 'carrierCode', 'rateType', 'rates', 'minDeliveryDays', 'maxDeliveryDays', 'isActive'];
+
+/**
+ * Copy the given fields that were sent in the request body
+ * @param {Object} body - Request body
+ * @param {Array} fields - Allowed fields
+ * @returns {Object} - Fields to save
+ */
+const pickFields = (body, fields) => {
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Quote the shipping methods available for a list of items
+ * @route POST /api/shipping/quote
+ * @access Public
+ */
+exports.getQuote = async (req, res, next) => {
+  try {
+    const { region, items } = req.body;
+
+    const quote = await ShippingService.quoteItems(items, region);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List shipping zones
+ * @route GET /api/shipping/zones
+ * @access Private (Admin)
+ */
+exports.getZones = async (req, res, next) => {
+  try {
+    const zones = await ShippingService.getZones();
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a shipping zone
+ * @route GET /api/shipping/zones/:id
+ * @access Private (Admin)
+ */
+exports.getZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.getZoneById(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a shipping zone
+ * @route POST /api/shipping/zones
+ * @access Private (Admin)
+ */
+exports.createZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.createZone(pickFields(req.body, ZONE_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a shipping zone
+ * @route PUT /api/shipping/zones/:id
+ * @access Private (Admin)
+ */
+exports.updateZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.updateZone(parseInt(req.params.id, 10), pickFields(req.body, ZONE_FIELDS));
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a shipping zone
+ * @route DELETE /api/shipping/zones/:id
+ * @access Private (Admin)
+ */
+exports.deleteZone = async (req, res, next) => {
+  try {
+    await ShippingService.deleteZone(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List shipping methods
+ * @route GET /api/shipping/methods
+ * @access Private (Admin)
+ */
+exports.getMethods = async (req, res, next) => {
+  try {
+    const { zoneId } = req.query;
+
+    const methods = await ShippingService.getMethods({
+      zoneId: zoneId ? parseInt(zoneId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: methods.length,
+      data: methods
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a shipping method
+ * @route GET /api/shipping/methods/:id
+ * @access Private (Admin)
+ */
+exports.getMethod = async (req, res, next) => {
+  try {
+    const method = await ShippingService.getMethodById(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: method
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a shipping method
+ * @route POST /api/shipping/methods
+ * @access Private (Admin)
+ */
+exports.createMethod = async (req, res, next) => {
+  try {
+    const method = await ShippingService.createMethod(pickFields(req.body, METHOD_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      data: method
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a shipping method
+ * @route PUT /api/shipping/methods/:id
+ * @access Private (Admin)
+ */
+exports.updateMethod = async (req, res, next) => {
+  try {
+    const method = await ShippingService.updateMethod(parseInt(req.params.id, 10), pickFields(req.body, METHOD_FIELDS));
+
+    res.status(200).json({
+      success: true,
+      data: method
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a shipping method
+ * @route DELETE /api/shipping/methods/:id
+ * @access Private (Admin)
+ */
+exports.deleteMethod = async (req, res, next) => {
+  try {
+    await ShippingService.deleteMethod(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
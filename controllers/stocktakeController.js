@@ -0,0 +1,164 @@
+const StocktakeService = require('../services/stocktakeService');
+
+/**
+ * List stocktake sessions
+ * @route GET /api/stocktakes
+ * @access Private (Sellers see the sessions they opened, admins all)
+ */
+exports.getStocktakes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, warehouseId } = req.query;
+
+    const { count, stocktakes } = await StocktakeService.getStocktakes(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      warehouseId: warehouseId ? parseInt(warehouseId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: stocktakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a stocktake session with its lines and variance summary
+ * @route GET /api/stocktakes/:id
+ * @access Private (Seller who opened it, admin)
+ */
+exports.getStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.getStocktakeDetails(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a stocktake session
+ * @route POST /api/stocktakes
+ * @access Private (Seller, Admin)
+ */
+exports.createStocktake = async (req, res, next) => {
+  try {
+    const { name, notes, warehouseId, location, categoryId, skus } = req.body;
+
+    const stocktake = await StocktakeService.createStocktake(req.user, {
+      name,
+      notes,
+      warehouseId,
+      location,
+      categoryId,
+      skus
+    });
+
+    res.status(201).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enter counted quantities
+ * @route POST /api/stocktakes/:id/counts
+ * @access Private (Seller who opened it, admin)
+ */
+exports.recordCounts = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.recordCounts(parseInt(req.params.id, 10), req.user, req.body.counts);
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit the counts for approval
+ * @route POST /api/stocktakes/:id/submit
+ * @access Private (Seller who opened it, admin)
+ */
+exports.submitStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.submitStocktake(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a submitted stocktake back for a recount
+ * @route POST /api/stocktakes/:id/reopen
+ * @access Private (Admin)
+ */
+exports.reopenStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.reopenStocktake(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post the variances as stock adjustments
+ * @route POST /api/stocktakes/:id/post
+ * @access Private (Admin)
+ */
+exports.postStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.postStocktake(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a stocktake that was not posted
+ * @route POST /api/stocktakes/:id/cancel
+ * @access Private (Seller who opened it, admin)
+ */
+exports.cancelStocktake = async (req, res, next) => {
+  try {
+    const stocktake = await StocktakeService.cancelStocktake(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,120 @@
+const SupplierService = require('../services/supplierService');
+
+const SUPPLIER_FIELDS = ['name', 'code', 'contactName', 'email', 'phone', 'address', 'leadTimeDays', 'isActive'];
+
+/**
+ * Copy the given fields that were sent in the request body
+ * @param {Object} body - Request body
+ * @param {Array} fields - Allowed fields
+ * @returns {Object} - Fields to save
+ */
+const pickFields = (body, fields) => {
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  return data;
+};
+
+/**
+ * List suppliers
+ * @route GET /api/suppliers
+ * @access Private (Seller, Admin)
+ */
+exports.getSuppliers = async (req, res, next) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const suppliers = await SupplierService.getSuppliers({
+      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+      search
+    });
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a supplier
+ * @route GET /api/suppliers/:id
+ * @access Private (Seller, Admin)
+ */
+exports.getSupplier = async (req, res, next) => {
+  try {
+    const supplier = await SupplierService.getSupplierById(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a supplier
+ * @route POST /api/suppliers
+ * @access Private (Admin)
+ */
+exports.createSupplier = async (req, res, next) => {
+  try {
+    const supplier = await SupplierService.createSupplier(pickFields(req.body, SUPPLIER_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a supplier
+ * @route PUT /api/suppliers/:id
+ * @access Private (Admin)
+ */
+exports.updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await SupplierService.updateSupplier(
+      parseInt(req.params.id, 10),
+      pickFields(req.body, SUPPLIER_FIELDS)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a supplier
+ * @route DELETE /api/suppliers/:id
+ * @access Private (Admin)
+ */
+exports.deleteSupplier = async (req, res, next) => {
+  try {
+    await SupplierService.deleteSupplier(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
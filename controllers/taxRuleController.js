@@ -0,0 +1,117 @@
+const TaxService = require('../services/taxService');
+
+/**
+ * List tax rules
+ * @route GET /api/tax-rules
+ * @access Private (Admin)
+ */
+exports.getTaxRules = async (req, res, next) => {
+  try {
+    const { region, categoryId, activeOn } = req.query;
+
+    const rules = await TaxService.getRules({
+      region,
+      categoryId: categoryId ? parseInt(categoryId, 10) : undefined,
+      activeOn: activeOn ? new Date(activeOn) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a tax rule
+ * @route GET /api/tax-rules/:id
+ * @access Private (Admin)
+ */
+exports.getTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxService.getRuleById(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a tax rule
+ * @route POST /api/tax-rules
+ * @access Private (Admin)
+ */
+exports.createTaxRule = async (req, res, next) => {
+  try {
+    const { name, region, categoryId, rate, inclusive, effectiveFrom, effectiveTo } = req.body;
+
+    const rule = await TaxService.createRule({
+      name,
+      region,
+      categoryId,
+      rate,
+      inclusive,
+      effectiveFrom: effectiveFrom || new Date(),
+      effectiveTo
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a tax rule
+ * @route PUT /api/tax-rules/:id
+ * @access Private (Admin)
+ */
+exports.updateTaxRule = async (req, res, next) => {
+  try {
+    const fields = ['name', 'region', 'categoryId', 'rate', 'inclusive', 'effectiveFrom', 'effectiveTo'];
+    const updates = {};
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const rule = await TaxService.updateRule(parseInt(req.params.id, 10), updates);
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a tax rule
+ * @route DELETE /api/tax-rules/:id
+ * @access Private (Admin)
+ */
+exports.deleteTaxRule = async (req, res, next) => {
+  try {
+    await TaxService.deleteRule(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
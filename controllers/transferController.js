@@ -0,0 +1,176 @@
+const TransferService = require('../services/transferService');
+
+/**
+ * List stock transfers
+ * @route GET /api/transfers
+ * @access Private (Sellers see the transfers they drafted, admins all)
+ */
+exports.getTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, fromWarehouseId, toWarehouseId } = req.query;
+
+    const { count, transfers } = await TransferService.getTransfers(req.user, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      fromWarehouseId: fromWarehouseId ? parseInt(fromWarehouseId, 10) : undefined,
+      toWarehouseId: toWarehouseId ? parseInt(toWarehouseId, 10) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page, 10),
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report the units that went missing in transit
+ * @route GET /api/transfers/discrepancies
+ * @access Private (Seller, Admin)
+ */
+exports.getDiscrepancyReport = async (req, res, next) => {
+  try {
+    const { fromWarehouseId, toWarehouseId, from, to } = req.query;
+
+    const report = await TransferService.getDiscrepancyReport(req.user, {
+      fromWarehouseId: fromWarehouseId ? parseInt(fromWarehouseId, 10) : undefined,
+      toWarehouseId: toWarehouseId ? parseInt(toWarehouseId, 10) : undefined,
+      from,
+      to
+    });
+
+    res.status(200).json({
+      success: true,
+      count: report.lines.length,
+      totalMissing: report.totalMissing,
+      data: report.lines
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a stock transfer
+ * @route GET /api/transfers/:id
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.getTransfer = async (req, res, next) => {
+  try {
+    const transfer = await TransferService.getTransferDetails(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Draft a stock transfer
+ * @route POST /api/transfers
+ * @access Private (Seller, Admin)
+ */
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const { fromWarehouseId, toWarehouseId, notes, items } = req.body;
+
+    const transfer = await TransferService.createTransfer(req.user, { fromWarehouseId, toWarehouseId, notes, items });
+
+    res.status(201).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a draft stock transfer
+ * @route PUT /api/transfers/:id
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.updateTransfer = async (req, res, next) => {
+  try {
+    const { fromWarehouseId, toWarehouseId, notes, items } = req.body;
+
+    const transfer = await TransferService.updateTransfer(parseInt(req.params.id, 10), req.user, {
+      fromWarehouseId,
+      toWarehouseId,
+      notes,
+      items
+    });
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a draft transfer, taking the stock out of the source warehouse
+ * @route POST /api/transfers/:id/dispatch
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.dispatchTransfer = async (req, res, next) => {
+  try {
+    const transfer = await TransferService.dispatchTransfer(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Book the units of a transfer in at the destination
+ * @route POST /api/transfers/:id/receive
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.receiveTransfer = async (req, res, next) => {
+  try {
+    const { items, close } = req.body;
+
+    const transfer = await TransferService.receiveTransfer(parseInt(req.params.id, 10), req.user, { items, close });
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a draft transfer
+ * @route POST /api/transfers/:id/cancel
+ * @access Private (Seller who drafted it, admin)
+ */
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await TransferService.cancelTransfer(parseInt(req.params.id, 10), req.user);
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
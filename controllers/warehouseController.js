@@ -0,0 +1,119 @@
+const WarehouseService = require('../services/warehouseService');
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'region', 'address', 'priority', 'isActive'];
+
+/**
+ * Copy the given fields that were sent in the request body
+ * @param {Object} body - Request body
+ * @param {Array} fields - Allowed fields
+ * @returns {Object} - Fields to save
+ */
+const pickFields = (body, fields) => {
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  return data;
+};
+
+/**
+ * List warehouses
+ * @route GET /api/warehouses
+ * @access Private (Seller, Admin)
+ */
+exports.getWarehouses = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+
+    const warehouses = await WarehouseService.getWarehouses({
+      isActive: isActive !== undefined ? isActive === 'true' : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: warehouses.length,
+      data: warehouses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a warehouse
+ * @route GET /api/warehouses/:id
+ * @access Private (Seller, Admin)
+ */
+exports.getWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await WarehouseService.getWarehouseById(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a warehouse
+ * @route POST /api/warehouses
+ * @access Private (Admin)
+ */
+exports.createWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await WarehouseService.createWarehouse(pickFields(req.body, WAREHOUSE_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a warehouse
+ * @route PUT /api/warehouses/:id
+ * @access Private (Admin)
+ */
+exports.updateWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await WarehouseService.updateWarehouse(
+      parseInt(req.params.id, 10),
+      pickFields(req.body, WAREHOUSE_FIELDS)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a warehouse
+ * @route DELETE /api/warehouses/:id
+ * @access Private (Admin)
+ */
+exports.deleteWarehouse = async (req, res, next) => {
+  try {
+    await WarehouseService.deleteWarehouse(parseInt(req.params.id, 10));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -98,4 +98,38 @@ exports.restrictTo = (...roles) => {
     
     next();
   };
-};
\ No newline at end of file
+};
+/**
+ * Optional authentication
+ * Attaches the user to the request when a valid token is sent, otherwise continues as a guest
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+      return next();
+    }
+
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+
+    const user = await User.findByPk(decoded.id, {
+      attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] }
+    });
+
+    if (user && user.isActive) {
+      req.user = user;
+    }
+
+    next();
+  } catch (error) {
+    // An invalid or expired token is treated as a guest request
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next();
+    }
+
+    next(error);
+  }
+};
@@ -9,6 +9,7 @@ const errorHandler = (err, req, res, next) => {
       success: false,
       error: {
         message: err.message || 'Server Error',
+        ...(err.details && { details: err.details }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
       }
     };
@@ -0,0 +1,408 @@
+/**
+ * Validation chains of the product and variant bodies
+ * Kept apart from the routes so that imported rows are checked by the same rules
+ */
+const { body } = require('express-validator');
+
+/**
+ * Rules for publishAt and unpublishAt, the schedule of products and variants
+ */
+const scheduleValidation = () => [
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a date and time'),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a date and time')
+    .custom((value, { req }) => !req.body.publishAt || new Date(value) > new Date(req.body.publishAt))
+    .withMessage('unpublishAt must be after publishAt')
+];
+
+/**
+ * Rules for a new product, shared by POST /api/products and the product import
+ */
+const createProductValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Product name is required')
+    .isLength({ max: 200 })
+    .withMessage('Product name cannot exceed 200 characters'),
+  body('description')
+    .optional()
+    .trim(),
+  body('sku')
+    .trim()
+    .notEmpty()
+    .withMessage('SKU is required')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('basePrice')
+    .notEmpty()
+    .withMessage('Base price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Base price must be a positive number'),
+  body('discountType')
+    .optional()
+    .isIn(['none', 'percentage', 'fixed'])
+    .withMessage('Discount type must be none, percentage, or fixed'),
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('categoryId')
+    .notEmpty()
+    .withMessage('Category ID is required')
+    .isInt()
+    .withMessage('Category ID must be an integer'),
+  body('tags')
+    .optional()
+    .custom(value => {
+      if (Array.isArray(value)) {
+        return true;
+      }
+      if (typeof value === 'string') {
+        return true;
+      }
+      throw new Error('Tags must be an array or a string');
+    }),
+  body('imageUrls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs must be an array'),
+  body('imageUrls.*')
+    .optional()
+    .isURL()
+    .withMessage('Each image URL must be a valid URL'),
+  body('attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object'),
+  body('weight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a positive number of kg'),
+  body(['length', 'width', 'height'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Dimensions must be positive numbers of cm'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  body('isFeatured')
+    .optional()
+    .isBoolean()
+    .withMessage('isFeatured must be a boolean value'),
+  body('backorderPolicy')
+    .optional()
+    .isIn(['none', 'backorder', 'preorder'])
+    .withMessage('Backorder policy must be none, backorder or preorder'),
+  body('backorderLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Backorder limit must be a non-negative integer'),
+  body('availableAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('availableAt must be a date'),
+  body('isSerialized')
+    .optional()
+    .isBoolean()
+    .withMessage('isSerialized must be a boolean value'),
+  ...scheduleValidation(),
+  body('inventory.quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Inventory quantity must be a non-negative integer'),
+  body('inventory.lowStockThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative integer'),
+  body('inventory.location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string'),
+  body('inventory.warehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Warehouse ID must be an integer')
+];
+
+/**
+ * Rules for changes to a product, shared by PUT /api/products/:id and the product import
+ */
+const updateProductValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Product name cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Product name cannot exceed 200 characters'),
+  body('description')
+    .optional()
+    .trim(),
+  body('sku')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('SKU cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('basePrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Base price must be a positive number'),
+  body('discountType')
+    .optional()
+    .isIn(['none', 'percentage', 'fixed'])
+    .withMessage('Discount type must be none, percentage, or fixed'),
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('categoryId')
+    .optional()
+    .isInt()
+    .withMessage('Category ID must be an integer'),
+  body('tags')
+    .optional()
+    .custom(value => {
+      if (Array.isArray(value)) {
+        return true;
+      }
+      if (typeof value === 'string') {
+        return true;
+      }
+      throw new Error('Tags must be an array or a string');
+    }),
+  body('imageUrls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs must be an array'),
+  body('imageUrls.*')
+    .optional()
+    .isURL()
+    .withMessage('Each image URL must be a valid URL'),
+  body('attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object'),
+  body('weight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a positive number of kg'),
+  body(['length', 'width', 'height'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Dimensions must be positive numbers of cm'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  body('isFeatured')
+    .optional()
+    .isBoolean()
+    .withMessage('isFeatured must be a boolean value'),
+  body('backorderPolicy')
+    .optional()
+    .isIn(['none', 'backorder', 'preorder'])
+    .withMessage('Backorder policy must be none, backorder or preorder'),
+  body('backorderLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Backorder limit must be a non-negative integer'),
+  body('availableAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('availableAt must be a date'),
+  body('isSerialized')
+    .optional()
+    .isBoolean()
+    .withMessage('isSerialized must be a boolean value'),
+  ...scheduleValidation(),
+  body('inventory.quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Inventory quantity must be a non-negative integer'),
+  body('inventory.lowStockThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative integer'),
+  body('inventory.location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string'),
+  body('inventory.warehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Warehouse ID must be an integer')
+];
+
+/**
+ * Rules for a new variant, shared by POST /api/products/:id/variants and the product import
+ */
+const createVariantValidation = [
+  body('sku')
+    .trim()
+    .notEmpty()
+    .withMessage('SKU is required')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Variant name cannot exceed 200 characters'),
+  body('price')
+    .notEmpty()
+    .withMessage('Price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('discountType')
+    .optional()
+    .isIn(['none', 'percentage', 'fixed'])
+    .withMessage('Discount type must be none, percentage, or fixed'),
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  body('imageUrls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs must be an array'),
+  body('imageUrls.*')
+    .optional()
+    .isURL()
+    .withMessage('Each image URL must be a valid URL'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  body('backorderPolicy')
+    .optional({ nullable: true })
+    .isIn(['none', 'backorder', 'preorder'])
+    .withMessage('Backorder policy must be none, backorder or preorder'),
+  body('backorderLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Backorder limit must be a non-negative integer'),
+  body('availableAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('availableAt must be a date'),
+  body('isSerialized')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('isSerialized must be a boolean value'),
+  ...scheduleValidation(),
+  body('inventory.quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Inventory quantity must be a non-negative integer'),
+  body('inventory.lowStockThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative integer'),
+  body('inventory.location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string'),
+  body('inventory.warehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Warehouse ID must be an integer')
+];
+
+/**
+ * Rules for changes to a variant, shared by PUT /api/products/:productId/variants/:id and the product import
+ */
+const updateVariantValidation = [
+  body('sku')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('SKU cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Variant name cannot exceed 200 characters'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('discountType')
+    .optional()
+    .isIn(['none', 'percentage', 'fixed'])
+    .withMessage('Discount type must be none, percentage, or fixed'),
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  body('imageUrls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs must be an array'),
+  body('imageUrls.*')
+    .optional()
+    .isURL()
+    .withMessage('Each image URL must be a valid URL'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+  body('backorderPolicy')
+    .optional({ nullable: true })
+    .isIn(['none', 'backorder', 'preorder'])
+    .withMessage('Backorder policy must be none, backorder or preorder'),
+  body('backorderLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Backorder limit must be a non-negative integer'),
+  body('availableAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('availableAt must be a date'),
+  body('isSerialized')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('isSerialized must be a boolean value'),
+  ...scheduleValidation(),
+  body('inventory.quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Inventory quantity must be a non-negative integer'),
+  body('inventory.lowStockThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative integer'),
+  body('inventory.location')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string'),
+  body('inventory.warehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Warehouse ID must be an integer')
+];
+
+module.exports = {
+  createProductValidation,
+  updateProductValidation,
+  createVariantValidation,
+  updateVariantValidation
+};
@@ -9,7 +9,36 @@ const setupAssociations = () => {
   const Category = require('./category');
   const Variant = require('./variant');
   const Inventory = require('./inventory');
+  const Warehouse = require('./warehouse');
   const User = require('./user');
+  const Order = require('./order');
+  const OrderItem = require('./orderItem');
+  const Cart = require('./cart');
+  const CartItem = require('./cartItem');
+  const Payment = require('./payment');
+  const OrderStatusHistory = require('./orderStatusHistory');
+  const StockMovement = require('./stockMovement');
+  const InventoryLot = require('./inventoryLot');
+  const SerialNumber = require('./serialNumber');
+  const SerialNumberEvent = require('./serialNumberEvent');
+  const ReturnRequest = require('./returnRequest');
+  const ReturnItem = require('./returnItem');
+  const Invoice = require('./invoice');
+  const InvoiceSequence = require('./invoiceSequence');
+  const TaxRule = require('./taxRule');
+  const ShippingZone = require('./shippingZone');
+  const ShippingMethod = require('./shippingMethod');
+  const Shipment = require('./shipment');
+  const SellerOrder = require('./sellerOrder');
+  const StockTransfer = require('./stockTransfer');
+  const StockTransferItem = require('./stockTransferItem');
+  const Stocktake = require('./stocktake');
+  const StocktakeLine = require('./stocktakeLine');
+  const Supplier = require('./supplier');
+  const PurchaseOrder = require('./purchaseOrder');
+  const PurchaseOrderLine = require('./purchaseOrderLine');
+  const Job = require('./job');
+  const ProductStatusHistory = require('./productStatusHistory');
 
   // Category associations
   // Self-association for category hierarchy
@@ -23,6 +52,12 @@ const setupAssociations = () => {
   // Product-User (seller) associations
   Product.belongsTo(User, { as: 'seller', foreignKey: 'userId' });
   User.hasMany(Product, { as: 'products', foreignKey: 'userId' });
+  Product.belongsTo(User, { as: 'reviewer', foreignKey: 'reviewedBy', onDelete: 'SET NULL' });
+
+  // Product moderation history
+  ProductStatusHistory.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
+  Product.hasMany(ProductStatusHistory, { as: 'statusHistory', foreignKey: 'productId', onDelete: 'CASCADE' });
+  ProductStatusHistory.belongsTo(User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
 
   // Product-Variant associations
   // First define Variant belongs to Product (child to parent)
@@ -33,14 +68,157 @@ const setupAssociations = () => {
   // Inventory associations - Product
   // First define Inventory belongs to Product
   Inventory.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
-  // Then define Product has one Inventory
-  Product.hasOne(Inventory, { foreignKey: 'productId', onDelete: 'CASCADE' });
+  // Then define Product has many Inventory rows, one per warehouse
+  Product.hasMany(Inventory, { as: 'inventories', foreignKey: 'productId', onDelete: 'CASCADE' });
 
   // Inventory associations - Variant
   // First define Inventory belongs to Variant
   Inventory.belongsTo(Variant, { foreignKey: 'variantId', onDelete: 'CASCADE' });
-  // Then define Variant has one Inventory
-  Variant.hasOne(Inventory, { foreignKey: 'variantId', onDelete: 'CASCADE' });
+  // Then define Variant has many Inventory rows, one per warehouse
+  Variant.hasMany(Inventory, { as: 'inventories', foreignKey: 'variantId', onDelete: 'CASCADE' });
+
+  // Inventory associations - Warehouse
+  Inventory.belongsTo(Warehouse, { as: 'warehouse', foreignKey: 'warehouseId' });
+  Warehouse.hasMany(Inventory, { as: 'stock', foreignKey: 'warehouseId' });
+
+  // Order associations
+  // Buyer who placed the order
+  Order.belongsTo(User, { as: 'buyer', foreignKey: 'userId' });
+  User.hasMany(Order, { as: 'orders', foreignKey: 'userId' });
+
+  // Order lines
+  OrderItem.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(OrderItem, { as: 'items', foreignKey: 'orderId', onDelete: 'CASCADE' });
+
+  // Order lines keep their sku/name snapshot if the product or variant is removed
+  OrderItem.belongsTo(Product, { foreignKey: 'productId', onDelete: 'SET NULL' });
+  Product.hasMany(OrderItem, { foreignKey: 'productId', onDelete: 'SET NULL' });
+  OrderItem.belongsTo(Variant, { foreignKey: 'variantId', onDelete: 'SET NULL' });
+  Variant.hasMany(OrderItem, { foreignKey: 'variantId', onDelete: 'SET NULL' });
+  OrderItem.belongsTo(Inventory, { foreignKey: 'inventoryId', onDelete: 'SET NULL' });
+  Inventory.hasMany(OrderItem, { foreignKey: 'inventoryId', onDelete: 'SET NULL' });
+  OrderItem.belongsTo(Warehouse, { as: 'warehouse', foreignKey: 'warehouseId', onDelete: 'SET NULL' });
+
+  // Seller who fulfils the line
+  OrderItem.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+  User.hasMany(OrderItem, { as: 'soldItems', foreignKey: 'sellerId' });
+
+  // Cart associations
+  Cart.belongsTo(User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  User.hasOne(Cart, { foreignKey: 'userId', onDelete: 'CASCADE' });
+
+  CartItem.belongsTo(Cart, { foreignKey: 'cartId', onDelete: 'CASCADE' });
+  Cart.hasMany(CartItem, { as: 'items', foreignKey: 'cartId', onDelete: 'CASCADE' });
+
+  CartItem.belongsTo(Product, { foreignKey: 'productId', onDelete: 'CASCADE' });
+  Product.hasMany(CartItem, { foreignKey: 'productId', onDelete: 'CASCADE' });
+  CartItem.belongsTo(Variant, { foreignKey: 'variantId', onDelete: 'CASCADE' });
+  Variant.hasMany(CartItem, { foreignKey: 'variantId', onDelete: 'CASCADE' });
+
+  // Payment associations
+  Payment.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(Payment, { as: 'payments', foreignKey: 'orderId', onDelete: 'CASCADE' });
+
+  // Order status history
+  OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(OrderStatusHistory, { as: 'statusHistory', foreignKey: 'orderId', onDelete: 'CASCADE' });
+  OrderStatusHistory.belongsTo(User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
+
+  // Stock movement ledger
+  StockMovement.belongsTo(Inventory, { foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+  Inventory.hasMany(StockMovement, { as: 'movements', foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+  StockMovement.belongsTo(User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
+  StockMovement.belongsTo(InventoryLot, { as: 'lot', foreignKey: 'lotId', onDelete: 'SET NULL' });
+
+  // Lots of an inventory record
+  InventoryLot.belongsTo(Inventory, { foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+  Inventory.hasMany(InventoryLot, { as: 'lots', foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+
+  // Return associations
+  ReturnRequest.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(ReturnRequest, { as: 'returns', foreignKey: 'orderId', onDelete: 'CASCADE' });
+  ReturnRequest.belongsTo(User, { as: 'buyer', foreignKey: 'userId' });
+  ReturnRequest.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+
+  ReturnItem.belongsTo(ReturnRequest, { foreignKey: 'returnRequestId', onDelete: 'CASCADE' });
+  ReturnRequest.hasMany(ReturnItem, { as: 'items', foreignKey: 'returnRequestId', onDelete: 'CASCADE' });
+  ReturnItem.belongsTo(OrderItem, { as: 'orderItem', foreignKey: 'orderItemId', onDelete: 'CASCADE' });
+  OrderItem.hasMany(ReturnItem, { as: 'returnItems', foreignKey: 'orderItemId', onDelete: 'CASCADE' });
+
+  // Invoice associations
+  Invoice.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(Invoice, { as: 'invoices', foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Invoice.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+  InvoiceSequence.belongsTo(User, { as: 'seller', foreignKey: 'sellerId', onDelete: 'CASCADE' });
+
+  // Category-level tax overrides
+  TaxRule.belongsTo(Category, { foreignKey: 'categoryId', onDelete: 'CASCADE' });
+  Category.hasMany(TaxRule, { as: 'taxRules', foreignKey: 'categoryId', onDelete: 'CASCADE' });
+
+  // Shipping associations
+  ShippingMethod.belongsTo(ShippingZone, { as: 'zone', foreignKey: 'zoneId' });
+  ShippingZone.hasMany(ShippingMethod, { as: 'methods', foreignKey: 'zoneId' });
+  Order.belongsTo(ShippingMethod, { as: 'shippingMethod', foreignKey: 'shippingMethodId', onDelete: 'SET NULL' });
+
+  // One shipment per seller of an order
+  Shipment.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(Shipment, { as: 'shipments', foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Shipment.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+  Shipment.belongsTo(ShippingMethod, { as: 'shippingMethod', foreignKey: 'shippingMethodId', onDelete: 'SET NULL' });
+
+  // Seller orders split an order into the part each seller fulfils
+  SellerOrder.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'CASCADE' });
+  Order.hasMany(SellerOrder, { as: 'sellerOrders', foreignKey: 'orderId', onDelete: 'CASCADE' });
+  SellerOrder.belongsTo(User, { as: 'seller', foreignKey: 'sellerId' });
+  User.hasMany(SellerOrder, { as: 'sellerOrders', foreignKey: 'sellerId' });
+  OrderItem.belongsTo(SellerOrder, { as: 'sellerOrder', foreignKey: 'sellerOrderId', onDelete: 'SET NULL' });
+  SellerOrder.hasMany(OrderItem, { as: 'items', foreignKey: 'sellerOrderId', onDelete: 'SET NULL' });
+  Shipment.belongsTo(SellerOrder, { as: 'sellerOrder', foreignKey: 'sellerOrderId', onDelete: 'SET NULL' });
+  SellerOrder.hasOne(Shipment, { as: 'shipment', foreignKey: 'sellerOrderId', onDelete: 'SET NULL' });
+  OrderStatusHistory.belongsTo(SellerOrder, { as: 'sellerOrder', foreignKey: 'sellerOrderId', onDelete: 'CASCADE' });
+
+  // Stock transfer associations
+  StockTransfer.belongsTo(Warehouse, { as: 'fromWarehouse', foreignKey: 'fromWarehouseId' });
+  StockTransfer.belongsTo(Warehouse, { as: 'toWarehouse', foreignKey: 'toWarehouseId' });
+  StockTransfer.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
+  StockTransfer.hasMany(StockTransferItem, { as: 'items', foreignKey: 'transferId', onDelete: 'CASCADE' });
+  StockTransferItem.belongsTo(StockTransfer, { as: 'transfer', foreignKey: 'transferId', onDelete: 'CASCADE' });
+  StockTransferItem.belongsTo(Product, { as: 'product', foreignKey: 'productId', onDelete: 'SET NULL' });
+  StockTransferItem.belongsTo(Variant, { as: 'variant', foreignKey: 'variantId', onDelete: 'SET NULL' });
+
+  // Stocktake associations
+  Stocktake.belongsTo(Warehouse, { as: 'warehouse', foreignKey: 'warehouseId' });
+  Stocktake.belongsTo(Category, { as: 'category', foreignKey: 'categoryId', onDelete: 'SET NULL' });
+  Stocktake.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
+  Stocktake.hasMany(StocktakeLine, { as: 'lines', foreignKey: 'stocktakeId', onDelete: 'CASCADE' });
+  StocktakeLine.belongsTo(Stocktake, { as: 'stocktake', foreignKey: 'stocktakeId', onDelete: 'CASCADE' });
+  StocktakeLine.belongsTo(Inventory, { as: 'inventory', foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+
+  // Purchase order associations
+  PurchaseOrder.belongsTo(Supplier, { as: 'supplier', foreignKey: 'supplierId' });
+  Supplier.hasMany(PurchaseOrder, { as: 'purchaseOrders', foreignKey: 'supplierId' });
+  PurchaseOrder.belongsTo(Warehouse, { as: 'warehouse', foreignKey: 'warehouseId' });
+  PurchaseOrder.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
+  PurchaseOrder.hasMany(PurchaseOrderLine, { as: 'lines', foreignKey: 'purchaseOrderId', onDelete: 'CASCADE' });
+  PurchaseOrderLine.belongsTo(PurchaseOrder, { as: 'purchaseOrder', foreignKey: 'purchaseOrderId', onDelete: 'CASCADE' });
+  PurchaseOrderLine.belongsTo(Product, { as: 'product', foreignKey: 'productId', onDelete: 'SET NULL' });
+  PurchaseOrderLine.belongsTo(Variant, { as: 'variant', foreignKey: 'variantId', onDelete: 'SET NULL' });
+
+  // Serial number associations
+  SerialNumber.belongsTo(Product, { as: 'product', foreignKey: 'productId', onDelete: 'CASCADE' });
+  SerialNumber.belongsTo(Variant, { as: 'variant', foreignKey: 'variantId', onDelete: 'CASCADE' });
+  SerialNumber.belongsTo(Inventory, { as: 'inventory', foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+  Inventory.hasMany(SerialNumber, { as: 'serialNumbers', foreignKey: 'inventoryId', onDelete: 'CASCADE' });
+  SerialNumber.belongsTo(OrderItem, { as: 'orderItem', foreignKey: 'orderItemId', onDelete: 'SET NULL' });
+  OrderItem.hasMany(SerialNumber, { as: 'serialNumbers', foreignKey: 'orderItemId', onDelete: 'SET NULL' });
+  SerialNumber.belongsTo(StockTransferItem, { as: 'transferItem', foreignKey: 'transferItemId', onDelete: 'SET NULL' });
+  SerialNumber.hasMany(SerialNumberEvent, { as: 'events', foreignKey: 'serialNumberId', onDelete: 'CASCADE' });
+  SerialNumberEvent.belongsTo(SerialNumber, { foreignKey: 'serialNumberId', onDelete: 'CASCADE' });
+  SerialNumberEvent.belongsTo(User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
+  SerialNumberEvent.belongsTo(Order, { as: 'order', foreignKey: 'orderId', onDelete: 'SET NULL' });
+
+  // Background job associations
+  Job.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'SET NULL' });
 
   // Removed duplicate section
 
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The cart ID
+ *         userId:
+ *           type: integer
+ *           description: ID of the owning user (null for guest carts)
+ *         guestToken:
+ *           type: string
+ *           description: Token identifying a guest cart, sent back in the X-Cart-Token header
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartItem'
+ *         totals:
+ *           type: object
+ *           properties:
+ *             itemCount:
+ *               type: integer
+ *             subtotal:
+ *               type: number
+ *             discountTotal:
+ *               type: number
+ *             taxTotal:
+ *               type: number
+ *             total:
+ *               type: number
+ *               description: Amount payable, including exclusive taxes
+ *         taxes:
+ *           type: array
+ *           description: Tax per applied rule
+ *           items:
+ *             type: object
+ *             properties:
+ *               taxRuleId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               inclusive:
+ *                 type: boolean
+ *               taxableAmount:
+ *                 type: number
+ *               taxAmount:
+ *                 type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ */
+const Cart = sequelize.define('Cart', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  guestToken: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    unique: true
+  }
+}, {
+  tableName: 'carts',
+  timestamps: true,
+  validate: {
+    eitherUserOrGuest() {
+      if (!this.userId && !this.guestToken) {
+        throw new Error('A cart must belong to a user or have a guest token');
+      }
+    }
+  }
+});
+
+module.exports = Cart;
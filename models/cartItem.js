@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartItem:
+ *       type: object
+ *       required:
+ *         - cartId
+ *         - productId
+ *         - quantity
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The cart item ID
+ *         productId:
+ *           type: integer
+ *           description: ID of the product
+ *         variantId:
+ *           type: integer
+ *           description: ID of the variant (null for simple products)
+ *         sku:
+ *           type: string
+ *           description: SKU of the product or variant
+ *         name:
+ *           type: string
+ *           description: Product or variant name
+ *         quantity:
+ *           type: integer
+ *           description: Quantity in the cart
+ *         unitPrice:
+ *           type: number
+ *           description: Current catalog price before discount
+ *         discountType:
+ *           type: string
+ *           enum: [none, percentage, fixed]
+ *         discountValue:
+ *           type: number
+ *         finalUnitPrice:
+ *           type: number
+ *           description: Current price after discount
+ *         lineTotal:
+ *           type: number
+ *           description: finalUnitPrice multiplied by quantity
+ *         taxRate:
+ *           type: number
+ *           description: Tax rate in percent for the line
+ *         taxInclusive:
+ *           type: boolean
+ *           description: Whether the tax is included in lineTotal
+ *         taxAmount:
+ *           type: number
+ *           description: Estimated tax for the line
+ *         availableQuantity:
+ *           type: integer
+ *           description: Stock currently available (quantity minus reserved)
+ *         isAvailable:
+ *           type: boolean
+ *           description: Whether the line can be ordered as it stands
+ */
+const CartItem = sequelize.define('CartItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  cartId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'carts',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'variants',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      isInt: {
+        msg: 'Quantity must be an integer'
+      },
+      min: {
+        args: [1],
+        msg: 'Quantity must be at least 1'
+      }
+    }
+  }
+}, {
+  tableName: 'cart_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['cartId']
+    },
+    {
+      unique: true,
+      fields: ['cartId', 'productId', 'variantId']
+    }
+  ]
+});
+
+module.exports = CartItem;
@@ -19,6 +19,9 @@ const { sequelize } = require('../config/database');
  *         variantId:
  *           type: integer
  *           description: ID of the variant (null if product is specified)
+ *         warehouseId:
+ *           type: integer
+ *           description: ID of the warehouse holding the stock (null for stock not assigned to a warehouse)
  *         quantity:
  *           type: integer
  *           description: Current stock quantity
@@ -27,13 +30,16 @@ const { sequelize } = require('../config/database');
  *           description: Threshold for low stock alerts
  *         sku:
  *           type: string
- *           description: SKU of the product or variant
+ *           description: SKU of the product or variant, unique per warehouse
  *         reservedQuantity:
  *           type: integer
  *           description: Quantity reserved for pending orders
+ *         quarantinedQuantity:
+ *           type: integer
+ *           description: Returned units held for inspection, not sellable and not part of quantity
  *         location:
  *           type: string
- *           description: Storage location identifier
+ *           description: Storage location (bin or shelf) inside the warehouse
  *         lastRestockDate:
  *           type: string
  *           format: date-time
@@ -69,10 +75,24 @@ const Inventory = sequelize.define('Inventory', {
       key: 'id'
     }
   },
+  warehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  // warehouseId, or 0 for stock outside any warehouse. A unique index lets NULLs repeat,
+  // so the SKU is kept unique per warehouse on this column instead
+  warehouseKey: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   sku: {
     type: DataTypes.STRING(50),
-    allowNull: false,
-    unique: true
+    allowNull: false
   },
   quantity: {
     type: DataTypes.INTEGER,
@@ -116,6 +136,20 @@ const Inventory = sequelize.define('Inventory', {
       }
     }
   },
+  quarantinedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isInt: {
+        msg: 'Quarantined quantity must be an integer'
+      },
+      min: {
+        args: [0],
+        msg: 'Quarantined quantity must be greater than or equal to 0'
+      }
+    }
+  },
   location: {
     type: DataTypes.STRING(50),
     allowNull: true
@@ -134,11 +168,19 @@ const Inventory = sequelize.define('Inventory', {
     {
       fields: ['variantId']
     },
+    {
+      fields: ['warehouseId']
+    },
     {
       unique: true,
-      fields: ['sku']
+      fields: ['sku', 'warehouseKey']
     }
   ],
+  hooks: {
+    beforeSave: (inventory) => {
+      inventory.warehouseKey = inventory.warehouseId || 0;
+    }
+  },
   validate: {
     eitherProductOrVariant() {
       if ((this.productId === null && this.variantId === null) || 
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryLot:
+ *       type: object
+ *       required:
+ *         - inventoryId
+ *         - lotNumber
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The lot ID
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record holding the lot
+ *         lotNumber:
+ *           type: string
+ *           description: Lot or batch number printed by the manufacturer, unique per inventory record
+ *         manufacturedAt:
+ *           type: string
+ *           format: date
+ *           description: Manufacture date
+ *         expiresAt:
+ *           type: string
+ *           format: date
+ *           description: Expiry date, null for goods that do not expire
+ *         quantity:
+ *           type: integer
+ *           description: Units of the lot still on hand, part of the quantity of the inventory record
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the lot was first received
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the lot was last changed
+ *       example:
+ *         id: 1
+ *         inventoryId: 1
+ *         lotNumber: L2301-A
+ *         manufacturedAt: 2023-01-02
+ *         expiresAt: 2024-01-02
+ *         quantity: 40
+ *         createdAt: 2023-01-10T00:00:00.000Z
+ *         updatedAt: 2023-01-10T00:00:00.000Z
+ */
+const InventoryLot = sequelize.define('InventoryLot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  lotNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    set(val) {
+      this.setDataValue('lotNumber', String(val).trim());
+    },
+    validate: {
+      notEmpty: {
+        msg: 'Lot number cannot be empty'
+      }
+    }
+  },
+  manufacturedAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Lot quantity cannot be negative'
+      }
+    }
+  }
+}, {
+  tableName: 'inventory_lots',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['inventoryId', 'lotNumber']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ],
+  validate: {
+    expiresAfterManufacture() {
+      if (this.manufacturedAt && this.expiresAt && this.expiresAt < this.manufacturedAt) {
+        throw new Error('expiresAt cannot be before manufacturedAt');
+      }
+    }
+  }
+});
+
+module.exports = InventoryLot;
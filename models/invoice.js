@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - sellerId
+ *         - sequenceNumber
+ *         - invoiceNumber
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The invoice ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the invoiced order
+ *         sellerId:
+ *           type: integer
+ *           description: ID of the seller issuing the invoice
+ *         sequenceNumber:
+ *           type: integer
+ *           description: Position of the invoice in the seller's numbering, without gaps
+ *         invoiceNumber:
+ *           type: string
+ *           description: Printed invoice number
+ *         subtotal:
+ *           type: number
+ *           format: float
+ *           description: Seller's line prices before discounts
+ *         discountTotal:
+ *           type: number
+ *           format: float
+ *         taxTotal:
+ *           type: number
+ *           format: float
+ *         shippingTotal:
+ *           type: number
+ *           format: float
+ *           description: Shipping charged for the seller's parcel
+ *         totalAmount:
+ *           type: number
+ *           format: float
+ *         currency:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         sellerId: 3
+ *         sequenceNumber: 12
+ *         invoiceNumber: INV-3-000012
+ *         subtotal: 1599.98
+ *         discountTotal: 160
+ *         taxTotal: 0
+ *         shippingTotal: 0
+ *         totalAmount: 1439.98
+ *         currency: USD
+ *         issuedAt: 2023-01-01T00:05:00.000Z
+ */
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  sellerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sequenceNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  invoiceNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  discountTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  taxTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  shippingTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'invoices',
+  timestamps: true,
+  indexes: [
+    {
+      // One invoice per seller for each order
+      unique: true,
+      fields: ['orderId', 'sellerId']
+    },
+    {
+      unique: true,
+      fields: ['sellerId', 'sequenceNumber']
+    },
+    {
+      unique: true,
+      fields: ['invoiceNumber']
+    }
+  ]
+});
+
+module.exports = Invoice;
@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Last invoice number used by each seller
+ * The row is locked while an invoice is issued so numbers are never skipped or reused
+ */
+const InvoiceSequence = sequelize.define('InvoiceSequence', {
+  sellerId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  lastNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'invoice_sequences',
+  timestamps: true
+});
+
+module.exports = InvoiceSequence;
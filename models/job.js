@@ -0,0 +1,185 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The job ID
+ *         type:
+ *           type: string
+ *           description: What the job does, such as products.import
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *           description: Job status
+ *         progress:
+ *           type: integer
+ *           description: Percentage done, 0 to 100
+ *         progressMessage:
+ *           type: string
+ *           description: What the job is doing right now
+ *         result:
+ *           type: object
+ *           description: What the job produced, set once it is completed
+ *         error:
+ *           type: string
+ *           description: Why the last attempt failed
+ *         attempts:
+ *           type: integer
+ *           description: Attempts started so far
+ *         maxAttempts:
+ *           type: integer
+ *           description: Attempts allowed before the job fails
+ *         cancelRequested:
+ *           type: boolean
+ *           description: Set when a running job was asked to stop
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the job can run next, later than its creation after a failed attempt
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         userId:
+ *           type: integer
+ *           description: ID of the user who started the job
+ *       example:
+ *         id: 12
+ *         type: products.export
+ *         status: running
+ *         progress: 40
+ *         progressMessage: 400 of 1000 products
+ *         attempts: 1
+ *         maxAttempts: 3
+ *         cancelRequested: false
+ *         runAt: 2024-05-01T09:00:00.000Z
+ *         startedAt: 2024-05-01T09:00:01.000Z
+ *         userId: 2
+ */
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  payload: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : null;
+    },
+    set(val) {
+      this.setDataValue('payload', val === null || val === undefined ? null : JSON.stringify(val));
+    }
+  },
+  result: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('result');
+      return rawValue ? JSON.parse(rawValue) : null;
+    },
+    set(val) {
+      this.setDataValue('result', val === null || val === undefined ? null : JSON.stringify(val));
+    }
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  progressMessage: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+    validate: {
+      min: 1
+    }
+  },
+  cancelRequested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'runAt']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['type']
+    }
+  ]
+});
+
+module.exports = Job;
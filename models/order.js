@@ -1,206 +1,232 @@
-/**
- * Order Model
- * Handles database operations for orders
- */
-const BaseModel = require('./baseModel');
-const { ApiError } = require('../utils/errorHandler');
-const logger = require('../utils/logger');
-const db = require('../config/db');
-const OrderItem = require('./OrderItem');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
 
 /**
- * Order model class
- * Demonstrates inheritance from BaseModel
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - shippingAddress
+ *         - paymentMethod
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The order ID
+ *         userId:
+ *           type: integer
+ *           description: ID of the buyer who placed the order
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           description: Current status of the order
+ *         shippingAddress:
+ *           type: string
+ *           description: Delivery address for the order
+ *         shippingRegion:
+ *           type: string
+ *           description: Country or country subdivision code of the delivery address, used for taxes
+ *         paymentMethod:
+ *           type: string
+ *           description: Payment method chosen by the buyer
+ *         subtotal:
+ *           type: number
+ *           format: float
+ *           description: Sum of line prices before discounts
+ *         discountTotal:
+ *           type: number
+ *           format: float
+ *           description: Total discount applied to the order
+ *         taxTotal:
+ *           type: number
+ *           format: float
+ *           description: Total tax charged on the order, whether included in prices or added on top
+ *         shippingMethodId:
+ *           type: integer
+ *           description: Shipping method chosen at checkout
+ *         shippingTotal:
+ *           type: number
+ *           format: float
+ *           description: Shipping charged for all of the order's shipments
+ *         totalAmount:
+ *           type: number
+ *           format: float
+ *           description: Amount payable for the order, including taxes and shipping
+ *         trackingNumber:
+ *           type: string
+ *           description: Carrier tracking number once shipped
+ *         notes:
+ *           type: string
+ *           description: Buyer notes for the order
+ *         cancellationReason:
+ *           type: string
+ *           description: Reason given when the order was cancelled
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the order was shipped
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the order was delivered
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the order was cancelled
+ *         reservationExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the stock reserved for an unpaid order is released
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         sellerOrders:
+ *           type: array
+ *           description: One part per seller, each with its own status and totals. The order is shipped or delivered once all of them are
+ *           items:
+ *             $ref: '#/components/schemas/SellerOrder'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *       example:
+ *         id: 1
+ *         userId: 4
+ *         status: pending
+ *         shippingAddress: 12 KG 7 Ave, Kigali
+ *         paymentMethod: card
+ *         subtotal: 1599.98
+ *         discountTotal: 160
+ *         taxTotal: 0
+ *         shippingMethodId: null
+ *         shippingTotal: 0
+ *         totalAmount: 1439.98
+ *         trackingNumber: null
+ *         createdAt: 2023-01-01T00:00:00.000Z
+ *         updatedAt: 2023-01-01T00:00:00.000Z
  */
-class Order extends BaseModel {
-    /**
-     * Create a new Order model instance
-     */
-    constructor() {
-        super('orders'); // Pass the table name to BaseModel
-    }
-
-    /**
-     * Find orders by user ID
-     * @param {number} userId - User ID
-     * @param {Object} options - Query options (limit, offset)
-     * @returns {Promise<Array>} Array of orders
-     */
-    async findByUser(userId, { limit = 10, offset = 0 } = {}) {
-        try {
-            const sql = `
-                SELECT o.*, 
-                    COUNT(oi.id) as total_items,
-                    SUM(oi.quantity * oi.price) as total_amount
-                FROM ${this.tableName} o
-                LEFT JOIN order_items oi ON o.id = oi.order_id
-                WHERE o.user_id = ?
-                GROUP BY o.id
-                ORDER BY o.created_at DESC
-                LIMIT ? OFFSET ?
-            `;
-            
-            return await db.query(sql, [userId, limit, offset]);
-        } catch (error) {
-            logger.error(`Error in Order.findByUser: ${error.message}`);
-            throw error;
-        }
-    }
-
-    /**
-     * Find orders for a seller's products
-     * @param {number} sellerId - Seller user ID
-     * @param {Object} options - Query options (limit, offset)
-     * @returns {Promise<Array>} Array of orders
-     */
-    async findBySeller(sellerId, { limit = 10, offset = 0 } = {}) {
-        try {
-            const sql = `
-                SELECT DISTINCT o.*,
-                    COUNT(DISTINCT oi.id) as total_items,
-                    SUM(oi.quantity * oi.price) as total_amount
-                FROM ${this.tableName} o
-                JOIN order_items oi ON o.id = oi.order_id
-                JOIN products p ON oi.product_id = p.id
-                WHERE p.seller_id = ?
-                GROUP BY o.id
-                ORDER BY o.created_at DESC
-                LIMIT ? OFFSET ?
-            `;
-            
-            return await db.query(sql, [sellerId, limit, offset]);
-        } catch (error) {
-            logger.error(`Error in Order.findBySeller: ${error.message}`);
-            throw error;
-        }
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID of the buyer who placed the order'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  shippingAddress: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Shipping address cannot be empty'
+      }
     }
-
-    /**
-     * Get order details with items
-     * @param {number} orderId - Order ID
-     * @returns {Promise<Object>} Order details with items
-     */
-    async getOrderDetails(orderId) {
-        try {
-            // Get order details
-            const [order] = await this.findById(orderId);
-            if (!order) {
-                return null;
-            }
-
-            // Get order items
-            const items = await OrderItem.findByOrderId(orderId);
-            order.items = items;
-
-            return order;
-        } catch (error) {
-            logger.error(`Error in Order.getOrderDetails: ${error.message}`);
-            throw error;
-        }
+  },
+  shippingRegion: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  discountTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  taxTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shippingMethodId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'shipping_methods',
+      key: 'id'
     }
-
-    /**
-     * Create a new order with items
-     * @param {Object} orderData - Order data
-     * @param {Array} items - Order items
-     * @param {number} userId - User ID
-     * @returns {Promise<Object>} Created order with items
-     */
-    async createWithItems(orderData, items, userId) {
-        const connection = await db.getConnection();
-        try {
-            await connection.beginTransaction();
-
-            // Create order
-            const order = {
-                ...orderData,
-                user_id: userId,
-                status: 'pending',
-                created_at: new Date()
-            };
-            const [orderId] = await this.create(order, connection);
-
-            // Create order items
-            for (const item of items) {
-                await OrderItem.create({
-                    order_id: orderId,
-                    product_id: item.product_id,
-                    quantity: item.quantity,
-                    price: item.price
-                }, connection);
-            }
-
-            await connection.commit();
-            return await this.getOrderDetails(orderId);
-        } catch (error) {
-            await connection.rollback();
-            logger.error(`Error in Order.createWithItems: ${error.message}`);
-            throw error;
-        } finally {
-            connection.release();
-        }
-    }
-
-    /**
-     * Update order status
-     * @param {number} orderId - Order ID
-     * @param {string} status - New status
-     * @returns {Promise<Object>} Updated order
-     */
-    async updateStatus(orderId, status) {
-        try {
-            await this.update(orderId, { status });
-            return await this.getOrderDetails(orderId);
-        } catch (error) {
-            logger.error(`Error in Order.updateStatus: ${error.message}`);
-            throw error;
-        }
-    }
-
-    /**
-     * Get dashboard statistics
-     * @param {number} userId - User ID (optional, for seller stats)
-     * @returns {Promise<Object>} Dashboard statistics
-     */
-    async getDashboardStats(userId = null) {
-        try {
-            let sql;
-            let params = [];
-
-            if (userId) {
-                // Seller stats
-                sql = `
-                    SELECT 
-                        COUNT(DISTINCT o.id) as total_orders,
-                        SUM(oi.quantity * oi.price) as total_revenue,
-                        COUNT(DISTINCT CASE WHEN o.status = 'pending' THEN o.id END) as pending_orders,
-                        COUNT(DISTINCT CASE WHEN o.status = 'delivered' THEN o.id END) as completed_orders
-                    FROM ${this.tableName} o
-                    JOIN order_items oi ON o.id = oi.order_id
-                    JOIN products p ON oi.product_id = p.id
-                    WHERE p.seller_id = ?
-                `;
-                params = [userId];
-            } else {
-                // Admin stats
-                sql = `
-                    SELECT 
-                        COUNT(DISTINCT o.id) as total_orders,
-                        SUM(oi.quantity * oi.price) as total_revenue,
-                        COUNT(DISTINCT CASE WHEN o.status = 'pending' THEN o.id END) as pending_orders,
-                        COUNT(DISTINCT CASE WHEN o.status = 'delivered' THEN o.id END) as completed_orders
-                    FROM ${this.tableName} o
-                    JOIN order_items oi ON o.id = oi.order_id
-                `;
-            }
-
-            const [stats] = await db.query(sql, params);
-            return stats;
-        } catch (error) {
-            logger.error(`Error in Order.getDashboardStats: ${error.message}`);
-            throw error;
-        }
+  },
+  shippingTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  trackingNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  shippedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reservationExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['createdAt']
+    },
+    {
+      fields: ['status', 'reservationExpiresAt']
     }
-}
+  ]
+});
 
-module.exports = new Order();
\ No newline at end of file
+module.exports = Order;
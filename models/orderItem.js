@@ -1,256 +1,266 @@
-/**
- * OrderItem Model
- * Handles database operations for order items
- */
-const BaseModel = require('./BaseModel');
-const { ApiError } = require('../utils/errorHandler');
-const logger = require('../utils/logger');
-const db = require('../config/db');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
 
 /**
- * OrderItem model class
- * Demonstrates inheritance from BaseModel
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderItem:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - sellerId
+ *         - sku
+ *         - quantity
+ *         - unitPrice
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The order item ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the order
+ *         sellerOrderId:
+ *           type: integer
+ *           description: ID of the seller's part of the order this line belongs to
+ *         productId:
+ *           type: integer
+ *           description: ID of the ordered product
+ *         variantId:
+ *           type: integer
+ *           description: ID of the ordered variant (null for simple products)
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record the stock was taken from
+ *         warehouseId:
+ *           type: integer
+ *           description: ID of the warehouse allocated to fulfil the line (null for stock not assigned to a warehouse)
+ *         sellerId:
+ *           type: integer
+ *           description: ID of the seller who owns the product
+ *         sku:
+ *           type: string
+ *           description: SKU at the time of order
+ *         name:
+ *           type: string
+ *           description: Product or variant name at the time of order
+ *         quantity:
+ *           type: integer
+ *           description: Quantity ordered
+ *         backorderedQuantity:
+ *           type: integer
+ *           description: Units ordered beyond the stock on hand that are still waiting for stock
+ *         availableAt:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Release date of a pre-ordered item when it was ordered, it does not ship before the item is released
+ *         unitPrice:
+ *           type: number
+ *           format: float
+ *           description: Unit price before discount
+ *         discountType:
+ *           type: string
+ *           enum: [none, percentage, fixed]
+ *           description: Discount type applied at the time of order
+ *         discountValue:
+ *           type: number
+ *           format: float
+ *           description: Discount value applied at the time of order
+ *         finalUnitPrice:
+ *           type: number
+ *           format: float
+ *           description: Unit price after discount
+ *         lineTotal:
+ *           type: number
+ *           format: float
+ *           description: finalUnitPrice multiplied by quantity
+ *         taxRate:
+ *           type: number
+ *           format: float
+ *           description: Tax rate in percent applied to the line
+ *         taxInclusive:
+ *           type: boolean
+ *           description: Whether the tax is included in lineTotal or added on top
+ *         taxAmount:
+ *           type: number
+ *           format: float
+ *           description: Tax charged on the line
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         sellerOrderId: 1
+ *         productId: 1
+ *         variantId: null
+ *         inventoryId: 1
+ *         warehouseId: 1
+ *         sellerId: 3
+ *         sku: SM-X-001
+ *         name: Smartphone X
+ *         quantity: 2
+ *         backorderedQuantity: 0
+ *         availableAt: null
+ *         unitPrice: 799.99
+ *         discountType: percentage
+ *         discountValue: 10
+ *         finalUnitPrice: 719.99
+ *         lineTotal: 1439.98
+ *         taxRate: 0
+ *         taxInclusive: false
+ *         taxAmount: 0
  */
-class OrderItem extends BaseModel {
-    /**
-     * Create a new OrderItem model instance
-     */
-    constructor() {
-        super('order_items'); // Pass the table name to BaseModel
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
     }
-
-    /**
-     * Find order items for a specific order
-     * @param {number} orderId - Order ID
-     * @returns {Promise<Array>} Array of order items
-     */
-    async findByOrderId(orderId) {
-        try {
-            const sql = `
-                SELECT oi.*, p.name as product_name, p.image_url, p.seller_id
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                WHERE oi.order_id = ?
-                ORDER BY oi.id ASC
-            `;
-            
-            return await db.query(sql, [orderId]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.findByOrderId: ${error.message}`);
-            throw error;
-        }
+  },
+  sellerOrderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'seller_orders',
+      key: 'id'
     }
-
-    /**
-     * Find order items for a specific seller's products
-     * @param {number} orderId - Order ID
-     * @param {number} sellerId - Seller user ID
-     * @returns {Promise<Array>} Array of order items
-     */
-    async findByOrderAndSeller(orderId, sellerId) {
-        try {
-            const sql = `
-                SELECT oi.*, p.name as product_name, p.image_url
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                WHERE oi.order_id = ? AND p.seller_id = ?
-                ORDER BY oi.id ASC
-            `;
-            
-            return await db.query(sql, [orderId, sellerId]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.findByOrderAndSeller: ${error.message}`);
-            throw error;
-        }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
     }
-
-    /**
-     * Get most popular products
-     * @param {number} limit - Number of products to return
-     * @returns {Promise<Array>} Array of popular products with quantities
-     */
-    async getPopularProducts(limit = 10) {
-        try {
-            const sql = `
-                SELECT 
-                    oi.product_id,
-                    p.name as product_name,
-                    p.price,
-                    p.image_url,
-                    p.seller_id,
-                    SUM(oi.quantity) as total_quantity,
-                    COUNT(DISTINCT oi.order_id) as order_count
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                JOIN orders o ON oi.order_id = o.id
-                WHERE o.status != 'cancelled'
-                GROUP BY oi.product_id
-                ORDER BY total_quantity DESC
-                LIMIT ? 
-            `;
-            
-            return await db.query(sql, [limit]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.getPopularProducts: ${error.message}`);
-            throw error;
-        }
+  },
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'variants',
+      key: 'id'
     }
-
-    /**
-     * Get popular products for a specific seller
-     * @param {number} sellerId - Seller user ID
-     * @param {number} limit - Number of products to return
-     * @returns {Promise<Array>} Array of popular products with quantities
-     */
-    async getSellerPopularProducts(sellerId, limit = 10) {
-        try {
-            const sql = `
-                SELECT 
-                    oi.product_id,
-                    p.name as product_name,
-                    p.price,
-                    p.image_url,
-                    SUM(oi.quantity) as total_quantity,
-                    COUNT(DISTINCT oi.order_id) as order_count
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                JOIN orders o ON oi.order_id = o.id
-                WHERE o.status != 'cancelled' AND p.seller_id = ?
-                GROUP BY oi.product_id
-                ORDER BY total_quantity DESC
-                LIMIT ?
-            `;
-            
-            return await db.query(sql, [sellerId, limit]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.getSellerPopularProducts: ${error.message}`);
-            throw error;
-        }
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory',
+      key: 'id'
     }
-
-    /**
-     * Calculate total quantity sold for a product
-     * @param {number} productId - Product ID
-     * @returns {Promise<number>} Total quantity sold
-     */
-    async getTotalQuantitySold(productId) {
-        try {
-            const sql = `
-                SELECT SUM(oi.quantity) as total_quantity
-                FROM ${this.tableName} oi
-                JOIN orders o ON oi.order_id = o.id
-                WHERE oi.product_id = ? AND o.status != 'cancelled'
-            `;
-            
-            const result = await db.query(sql, [productId]);
-            return result[0].total_quantity || 0;
-        } catch (error) {
-            logger.error(`Error in OrderItem.getTotalQuantitySold: ${error.message}`);
-            throw error;
-        }
+  },
+  warehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
     }
-
-    /**
-     * Get revenue by product
-     * @param {string} period - Time period ('day', 'week', 'month', 'all')
-     * @param {number} limit - Number of products to return
-     * @returns {Promise<Array>} Array of products with revenue
-     */
-    async getRevenueByProduct(period = 'month', limit = 10) {
-        try {
-            let timeFilter;
-            
-            switch (period) {
-                case 'day':
-                    timeFilter = 'o.created_at >= CURDATE()';
-                    break;
-                case 'week':
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)';
-                    break;
-                case 'month':
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)';
-                    break;
-                case 'all':
-                    timeFilter = '1=1'; // No time filter
-                    break;
-                default:
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)';
-            }
-            
-            const sql = `
-                SELECT 
-                    oi.product_id,
-                    p.name as product_name,
-                    p.category,
-                    p.seller_id,
-                    SUM(oi.subtotal) as revenue,
-                    SUM(oi.quantity) as quantity_sold
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                JOIN orders o ON oi.order_id = o.id
-                WHERE o.status != 'cancelled' AND ${timeFilter}
-                GROUP BY oi.product_id
-                ORDER BY revenue DESC
-                LIMIT ?
-            `;
-            
-            return await db.query(sql, [limit]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.getRevenueByProduct: ${error.message}`);
-            throw error;
-        }
+  },
+  sellerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Copied from Product.userId so seller views survive product changes'
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'Quantity must be an integer'
+      },
+      min: {
+        args: [1],
+        msg: 'Quantity must be at least 1'
+      }
     }
-
-    /**
-     * Get revenue by product for a specific seller
-     * @param {number} sellerId - Seller user ID
-     * @param {string} period - Time period ('day', 'week', 'month', 'all')
-     * @param {number} limit - Number of products to return
-     * @returns {Promise<Array>} Array of products with revenue
-     */
-    async getSellerRevenueByProduct(sellerId, period = 'month', limit = 10) {
-        try {
-            let timeFilter;
-            
-            switch (period) {
-                case 'day':
-                    timeFilter = 'o.created_at >= CURDATE()';
-                    break;
-                case 'week':
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)';
-                    break;
-                case 'month':
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)';
-                    break;
-                case 'all':
-                    timeFilter = '1=1'; // No time filter
-                    break;
-                default:
-                    timeFilter = 'o.created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)';
-            }
-            
-            const sql = `
-                SELECT 
-                    oi.product_id,
-                    p.name as product_name,
-                    p.category,
-                    SUM(oi.subtotal) as revenue,
-                    SUM(oi.quantity) as quantity_sold
-                FROM ${this.tableName} oi
-                JOIN products p ON oi.product_id = p.id
-                JOIN orders o ON oi.order_id = o.id
-                WHERE o.status != 'cancelled' AND ${timeFilter} AND p.seller_id = ?
-                GROUP BY oi.product_id
-                ORDER BY revenue DESC
-                LIMIT ?
-            `;
-            
-            return await db.query(sql, [sellerId, limit]);
-        } catch (error) {
-            logger.error(`Error in OrderItem.getSellerRevenueByProduct: ${error.message}`);
-            throw error;
-        }
+  },
+  backorderedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Units reserved beyond the stock on hand, taken from stock when the item ships'
+  },
+  availableAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Release date of a pre-ordered item'
+  },
+  unitPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  discountType: {
+    type: DataTypes.ENUM('none', 'percentage', 'fixed'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  finalUnitPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  lineTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  taxRate: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+  taxInclusive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'order_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['variantId']
+    },
+    {
+      fields: ['sellerId']
+    },
+    {
+      fields: ['sellerOrderId']
     }
-}
+  ]
+});
 
-module.exports = new OrderItem();
\ No newline at end of file
+module.exports = OrderItem;
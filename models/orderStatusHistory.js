@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderStatusHistory:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - toStatus
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The history entry ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the order
+ *         sellerOrderId:
+ *           type: integer
+ *           description: ID of the seller's part of the order when only that part changed (null for the whole order)
+ *         fromStatus:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           description: Status before the transition (null when the order was created)
+ *         toStatus:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           description: Status after the transition
+ *         actorId:
+ *           type: integer
+ *           description: ID of the user who made the change (null for system changes)
+ *         actorRole:
+ *           type: string
+ *           description: Role of the actor at the time of the change, or system
+ *         reason:
+ *           type: string
+ *           description: Reason given for the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the transition happened
+ *       example:
+ *         id: 2
+ *         orderId: 1
+ *         sellerOrderId: null
+ *         fromStatus: pending
+ *         toStatus: processing
+ *         actorId: 1
+ *         actorRole: admin
+ *         reason: Payment captured
+ *         createdAt: 2023-01-01T00:05:00.000Z
+ */
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  sellerOrderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'seller_orders',
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'order_status_history',
+  timestamps: true,
+  // History entries are never changed once written
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['orderId', 'createdAt']
+    },
+    {
+      fields: ['actorId']
+    }
+  ]
+});
+
+module.exports = OrderStatusHistory;
@@ -0,0 +1,160 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - provider
+ *         - amount
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The payment ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the order being paid
+ *         provider:
+ *           type: string
+ *           description: Name of the payment provider that handled the payment
+ *         providerReference:
+ *           type: string
+ *           description: Reference of the payment at the provider
+ *         status:
+ *           type: string
+ *           enum: [authorized, captured, voided, partially_refunded, refunded, failed]
+ *           description: Payment status
+ *         amount:
+ *           type: number
+ *           format: float
+ *           description: Authorized amount
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code
+ *         capturedAmount:
+ *           type: number
+ *           format: float
+ *           description: Amount captured from the authorization
+ *         refundedAmount:
+ *           type: number
+ *           format: float
+ *           description: Amount refunded so far
+ *         failureReason:
+ *           type: string
+ *           description: Reason given by the provider when an operation failed
+ *         authorizedAt:
+ *           type: string
+ *           format: date-time
+ *         capturedAt:
+ *           type: string
+ *           format: date-time
+ *         voidedAt:
+ *           type: string
+ *           format: date-time
+ *         refundedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last refund was made
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         provider: mock
+ *         providerReference: mock_auth_5f2b9c1d
+ *         status: captured
+ *         amount: 1459.98
+ *         currency: USD
+ *         capturedAmount: 1459.98
+ *         refundedAmount: 0
+ */
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  providerReference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('authorized', 'captured', 'voided', 'partially_refunded', 'refunded', 'failed'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Amount must be greater than or equal to 0'
+      }
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  capturedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  failureReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  authorizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  capturedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  voidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['provider', 'providerReference']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = Payment;
@@ -53,12 +53,81 @@ const { sequelize } = require('../config/database');
  *         attributes:
  *           type: string
  *           description: JSON object of product attributes
+ *         weight:
+ *           type: number
+ *           format: float
+ *           description: Shipping weight of one unit in kg
+ *         length:
+ *           type: number
+ *           format: float
+ *           description: Packed length of one unit in cm
+ *         width:
+ *           type: number
+ *           format: float
+ *           description: Packed width of one unit in cm
+ *         height:
+ *           type: number
+ *           format: float
+ *           description: Packed height of one unit in cm
  *         isActive:
  *           type: boolean
  *           description: Whether the product is active
  *         isFeatured:
  *           type: boolean
  *           description: Whether the product is featured
+ *         backorderPolicy:
+ *           type: string
+ *           enum: [none, backorder, preorder]
+ *           description: Whether the product can be sold beyond its stock, as a backorder or as a pre-order
+ *         backorderLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Units that can be sold beyond the stock on hand, no limit when empty
+ *         availableAt:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Release date of a pre-order product, pre-orders close on this date
+ *         isSerialized:
+ *           type: boolean
+ *           description: Whether every unit is tracked by serial number, the stock is then the number of serials on hand
+ *         status:
+ *           type: string
+ *           enum: [draft, pending_review, approved, rejected, published, archived]
+ *           description: Moderation status, buyers only see published products
+ *         rejectionReason:
+ *           type: string
+ *           nullable: true
+ *           description: Why an admin rejected the product at its last review
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the product was last submitted for review
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When an admin last approved or rejected the product
+ *         reviewedBy:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the admin who last approved or rejected the product
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the product was last published
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the product is scheduled to be published, once it is approved
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the product is scheduled to be taken off sale
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -80,8 +149,24 @@ const { sequelize } = require('../config/database');
  *         tags: smartphone,electronics,new
  *         imageUrls: ["https://example.com/images/smartphone-x-1.jpg", "https://example.com/images/smartphone-x-2.jpg"]
  *         attributes: {"color": "Black", "storage": "128GB", "screen": "6.5 inch"}
+ *         weight: 0.35
+ *         length: 18
+ *         width: 10
+ *         height: 6
  *         isActive: true
  *         isFeatured: true
+ *         backorderPolicy: none
+ *         backorderLimit: null
+ *         availableAt: null
+ *         isSerialized: false
+ *         status: published
+ *         rejectionReason: null
+ *         submittedAt: 2023-01-01T00:00:00.000Z
+ *         reviewedAt: 2023-01-01T02:00:00.000Z
+ *         reviewedBy: 1
+ *         publishedAt: 2023-01-01T02:00:00.000Z
+ *         publishAt: null
+ *         unpublishAt: null
  *         createdAt: 2023-01-01T00:00:00.000Z
  *         updatedAt: 2023-01-01T00:00:00.000Z
  */
@@ -202,6 +287,46 @@ const Product = sequelize.define('Product', {
       this.setDataValue('attributes', JSON.stringify(val));
     }
   },
+  weight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Weight must be greater than or equal to 0'
+      }
+    }
+  },
+  length: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Length must be greater than or equal to 0'
+      }
+    }
+  },
+  width: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Width must be greater than or equal to 0'
+      }
+    }
+  },
+  height: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Height must be greater than or equal to 0'
+      }
+    }
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
@@ -211,6 +336,72 @@ const Product = sequelize.define('Product', {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: false
+  },
+  backorderPolicy: {
+    type: DataTypes.ENUM('none', 'backorder', 'preorder'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  backorderLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Backorder limit must be greater than or equal to 0'
+      }
+    },
+    comment: 'Units that can be sold beyond the stock on hand, null for no limit'
+  },
+  availableAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Release date of a pre-order product'
+  },
+  isSerialized: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'pending_review', 'approved', 'rejected', 'published', 'archived'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  rejectionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID of the admin who last approved or rejected the product'
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  publishAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the scheduler publishes the approved product, cleared once it is published'
+  },
+  unpublishAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the scheduler takes the published product off sale, cleared once done'
   }
 }, {
   tableName: 'products',
@@ -233,8 +424,25 @@ const Product = sequelize.define('Product', {
     },
     {
       fields: ['isFeatured']
+    },
+    {
+      // The moderation queue, oldest submission first
+      fields: ['status', 'submittedAt']
+    },
+    {
+      fields: ['publishAt']
+    },
+    {
+      fields: ['unpublishAt']
     }
-  ]
+  ],
+  validate: {
+    unpublishAfterPublish() {
+      if (this.publishAt && this.unpublishAt && new Date(this.unpublishAt) <= new Date(this.publishAt)) {
+        throw new Error('unpublishAt must be after publishAt');
+      }
+    }
+  }
 });
 
 module.exports = Product;
\ No newline at end of file
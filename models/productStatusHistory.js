@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PRODUCT_STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'published', 'archived'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductStatusHistory:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - toStatus
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The history entry ID
+ *         productId:
+ *           type: integer
+ *           description: ID of the product
+ *         fromStatus:
+ *           type: string
+ *           enum: [draft, pending_review, approved, rejected, published, archived]
+ *           description: Status before the transition
+ *         toStatus:
+ *           type: string
+ *           enum: [draft, pending_review, approved, rejected, published, archived]
+ *           description: Status after the transition
+ *         actorId:
+ *           type: integer
+ *           description: ID of the user who made the change
+ *         actorRole:
+ *           type: string
+ *           description: Role of the actor at the time of the change
+ *         reason:
+ *           type: string
+ *           description: Rejection reason or note given with the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the transition happened
+ *       example:
+ *         id: 3
+ *         productId: 1
+ *         fromStatus: pending_review
+ *         toStatus: rejected
+ *         actorId: 1
+ *         actorRole: admin
+ *         reason: The images do not show the product
+ *         createdAt: 2023-01-01T02:00:00.000Z
+ */
+const ProductStatusHistory = sequelize.define('ProductStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.ENUM(...PRODUCT_STATUSES),
+    allowNull: false
+  },
+  toStatus: {
+    type: DataTypes.ENUM(...PRODUCT_STATUSES),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_status_history',
+  timestamps: true,
+  // History entries are never changed once written
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['productId', 'createdAt']
+    }
+  ]
+});
+
+module.exports = ProductStatusHistory;
@@ -0,0 +1,159 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrder:
+ *       type: object
+ *       required:
+ *         - supplierId
+ *         - createdBy
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The purchase order ID
+ *         supplierId:
+ *           type: integer
+ *           description: ID of the supplier the stock is bought from
+ *         warehouseId:
+ *           type: integer
+ *           description: ID of the warehouse the stock is delivered to (null for stock not assigned to a warehouse)
+ *         status:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *           description: Purchase order status
+ *         expectedDate:
+ *           type: string
+ *           format: date
+ *           description: When the supplier should deliver, lines may have their own date
+ *         supplierReference:
+ *           type: string
+ *           description: The supplier's order or quote number
+ *         notes:
+ *           type: string
+ *           description: Free text notes
+ *         createdBy:
+ *           type: integer
+ *           description: ID of the user who drafted the purchase order
+ *         orderedBy:
+ *           type: integer
+ *           description: ID of the user who placed it with the supplier
+ *         receivedBy:
+ *           type: integer
+ *           description: ID of the user who booked the last receipt
+ *         orderedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last receipt was booked
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PurchaseOrderLine'
+ *       example:
+ *         id: 1
+ *         supplierId: 1
+ *         warehouseId: 1
+ *         status: ordered
+ *         expectedDate: 2023-01-15
+ *         supplierReference: Q-2023-118
+ *         notes: null
+ *         createdBy: 2
+ *         orderedBy: 2
+ *         orderedAt: 2023-01-01T09:00:00.000Z
+ */
+const PurchaseOrder = sequelize.define('PurchaseOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  supplierId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'suppliers',
+      key: 'id'
+    }
+  },
+  warehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'ordered', 'partially_received', 'received', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  expectedDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  supplierReference: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  orderedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  receivedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  orderedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'purchase_orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['supplierId']
+    },
+    {
+      fields: ['warehouseId']
+    },
+    {
+      fields: ['createdBy']
+    }
+  ]
+});
+
+module.exports = PurchaseOrder;
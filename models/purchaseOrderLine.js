@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrderLine:
+ *       type: object
+ *       required:
+ *         - purchaseOrderId
+ *         - sku
+ *         - quantity
+ *         - unitCost
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The purchase order line ID
+ *         purchaseOrderId:
+ *           type: integer
+ *           description: ID of the purchase order
+ *         productId:
+ *           type: integer
+ *           description: ID of the product bought (null if a variant is bought)
+ *         variantId:
+ *           type: integer
+ *           description: ID of the variant bought (null if a product is bought)
+ *         sku:
+ *           type: string
+ *           description: SKU at the time the purchase order was drafted
+ *         quantity:
+ *           type: integer
+ *           description: Units ordered
+ *         quantityReceived:
+ *           type: integer
+ *           description: Units booked into stock so far
+ *         unitCost:
+ *           type: number
+ *           format: float
+ *           description: Agreed cost per unit
+ *         expectedDate:
+ *           type: string
+ *           format: date
+ *           description: When this line should arrive, if not with the rest of the order
+ *         notes:
+ *           type: string
+ *           description: Notes of the last receipt
+ *         inventoryId:
+ *           type: integer
+ *           description: Inventory record the units were booked into
+ *       example:
+ *         id: 1
+ *         purchaseOrderId: 1
+ *         productId: 1
+ *         variantId: null
+ *         sku: SM-X-001
+ *         quantity: 50
+ *         quantityReceived: 20
+ *         unitCost: 420.00
+ *         expectedDate: null
+ *         notes: Rest follows next week
+ *         inventoryId: 3
+ */
+const PurchaseOrderLine = sequelize.define('PurchaseOrderLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchaseOrderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchase_orders',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'variants',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'Quantity must be an integer'
+      },
+      min: {
+        args: [1],
+        msg: 'Quantity must be at least 1'
+      }
+    }
+  },
+  quantityReceived: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: {
+        msg: 'Unit cost must be a valid number'
+      },
+      min: {
+        args: [0],
+        msg: 'Unit cost must be greater than or equal to 0'
+      }
+    }
+  },
+  expectedDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'purchase_order_lines',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchaseOrderId']
+    },
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['variantId']
+    }
+  ]
+});
+
+module.exports = PurchaseOrderLine;
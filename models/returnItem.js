@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnItem:
+ *       type: object
+ *       required:
+ *         - returnRequestId
+ *         - orderItemId
+ *         - quantity
+ *         - reason
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The return item ID
+ *         returnRequestId:
+ *           type: integer
+ *           description: ID of the return request
+ *         orderItemId:
+ *           type: integer
+ *           description: ID of the order line being returned
+ *         quantity:
+ *           type: integer
+ *           description: Number of units returned
+ *         reason:
+ *           type: string
+ *           enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *           description: Why the units are returned
+ *         reasonDetails:
+ *           type: string
+ *           description: Free text explaining the reason
+ *         refundAmount:
+ *           type: number
+ *           format: float
+ *           description: Discounted unit price of the order line multiplied by quantity, plus the returned share of tax charged on top
+ *         disposition:
+ *           type: string
+ *           enum: [restock, quarantine, discard]
+ *           description: What was done with the units when they were received
+ *       example:
+ *         id: 1
+ *         returnRequestId: 1
+ *         orderItemId: 1
+ *         quantity: 1
+ *         reason: damaged
+ *         reasonDetails: Screen arrived cracked
+ *         refundAmount: 719.99
+ *         disposition: quarantine
+ */
+const ReturnItem = sequelize.define('ReturnItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  returnRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'return_requests',
+      key: 'id'
+    }
+  },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'Quantity must be an integer'
+      },
+      min: {
+        args: [1],
+        msg: 'Quantity must be at least 1'
+      }
+    }
+  },
+  reason: {
+    type: DataTypes.ENUM('damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'),
+    allowNull: false
+  },
+  reasonDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  disposition: {
+    type: DataTypes.ENUM('restock', 'quarantine', 'discard'),
+    allowNull: true,
+    comment: 'Set when the goods are received'
+  }
+}, {
+  tableName: 'return_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['returnRequestId']
+    },
+    {
+      fields: ['orderItemId']
+    }
+  ]
+});
+
+module.exports = ReturnItem;
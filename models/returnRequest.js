@@ -0,0 +1,176 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - userId
+ *         - sellerId
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The return request ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the delivered order
+ *         userId:
+ *           type: integer
+ *           description: ID of the buyer who opened the return
+ *         sellerId:
+ *           type: integer
+ *           description: ID of the seller of the returned items
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded, cancelled]
+ *           description: Return status
+ *         comment:
+ *           type: string
+ *           description: Buyer's comment on the whole return
+ *         rejectionReason:
+ *           type: string
+ *           description: Reason given by the seller when rejecting
+ *         refundAmount:
+ *           type: number
+ *           format: float
+ *           description: Sum of the item refunds
+ *         refundedAmount:
+ *           type: number
+ *           format: float
+ *           description: Amount actually paid back to the buyer
+ *         reviewedBy:
+ *           type: integer
+ *           description: ID of the user who approved or rejected the return
+ *         receivedBy:
+ *           type: integer
+ *           description: ID of the user who received the goods
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         refundedAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReturnItem'
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         userId: 2
+ *         sellerId: 3
+ *         status: requested
+ *         comment: Screen arrived cracked
+ *         refundAmount: 719.99
+ *         refundedAmount: 0
+ */
+const ReturnRequest = sequelize.define('ReturnRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sellerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'requested'
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  rejectionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  receivedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Saved before the payment provider is asked for the refund, so a retry sends the same idempotency keys
+  refundKey: {
+    type: DataTypes.STRING(36),
+    allowNull: true
+  }
+}, {
+  tableName: 'return_requests',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['sellerId', 'status']
+    }
+  ]
+});
+
+module.exports = ReturnRequest;
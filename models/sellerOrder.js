@@ -0,0 +1,157 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SellerOrder:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - sellerId
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The seller order ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the buyer's order this is a part of
+ *         sellerId:
+ *           type: integer
+ *           description: ID of the seller who fulfils this part of the order
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           description: Fulfilment status of the seller's part
+ *         subtotal:
+ *           type: number
+ *           format: float
+ *           description: Sum of the seller's line prices before discounts
+ *         discountTotal:
+ *           type: number
+ *           format: float
+ *           description: Discount applied to the seller's lines
+ *         taxTotal:
+ *           type: number
+ *           format: float
+ *           description: Tax charged on the seller's lines
+ *         shippingTotal:
+ *           type: number
+ *           format: float
+ *           description: Shipping charged for the seller's parcel
+ *         totalAmount:
+ *           type: number
+ *           format: float
+ *           description: Amount the buyer pays for the seller's part, including taxes and shipping
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         shipment:
+ *           $ref: '#/components/schemas/Shipment'
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         sellerId: 3
+ *         status: shipped
+ *         subtotal: 1599.98
+ *         discountTotal: 160
+ *         taxTotal: 0
+ *         shippingTotal: 5
+ *         totalAmount: 1444.98
+ *         shippedAt: 2023-01-02T00:00:00.000Z
+ *         deliveredAt: null
+ *         cancelledAt: null
+ */
+const SellerOrder = sequelize.define('SellerOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  sellerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  discountTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  taxTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shippingTotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shippedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'seller_orders',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['orderId', 'sellerId']
+    },
+    {
+      fields: ['sellerId', 'status']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+module.exports = SellerOrder;
@@ -0,0 +1,150 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SERIAL_STATUSES = ['in_stock', 'allocated', 'in_transit', 'sold', 'quarantined', 'written_off', 'missing'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SerialNumber:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - inventoryId
+ *         - serialNumber
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The serial number record ID
+ *         productId:
+ *           type: integer
+ *           description: ID of the product, also set for units of a variant
+ *         variantId:
+ *           type: integer
+ *           description: ID of the variant (null for units of a product without variants)
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record the unit belongs to, or was last held in
+ *         serialNumber:
+ *           type: string
+ *           description: Serial number of the unit, unique per product
+ *         status:
+ *           type: string
+ *           enum: [in_stock, allocated, in_transit, sold, quarantined, written_off, missing]
+ *           description: |
+ *             in_stock and allocated units are on hand; allocated units are set aside for an order item.
+ *             in_transit units are on a stock transfer
+ *         orderItemId:
+ *           type: integer
+ *           description: ID of the order item the unit is allocated or was sold to
+ *         transferItemId:
+ *           type: integer
+ *           description: ID of the transfer item the unit travels on
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the unit was received
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the unit last changed
+ *       example:
+ *         id: 1
+ *         productId: 4
+ *         variantId: null
+ *         inventoryId: 7
+ *         serialNumber: SN-00042871
+ *         status: sold
+ *         orderItemId: 31
+ *         transferItemId: null
+ *         createdAt: 2023-01-01T00:00:00.000Z
+ *         updatedAt: 2023-01-05T00:00:00.000Z
+ */
+const SerialNumber = sequelize.define('SerialNumber', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'variants',
+      key: 'id'
+    }
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  serialNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    set(val) {
+      this.setDataValue('serialNumber', String(val).trim());
+    },
+    validate: {
+      notEmpty: {
+        msg: 'Serial number cannot be empty'
+      }
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...SERIAL_STATUSES),
+    allowNull: false,
+    defaultValue: 'in_stock'
+  },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  transferItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_transfer_items',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'serial_numbers',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['productId', 'serialNumber']
+    },
+    {
+      fields: ['inventoryId', 'status']
+    },
+    {
+      fields: ['orderItemId']
+    },
+    {
+      fields: ['transferItemId']
+    },
+    {
+      fields: ['serialNumber']
+    }
+  ]
+});
+
+module.exports = SerialNumber;
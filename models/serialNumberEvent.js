@@ -0,0 +1,167 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SERIAL_EVENT_TYPES = [
+  'received',
+  'allocated',
+  'released',
+  'sold',
+  'returned',
+  'restocked',
+  'written_off',
+  'dispatched',
+  'transferred',
+  'missing'
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SerialNumberEvent:
+ *       type: object
+ *       required:
+ *         - serialNumberId
+ *         - type
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The event ID
+ *         serialNumberId:
+ *           type: integer
+ *           description: ID of the serial number
+ *         type:
+ *           type: string
+ *           enum: [received, allocated, released, sold, returned, restocked, written_off, dispatched, transferred, missing]
+ *           description: What happened to the unit
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record the unit was in
+ *         orderId:
+ *           type: integer
+ *           description: ID of the order the unit was allocated to, sold on or returned from
+ *         movementId:
+ *           type: integer
+ *           description: ID of the stock movement that changed the on-hand quantity, if any
+ *         actorId:
+ *           type: integer
+ *           description: ID of the user who made the change (null for system changes)
+ *         actorRole:
+ *           type: string
+ *           description: Role of the actor at the time of the change, or system
+ *         reference:
+ *           type: string
+ *           description: What caused the event, such as order:12, return:5, transfer:2 or po:3
+ *         notes:
+ *           type: string
+ *           description: Free text notes
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the event was recorded
+ *       example:
+ *         id: 2
+ *         serialNumberId: 1
+ *         type: sold
+ *         inventoryId: 7
+ *         orderId: 12
+ *         movementId: 40
+ *         actorId: 3
+ *         actorRole: seller
+ *         reference: order:12
+ *         notes: null
+ *         createdAt: 2023-01-05T00:00:00.000Z
+ */
+const SerialNumberEvent = sequelize.define('SerialNumberEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  serialNumberId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'serial_numbers',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...SERIAL_EVENT_TYPES),
+    allowNull: false
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  movementId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_movements',
+      key: 'id'
+    }
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  reference: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'serial_number_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['serialNumberId', 'createdAt']
+    },
+    {
+      fields: ['orderId']
+    }
+  ],
+  // The history of a unit is append-only like the stock ledger
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Serial number events cannot be changed');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Serial number events cannot be changed');
+    },
+    beforeDestroy: () => {
+      throw new Error('Serial number events cannot be deleted');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Serial number events cannot be deleted');
+    }
+  }
+});
+
+module.exports = SerialNumberEvent;
@@ -0,0 +1,168 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shipment:
+ *       type: object
+ *       required:
+ *         - orderId
+ *         - sellerId
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The shipment ID
+ *         orderId:
+ *           type: integer
+ *           description: ID of the order
+ *         sellerId:
+ *           type: integer
+ *           description: ID of the seller who ships the parcel. Each seller of an order ships separately
+ *         sellerOrderId:
+ *           type: integer
+ *           description: ID of the seller's part of the order shipped in the parcel
+ *         shippingMethodId:
+ *           type: integer
+ *           description: Shipping method chosen at checkout (null when none was chosen)
+ *         status:
+ *           type: string
+ *           enum: [pending, shipped, delivered, cancelled]
+ *           description: Shipment status
+ *         carrierCode:
+ *           type: string
+ *           description: Code of the carrier delivering the parcel (e.g. dhl)
+ *         trackingNumber:
+ *           type: string
+ *           description: Carrier tracking number
+ *         weight:
+ *           type: number
+ *           format: float
+ *           description: Chargeable weight of the parcel in kg
+ *         shippingCost:
+ *           type: number
+ *           format: float
+ *           description: Shipping charged to the buyer for the parcel
+ *         shippedBy:
+ *           type: integer
+ *           description: ID of the user who shipped the parcel
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         orderId: 1
+ *         sellerId: 3
+ *         sellerOrderId: 1
+ *         shippingMethodId: 1
+ *         status: shipped
+ *         carrierCode: dhl
+ *         trackingNumber: 1Z999AA10123456784
+ *         weight: 0.4
+ *         shippingCost: 5
+ *         shippedBy: 3
+ *         shippedAt: 2023-01-02T00:00:00.000Z
+ *         deliveredAt: null
+ */
+const Shipment = sequelize.define('Shipment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  sellerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sellerOrderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'seller_orders',
+      key: 'id'
+    }
+  },
+  shippingMethodId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'shipping_methods',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'shipped', 'delivered', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  carrierCode: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    set(value) {
+      this.setDataValue('carrierCode', value ? String(value).trim().toLowerCase() : null);
+    }
+  },
+  trackingNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  weight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shippingCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shippedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  shippedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'shipments',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['orderId', 'sellerId']
+    },
+    {
+      fields: ['sellerId', 'status']
+    },
+    {
+      fields: ['trackingNumber']
+    }
+  ]
+});
+
+module.exports = Shipment;
@@ -0,0 +1,205 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingRate:
+ *       type: object
+ *       required:
+ *         - price
+ *       properties:
+ *         upTo:
+ *           type: number
+ *           format: float
+ *           description: Upper bound of the bracket in kg (weight rates) or in the order currency (price rates). Null for no upper bound
+ *         price:
+ *           type: number
+ *           format: float
+ *           description: Shipping price for a parcel in this bracket
+ *     ShippingMethod:
+ *       type: object
+ *       required:
+ *         - zoneId
+ *         - name
+ *         - carrierCode
+ *         - rates
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The shipping method ID
+ *         zoneId:
+ *           type: integer
+ *           description: Zone the method delivers to
+ *         name:
+ *           type: string
+ *           description: Name shown to buyers (e.g. Standard, Express)
+ *         carrierCode:
+ *           type: string
+ *           description: Code of the carrier that delivers the parcels (e.g. dhl)
+ *         rateType:
+ *           type: string
+ *           enum: [weight, price]
+ *           description: Whether the rate table is looked up by parcel weight or by parcel value
+ *         rates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingRate'
+ *           description: Rate table, one bracket per upper bound
+ *         minDeliveryDays:
+ *           type: integer
+ *           description: Fastest expected delivery in days
+ *         maxDeliveryDays:
+ *           type: integer
+ *           description: Slowest expected delivery in days
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the method is offered
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         zoneId: 1
+ *         name: Standard
+ *         carrierCode: dhl
+ *         rateType: weight
+ *         rates: [{ upTo: 1, price: 5 }, { upTo: 5, price: 9.5 }, { upTo: null, price: 20 }]
+ *         minDeliveryDays: 2
+ *         maxDeliveryDays: 5
+ *         isActive: true
+ */
+const ShippingMethod = sequelize.define('ShippingMethod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  zoneId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shipping_zones',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Shipping method name cannot be empty'
+      }
+    }
+  },
+  carrierCode: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('carrierCode', value ? String(value).trim().toLowerCase() : value);
+    },
+    validate: {
+      notEmpty: {
+        msg: 'Carrier code cannot be empty'
+      }
+    }
+  },
+  rateType: {
+    type: DataTypes.ENUM('weight', 'price'),
+    allowNull: false,
+    defaultValue: 'weight'
+  },
+  rates: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('rates');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(val) {
+      // Brackets are kept sorted by upper bound, the open-ended bracket last
+      const rates = (Array.isArray(val) ? val : [])
+        .map(rate => ({
+          upTo: rate.upTo === null || rate.upTo === undefined ? null : Number(rate.upTo),
+          price: Number(rate.price)
+        }))
+        .sort((a, b) => (a.upTo === null) - (b.upTo === null) || a.upTo - b.upTo);
+
+      this.setDataValue('rates', JSON.stringify(rates));
+    },
+    validate: {
+      isRateTable(value) {
+        const rates = JSON.parse(value);
+
+        if (rates.length === 0) {
+          throw new Error('Rate table must have at least one bracket');
+        }
+
+        rates.forEach(rate => {
+          if (!Number.isFinite(rate.price) || rate.price < 0) {
+            throw new Error('Each rate must have a price greater than or equal to 0');
+          }
+
+          if (rate.upTo !== null && (!Number.isFinite(rate.upTo) || rate.upTo <= 0)) {
+            throw new Error('Each rate upper bound must be greater than 0');
+          }
+        });
+
+        if (new Set(rates.map(rate => rate.upTo)).size !== rates.length) {
+          throw new Error('Rate brackets must have different upper bounds');
+        }
+      }
+    }
+  },
+  minDeliveryDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Delivery days must be greater than or equal to 0'
+      }
+    }
+  },
+  maxDeliveryDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Delivery days must be greater than or equal to 0'
+      }
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'shipping_methods',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['zoneId']
+    },
+    {
+      fields: ['isActive']
+    }
+  ],
+  validate: {
+    deliveryDays() {
+      if (this.minDeliveryDays !== null && this.maxDeliveryDays !== null &&
+        this.minDeliveryDays !== undefined && this.maxDeliveryDays !== undefined &&
+        this.maxDeliveryDays < this.minDeliveryDays) {
+        throw new Error('maxDeliveryDays cannot be less than minDeliveryDays');
+      }
+    }
+  }
+});
+
+module.exports = ShippingMethod;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The shipping zone ID
+ *         name:
+ *           type: string
+ *           description: Zone name (e.g. Domestic, East Africa)
+ *         regions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Country codes (RW) or country subdivisions (US-CA) covered by the zone. An empty list covers every region no other zone covers
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the zone's methods are offered
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: East Africa
+ *         regions: [RW, KE, UG, TZ]
+ *         isActive: true
+ */
+const ShippingZone = sequelize.define('ShippingZone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Zone name cannot be empty'
+      }
+    }
+  },
+  regions: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('regions');
+      return rawValue ? rawValue.split(',') : [];
+    },
+    set(val) {
+      const regions = Array.isArray(val) ? val : String(val || '').split(',');
+      const codes = regions.map(region => String(region).trim().toUpperCase()).filter(Boolean);
+      this.setDataValue('regions', codes.length > 0 ? [...new Set(codes)].join(',') : null);
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'shipping_zones',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['isActive']
+    }
+  ]
+});
+
+module.exports = ShippingZone;
@@ -0,0 +1,166 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'return', 'adjustment', 'transfer', 'damage'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       required:
+ *         - inventoryId
+ *         - type
+ *         - delta
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The movement ID
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record whose quantity changed
+ *         lotId:
+ *           type: integer
+ *           description: ID of the lot the units came from or went into, null for stock outside any lot
+ *         type:
+ *           type: string
+ *           enum: [restock, sale, return, adjustment, transfer, damage]
+ *           description: Why the quantity changed
+ *         delta:
+ *           type: integer
+ *           description: Change of the on-hand quantity, negative when stock left
+ *         quantityAfter:
+ *           type: integer
+ *           description: On-hand quantity right after the movement
+ *         actorId:
+ *           type: integer
+ *           description: ID of the user who made the change (null for system changes)
+ *         actorRole:
+ *           type: string
+ *           description: Role of the actor at the time of the change, or system
+ *         reference:
+ *           type: string
+ *           description: What caused the movement, such as order:12, return:5 or po:3
+ *         unitCost:
+ *           type: number
+ *           format: float
+ *           description: Cost per unit of stock bought in, null when unknown
+ *         notes:
+ *           type: string
+ *           description: Free text notes
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the movement was recorded
+ *       example:
+ *         id: 3
+ *         inventoryId: 1
+ *         lotId: null
+ *         type: sale
+ *         delta: -2
+ *         quantityAfter: 98
+ *         actorId: 1
+ *         actorRole: admin
+ *         reference: order:12
+ *         unitCost: null
+ *         notes: null
+ *         createdAt: 2023-01-01T00:05:00.000Z
+ */
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  lotId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory_lots',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...MOVEMENT_TYPES),
+    allowNull: false
+  },
+  delta: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'Delta must be an integer'
+      }
+    }
+  },
+  quantityAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  reference: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_movements',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['inventoryId', 'createdAt']
+    },
+    {
+      fields: ['reference']
+    },
+    {
+      fields: ['lotId']
+    }
+  ],
+  // The ledger is append-only, a wrong movement is corrected by recording another one
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Stock movements cannot be changed');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Stock movements cannot be changed');
+    },
+    beforeDestroy: () => {
+      throw new Error('Stock movements cannot be deleted');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Stock movements cannot be deleted');
+    }
+  }
+});
+
+module.exports = StockMovement;
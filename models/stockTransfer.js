@@ -0,0 +1,141 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockTransfer:
+ *       type: object
+ *       required:
+ *         - createdBy
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The transfer ID
+ *         fromWarehouseId:
+ *           type: integer
+ *           description: ID of the warehouse the stock leaves (null for stock not assigned to a warehouse)
+ *         toWarehouseId:
+ *           type: integer
+ *           description: ID of the warehouse the stock goes to (null for stock not assigned to a warehouse)
+ *         status:
+ *           type: string
+ *           enum: [draft, in_transit, partially_received, received, cancelled]
+ *           description: Transfer status
+ *         notes:
+ *           type: string
+ *           description: Free text notes
+ *         createdBy:
+ *           type: integer
+ *           description: ID of the user who drafted the transfer
+ *         dispatchedBy:
+ *           type: integer
+ *           description: ID of the user who sent the stock
+ *         receivedBy:
+ *           type: integer
+ *           description: ID of the user who booked the last receipt
+ *         dispatchedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last receipt was booked
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StockTransferItem'
+ *       example:
+ *         id: 1
+ *         fromWarehouseId: 1
+ *         toWarehouseId: 2
+ *         status: in_transit
+ *         notes: Weekly top-up of the Oakland store
+ *         createdBy: 2
+ *         dispatchedBy: 2
+ *         dispatchedAt: 2023-01-01T09:00:00.000Z
+ */
+const StockTransfer = sequelize.define('StockTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fromWarehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  toWarehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'in_transit', 'partially_received', 'received', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  dispatchedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  receivedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  dispatchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_transfers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['fromWarehouseId']
+    },
+    {
+      fields: ['toWarehouseId']
+    },
+    {
+      fields: ['createdBy']
+    }
+  ]
+});
+
+module.exports = StockTransfer;
@@ -0,0 +1,152 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockTransferItem:
+ *       type: object
+ *       required:
+ *         - transferId
+ *         - sku
+ *         - quantity
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The transfer line ID
+ *         transferId:
+ *           type: integer
+ *           description: ID of the transfer
+ *         productId:
+ *           type: integer
+ *           description: ID of the product moved (null if a variant is moved)
+ *         variantId:
+ *           type: integer
+ *           description: ID of the variant moved (null if a product is moved)
+ *         sku:
+ *           type: string
+ *           description: SKU at the time the transfer was drafted
+ *         quantity:
+ *           type: integer
+ *           description: Units sent
+ *         quantityReceived:
+ *           type: integer
+ *           description: Units booked in at the destination so far
+ *         discrepancyQuantity:
+ *           type: integer
+ *           description: Units that never arrived, set when the transfer is received (null before)
+ *         notes:
+ *           type: string
+ *           description: Notes of the last receipt, such as why units are missing
+ *         fromInventoryId:
+ *           type: integer
+ *           description: Inventory record the units were taken from
+ *         toInventoryId:
+ *           type: integer
+ *           description: Inventory record the units were booked into
+ *       example:
+ *         id: 1
+ *         transferId: 1
+ *         productId: 1
+ *         variantId: null
+ *         sku: SM-X-001
+ *         quantity: 10
+ *         quantityReceived: 9
+ *         discrepancyQuantity: 1
+ *         notes: One box crushed in transit
+ */
+const StockTransferItem = sequelize.define('StockTransferItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  transferId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_transfers',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'variants',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'Quantity must be an integer'
+      },
+      min: {
+        args: [1],
+        msg: 'Quantity must be at least 1'
+      }
+    }
+  },
+  quantityReceived: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  discrepancyQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Set when the transfer is received'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  fromInventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  toInventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'stock_transfer_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['transferId']
+    },
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['variantId']
+    }
+  ]
+});
+
+module.exports = StockTransferItem;
@@ -0,0 +1,175 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stocktake:
+ *       type: object
+ *       required:
+ *         - name
+ *         - createdBy
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The stocktake ID
+ *         name:
+ *           type: string
+ *           description: Name of the count, such as "Aisle A weekly count"
+ *         status:
+ *           type: string
+ *           enum: [open, submitted, posted, cancelled]
+ *           description: Stocktake status
+ *         warehouseId:
+ *           type: integer
+ *           description: Only inventory records of this warehouse were included
+ *         location:
+ *           type: string
+ *           description: Only inventory records whose location starts with this were included
+ *         categoryId:
+ *           type: integer
+ *           description: Only products of this category and their variants were included
+ *         skus:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only these SKUs were included
+ *         notes:
+ *           type: string
+ *           description: Free text notes
+ *         createdBy:
+ *           type: integer
+ *           description: ID of the user who opened the session
+ *         submittedBy:
+ *           type: integer
+ *           description: ID of the user who submitted the counts
+ *         postedBy:
+ *           type: integer
+ *           description: ID of the approver who posted the adjustments
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         postedAt:
+ *           type: string
+ *           format: date-time
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StocktakeLine'
+ *       example:
+ *         id: 1
+ *         name: Aisle A weekly count
+ *         status: submitted
+ *         warehouseId: 1
+ *         location: A-
+ *         categoryId: null
+ *         skus: []
+ *         createdBy: 2
+ *         submittedBy: 2
+ *         submittedAt: 2023-01-01T17:00:00.000Z
+ */
+const Stocktake = sequelize.define('Stocktake', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Name cannot be empty'
+      }
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'submitted', 'posted', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  warehouseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  skus: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('skus');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(val) {
+      this.setDataValue('skus', val && val.length ? JSON.stringify(val) : null);
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  submittedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  postedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stocktakes',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['warehouseId']
+    },
+    {
+      fields: ['createdBy']
+    }
+  ]
+});
+
+module.exports = Stocktake;
@@ -0,0 +1,149 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StocktakeLine:
+ *       type: object
+ *       required:
+ *         - stocktakeId
+ *         - inventoryId
+ *         - sku
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The stocktake line ID
+ *         stocktakeId:
+ *           type: integer
+ *           description: ID of the stocktake session
+ *         inventoryId:
+ *           type: integer
+ *           description: ID of the inventory record being counted
+ *         sku:
+ *           type: string
+ *           description: SKU of the inventory record
+ *         expectedQuantity:
+ *           type: integer
+ *           description: System quantity when the session was opened
+ *         countedQuantity:
+ *           type: integer
+ *           description: Quantity counted on the shelf (null until counted)
+ *         systemQuantity:
+ *           type: integer
+ *           description: System quantity at the moment of the count
+ *         variance:
+ *           type: integer
+ *           description: countedQuantity minus systemQuantity, negative when units are missing
+ *         notes:
+ *           type: string
+ *           description: Notes of the counter
+ *         countedBy:
+ *           type: integer
+ *           description: ID of the user who entered the count
+ *         countedAt:
+ *           type: string
+ *           format: date-time
+ *         movementId:
+ *           type: integer
+ *           description: Stock movement that posted the variance
+ *       example:
+ *         id: 1
+ *         stocktakeId: 1
+ *         inventoryId: 3
+ *         sku: SM-X-001
+ *         expectedQuantity: 40
+ *         countedQuantity: 38
+ *         systemQuantity: 40
+ *         variance: -2
+ *         countedBy: 2
+ *         countedAt: 2023-01-01T16:40:00.000Z
+ */
+const StocktakeLine = sequelize.define('StocktakeLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  stocktakeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stocktakes',
+      key: 'id'
+    }
+  },
+  inventoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  expectedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  countedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Counted quantity must be greater than or equal to 0'
+      }
+    }
+  },
+  systemQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  variance: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  countedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  countedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  movementId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_movements',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'stocktake_lines',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['stocktakeId', 'inventoryId']
+    },
+    {
+      fields: ['inventoryId']
+    }
+  ]
+});
+
+module.exports = StocktakeLine;
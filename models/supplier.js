@@ -0,0 +1,134 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       required:
+ *         - name
+ *         - code
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The supplier ID
+ *         name:
+ *           type: string
+ *           description: Supplier name
+ *         code:
+ *           type: string
+ *           description: Short unique code, stored in upper case
+ *         contactName:
+ *           type: string
+ *           description: Person to contact about orders
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *         address:
+ *           type: string
+ *         leadTimeDays:
+ *           type: integer
+ *           description: Usual days between placing an order and receiving it, used when an order has no expected date
+ *         isActive:
+ *           type: boolean
+ *           description: Whether new purchase orders can be placed with the supplier
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: Acme Electronics Ltd
+ *         code: ACME
+ *         contactName: Jane Doe
+ *         email: orders@acme.example
+ *         phone: "+250 788 000 000"
+ *         address: Plot 12, Kigali Special Economic Zone
+ *         leadTimeDays: 14
+ *         isActive: true
+ */
+const Supplier = sequelize.define('Supplier', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Supplier name cannot be empty'
+      }
+    }
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    set(val) {
+      this.setDataValue('code', String(val).trim().toUpperCase());
+    },
+    validate: {
+      notEmpty: {
+        msg: 'Supplier code cannot be empty'
+      }
+    }
+  },
+  contactName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      isEmail: {
+        msg: 'Please provide a valid email address'
+      }
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  leadTimeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Lead time cannot be negative'
+      }
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'suppliers',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['isActive']
+    }
+  ]
+});
+
+module.exports = Supplier;
@@ -0,0 +1,135 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - rate
+ *         - effectiveFrom
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The tax rule ID
+ *         name:
+ *           type: string
+ *           description: Name printed on tax breakdowns (e.g. VAT)
+ *         region:
+ *           type: string
+ *           description: Country code (RW) or country subdivision (US-CA). Null applies everywhere
+ *         categoryId:
+ *           type: integer
+ *           description: Category the rule overrides the region's rate for. Null applies to every category
+ *         rate:
+ *           type: number
+ *           format: float
+ *           description: Tax rate in percent
+ *         inclusive:
+ *           type: boolean
+ *           description: Whether catalog prices already include the tax
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *           description: When the rule starts to apply
+ *         effectiveTo:
+ *           type: string
+ *           format: date-time
+ *           description: When the rule stops applying (null for no end)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: VAT
+ *         region: RW
+ *         categoryId: null
+ *         rate: 18
+ *         inclusive: true
+ *         effectiveFrom: 2023-01-01T00:00:00.000Z
+ *         effectiveTo: null
+ */
+const TaxRule = sequelize.define('TaxRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Tax rule name cannot be empty'
+      }
+    }
+  },
+  region: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    set(value) {
+      this.setDataValue('region', value ? value.toUpperCase() : null);
+    }
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Rate must be greater than or equal to 0'
+      },
+      max: {
+        args: [100],
+        msg: 'Rate cannot be more than 100'
+      }
+    }
+  },
+  inclusive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  effectiveFrom: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  effectiveTo: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'tax_rules',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['region', 'categoryId']
+    },
+    {
+      fields: ['effectiveFrom', 'effectiveTo']
+    }
+  ],
+  validate: {
+    effectiveDates() {
+      if (this.effectiveTo && this.effectiveFrom && new Date(this.effectiveTo) <= new Date(this.effectiveFrom)) {
+        throw new Error('effectiveTo must be after effectiveFrom');
+      }
+    }
+  }
+});
+
+module.exports = TaxRule;
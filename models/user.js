@@ -30,6 +30,15 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           enum: [admin, seller, buyer]
  *           description: User role for authorization
+ *         companyName:
+ *           type: string
+ *           description: Legal business name printed on a seller's invoices
+ *         businessAddress:
+ *           type: string
+ *           description: Business address printed on a seller's invoices
+ *         taxId:
+ *           type: string
+ *           description: VAT or tax registration number printed on a seller's invoices
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
@@ -113,6 +122,18 @@ const User = sequelize.define('User', {
     allowNull: false,
     defaultValue: 'buyer'
   },
+  companyName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  businessAddress: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  taxId: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
@@ -45,6 +45,34 @@ const { sequelize } = require('../config/database');
  *         isActive:
  *           type: boolean
  *           description: Whether the variant is active
+ *         backorderPolicy:
+ *           type: string
+ *           enum: [none, backorder, preorder]
+ *           nullable: true
+ *           description: Backorder or pre-order setting of the variant, the product's settings apply when empty
+ *         backorderLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Units that can be sold beyond the stock on hand, no limit when empty
+ *         availableAt:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Release date of a pre-order variant
+ *         isSerialized:
+ *           type: boolean
+ *           nullable: true
+ *           description: Whether every unit is tracked by serial number, the product's setting applies when empty
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the variant is scheduled to become active
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the variant is scheduled to become inactive
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -142,6 +170,40 @@ const Variant = sequelize.define('Variant', {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: true
+  },
+  backorderPolicy: {
+    type: DataTypes.ENUM('none', 'backorder', 'preorder'),
+    allowNull: true,
+    comment: 'Null to use the settings of the product'
+  },
+  backorderLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Backorder limit must be greater than or equal to 0'
+      }
+    }
+  },
+  availableAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  isSerialized: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'Null to use the setting of the product'
+  },
+  publishAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the scheduler activates the variant, cleared once done'
+  },
+  unpublishAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the scheduler deactivates the variant, cleared once done'
   }
 }, {
   tableName: 'variants',
@@ -153,8 +215,21 @@ const Variant = sequelize.define('Variant', {
     {
       unique: true,
       fields: ['sku']
+    },
+    {
+      fields: ['publishAt']
+    },
+    {
+      fields: ['unpublishAt']
+    }
+  ],
+  validate: {
+    unpublishAfterPublish() {
+      if (this.publishAt && this.unpublishAt && new Date(this.unpublishAt) <= new Date(this.publishAt)) {
+        throw new Error('unpublishAt must be after publishAt');
+      }
     }
-  ]
+  }
 });
 
 module.exports = Variant;
\ No newline at end of file
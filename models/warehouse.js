@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Warehouse:
+ *       type: object
+ *       required:
+ *         - name
+ *         - code
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The warehouse ID
+ *         name:
+ *           type: string
+ *           description: Warehouse name
+ *         code:
+ *           type: string
+ *           description: Short unique code, stored in upper case
+ *         region:
+ *           type: string
+ *           description: Country code (RW) or country subdivision (US-CA) the warehouse is in
+ *         address:
+ *           type: string
+ *           description: Street address
+ *         priority:
+ *           type: integer
+ *           description: Lower numbers are preferred when several warehouses can fulfil an order line
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the stock of the warehouse can be sold
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: Kigali Central
+ *         code: KGL1
+ *         region: RW
+ *         address: KG 7 Ave, Kigali
+ *         priority: 0
+ *         isActive: true
+ */
+const Warehouse = sequelize.define('Warehouse', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Warehouse name cannot be empty'
+      }
+    }
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    set(val) {
+      this.setDataValue('code', String(val).trim().toUpperCase());
+    },
+    validate: {
+      notEmpty: {
+        msg: 'Warehouse code cannot be empty'
+      }
+    }
+  },
+  region: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    set(val) {
+      this.setDataValue('region', val ? String(val).trim().toUpperCase() : null);
+    }
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'warehouses',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['isActive', 'priority']
+    }
+  ]
+});
+
+module.exports = Warehouse;
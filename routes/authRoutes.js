@@ -91,6 +91,9 @@ router.post(
  *                 format: email
  *               password:
  *                 type: string
+ *               cartToken:
+ *                 type: string
+ *                 description: Guest cart token to merge into the user's cart
  *     responses:
  *       200:
  *         description: Login successful
@@ -106,7 +109,11 @@ router.post(
             .withMessage('Please provide a valid email address'),
         body('password')
             .notEmpty()
-            .withMessage('Password is required')
+            .withMessage('Password is required'),
+        body('cartToken')
+            .optional()
+            .isUUID()
+            .withMessage('Cart token must be a valid UUID')
     ],
     validate,
     authController.login
@@ -151,6 +158,15 @@ router.get('/me', protect, authController.getMe);
  *               email:
  *                 type: string
  *                 format: email
+ *               companyName:
+ *                 type: string
+ *                 description: Printed on invoices of a seller
+ *               businessAddress:
+ *                 type: string
+ *                 description: Printed on invoices of a seller
+ *               taxId:
+ *                 type: string
+ *                 description: Printed on invoices of a seller
  *     responses:
  *       200:
  *         description: User details updated
@@ -172,7 +188,21 @@ router.put(
         body('email')
             .optional()
             .isEmail()
-            .withMessage('Please provide a valid email address')
+            .withMessage('Please provide a valid email address'),
+        body('companyName')
+            .optional({ nullable: true })
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Company name must be a string of at most 200 characters'),
+        body('businessAddress')
+            .optional({ nullable: true })
+            .isString()
+            .withMessage('Business address must be a string'),
+        body('taxId')
+            .optional({ nullable: true })
+            .isString()
+            .isLength({ max: 50 })
+            .withMessage('Tax ID must be a string of at most 50 characters')
     ],
     validate,
     authController.updateDetails
@@ -0,0 +1,303 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const cartController = require('../controllers/cartController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: X-Cart-Token
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       description: Guest cart token. Ignored when the request is authenticated.
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the current cart
+ *     description: Returns the cart of the logged in user, or the guest cart identified by X-Cart-Token. A new cart is created when none exists.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Country or subdivision code (e.g. US-CA) to estimate taxes for. Defaults to TAX_DEFAULT_REGION.
+ *     responses:
+ *       200:
+ *         description: The cart with current prices, taxes and totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ */
+router.get(
+  '/',
+  optionalAuth,
+  [
+    query('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be a country code such as RW or a subdivision such as US-CA')
+  ],
+  validate,
+  cartController.getCart
+);
+
+/**
+ * @swagger
+ * /api/cart/shipping-rates:
+ *   get:
+ *     summary: Quote shipping for the current cart
+ *     description: Returns the shipping methods that deliver the cart to the region, cheapest first, with the price of each seller's parcel. Pass the chosen shippingMethodId to checkout.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Country or subdivision code (e.g. US-CA) to deliver to. Defaults to TAX_DEFAULT_REGION.
+ *     responses:
+ *       200:
+ *         description: Available shipping methods with their price
+ *       400:
+ *         description: The cart is empty
+ */
+router.get(
+  '/shipping-rates',
+  optionalAuth,
+  [
+    query('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be a country code such as RW or a subdivision such as US-CA')
+  ],
+  validate,
+  cartController.getShippingRates
+);
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Clear the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: The emptied cart
+ */
+router.delete('/', optionalAuth, cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add an item to the cart
+ *     description: Adds a product or variant. Products with variants must be added by variantId. The quantity is checked against available stock.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid input or insufficient stock
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post(
+  '/items',
+  optionalAuth,
+  [
+    body('productId')
+      .optional()
+      .isInt()
+      .withMessage('Product ID must be an integer'),
+    body('variantId')
+      .optional()
+      .isInt()
+      .withMessage('Variant ID must be an integer'),
+    body()
+      .custom(value => {
+        if (!value.productId && !value.variantId) {
+          throw new Error('A productId or a variantId is required');
+        }
+        return true;
+      }),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be at least 1')
+  ],
+  validate,
+  cartController.addItem
+);
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}:
+ *   patch:
+ *     summary: Change the quantity of a cart item
+ *     description: A quantity of 0 removes the item
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart item ID
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid input or insufficient stock
+ *       404:
+ *         description: Cart item not found
+ */
+router.patch(
+  '/items/:itemId',
+  optionalAuth,
+  [
+    param('itemId')
+      .isInt()
+      .withMessage('Cart item ID must be an integer'),
+    body('quantity')
+      .isInt({ min: 0 })
+      .withMessage('Quantity must be a non-negative integer')
+  ],
+  validate,
+  cartController.updateItem
+);
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart item ID
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart item not found
+ */
+router.delete(
+  '/items/:itemId',
+  optionalAuth,
+  [
+    param('itemId')
+      .isInt()
+      .withMessage('Cart item ID must be an integer')
+  ],
+  validate,
+  cartController.removeItem
+);
+
+/**
+ * @swagger
+ * /api/cart/merge:
+ *   post:
+ *     summary: Merge a guest cart into the user's cart
+ *     description: Quantities of items in both carts are added up and capped at available stock. The guest cart is deleted afterwards.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cartToken
+ *             properties:
+ *               cartToken:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: The merged cart
+ *       401:
+ *         description: Not authenticated
+ */
+router.post(
+  '/merge',
+  protect,
+  [
+    body('cartToken')
+      .isUUID()
+      .withMessage('Cart token must be a valid UUID')
+  ],
+  validate,
+  cartController.mergeCart
+);
+
+module.exports = router;
@@ -1,10 +1,21 @@
 const express = require('express');
+const { query } = require('express-validator');
 const imageController = require('../controllers/imageController');
 const imageService = require('../services/imageService');
+const validate = require('../middleware/validator');
 const { protect, restrictTo } = require('../middleware/auth');
 
 const router = express.Router();
 
+// async=true processes the images in a background job, see /api/jobs
+const asyncValidation = [
+  query('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean value')
+    .toBoolean()
+];
+
 /**
  * @swagger
  * /api/images/products/{productId}:
@@ -21,6 +32,12 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *         description: Product ID
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Process the images in a background job and answer 202 with the job, whose result holds imageUrls and newImages
  *     requestBody:
  *       required: true
  *       content:
@@ -36,6 +53,8 @@ const router = express.Router();
  *     responses:
  *       200:
  *         description: Images uploaded successfully
+ *       202:
+ *         description: Job queued to process the images
  *       400:
  *         description: No images uploaded
  *       404:
@@ -46,6 +65,8 @@ router.post(
   protect,
   restrictTo('admin', 'manager', 'editor'),
   imageService.getUploadMiddleware(),
+  asyncValidation,
+  validate,
   imageController.uploadProductImages
 );
 
@@ -65,6 +86,12 @@ router.post(
  *         schema:
  *           type: integer
  *         description: Variant ID
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Process the images in a background job and answer 202 with the job, whose result holds imageUrls and newImages
  *     requestBody:
  *       required: true
  *       content:
@@ -80,6 +107,8 @@ router.post(
  *     responses:
  *       200:
  *         description: Images uploaded successfully
+ *       202:
+ *         description: Job queued to process the images
  *       400:
  *         description: No images uploaded
  *       404:
@@ -90,6 +119,8 @@ router.post(
   protect,
   restrictTo('admin', 'manager', 'editor'),
   imageService.getUploadMiddleware(),
+  asyncValidation,
+  validate,
   imageController.uploadVariantImages
 );
 
@@ -1,16 +1,38 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const inventoryController = require('../controllers/inventoryController');
+const SerialNumber = require('../models/serialNumber');
 const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
 
 const router = express.Router();
 
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment', 'damage'];
+const SERIAL_STATUSES = SerialNumber.rawAttributes.status.values;
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('ID must be an integer')
+];
+
+const serialNumbersValidation = (required = true) => [
+  (required ? body('serialNumbers') : body('serialNumbers').optional())
+    .isArray({ min: 1 })
+    .withMessage('Serial numbers must be a non-empty array'),
+  body('serialNumbers.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Serial numbers must be 1 to 100 characters long')
+];
+
 /**
  * @swagger
  * /api/inventory:
  *   get:
  *     summary: Get all inventory items
- *     description: Retrieve inventory items with filtering and pagination
+ *     description: Retrieve inventory items with filtering and pagination. A product or variant has one inventory record per warehouse.
  *     tags: [Inventory]
  *     parameters:
  *       - in: query
@@ -29,6 +51,11 @@ const router = express.Router();
  *           type: string
  *         description: Filter by storage location
  *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *         description: Only stock held in this warehouse
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -82,7 +109,7 @@ router.get('/', inventoryController.getAllInventory);
  * /api/inventory/low-stock:
  *   get:
  *     summary: Get low stock items
- *     description: Retrieve inventory items with quantity below threshold
+ *     description: Retrieve inventory items with quantity below threshold, with the units already on order
  *     tags: [Inventory]
  *     parameters:
  *       - in: query
@@ -116,7 +143,13 @@ router.get('/', inventoryController.getAllInventory);
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Inventory'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Inventory'
+ *                       - type: object
+ *                         properties:
+ *                           onOrderQuantity:
+ *                             type: integer
+ *                             description: Units placed purchase orders still have to deliver to this record
  */
 router.get('/low-stock', inventoryController.getLowStockItems);
 
@@ -163,6 +196,128 @@ router.get('/low-stock', inventoryController.getLowStockItems);
  */
 router.get('/out-of-stock', inventoryController.getOutOfStockItems);
 
+/**
+ * @swagger
+ * /api/inventory/reorder-suggestions:
+ *   get:
+ *     summary: Get reorder suggestions
+ *     description: |
+ *       Suggests when to reorder each inventory record and how many units, from the average daily sales over the
+ *       window, the lead time of the supplier the item was last ordered from and a safety stock. An order is due once
+ *       available plus on order stock drops to the reorder point (sales during the lead time plus the safety stock).
+ *       Records that did not sell during the window get no suggestion. Sellers only see their own products.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: integer
+ *         description: Only items last ordered from this supplier
+ *       - in: query
+ *         name: windowDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days of sales the average is taken over
+ *       - in: query
+ *         name: safetyDays
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Days of sales kept as safety stock
+ *       - in: query
+ *         name: coverDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days of sales a new order should cover beyond the reorder point
+ *       - in: query
+ *         name: horizonDays
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Include orders due within this many days
+ *     responses:
+ *       200:
+ *         description: Reorder suggestions, earliest order date first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       inventoryId:
+ *                         type: integer
+ *                       sku:
+ *                         type: string
+ *                       averageDailySales:
+ *                         type: number
+ *                       leadTimeDays:
+ *                         type: integer
+ *                       leadTimeSource:
+ *                         type: string
+ *                         enum: [supplier, default]
+ *                       safetyStock:
+ *                         type: integer
+ *                       reorderPoint:
+ *                         type: integer
+ *                       stockoutDate:
+ *                         type: string
+ *                         format: date
+ *                       suggestedOrderDate:
+ *                         type: string
+ *                         format: date
+ *                       suggestedQuantity:
+ *                         type: integer
+ *       403:
+ *         description: Sellers and admins only
+ */
+router.get(
+  '/reorder-suggestions',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    query('warehouseId').optional().isInt().withMessage('Warehouse ID must be an integer').toInt(),
+    query('supplierId').optional().isInt().withMessage('Supplier ID must be an integer').toInt(),
+    query('windowDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Window must be between 1 and 365 days')
+      .toInt(),
+    query('safetyDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Safety days must be between 0 and 365')
+      .toInt(),
+    query('coverDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Cover days must be between 1 and 365')
+      .toInt(),
+    query('horizonDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Horizon must be between 0 and 365 days')
+      .toInt()
+  ],
+  validate,
+  inventoryController.getReorderSuggestions
+);
+
 /**
  * @swagger
  * /api/inventory/{id}:
@@ -199,8 +354,12 @@ router.get('/:id', inventoryController.getInventoryById);
  * /api/inventory/{id}:
  *   put:
  *     summary: Update inventory
- *     description: Update an existing inventory record
+ *     description: |
+ *       Update an existing inventory record. The reserved quantity is managed by checkout and cannot be edited. The quantity cannot be set lower than the reserved quantity.
+ *       A quantity change is recorded as a stock movement of the given type, restock when the quantity goes up and adjustment when it goes down by default.
  *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -217,12 +376,20 @@ router.get('/:id', inventoryController.getInventoryById);
  *               quantity:
  *                 type: integer
  *                 minimum: 0
+ *               type:
+ *                 type: string
+ *                 enum: [restock, adjustment, damage]
+ *                 description: Movement type recorded for the quantity change
+ *               notes:
+ *                 type: string
+ *                 description: Notes stored with the stock movement
+ *               unitCost:
+ *                 type: number
+ *                 format: float
+ *                 description: Cost per unit of the units added, used to value the stock. Only when the quantity goes up
  *               lowStockThreshold:
  *                 type: integer
  *                 minimum: 0
- *               reservedQuantity:
- *                 type: integer
- *                 minimum: 0
  *               location:
  *                 type: string
  *     responses:
@@ -244,19 +411,32 @@ router.get('/:id', inventoryController.getInventoryById);
  */
 router.put(
   '/:id',
+  protect,
+  restrictTo('seller', 'admin'),
   [
+    ...idValidation,
     body('quantity')
       .optional()
       .isInt({ min: 0 })
-      .withMessage('Quantity must be a non-negative integer'),
+      .withMessage('Quantity must be a non-negative integer')
+      .toInt(),
+    body('type')
+      .optional()
+      .isIn(MANUAL_MOVEMENT_TYPES)
+      .withMessage(`Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string'),
+    body('unitCost')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat(),
     body('lowStockThreshold')
       .optional()
       .isInt({ min: 0 })
       .withMessage('Low stock threshold must be a non-negative integer'),
-    body('reservedQuantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Reserved quantity must be a non-negative integer'),
     body('location')
       .optional()
       .isString()
@@ -271,8 +451,10 @@ router.put(
  * /api/inventory/update-quantity:
  *   patch:
  *     summary: Update inventory quantities
- *     description: Batch update inventory quantities for multiple items
+ *     description: Batch update inventory quantities for multiple items. Each change is recorded as a stock movement with its notes.
  *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -296,9 +478,17 @@ router.put(
  *                     quantity:
  *                       type: integer
  *                       description: New quantity
+ *                     type:
+ *                       type: string
+ *                       enum: [restock, adjustment, damage]
+ *                       description: Movement type, restock when the quantity goes up and adjustment when it goes down by default
  *                     notes:
  *                       type: string
- *                       description: Optional notes about the update
+ *                       description: Optional notes about the update, stored with the stock movement
+ *                     unitCost:
+ *                       type: number
+ *                       format: float
+ *                       description: Cost per unit of the units added, only when the quantity goes up
  *     responses:
  *       200:
  *         description: Inventory quantities updated successfully
@@ -322,6 +512,9 @@ router.put(
  *                         type: integer
  *                       newQuantity:
  *                         type: integer
+ *                       movementId:
+ *                         type: integer
+ *                         description: ID of the recorded stock movement (null when the quantity did not change)
  *                       notes:
  *                         type: string
  *       400:
@@ -329,6 +522,8 @@ router.put(
  */
 router.patch(
   '/update-quantity',
+  protect,
+  restrictTo('seller', 'admin'),
   [
     body('updates')
       .isArray()
@@ -338,14 +533,778 @@ router.patch(
       .withMessage('Each update must have a valid inventory ID'),
     body('updates.*.quantity')
       .isInt({ min: 0 })
-      .withMessage('Each update must have a valid quantity'),
+      .withMessage('Each update must have a valid quantity')
+      .toInt(),
+    body('updates.*.type')
+      .optional()
+      .isIn(MANUAL_MOVEMENT_TYPES)
+      .withMessage(`Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
     body('updates.*.notes')
       .optional()
       .isString()
-      .withMessage('Notes must be a string')
+      .withMessage('Notes must be a string'),
+    body('updates.*.unitCost')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat()
   ],
   validate,
   inventoryController.updateInventoryQuantity
 );
 
+/**
+ * @swagger
+ * /api/inventory/{id}/quarantine/release:
+ *   post:
+ *     summary: Release quarantined stock
+ *     description: Takes returned units out of quarantine after inspection. They are added back to the on-hand quantity, or written off when restock is false. Units of serialized products are released by their serial numbers instead of a quantity.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Required unless serialNumbers are given
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Quarantined serial numbers to release, for serialized products
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Quarantine released
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         description: More units than are in quarantine
+ *       404:
+ *         description: Inventory record not found
+ */
+router.post(
+  '/:id/quarantine/release',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    body('quantity')
+      .if(body('serialNumbers').not().exists())
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    ...serialNumbersValidation(false),
+    body('restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be a boolean value')
+      .toBoolean()
+  ],
+  validate,
+  inventoryController.releaseQuarantine
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/movements:
+ *   get:
+ *     summary: Get stock movements
+ *     description: |
+ *       The ledger of an inventory record, newest first. Every change of the on-hand quantity is recorded with its
+ *       type, the change, the quantity after it, who made it and what caused it. Movements cannot be changed or deleted.
+ *       Stock taken from several lots is recorded as one movement per lot, each with its lot.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [restock, sale, return, adjustment, transfer, damage]
+ *         description: Only movements of this type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of movements per page
+ *     responses:
+ *       200:
+ *         description: A paginated list of stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 ledgerQuantity:
+ *                   type: integer
+ *                   description: Sum of all movements of the record
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  '/:id/movements',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    query('type')
+      .optional()
+      .isIn(['restock', 'sale', 'return', 'adjustment', 'transfer', 'damage'])
+      .withMessage('Invalid movement type'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  inventoryController.getInventoryMovements
+);
+
+const lotIdValidation = [
+  ...idValidation,
+  param('lotId')
+    .isInt()
+    .withMessage('Lot ID must be an integer')
+];
+
+const lotDateValidation = field => body(field)
+  .optional({ nullable: true })
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${field} must be a date (YYYY-MM-DD)`);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/lots:
+ *   get:
+ *     summary: Get the lots of an inventory record
+ *     description: |
+ *       Lots split the on-hand quantity by batch, in the order stock is taken from them: first to expire first,
+ *       lots without an expiry date after them. Units received without a lot are counted as untracked.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *       - in: query
+ *         name: includeEmpty
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list lots with no units left
+ *     responses:
+ *       200:
+ *         description: Lots of the record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inventory:
+ *                       $ref: '#/components/schemas/Inventory'
+ *                     untrackedQuantity:
+ *                       type: integer
+ *                       description: Units on hand outside any lot
+ *                     lots:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/InventoryLot'
+ *                           - type: object
+ *                             properties:
+ *                               daysUntilExpiry:
+ *                                 type: integer
+ *                                 description: Days left until the expiry date, negative once it has passed
+ *                               expired:
+ *                                 type: boolean
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  '/:id/lots',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    query('includeEmpty')
+      .optional()
+      .isBoolean()
+      .withMessage('includeEmpty must be a boolean value')
+  ],
+  validate,
+  inventoryController.getInventoryLots
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/lots:
+ *   post:
+ *     summary: Receive stock into a lot
+ *     description: |
+ *       Adds units to the on-hand quantity as a restock, booked into the lot with this number. The lot is created
+ *       the first time its number is received. More units of an existing lot cannot carry other dates.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lotNumber
+ *               - quantity
+ *             properties:
+ *               lotNumber:
+ *                 type: string
+ *               manufacturedAt:
+ *                 type: string
+ *                 format: date
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               unitCost:
+ *                 type: number
+ *                 format: float
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryLot'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Inventory record not found
+ *       409:
+ *         description: The lot number already exists with other dates
+ */
+router.post(
+  '/:id/lots',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    body('lotNumber')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Lot number must be 1 to 50 characters long'),
+    lotDateValidation('manufacturedAt'),
+    lotDateValidation('expiresAt'),
+    body('quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    body('unitCost')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validate,
+  inventoryController.receiveInventoryLot
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/lots/{lotId}:
+ *   patch:
+ *     summary: Correct the dates of a lot
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *       - in: path
+ *         name: lotId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Lot ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               manufacturedAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Lot updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryLot'
+ *       400:
+ *         description: Validation error, such as an expiry date before the manufacture date
+ *       404:
+ *         description: Lot not found
+ */
+router.patch(
+  '/:id/lots/:lotId',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...lotIdValidation,
+    lotDateValidation('manufacturedAt'),
+    lotDateValidation('expiresAt')
+  ],
+  validate,
+  inventoryController.updateInventoryLot
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/lots/{lotId}/write-off:
+ *   post:
+ *     summary: Write off units of a lot
+ *     description: Removes expired, recalled or damaged units of a lot from stock as a damage movement. Units reserved by open orders cannot be written off.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *       - in: path
+ *         name: lotId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Lot ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Units to write off, every unit left in the lot by default
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Units written off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inventory:
+ *                       $ref: '#/components/schemas/Inventory'
+ *                     lot:
+ *                       $ref: '#/components/schemas/InventoryLot'
+ *       400:
+ *         description: The lot is empty, or the units are reserved by open orders
+ *       404:
+ *         description: Lot not found
+ *       409:
+ *         description: More units than are left in the lot
+ */
+router.post(
+  '/:id/lots/:lotId/write-off',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...lotIdValidation,
+    body('quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validate,
+  inventoryController.writeOffInventoryLot
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/serials:
+ *   get:
+ *     summary: Get the serial numbers of an inventory record
+ *     description: |
+ *       Units of serialized products and variants are tracked by serial number. The on-hand quantity of the
+ *       record is the number of its serial numbers in stock or allocated to an order.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_stock, allocated, in_transit, sold, quarantined, written_off, missing]
+ *         description: Only serial numbers in this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Serial numbers of the record, by serial number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inventory:
+ *                       $ref: '#/components/schemas/Inventory'
+ *                     counts:
+ *                       type: object
+ *                       description: Number of serial numbers by status
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SerialNumber'
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  '/:id/serials',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    query('status')
+      .optional()
+      .isIn(SERIAL_STATUSES)
+      .withMessage(`Status must be one of: ${SERIAL_STATUSES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  inventoryController.getInventorySerials
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/serials:
+ *   post:
+ *     summary: Receive serialized units
+ *     description: Registers the serial numbers of units arriving outside a purchase order and books them as a restock, one unit per serial number.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serialNumbers
+ *             properties:
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               unitCost:
+ *                 type: number
+ *                 description: Purchase cost of each unit
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Serial numbers registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SerialNumber'
+ *       400:
+ *         description: Invalid input, or the product is not serialized
+ *       404:
+ *         description: Inventory record not found
+ *       409:
+ *         description: A serial number is already registered for the product
+ */
+router.post(
+  '/:id/serials',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    ...serialNumbersValidation(),
+    body('unitCost')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a non-negative number')
+      .toFloat(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validate,
+  inventoryController.registerInventorySerials
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/serials/write-off:
+ *   post:
+ *     summary: Write off serialized units
+ *     description: Records units in stock as damaged, such as broken or stolen ones. Units allocated to an order have to be released from it first.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serialNumbers
+ *             properties:
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Units written off
+ *       400:
+ *         description: The units are reserved by open orders
+ *       404:
+ *         description: Inventory record or serial number not found
+ *       409:
+ *         description: A serial number is not in stock
+ */
+router.post(
+  '/:id/serials/write-off',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    ...serialNumbersValidation(),
+    body('notes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string')
+  ],
+  validate,
+  inventoryController.writeOffInventorySerials
+);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/reconcile:
+ *   post:
+ *     summary: Reconcile inventory with its ledger
+ *     description: Sets the on-hand quantity, and the quantity of each lot, back to the sum of the stock movements when it was changed outside the ledger.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inventory record ID
+ *     responses:
+ *       200:
+ *         description: Quantity reconciled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inventory:
+ *                       $ref: '#/components/schemas/Inventory'
+ *                     previousQuantity:
+ *                       type: integer
+ *                     ledgerQuantity:
+ *                       type: integer
+ *                     difference:
+ *                       type: integer
+ *       404:
+ *         description: Inventory record not found
+ *       409:
+ *         description: The ledger holds fewer units than open orders have reserved
+ */
+router.post(
+  '/:id/reconcile',
+  protect,
+  restrictTo('admin'),
+  idValidation,
+  validate,
+  inventoryController.reconcileInventory
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Job Routes
+ * Defines API endpoints to follow the background jobs started by other endpoints
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background jobs, such as imports, exports and reports started with async=true
+ */
+const express = require('express');
+const { param, query } = require('express-validator');
+const jobController = require('../controllers/jobController');
+const JobService = require('../services/jobService');
+const validate = require('../middleware/validator');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Job ID must be an integer')
+];
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Users see the jobs they started, admins every job. Newest first.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Job type, such as products.import
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ */
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(JobService.getStatuses())
+      .withMessage(`Status must be one of: ${JobService.getStatuses().join(', ')}`),
+    query('type').optional().isString().withMessage('Type must be a string'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  jobController.getJobs
+);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a background job
+ *     description: Poll this to follow the progress of a job. Once it is completed, result holds what it produced.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       403:
+ *         description: Not your job
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', idValidation, validate, jobController.getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/download:
+ *   get:
+ *     summary: Download the file of a job
+ *     description: The file a completed job produced, such as an export or the error report of an import.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file, as an attachment
+ *       403:
+ *         description: Not your job
+ *       404:
+ *         description: Job not found, not completed or without a file
+ */
+router.get('/:id/download', idValidation, validate, jobController.downloadJobFile);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a background job
+ *     description: A queued job is cancelled at once. A running job is asked to stop and is cancelled at its next progress update; work it has not saved yet is rolled back. An import keeps the rows it saved, it saves 100 rows at a time.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job cancelled, or asked to stop when cancelRequested is true
+ *       400:
+ *         description: The job already finished
+ *       403:
+ *         description: Not your job
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:id/cancel', idValidation, validate, jobController.cancelJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a background job
+ *     description: Queues a failed or cancelled job again with its attempts reset.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job queued
+ *       400:
+ *         description: The job did not fail and was not cancelled
+ *       403:
+ *         description: Not your job
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:id/retry', idValidation, validate, jobController.retryJob);
+
+module.exports = router;
@@ -7,77 +7,60 @@
  *   description: Order management endpoints
  */
 const express = require('express');
+const { body, param, query } = require('express-validator');
+const OrderController = require('../controllers/orderController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const orderStateMachine = require('../utils/orderStateMachine');
+
 const router = express.Router();
-const OrderController = require('../controllers/OrderController');
-const auth = require('../middlewares/auth');
-const validate = require('../middlewares/validation');
-const { body, param } = require('express-validator');
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     OrderItem:
- *       type: object
- *       required:
- *         - product_id
- *         - quantity
- *       properties:
- *         product_id:
- *           type: integer
- *           description: ID of the product being ordered
- *         quantity:
- *           type: integer
- *           minimum: 1
- *           description: Quantity of the product
- *         price:
- *           type: number
- *           description: Price of the product at time of order
- *     Order:
- *       type: object
- *       required:
- *         - shipping_address
- *         - payment_method
- *         - items
- *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated order ID
- *         user_id:
- *           type: integer
- *           description: ID of the user who placed the order
- *         shipping_address:
- *           type: string
- *           description: Delivery address for the order
- *         payment_method:
- *           type: string
- *           description: Payment method used
- *         status:
- *           type: string
- *           enum: [pending, processing, shipped, delivered, cancelled]
- *           description: Current status of the order
- *         items:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/OrderItem'
- *         total_amount:
- *           type: number
- *           description: Total order amount
- *         created_at:
- *           type: string
- *           format: date-time
- *           description: Order creation timestamp
- */
+const ORDER_STATUSES = orderStateMachine.states;
+
+// Country code (RW) or country subdivision (US-CA) used for taxes
+const shippingRegionValidation = body('shippingRegion')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+    .withMessage('Shipping region must be a country code such as RW or a subdivision such as US-CA');
+
+// Shipping method from the rate quote (POST /api/shipping/quote)
+const shippingMethodValidation = body('shippingMethodId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Shipping method ID must be an integer')
+    .toInt();
 
 // Create order validation
 const createOrderValidation = [
-    body('shipping_address').notEmpty().withMessage('Shipping address is required'),
-    body('payment_method').notEmpty().withMessage('Payment method is required'),
+    body('shippingAddress').trim().notEmpty().withMessage('Shipping address is required'),
+    shippingRegionValidation,
+    shippingMethodValidation,
+    body('paymentMethod').trim().notEmpty().withMessage('Payment method is required'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
     body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
-    body('items.*.product_id').isInt().withMessage('Product ID must be an integer'),
+    body('items.*.productId').optional().isInt().withMessage('Product ID must be an integer'),
+    body('items.*.variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+    body('items.*')
+        .custom(item => {
+            if (!item.productId && !item.variantId) {
+                throw new Error('Each item needs a productId or a variantId');
+            }
+            return true;
+        }),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ];
 
+// Checkout validation
+const checkoutValidation = [
+    body('shippingAddress').trim().notEmpty().withMessage('Shipping address is required'),
+    shippingRegionValidation,
+    shippingMethodValidation,
+    body('paymentMethod').trim().notEmpty().withMessage('Payment method is required'),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
 // Cancel order validation
 const cancelOrderValidation = [
     param('id').isInt().withMessage('Order ID must be an integer'),
@@ -87,14 +70,39 @@ const cancelOrderValidation = [
 // Update status validation
 const updateStatusValidation = [
     param('id').isInt().withMessage('Order ID must be an integer'),
-    body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
-        .withMessage('Invalid order status')
+    body('status').isIn(ORDER_STATUSES).withMessage('Invalid order status'),
+    body('trackingNumber').optional().isString().withMessage('Tracking number must be a string'),
+    body('carrierCode').optional().isString().withMessage('Carrier code must be a string'),
+    body('sellerId').optional().isInt().withMessage('Seller ID must be an integer').toInt(),
+    body('reason').optional().isString().withMessage('Reason must be a string')
 ];
 
 // Ship order validation
 const shipOrderValidation = [
     param('id').isInt().withMessage('Order ID must be an integer'),
-    body('trackingNumber').notEmpty().withMessage('Tracking number is required')
+    body('trackingNumber').trim().notEmpty().withMessage('Tracking number is required'),
+    body('carrierCode').optional().trim().notEmpty().withMessage('Carrier code cannot be empty'),
+    body('sellerId').optional().isInt().withMessage('Seller ID must be an integer').toInt()
+];
+
+// Deliver order validation
+const deliverOrderValidation = [
+    param('id').isInt().withMessage('Order ID must be an integer'),
+    body('sellerId').optional().isInt().withMessage('Seller ID must be an integer').toInt()
+];
+
+// Serial number assignment validation
+const assignSerialsValidation = [
+    param('id').isInt().withMessage('Order ID must be an integer'),
+    param('itemId').isInt().withMessage('Order item ID must be an integer'),
+    body('serialNumbers').isArray().withMessage('Serial numbers must be an array'),
+    body('serialNumbers.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Serial numbers must be 1 to 100 characters')
+];
+
+// Order document validation
+const orderDocumentValidation = [
+    param('id').isInt().withMessage('Order ID must be an integer'),
+    query('sellerId').optional().isInt().withMessage('Seller ID must be an integer')
 ];
 
 /**
@@ -102,6 +110,7 @@ const shipOrderValidation = [
  * /api/orders:
  *   post:
  *     summary: Create a new order
+ *     description: Place an order. Prices are calculated on the server from the catalog, taxes from the tax rules of the shipping region and shipping from the rate table of the chosen method.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -112,27 +121,172 @@ const shipOrderValidation = [
  *           schema:
  *             type: object
  *             required:
- *               - shipping_address
- *               - payment_method
+ *               - shippingAddress
+ *               - paymentMethod
  *               - items
  *             properties:
- *               shipping_address:
+ *               shippingAddress:
+ *                 type: string
+ *               shippingRegion:
+ *                 type: string
+ *                 example: US-CA
+ *                 description: Country or subdivision code used to pick tax rules and the shipping zone (defaults to TAX_DEFAULT_REGION)
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: Shipping method from the rate quote. Its price for each seller's parcel is added to the total
+ *               paymentMethod:
  *                 type: string
- *               payment_method:
+ *               notes:
  *                 type: string
  *               items:
  *                 type: array
  *                 items:
- *                   $ref: '#/components/schemas/OrderItem'
+ *                   type: object
+ *                   required:
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
  *     responses:
  *       201:
  *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or insufficient stock
  *       401:
  *         description: Unauthorized
  */
-router.post('/', auth.protect, auth.restrictTo('customer', 'admin'), createOrderValidation, validate, OrderController.createOrder);
+router.post('/', protect, restrictTo('buyer', 'admin'), createOrderValidation, validate, OrderController.createOrder);
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Check out the cart
+ *     description: Converts the user's cart into a pending order with catalog prices and empties the cart. The ordered stock is reserved until payment is confirmed. If the order is not paid within the reservation window it is cancelled and the stock is released.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shippingAddress
+ *               - paymentMethod
+ *             properties:
+ *               shippingAddress:
+ *                 type: string
+ *               shippingRegion:
+ *                 type: string
+ *                 example: US-CA
+ *                 description: Country or subdivision code used to pick tax rules and the shipping zone (defaults to TAX_DEFAULT_REGION)
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: Shipping method from the rate quote. Its price for each seller's parcel is added to the total
+ *               paymentMethod:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Empty cart, invalid input or insufficient stock
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/checkout', protect, restrictTo('buyer', 'admin'), checkoutValidation, validate, OrderController.checkout);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Get all orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, totalAmount, status]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: List of all orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', protect, restrictTo('admin'), OrderController.getAllOrders);
 
 /**
  * @swagger
@@ -142,25 +296,169 @@ router.post('/', auth.protect, auth.restrictTo('customer', 'admin'), createOrder
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
  *     responses:
  *       200:
  *         description: List of user's orders
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/my-orders', protect, OrderController.getUserOrders);
+
+/**
+ * @swagger
+ * /api/orders/seller:
+ *   get:
+ *     summary: Get seller's orders
+ *     description: |
+ *       The seller's part of each order containing their products: their items, parcel, status and totals.
+ *       The buyer's order is included under Order for the delivery address and its overall status.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled]
+ *         description: Filter by the status of the seller's part
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of seller's orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SellerOrder'
  *       401:
  *         description: Unauthorized
  */
-router.get('/my-orders', auth.protect, OrderController.getUserOrders);
+router.get('/seller', protect, restrictTo('seller'), OrderController.getSellerOrders);
+
+/**
+ * @swagger
+ * /api/orders/seller/dashboard:
+ *   get:
+ *     summary: Get seller's dashboard data
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Seller's dashboard statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalOrders:
+ *                   type: integer
+ *                 pendingOrders:
+ *                   type: integer
+ *                 completedOrders:
+ *                   type: integer
+ *                 totalRevenue:
+ *                   type: number
+ *                 recentOrders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/seller/dashboard', protect, restrictTo('seller'), OrderController.getSellerDashboardData);
+
+/**
+ * @swagger
+ * /api/orders/dashboard/stats:
+ *   get:
+ *     summary: Get dashboard statistics
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dashboard statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalOrders:
+ *                   type: integer
+ *                 pendingOrders:
+ *                   type: integer
+ *                 completedOrders:
+ *                   type: integer
+ *                 totalRevenue:
+ *                   type: number
+ *                 recentOrders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/dashboard/stats', protect, restrictTo('admin'), OrderController.getAdminDashboardData);
 
 /**
  * @swagger
  * /api/orders/{id}:
  *   get:
  *     summary: Get order details
+ *     description: Sellers who did not place the order only get their own items, shipment and seller order, without the order totals.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -177,19 +475,27 @@ router.get('/my-orders', auth.protect, OrderController.getUserOrders);
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Order'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to access this order
  *       404:
  *         description: Order not found
  */
-router.get('/:id', auth.protect, param('id').isInt(), validate, OrderController.getOrderDetails);
+router.get('/:id', protect, param('id').isInt().withMessage('Order ID must be an integer'), validate, OrderController.getOrderDetails);
 
 /**
  * @swagger
- * /api/orders/{id}/cancel:
- *   post:
- *     summary: Cancel an order
+ * /api/orders/{id}/history:
+ *   get:
+ *     summary: Get order status history
+ *     description: Every status change of the order with who made it, when and why, oldest first
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -200,80 +506,188 @@ router.get('/:id', auth.protect, param('id').isInt(), validate, OrderController.
  *         schema:
  *           type: integer
  *         description: Order ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               reason:
- *                 type: string
  *     responses:
  *       200:
- *         description: Order cancelled successfully
- *       401:
- *         description: Unauthorized
+ *         description: Order status history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStatusHistory'
+ *       403:
+ *         description: Not authorized to access this order
  *       404:
  *         description: Order not found
  */
-router.post('/:id/cancel', auth.protect, cancelOrderValidation, validate, OrderController.cancelOrder);
+router.get('/:id/history', protect, param('id').isInt().withMessage('Order ID must be an integer'), validate, OrderController.getOrderHistory);
 
 /**
  * @swagger
- * /api/orders/seller:
+ * /api/orders/{id}/shipments:
  *   get:
- *     summary: Get seller's orders
+ *     summary: Get the shipments of an order
+ *     description: One shipment per seller, with its carrier, tracking number and shipping cost. Sellers only see their own shipment.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
  *     responses:
  *       200:
- *         description: List of seller's orders
+ *         description: Shipments of the order
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
- *       401:
- *         description: Unauthorized
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *       403:
+ *         description: Not authorized to access this order
+ *       404:
+ *         description: Order not found
  */
-router.get('/seller', auth.protect, auth.restrictTo('seller'), OrderController.getSellerOrders);
+router.get('/:id/shipments', protect, param('id').isInt().withMessage('Order ID must be an integer'), validate, OrderController.getOrderShipments);
 
 /**
  * @swagger
- * /api/orders/seller/dashboard:
+ * /api/orders/{id}/invoice:
  *   get:
- *     summary: Get seller's dashboard data
+ *     summary: Download an invoice
+ *     description: |
+ *       Renders the invoice of one seller's part of a paid order as a PDF. The invoice is issued
+ *       with the seller's next sequential number the first time it is requested; later requests
+ *       return the same invoice. Sellers always get their own invoice. Buyers and admins must
+ *       pass sellerId when the order has items from several sellers.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: integer
+ *         description: Seller whose invoice to download
  *     responses:
  *       200:
- *         description: Seller's dashboard statistics
+ *         description: Invoice PDF. The invoice number is also sent in the X-Invoice-Number header.
  *         content:
- *           application/json:
+ *           application/pdf:
  *             schema:
- *               type: object
- *               properties:
- *                 total_orders:
- *                   type: integer
- *                 total_revenue:
- *                   type: number
- *                 recent_orders:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Order'
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Order not paid yet, or sellerId missing for a multi-seller order
+ *       403:
+ *         description: Not authorized to access this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/invoice', protect, orderDocumentValidation, validate, OrderController.getInvoice);
+
+/**
+ * @swagger
+ * /api/orders/{id}/packing-slip:
+ *   get:
+ *     summary: Download a packing slip
+ *     description: Renders the items one seller has to pack for a paid order as a PDF, without prices. The seller is chosen the same way as for the invoice.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: integer
+ *         description: Seller whose items to list
+ *     responses:
+ *       200:
+ *         description: Packing slip PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Order not paid yet, or sellerId missing for a multi-seller order
+ *       403:
+ *         description: Not authorized to access this order
+ */
+router.get('/:id/packing-slip', protect, orderDocumentValidation, validate, OrderController.getPackingSlip);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: Buyers can cancel their own pending orders, admins can also cancel processing orders. Stock is returned to inventory.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       400:
+ *         description: Order can no longer be cancelled
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Order not found
  */
-router.get('/seller/dashboard', auth.protect, auth.restrictTo('seller'), OrderController.getSellerDashboardData);
+router.post('/:id/cancel', protect, cancelOrderValidation, validate, OrderController.cancelOrder);
 
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   patch:
  *     summary: Update order status
+ *     description: shipped and delivered work like POST /api/orders/{id}/ship and POST /api/orders/{id}/deliver.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -296,23 +710,33 @@ router.get('/seller/dashboard', auth.protect, auth.restrictTo('seller'), OrderCo
  *               status:
  *                 type: string
  *                 enum: [pending, processing, shipped, delivered, cancelled]
+ *               trackingNumber:
+ *                 type: string
+ *               carrierCode:
+ *                 type: string
+ *               sellerId:
+ *                 type: integer
+ *                 description: Admins only. Seller whose part is shipped or delivered
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
  *       400:
- *         description: Invalid status
+ *         description: Invalid status transition
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Order not found
  */
-router.patch('/:id/status', auth.protect, auth.restrictTo('seller', 'admin'), updateStatusValidation, validate, OrderController.updateOrderStatus);
+router.patch('/:id/status', protect, restrictTo('seller', 'admin'), updateStatusValidation, validate, OrderController.updateOrderStatus);
 
 /**
  * @swagger
  * /api/orders/{id}/ship:
  *   post:
- *     summary: Ship an order
+ *     summary: Ship a seller's part of an order
+ *     description: Every seller ships their seller order as a separate shipment with its own tracking number. The order stays processing until all seller orders are shipped.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -334,9 +758,15 @@ router.patch('/:id/status', auth.protect, auth.restrictTo('seller', 'admin'), up
  *             properties:
  *               trackingNumber:
  *                 type: string
+ *               carrierCode:
+ *                 type: string
+ *                 description: Carrier delivering the parcel (defaults to the carrier of the shipping method)
+ *               sellerId:
+ *                 type: integer
+ *                 description: Admins only. Seller whose part is shipped (every part still processing when left out)
  *     responses:
  *       200:
- *         description: Order shipped successfully
+ *         description: Seller order shipped. The order is shipped once every seller order is shipped
  *       400:
  *         description: Invalid input
  *       401:
@@ -344,13 +774,14 @@ router.patch('/:id/status', auth.protect, auth.restrictTo('seller', 'admin'), up
  *       404:
  *         description: Order not found
  */
-router.post('/:id/ship', auth.protect, auth.restrictTo('seller', 'admin'), shipOrderValidation, validate, OrderController.shipOrder);
+router.post('/:id/ship', protect, restrictTo('seller', 'admin'), shipOrderValidation, validate, OrderController.shipOrder);
 
 /**
  * @swagger
  * /api/orders/{id}/deliver:
  *   post:
- *     summary: Deliver an order
+ *     summary: Deliver a seller's part of an order
+ *     description: Sellers deliver their own seller order. The order is delivered once all seller orders are delivered.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -361,65 +792,75 @@ router.post('/:id/ship', auth.protect, auth.restrictTo('seller', 'admin'), shipO
  *         schema:
  *           type: integer
  *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sellerId:
+ *                 type: integer
+ *                 description: Admins only. Seller whose part is delivered (every shipped part when left out)
  *     responses:
  *       200:
- *         description: Order delivered successfully
+ *         description: Seller order delivered
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Order not found
  */
-router.post('/:id/deliver', auth.protect, auth.restrictTo('seller', 'admin'), param('id').isInt(), validate, OrderController.deliverOrder);
-
-/**
- * @swagger
- * /api/orders:
- *   get:
- *     summary: Get all orders
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of all orders
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
- *       401:
- *         description: Unauthorized
- */
-router.get('/', auth.protect, auth.restrictTo('admin'), OrderController.getAllOrders);
+router.post('/:id/deliver', protect, restrictTo('seller', 'admin'), deliverOrderValidation, validate, OrderController.deliverOrder);
 
 /**
  * @swagger
- * /api/orders/dashboard/stats:
- *   get:
- *     summary: Get dashboard statistics
+ * /api/orders/{id}/items/{itemId}/serials:
+ *   put:
+ *     summary: Assign serial numbers to an order item
+ *     description: For serialized products and variants, the seller picks the units an item ships with while the order is processing. The list replaces the units assigned before, units left out go back in stock. The item cannot ship until every unit has a serial number.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serialNumbers
+ *             properties:
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: In stock serial numbers of the inventory record the item was sold from, at most one per unit
  *     responses:
  *       200:
- *         description: Dashboard statistics
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 total_orders:
- *                   type: integer
- *                 total_revenue:
- *                   type: number
- *                 recent_orders:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Order'
+ *         description: Serial numbers now assigned to the item
+ *       400:
+ *         description: Invalid input, the item is not serialized or no longer processing
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The item belongs to another seller
+ *       404:
+ *         description: Order item or serial number not found
+ *       409:
+ *         description: A serial number is not in stock
  */
-router.get('/dashboard/stats', auth.protect, auth.restrictTo('admin'), OrderController.getDashboardData);
+router.put('/:id/items/:itemId/serials', protect, restrictTo('seller', 'admin'), assignSerialsValidation, validate, OrderController.assignSerials);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
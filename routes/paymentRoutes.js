@@ -0,0 +1,307 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const paymentController = require('../controllers/paymentController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: The request signature is verified by the provider. A payment.captured event moves the order to processing.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Provider name, e.g. mock
+ *       - in: header
+ *         name: X-Mock-Signature
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body (mock provider)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [payment.captured, payment.failed, payment.voided]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Webhook received
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Payment not found
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   get:
+ *     summary: Get the payments of an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payments of the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Not authorized to access this order
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  '/orders/:orderId',
+  protect,
+  [
+    param('orderId')
+      .isInt()
+      .withMessage('Order ID must be an integer')
+  ],
+  validate,
+  paymentController.getOrderPayments
+);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   post:
+ *     summary: Pay for an order
+ *     description: Authorizes the order total with the payment provider. With capture set to true the payment is captured at once and the order moves to processing.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentToken
+ *             properties:
+ *               paymentToken:
+ *                 type: string
+ *                 description: Token of the customer's payment method, issued by the provider
+ *               provider:
+ *                 type: string
+ *                 description: Provider name (defaults to PAYMENT_PROVIDER)
+ *               capture:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Payment authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Order is not pending or its reservation has expired
+ *       402:
+ *         description: Payment declined
+ *       409:
+ *         description: Order already has an active payment
+ */
+router.post(
+  '/orders/:orderId',
+  protect,
+  [
+    param('orderId')
+      .isInt()
+      .withMessage('Order ID must be an integer'),
+    body('paymentToken')
+      .trim()
+      .notEmpty()
+      .withMessage('Payment token is required'),
+    body('provider')
+      .optional()
+      .isString()
+      .withMessage('Provider must be a string'),
+    body('capture')
+      .optional()
+      .isBoolean()
+      .withMessage('Capture must be a boolean value')
+      .toBoolean()
+  ],
+  validate,
+  paymentController.authorizePayment
+);
+
+/**
+ * @swagger
+ * /api/payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorized payment
+ *     description: Captures the payment and moves the order to processing
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *       400:
+ *         description: Payment is not authorized or the order cannot be paid
+ *       402:
+ *         description: Capture failed at the provider
+ */
+router.post(
+  '/:id/capture',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isInt()
+      .withMessage('Payment ID must be an integer')
+  ],
+  validate,
+  paymentController.capturePayment
+);
+
+/**
+ * @swagger
+ * /api/payments/{id}/void:
+ *   post:
+ *     summary: Void an authorized payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment voided
+ *       400:
+ *         description: Payment is not authorized
+ */
+router.post(
+  '/:id/void',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isInt()
+      .withMessage('Payment ID must be an integer')
+  ],
+  validate,
+  paymentController.voidPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment
+ *     description: Refunds the given amount, or everything not yet refunded when no amount is sent
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment refunded
+ *       400:
+ *         description: Payment is not captured or the amount is too high
+ */
+router.post(
+  '/:id/refund',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isInt()
+      .withMessage('Payment ID must be an integer'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount must be a positive number')
+      .toFloat(),
+    body('reason')
+      .optional()
+      .isString()
+      .withMessage('Reason must be a string')
+  ],
+  validate,
+  paymentController.refundPayment
+);
+
+module.exports = router;
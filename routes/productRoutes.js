@@ -1,18 +1,51 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const productController = require('../controllers/productController');
 const validate = require('../middleware/validator');
-const { protect } = require('../middleware/auth');
+const {
+  createProductValidation,
+  updateProductValidation,
+  createVariantValidation,
+  updateVariantValidation
+} = require('../middleware/productValidation');
+const { protect, optionalAuth, restrictTo } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/permission');
+const AvailabilityService = require('../services/availabilityService');
+const ProductImportService = require('../services/productImportService');
+const ProductModerationService = require('../services/productModerationService');
 
 const router = express.Router();
 
+const IMPORT_FORMATS = ['csv', 'jsonl'];
+const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx'];
+
+// async=true runs the request as a background job, see /api/jobs
+const asyncValidation = () => query('async')
+  .optional()
+  .isBoolean()
+  .withMessage('async must be a boolean value')
+  .toBoolean();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Product ID must be an integer')
+];
+
+const statusValidation = () => query('status')
+  .optional()
+  .isIn(ProductModerationService.getStatuses())
+  .withMessage(`Status must be one of: ${ProductModerationService.getStatuses().join(', ')}`);
+
 /**
  * @swagger
  * /api/products:
  *   get:
  *     summary: Get all products
- *     description: Retrieve a list of products with optional filtering, sorting, and pagination
+ *     description: >
+ *       Retrieve a list of products with optional filtering, sorting, and pagination. Buyers and guests only get
+ *       published active products. With a token, sellers get their own products in every status and admins all
+ *       products, and both can filter by status.
  *     tags: [Products]
  *     parameters:
  *       - in: query
@@ -56,6 +89,17 @@ const router = express.Router();
  *           type: integer
  *         description: Filter by seller ID
  *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *         description: Comma-separated availability statuses (in_stock, low_stock, preorder, backorder, out_of_stock)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending_review, approved, rejected, published, archived]
+ *         description: Filter by moderation status (Admins and Sellers only)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -102,7 +146,143 @@ const router = express.Router();
  *                   items:
  *                     $ref: '#/components/schemas/Product'
  */
-router.get('/', productController.getAllProducts);
+router.get(
+  '/',
+  optionalAuth,
+  [
+    query('availability')
+      .optional()
+      .custom(value => value.split(',').every(status => AvailabilityService.getStatuses().includes(status)))
+      .withMessage(`Availability must be one or more of ${AvailabilityService.getStatuses().join(', ')}`),
+    statusValidation()
+  ],
+  validate,
+  productController.getAllProducts
+);
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export products
+ *     description: >
+ *       Download the products matching the filters of the product list, with their variants, stock per warehouse and
+ *       category path, as CSV, JSON Lines or XLSX (Admins and Sellers only). Sellers only export their own products.
+ *       The file is written while the products are read. Its columns are those of the product import, so an
+ *       exported file can be edited and imported again. Each product and variant is a row, repeated for every
+ *       warehouse it is stocked in.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Filter by product name
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price filter
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price filter
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Filter by tags
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status, admins get inactive products too by default
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Filter by featured status
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by seller ID
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *         description: Comma-separated availability statuses (in_stock, low_stock, preorder, backorder, out_of_stock)
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Export in a background job and answer 202 with the job. The file is downloaded from the job once it is completed
+ *     responses:
+ *       200:
+ *         description: The export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       202:
+ *         description: Export queued as a background job, to follow at the Location header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/export',
+  protect,
+  checkPermission('products', 'create'),
+  [
+    query('format')
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('availability')
+      .optional()
+      .custom(value => value.split(',').every(status => AvailabilityService.getStatuses().includes(status)))
+      .withMessage(`Availability must be one or more of ${AvailabilityService.getStatuses().join(', ')}`),
+    asyncValidation()
+  ],
+  validate,
+  productController.exportProducts
+);
 
 /**
  * @swagger
@@ -155,13 +335,884 @@ router.get('/', productController.getAllProducts);
  */
 router.get('/search', productController.searchProducts);
 
+/**
+ * @swagger
+ * /api/products/moderation:
+ *   get:
+ *     summary: Get the moderation queue
+ *     description: Products waiting for review, oldest submission first, with their seller (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending_review, approved, rejected, published, archived]
+ *           default: pending_review
+ *         description: Moderation status to list
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by seller ID
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Products waiting for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/moderation',
+  protect,
+  restrictTo('admin'),
+  [
+    statusValidation(),
+    query('sellerId').optional().isInt().withMessage('Seller ID must be an integer'),
+    query('categoryId').optional().isInt().withMessage('Category ID must be an integer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  productController.getModerationQueue
+);
+
+/**
+ * @swagger
+ * /api/products/schedule:
+ *   get:
+ *     summary: Get the publishing schedule
+ *     description: >
+ *       Scheduled publishing and unpublishing of products and variants, soonest first (Admin only). A product is
+ *       only published once it is approved, so a publishAt that has passed stays listed until the product is approved.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes scheduled from this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes scheduled until this time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [product, variant]
+ *         description: Only products or only variants
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by seller ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Scheduled changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [product, variant]
+ *                       action:
+ *                         type: string
+ *                         enum: [publish, unpublish]
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *                       product:
+ *                         type: object
+ *                       variant:
+ *                         type: object
+ *                         nullable: true
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/schedule',
+  protect,
+  restrictTo('admin'),
+  [
+    query('from').optional().isISO8601().withMessage('from must be a date and time'),
+    query('to').optional().isISO8601().withMessage('to must be a date and time'),
+    query('type').optional().isIn(['product', 'variant']).withMessage('Type must be product or variant'),
+    query('sellerId').optional().isInt().withMessage('Seller ID must be an integer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  productController.getUpcomingSchedule
+);
+
 /**
  * @swagger
  * /api/products/{id}:
  *   get:
  *     summary: Get product by ID
- *     description: Retrieve a specific product by its ID
+ *     description: Retrieve a specific product by its ID. Products that are not published and active are only found by admins and their seller. `stock` sums the stock of the product and its variants over all active warehouses. Each variant has its own `stock`. `availability` is in_stock, low_stock, preorder, backorder or out_of_stock, the best status of the active variants for a product with variants.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id', optionalAuth, productController.getProductById);
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     description: Create a new product in the catalog (Admin or Seller only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - sku
+ *               - basePrice
+ *               - categoryId
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               basePrice:
+ *                 type: number
+ *               discountType:
+ *                 type: string
+ *                 enum: [none, percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *               categoryId:
+ *                 type: integer
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               attributes:
+ *                 type: object
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight of one unit in kg
+ *               length:
+ *                 type: number
+ *                 description: Packed length in cm
+ *               width:
+ *                 type: number
+ *                 description: Packed width in cm
+ *               height:
+ *                 type: number
+ *                 description: Packed height in cm
+ *               isActive:
+ *                 type: boolean
+ *               isFeatured:
+ *                 type: boolean
+ *               backorderPolicy:
+ *                 type: string
+ *                 enum: [none, backorder, preorder]
+ *                 description: Sell beyond the stock on hand as backorders or pre-orders
+ *               backorderLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units that can be sold beyond the stock on hand (empty for no limit)
+ *               availableAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: Release date of a pre-order, pre-orders close on this date
+ *               isSerialized:
+ *                 type: boolean
+ *                 description: Track every unit by serial number. Can only change while the product holds no stock
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Publish the product at this time, once it is approved
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Take the product off sale at this time
+ *               inventory:
+ *                 type: object
+ *                 properties:
+ *                   quantity:
+ *                     type: integer
+ *                   lowStockThreshold:
+ *                     type: integer
+ *                   location:
+ *                     type: string
+ *                   warehouseId:
+ *                     type: integer
+ *                     description: Warehouse whose stock row is created or updated (omit for stock outside any warehouse)
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not authorized to create products
+ */
+router.post(
+  '/',
+  protect,
+  checkPermission('products', 'create'),
+  createProductValidation,
+  validate,
+  productController.createProduct
+);
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Import products from a file
+ *     description: >
+ *       Create or update products, variants and their stock from a CSV or JSON Lines file (Admins and Sellers only).
+ *       Each row is one product, or one variant when it has a productSku. Rows are matched on SKU: new SKUs are created
+ *       and known ones updated, with the same rules as creating and updating them one at a time. Rows that fail are
+ *       reported per line and do not stop the others. A dry run checks and reports everything without saving.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *         description: Format of the file, taken from its extension by default
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check the file and report what would happen without saving anything
+ *       - in: query
+ *         name: report
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Send csv to download the errors as a CSV file, with the totals in X-Import-* headers
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Import in a background job and answer 202 with the job. Its result is the import report, and the error report can be downloaded from the job
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file with a header row, or JSON Lines with one object per line (up to 10MB and 10000 rows)
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     format:
+ *                       type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         rows:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                         updated:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                             description: Line of the file the row starts on
+ *                           sku:
+ *                             type: string
+ *                           field:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: The errors with the columns line, sku, field and message
+ *       202:
+ *         description: Import queued as a background job, to follow at the Location header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: No file, unknown format or columns, or validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.post(
+  '/import',
+  protect,
+  checkPermission('products', 'create'),
+  ProductImportService.getUploadMiddleware(),
+  [
+    query('format')
+      .optional()
+      .isIn(IMPORT_FORMATS)
+      .withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean value')
+      .toBoolean(),
+    query('report')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('Report must be json or csv'),
+    asyncValidation()
+  ],
+  validate,
+  productController.importProducts
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update a product
+ *     description: Update an existing product by ID (Admin or Product Owner)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               basePrice:
+ *                 type: number
+ *               discountType:
+ *                 type: string
+ *                 enum: [none, percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *               categoryId:
+ *                 type: integer
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               attributes:
+ *                 type: object
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight of one unit in kg
+ *               length:
+ *                 type: number
+ *                 description: Packed length in cm
+ *               width:
+ *                 type: number
+ *                 description: Packed width in cm
+ *               height:
+ *                 type: number
+ *                 description: Packed height in cm
+ *               isActive:
+ *                 type: boolean
+ *               isFeatured:
+ *                 type: boolean
+ *               backorderPolicy:
+ *                 type: string
+ *                 enum: [none, backorder, preorder]
+ *                 description: Sell beyond the stock on hand as backorders or pre-orders
+ *               backorderLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units that can be sold beyond the stock on hand (empty for no limit)
+ *               availableAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: Release date of a pre-order, pre-orders close on this date
+ *               isSerialized:
+ *                 type: boolean
+ *                 description: Track every unit by serial number. Can only change while the product holds no stock
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Publish the product at this time, once it is approved
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Take the product off sale at this time
+ *               inventory:
+ *                 type: object
+ *                 properties:
+ *                   quantity:
+ *                     type: integer
+ *                   lowStockThreshold:
+ *                     type: integer
+ *                   location:
+ *                     type: string
+ *                   warehouseId:
+ *                     type: integer
+ *                     description: Warehouse whose stock row is created or updated (omit for stock outside any warehouse)
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not authorized to update this product
+ */
+router.put(
+  '/:id',
+  protect,
+  checkPermission('products', 'update'),
+  updateProductValidation,
+  validate,
+  productController.updateProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Delete a product
+ *     description: Delete a product by ID with its variants, stock and images (Admin or Product Owner)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Delete in a background job and answer 202 with the job
+ *     responses:
+ *       200:
+ *         description: Product deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       202:
+ *         description: Job queued to delete the product
+ *       404:
+ *         description: Product not found
+ *       403:
+ *         description: Not authorized to delete this product
+ */
+router.delete(
+  '/:id',
+  protect,
+  checkPermission('products', 'delete'),
+  [asyncValidation()],
+  validate,
+  productController.deleteProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/submit:
+ *   post:
+ *     summary: Submit a product for review
+ *     description: Send a draft or rejected product to the moderation queue (Admin or Product Owner)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product with its new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The product cannot move to this status from its current status
+ *       403:
+ *         description: Not authorized to change this product
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:id/submit',
+  protect,
+  checkPermission('products', 'update'),
+  idValidation,
+  validate,
+  productController.submitProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/approve:
+ *   post:
+ *     summary: Approve a product
+ *     description: Approve a product waiting for review and clear its rejection reason. With publish set it is published at once (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publish:
+ *                 type: boolean
+ *                 description: Publish the product right away
+ *               note:
+ *                 type: string
+ *                 description: Note kept in the status history
+ *     responses:
+ *       200:
+ *         description: Product with its new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The product cannot move to this status from its current status
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:id/approve',
+  protect,
+  restrictTo('admin'),
+  [
+    ...idValidation,
+    body('publish')
+      .optional()
+      .isBoolean()
+      .withMessage('publish must be a boolean value')
+      .toBoolean(),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters long')
+  ],
+  validate,
+  productController.approveProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/reject:
+ *   post:
+ *     summary: Reject a product
+ *     description: Send a product waiting for review back to its seller. The reason is kept on the product as rejectionReason until it is approved (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: What the seller has to change
+ *     responses:
+ *       200:
+ *         description: Product with its new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Reason missing, or the product is not waiting for review
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:id/reject',
+  protect,
+  restrictTo('admin'),
+  [
+    ...idValidation,
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('A rejection reason is required')
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters long')
+  ],
+  validate,
+  productController.rejectProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/publish:
+ *   post:
+ *     summary: Publish a product
+ *     description: Put an approved product on sale, buyers can then find it (Admin or Product Owner)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product with its new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The product cannot move to this status from its current status
+ *       403:
+ *         description: Not authorized to change this product
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:id/publish',
+  protect,
+  checkPermission('products', 'update'),
+  idValidation,
+  validate,
+  productController.publishProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/unpublish:
+ *   post:
+ *     summary: Unpublish a product
+ *     description: Take a published product off sale. It goes back to approved and can be published again without a review (Admin or Product Owner)
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -171,7 +1222,7 @@ router.get('/search', productController.searchProducts);
  *         description: Product ID
  *     responses:
  *       200:
- *         description: Product details
+ *         description: Product with its new status
  *         content:
  *           application/json:
  *             schema:
@@ -181,75 +1232,51 @@ router.get('/search', productController.searchProducts);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: The product cannot move to this status from its current status
+ *       403:
+ *         description: Not authorized to change this product
  *       404:
  *         description: Product not found
  */
-router.get('/:id', productController.getProductById);
+router.post(
+  '/:id/unpublish',
+  protect,
+  checkPermission('products', 'update'),
+  idValidation,
+  validate,
+  productController.unpublishProduct
+);
 
 /**
  * @swagger
- * /api/products:
+ * /api/products/{id}/archive:
  *   post:
- *     summary: Create a new product
- *     description: Create a new product in the catalog (Admin or Seller only)
+ *     summary: Archive a product
+ *     description: Archive a product that is no longer sold, whatever its status (Admin or Product Owner)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - name
- *               - sku
- *               - basePrice
- *               - categoryId
  *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               sku:
- *                 type: string
- *               basePrice:
- *                 type: number
- *               discountType:
+ *               reason:
  *                 type: string
- *                 enum: [none, percentage, fixed]
- *               discountValue:
- *                 type: number
- *               categoryId:
- *                 type: integer
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *               imageUrls:
- *                 type: array
- *                 items:
- *                   type: string
- *               attributes:
- *                 type: object
- *               isActive:
- *                 type: boolean
- *               isFeatured:
- *                 type: boolean
- *               inventory:
- *                 type: object
- *                 properties:
- *                   quantity:
- *                     type: integer
- *                   lowStockThreshold:
- *                     type: integer
- *                   reservedQuantity:
- *                     type: integer
- *                   location:
- *                     type: string
+ *                 description: Why the product is archived
  *     responses:
- *       201:
- *         description: Product created successfully
+ *       200:
+ *         description: Product with its new status
  *         content:
  *           application/json:
  *             schema:
@@ -260,106 +1287,34 @@ router.get('/:id', productController.getProductById);
  *                 data:
  *                   $ref: '#/components/schemas/Product'
  *       400:
- *         description: Invalid input
+ *         description: The product cannot move to this status from its current status
  *       403:
- *         description: Not authorized to create products
+ *         description: Not authorized to change this product
+ *       404:
+ *         description: Product not found
  */
 router.post(
-  '/',
+  '/:id/archive',
   protect,
-  checkPermission('products', 'create'),
+  checkPermission('products', 'update'),
   [
-    body('name')
-      .trim()
-      .notEmpty()
-      .withMessage('Product name is required')
-      .isLength({ max: 200 })
-      .withMessage('Product name cannot exceed 200 characters'),
-    body('description')
-      .optional()
-      .trim(),
-    body('sku')
-      .trim()
-      .notEmpty()
-      .withMessage('SKU is required')
-      .isLength({ max: 50 })
-      .withMessage('SKU cannot exceed 50 characters'),
-    body('basePrice')
-      .notEmpty()
-      .withMessage('Base price is required')
-      .isFloat({ min: 0 })
-      .withMessage('Base price must be a positive number'),
-    body('discountType')
-      .optional()
-      .isIn(['none', 'percentage', 'fixed'])
-      .withMessage('Discount type must be none, percentage, or fixed'),
-    body('discountValue')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Discount value must be a positive number'),
-    body('categoryId')
-      .notEmpty()
-      .withMessage('Category ID is required')
-      .isInt()
-      .withMessage('Category ID must be an integer'),
-    body('tags')
-      .optional()
-      .custom(value => {
-        if (Array.isArray(value)) {
-          return true;
-        }
-        if (typeof value === 'string') {
-          return true;
-        }
-        throw new Error('Tags must be an array or a string');
-      }),
-    body('imageUrls')
-      .optional()
-      .isArray()
-      .withMessage('Image URLs must be an array'),
-    body('imageUrls.*')
-      .optional()
-      .isURL()
-      .withMessage('Each image URL must be a valid URL'),
-    body('attributes')
-      .optional()
-      .isObject()
-      .withMessage('Attributes must be an object'),
-    body('isActive')
-      .optional()
-      .isBoolean()
-      .withMessage('isActive must be a boolean value'),
-    body('isFeatured')
-      .optional()
-      .isBoolean()
-      .withMessage('isFeatured must be a boolean value'),
-    body('inventory.quantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Inventory quantity must be a non-negative integer'),
-    body('inventory.lowStockThreshold')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Low stock threshold must be a non-negative integer'),
-    body('inventory.reservedQuantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Reserved quantity must be a non-negative integer'),
-    body('inventory.location')
+    ...idValidation,
+    body('reason')
       .optional()
       .isString()
-      .withMessage('Location must be a string')
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters long')
   ],
   validate,
-  productController.createProduct
+  productController.archiveProduct
 );
 
 /**
  * @swagger
- * /api/products/{id}:
- *   put:
- *     summary: Update a product
- *     description: Update an existing product by ID (Admin or Product Owner)
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore an archived product
+ *     description: Bring an archived product back as a draft. It has to be reviewed again before it is sold (Admin or Product Owner)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -370,55 +1325,9 @@ router.post(
  *         schema:
  *           type: integer
  *         description: Product ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               sku:
- *                 type: string
- *               basePrice:
- *                 type: number
- *               discountType:
- *                 type: string
- *                 enum: [none, percentage, fixed]
- *               discountValue:
- *                 type: number
- *               categoryId:
- *                 type: integer
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *               imageUrls:
- *                 type: array
- *                 items:
- *                   type: string
- *               attributes:
- *                 type: object
- *               isActive:
- *                 type: boolean
- *               isFeatured:
- *                 type: boolean
- *               inventory:
- *                 type: object
- *                 properties:
- *                   quantity:
- *                     type: integer
- *                   lowStockThreshold:
- *                     type: integer
- *                   reservedQuantity:
- *                     type: integer
- *                   location:
- *                     type: string
  *     responses:
  *       200:
- *         description: Product updated successfully
+ *         description: Product with its new status
  *         content:
  *           application/json:
  *             schema:
@@ -428,109 +1337,28 @@ router.post(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
- *       404:
- *         description: Product not found
  *       400:
- *         description: Invalid input
+ *         description: The product cannot move to this status from its current status
  *       403:
- *         description: Not authorized to update this product
+ *         description: Not authorized to change this product
+ *       404:
+ *         description: Product not found
  */
-router.put(
-  '/:id',
+router.post(
+  '/:id/restore',
   protect,
   checkPermission('products', 'update'),
-  [
-    body('name')
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage('Product name cannot be empty')
-      .isLength({ max: 200 })
-      .withMessage('Product name cannot exceed 200 characters'),
-    body('description')
-      .optional()
-      .trim(),
-    body('sku')
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage('SKU cannot be empty')
-      .isLength({ max: 50 })
-      .withMessage('SKU cannot exceed 50 characters'),
-    body('basePrice')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Base price must be a positive number'),
-    body('discountType')
-      .optional()
-      .isIn(['none', 'percentage', 'fixed'])
-      .withMessage('Discount type must be none, percentage, or fixed'),
-    body('discountValue')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Discount value must be a positive number'),
-    body('categoryId')
-      .optional()
-      .isInt()
-      .withMessage('Category ID must be an integer'),
-    body('tags')
-      .optional()
-      .custom(value => {
-        if (Array.isArray(value)) {
-          return true;
-        }
-        if (typeof value === 'string') {
-          return true;
-        }
-        throw new Error('Tags must be an array or a string');
-      }),
-    body('imageUrls')
-      .optional()
-      .isArray()
-      .withMessage('Image URLs must be an array'),
-    body('imageUrls.*')
-      .optional()
-      .isURL()
-      .withMessage('Each image URL must be a valid URL'),
-    body('attributes')
-      .optional()
-      .isObject()
-      .withMessage('Attributes must be an object'),
-    body('isActive')
-      .optional()
-      .isBoolean()
-      .withMessage('isActive must be a boolean value'),
-    body('isFeatured')
-      .optional()
-      .isBoolean()
-      .withMessage('isFeatured must be a boolean value'),
-    body('inventory.quantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Inventory quantity must be a non-negative integer'),
-    body('inventory.lowStockThreshold')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Low stock threshold must be a non-negative integer'),
-    body('inventory.reservedQuantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Reserved quantity must be a non-negative integer'),
-    body('inventory.location')
-      .optional()
-      .isString()
-      .withMessage('Location must be a string')
-  ],
+  idValidation,
   validate,
-  productController.updateProduct
+  productController.restoreProduct
 );
 
 /**
  * @swagger
- * /api/products/{id}:
- *   delete:
- *     summary: Delete a product
- *     description: Delete a product by ID (Admin or Product Owner)
+ * /api/products/{id}/status-history:
+ *   get:
+ *     summary: Get the status history of a product
+ *     description: Every status change of the product, oldest first, with who made it and the rejection reasons (Admin or Product Owner)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -543,7 +1371,7 @@ router.put(
  *         description: Product ID
  *     responses:
  *       200:
- *         description: Product deleted successfully
+ *         description: Status history
  *         content:
  *           application/json:
  *             schema:
@@ -551,18 +1379,24 @@ router.put(
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 count:
+ *                   type: integer
  *                 data:
- *                   type: object
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductStatusHistory'
+ *       403:
+ *         description: Not authorized to view the history of this product
  *       404:
  *         description: Product not found
- *       403:
- *         description: Not authorized to delete this product
  */
-router.delete(
-  '/:id',
+router.get(
+  '/:id/status-history',
   protect,
-  checkPermission('products', 'delete'),
-  productController.deleteProduct
+  checkPermission('products', 'update'),
+  idValidation,
+  validate,
+  productController.getProductStatusHistory
 );
 
 /**
@@ -598,7 +1432,7 @@ router.delete(
  *       404:
  *         description: Product not found
  */
-router.get('/:id/variants', productController.getProductVariants);
+router.get('/:id/variants', optionalAuth, productController.getProductVariants);
 
 /**
  * @swagger
@@ -645,6 +1479,32 @@ router.get('/:id/variants', productController.getProductVariants);
  *                   type: string
  *               isActive:
  *                 type: boolean
+ *               backorderPolicy:
+ *                 type: string
+ *                 enum: [none, backorder, preorder]
+ *                 nullable: true
+ *                 description: Empty to use the backorder settings of the product
+ *               backorderLimit:
+ *                 type: integer
+ *                 nullable: true
+ *               availableAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               isSerialized:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Track every unit by serial number, null to follow the product
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Activate the variant at this time. A variant waiting for it is inactive unless isActive is given
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Deactivate the variant at this time
  *               inventory:
  *                 type: object
  *                 properties:
@@ -652,10 +1512,11 @@ router.get('/:id/variants', productController.getProductVariants);
  *                     type: integer
  *                   lowStockThreshold:
  *                     type: integer
- *                   reservedQuantity:
- *                     type: integer
  *                   location:
  *                     type: string
+ *                   warehouseId:
+ *                     type: integer
+ *                     description: Warehouse whose stock row is created or updated (omit for stock outside any warehouse)
  *     responses:
  *       201:
  *         description: Variant created successfully
@@ -679,64 +1540,7 @@ router.post(
   '/:id/variants',
   protect,
   checkPermission('variants', 'create'),
-  [
-    body('sku')
-      .trim()
-      .notEmpty()
-      .withMessage('SKU is required')
-      .isLength({ max: 50 })
-      .withMessage('SKU cannot exceed 50 characters'),
-    body('name')
-      .optional()
-      .trim()
-      .isLength({ max: 200 })
-      .withMessage('Variant name cannot exceed 200 characters'),
-    body('price')
-      .notEmpty()
-      .withMessage('Price is required')
-      .isFloat({ min: 0 })
-      .withMessage('Price must be a positive number'),
-    body('discountType')
-      .optional()
-      .isIn(['none', 'percentage', 'fixed'])
-      .withMessage('Discount type must be none, percentage, or fixed'),
-    body('discountValue')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Discount value must be a positive number'),
-    body('options')
-      .optional()
-      .isObject()
-      .withMessage('Options must be an object'),
-    body('imageUrls')
-      .optional()
-      .isArray()
-      .withMessage('Image URLs must be an array'),
-    body('imageUrls.*')
-      .optional()
-      .isURL()
-      .withMessage('Each image URL must be a valid URL'),
-    body('isActive')
-      .optional()
-      .isBoolean()
-      .withMessage('isActive must be a boolean value'),
-    body('inventory.quantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Inventory quantity must be a non-negative integer'),
-    body('inventory.lowStockThreshold')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Low stock threshold must be a non-negative integer'),
-    body('inventory.reservedQuantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Reserved quantity must be a non-negative integer'),
-    body('inventory.location')
-      .optional()
-      .isString()
-      .withMessage('Location must be a string')
-  ],
+  createVariantValidation,
   validate,
   productController.createProductVariant
 );
@@ -788,6 +1592,32 @@ router.post(
  *                   type: string
  *               isActive:
  *                 type: boolean
+ *               backorderPolicy:
+ *                 type: string
+ *                 enum: [none, backorder, preorder]
+ *                 nullable: true
+ *                 description: Empty to use the backorder settings of the product
+ *               backorderLimit:
+ *                 type: integer
+ *                 nullable: true
+ *               availableAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               isSerialized:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Track every unit by serial number, null to follow the product
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Activate the variant at this time. A variant waiting for it is inactive unless isActive is given
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Deactivate the variant at this time
  *               inventory:
  *                 type: object
  *                 properties:
@@ -795,10 +1625,11 @@ router.post(
  *                     type: integer
  *                   lowStockThreshold:
  *                     type: integer
- *                   reservedQuantity:
- *                     type: integer
  *                   location:
  *                     type: string
+ *                   warehouseId:
+ *                     type: integer
+ *                     description: Warehouse whose stock row is created or updated (omit for stock outside any warehouse)
  *     responses:
  *       200:
  *         description: Variant updated successfully
@@ -822,64 +1653,7 @@ router.put(
   '/:productId/variants/:id',
   protect,
   checkPermission('variants', 'update'),
-  [
-    body('sku')
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage('SKU cannot be empty')
-      .isLength({ max: 50 })
-      .withMessage('SKU cannot exceed 50 characters'),
-    body('name')
-      .optional()
-      .trim()
-      .isLength({ max: 200 })
-      .withMessage('Variant name cannot exceed 200 characters'),
-    body('price')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Price must be a positive number'),
-    body('discountType')
-      .optional()
-      .isIn(['none', 'percentage', 'fixed'])
-      .withMessage('Discount type must be none, percentage, or fixed'),
-    body('discountValue')
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Discount value must be a positive number'),
-    body('options')
-      .optional()
-      .isObject()
-      .withMessage('Options must be an object'),
-    body('imageUrls')
-      .optional()
-      .isArray()
-      .withMessage('Image URLs must be an array'),
-    body('imageUrls.*')
-      .optional()
-      .isURL()
-      .withMessage('Each image URL must be a valid URL'),
-    body('isActive')
-      .optional()
-      .isBoolean()
-      .withMessage('isActive must be a boolean value'),
-    body('inventory.quantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Inventory quantity must be a non-negative integer'),
-    body('inventory.lowStockThreshold')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Low stock threshold must be a non-negative integer'),
-    body('inventory.reservedQuantity')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Reserved quantity must be a non-negative integer'),
-    body('inventory.location')
-      .optional()
-      .isString()
-      .withMessage('Location must be a string')
-  ],
+  updateVariantValidation,
   validate,
   productController.updateProductVariant
 );
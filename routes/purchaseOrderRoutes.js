@@ -0,0 +1,499 @@
+/**
+ * Purchase Order Routes
+ * Defines API endpoints for buying stock from suppliers
+ * @swagger
+ * tags:
+ *   name: Purchase Orders
+ *   description: Purchase orders from draft to delivery, and the stock still on order
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const purchaseOrderStateMachine = require('../utils/purchaseOrderStateMachine');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Purchase order ID must be an integer')
+];
+
+const orderValidation = [
+  body('warehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Warehouse ID must be an integer')
+    .toInt(),
+  body('expectedDate').optional({ nullable: true }).isISO8601().withMessage('Expected date must be a date'),
+  body('supplierReference')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Supplier reference must be at most 50 characters'),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+];
+
+const linesValidation = [
+  body('lines.*.productId').optional().isInt().withMessage('Product ID must be an integer').toInt(),
+  body('lines.*.variantId').optional().isInt().withMessage('Variant ID must be an integer').toInt(),
+  body('lines.*')
+    .custom(line => {
+      if (Boolean(line.productId) === Boolean(line.variantId)) {
+        throw new Error('Each line needs either a productId or a variantId');
+      }
+      return true;
+    }),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('lines.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat(),
+  body('lines.*.expectedDate').optional({ nullable: true }).isISO8601().withMessage('Expected date must be a date')
+];
+
+router.use(protect, restrictTo('seller', 'admin'));
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     description: Sellers see the purchase orders they drafted, admins every purchase order.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of purchase orders with their totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PurchaseOrder'
+ */
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(purchaseOrderStateMachine.states)
+      .withMessage(`Status must be one of: ${purchaseOrderStateMachine.states.join(', ')}`),
+    query('supplierId').optional().isInt().withMessage('Supplier ID must be an integer'),
+    query('warehouseId').optional().isInt().withMessage('Warehouse ID must be an integer')
+  ],
+  validate,
+  purchaseOrderController.getPurchaseOrders
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/on-order:
+ *   get:
+ *     summary: List the stock on order
+ *     description: |
+ *       Units that placed purchase orders still have to deliver, per product or variant and delivery warehouse,
+ *       with the purchase orders they are on. Soonest expected delivery first. Drafts are not on order yet.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock on order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: integer
+ *                       variantId:
+ *                         type: integer
+ *                       sku:
+ *                         type: string
+ *                       warehouseId:
+ *                         type: integer
+ *                       quantityOnOrder:
+ *                         type: integer
+ *                       nextExpectedDate:
+ *                         type: string
+ *                         format: date
+ *                       purchaseOrders:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ */
+router.get(
+  '/on-order',
+  [
+    query('productId').optional().isInt().withMessage('Product ID must be an integer'),
+    query('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+    query('warehouseId').optional().isInt().withMessage('Warehouse ID must be an integer')
+  ],
+  validate,
+  purchaseOrderController.getOnOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order with its lines and totals
+ *       403:
+ *         description: Not authorized to access this purchase order
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get('/:id', idValidation, validate, purchaseOrderController.getPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Draft a purchase order
+ *     description: |
+ *       Nothing is on order until the purchase order is placed. Leave out warehouseId for stock not assigned
+ *       to a warehouse. Sellers can only order stock of their own products.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - lines
+ *             properties:
+ *               supplierId:
+ *                 type: integer
+ *               warehouseId:
+ *                 type: integer
+ *               expectedDate:
+ *                 type: string
+ *                 format: date
+ *               supplierReference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - quantity
+ *                     - unitCost
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unitCost:
+ *                       type: number
+ *                       minimum: 0
+ *                     expectedDate:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Purchase order drafted
+ *       400:
+ *         description: Unknown or inactive supplier or warehouse, or unknown item
+ *       403:
+ *         description: Item belongs to another seller
+ */
+router.post(
+  '/',
+  [
+    body('supplierId').isInt().withMessage('Supplier ID must be an integer').toInt(),
+    ...orderValidation,
+    body('lines').isArray({ min: 1 }).withMessage('Purchase order must contain at least one line'),
+    ...linesValidation
+  ],
+  validate,
+  purchaseOrderController.createPurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     summary: Change a draft purchase order
+ *     description: Lines, when sent, replace all lines of the draft.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplierId:
+ *                 type: integer
+ *               warehouseId:
+ *                 type: integer
+ *               expectedDate:
+ *                 type: string
+ *                 format: date
+ *               supplierReference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       400:
+ *         description: The purchase order is no longer a draft
+ */
+router.put(
+  '/:id',
+  [
+    ...idValidation,
+    body('supplierId').optional().isInt().withMessage('Supplier ID must be an integer').toInt(),
+    ...orderValidation,
+    body('lines').optional().isArray({ min: 1 }).withMessage('Purchase order must contain at least one line'),
+    ...linesValidation
+  ],
+  validate,
+  purchaseOrderController.updatePurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/place:
+ *   post:
+ *     summary: Place a purchase order with the supplier
+ *     description: The units count as on order from now on. Without an expected date, delivery is expected after the supplier's lead time.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order placed
+ *       400:
+ *         description: Not a draft, or the supplier or warehouse is inactive
+ */
+router.post('/:id/place', idValidation, validate, purchaseOrderController.placePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive a delivery
+ *     description: |
+ *       Books delivered units into stock as restock movements at the unit cost of the line. Without lines,
+ *       everything still outstanding is received. Set close to true to finish a purchase order whose remaining
+ *       units will not be delivered. A line with a lotNumber books its units into that lot of the inventory
+ *       record, creating it with the manufacture and expiry dates given. Lines of serialized products list the
+ *       serial number of every unit delivered.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               close:
+ *                 type: boolean
+ *                 default: false
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - lineId
+ *                     - quantity
+ *                   properties:
+ *                     lineId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *                     notes:
+ *                       type: string
+ *                     lotNumber:
+ *                       type: string
+ *                       description: Lot or batch number of the delivered units
+ *                     manufacturedAt:
+ *                       type: string
+ *                       format: date
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Serial numbers of the delivered units, one per unit of a serialized line
+ *     responses:
+ *       200:
+ *         description: Delivery booked
+ *       400:
+ *         description: Purchase order not placed, more units than are outstanding, or serial numbers missing
+ *       409:
+ *         description: The lot number already exists with other dates, or a serial number is already registered
+ */
+router.post(
+  '/:id/receive',
+  [
+    ...idValidation,
+    body('close').optional().isBoolean().withMessage('Close must be a boolean value').toBoolean(),
+    body('lines').optional().isArray().withMessage('Lines must be an array'),
+    body('lines.*.lineId').isInt({ min: 1 }).withMessage('Line ID must be an integer').toInt(),
+    body('lines.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer').toInt(),
+    body('lines.*.notes').optional().isString().withMessage('Notes must be a string'),
+    body('lines.*.lotNumber')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Lot number must be 1 to 50 characters long'),
+    body('lines.*.manufacturedAt')
+      .optional({ nullable: true })
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('manufacturedAt must be a date (YYYY-MM-DD)'),
+    body('lines.*.expiresAt')
+      .optional({ nullable: true })
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('expiresAt must be a date (YYYY-MM-DD)'),
+    body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('lines.*.serialNumbers.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Serial numbers must be 1 to 100 characters long'),
+    body('lines.*')
+      .custom(line => {
+        if ((line.manufacturedAt || line.expiresAt) && !line.lotNumber) {
+          throw new Error('Manufacture and expiry dates need a lotNumber');
+        }
+        return true;
+      })
+  ],
+  validate,
+  purchaseOrderController.receivePurchaseOrder
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order
+ *     description: Only possible before the first delivery. Close a partially received purchase order on receipt instead.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       400:
+ *         description: Stock was already delivered
+ */
+router.post('/:id/cancel', idValidation, validate, purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
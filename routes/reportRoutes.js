@@ -1,8 +1,14 @@
 const express = require('express');
+const { query } = require('express-validator');
 const reportController = require('../controllers/reportController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
 
 const router = express.Router();
 
+const VALUATION_METHODS = ['fifo', 'weighted_average'];
+const VALUATION_GROUPS = ['product', 'category', 'warehouse'];
+
 /**
  * @swagger
  * /api/reports/inventory-status:
@@ -86,7 +92,7 @@ router.get('/category-distribution', reportController.getCategoryDistributionRep
  * /api/reports/low-stock-alert:
  *   get:
  *     summary: Get low stock alert report
- *     description: Retrieve a report of items with low or out of stock status grouped by category
+ *     description: Retrieve a report of items with low or out of stock status grouped by category, with the units already on order
  *     tags: [Reports]
  *     responses:
  *       200:
@@ -119,8 +125,254 @@ router.get('/category-distribution', reportController.getCategoryDistributionRep
  *                     items:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Inventory'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Inventory'
+ *                           - type: object
+ *                             properties:
+ *                               onOrderQuantity:
+ *                                 type: integer
+ *                                 description: Units placed purchase orders still have to deliver to this record
  */
 router.get('/low-stock-alert', reportController.getLowStockAlertReport);
 
+/**
+ * @swagger
+ * /api/reports/expiring-soon:
+ *   get:
+ *     summary: Get expiring soon report
+ *     description: Retrieve the lots with units on hand that expire within a number of days, including lots that already expired and still have to be written off
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *           default: 30
+ *         description: Days ahead to look
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *         description: Only lots held in this warehouse
+ *     responses:
+ *       200:
+ *         description: Expiring soon report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         days:
+ *                           type: integer
+ *                         expiredLots:
+ *                           type: integer
+ *                         expiredUnits:
+ *                           type: integer
+ *                         expiringLots:
+ *                           type: integer
+ *                         expiringUnits:
+ *                           type: integer
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/InventoryLot'
+ *                           - type: object
+ *                             properties:
+ *                               daysUntilExpiry:
+ *                                 type: integer
+ *                                 description: Days left until the expiry date, negative once it has passed
+ *                               expired:
+ *                                 type: boolean
+ *                               Inventory:
+ *                                 $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         description: Validation error
+ */
+router.get(
+  '/expiring-soon',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Days must be between 0 and 365'),
+    query('warehouseId')
+      .optional()
+      .isInt()
+      .withMessage('Warehouse ID must be an integer')
+  ],
+  validate,
+  reportController.getExpiringSoonReport
+);
+
+/**
+ * @swagger
+ * /api/reports/inventory-valuation:
+ *   get:
+ *     summary: Get inventory valuation report
+ *     description: >
+ *       Value the stock on hand at the end of a period and the cost of goods sold within it, by FIFO or weighted-average costing.
+ *       Costs come from the unitCost of the stock movements that brought units in. Returned and transferred units keep the cost
+ *       of the units they replace. Sellers only see their own products.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [fifo, weighted_average]
+ *           default: fifo
+ *         description: Costing method
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, category, warehouse]
+ *           default: product
+ *         description: How to group the stock, variants count towards their product
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period (YYYY-MM-DD), the first day of the month of the to date by default
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period (YYYY-MM-DD), today by default
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *         description: Only stock held in this warehouse
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Only products of this category
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Value the stock in a background job and answer 202 with the job, whose result is the report
+ *     responses:
+ *       200:
+ *         description: Inventory valuation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       $ref: '#/components/schemas/InventoryValuation'
+ *                     groups:
+ *                       type: array
+ *                       description: Highest value first, with the product, category or warehouse of the group (null for stock outside any warehouse)
+ *                       items:
+ *                         $ref: '#/components/schemas/InventoryValuation'
+ *       202:
+ *         description: Report queued as a background job, to follow at the Location header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *
+ * components:
+ *   schemas:
+ *     InventoryValuation:
+ *       type: object
+ *       properties:
+ *         openingQuantity:
+ *           type: integer
+ *           description: Units on hand at the start of the period
+ *         openingValue:
+ *           type: number
+ *         quantity:
+ *           type: integer
+ *           description: Units on hand at the end of the period
+ *         value:
+ *           type: number
+ *         averageUnitCost:
+ *           type: number
+ *           nullable: true
+ *         unitsSold:
+ *           type: integer
+ *           description: Units sold in the period less the units returned
+ *         cogs:
+ *           type: number
+ *           description: Cost of goods sold in the period, net of returns
+ *         uncostedUnits:
+ *           type: integer
+ *           description: Units that came in without any known cost and are valued at 0
+ */
+router.get(
+  '/inventory-valuation',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    query('method')
+      .optional()
+      .isIn(VALUATION_METHODS)
+      .withMessage(`Method must be one of: ${VALUATION_METHODS.join(', ')}`),
+    query('groupBy')
+      .optional()
+      .isIn(VALUATION_GROUPS)
+      .withMessage(`Group by must be one of: ${VALUATION_GROUPS.join(', ')}`),
+    query('from')
+      .optional()
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('From must be a date (YYYY-MM-DD)'),
+    query('to')
+      .optional()
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('To must be a date (YYYY-MM-DD)'),
+    query('warehouseId')
+      .optional()
+      .isInt()
+      .withMessage('Warehouse ID must be an integer'),
+    query('categoryId')
+      .optional()
+      .isInt()
+      .withMessage('Category ID must be an integer'),
+    query('async')
+      .optional()
+      .isBoolean()
+      .withMessage('async must be a boolean value')
+      .toBoolean()
+  ],
+  validate,
+  reportController.getInventoryValuationReport
+);
+
 module.exports = router;
\ No newline at end of file
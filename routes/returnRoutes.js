@@ -0,0 +1,435 @@
+/**
+ * Return Routes
+ * Defines API endpoints for return requests (RMA)
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Return and refund endpoints
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const returnController = require('../controllers/returnController');
+const ReturnItem = require('../models/returnItem');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const returnStateMachine = require('../utils/returnStateMachine');
+
+const router = express.Router();
+
+const RETURN_REASONS = ReturnItem.rawAttributes.reason.values;
+const DISPOSITIONS = ReturnItem.rawAttributes.disposition.values;
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Return ID must be an integer')
+];
+
+// Create return validation
+const createReturnValidation = [
+  body('orderId').isInt({ min: 1 }).withMessage('Order ID must be an integer').toInt(),
+  body('comment').optional().isString().withMessage('Comment must be a string'),
+  body('items').isArray({ min: 1 }).withMessage('Return must contain at least one item'),
+  body('items.*.orderItemId').isInt({ min: 1 }).withMessage('Order item ID must be an integer').toInt(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('items.*.reason')
+    .isIn(RETURN_REASONS)
+    .withMessage(`Reason must be one of: ${RETURN_REASONS.join(', ')}`),
+  body('items.*.reasonDetails').optional().isString().withMessage('Reason details must be a string')
+];
+
+// Receive return validation
+const receiveReturnValidation = [
+  body('disposition')
+    .optional()
+    .isIn(DISPOSITIONS)
+    .withMessage(`Disposition must be one of: ${DISPOSITIONS.join(', ')}`),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.returnItemId').isInt({ min: 1 }).withMessage('Return item ID must be an integer').toInt(),
+  body('items.*.disposition')
+    .optional()
+    .isIn(DISPOSITIONS)
+    .withMessage(`Disposition must be one of: ${DISPOSITIONS.join(', ')}`),
+  body('items.*.serialNumbers').optional().isArray({ min: 1 }).withMessage('Serial numbers must be a non-empty array'),
+  body('items.*.serialNumbers.*').isString().trim().notEmpty().withMessage('Serial numbers cannot be empty')
+];
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: List return requests
+ *     description: Buyers see their own returns, sellers the returns of their items and admins every return.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded, cancelled]
+ *         description: Filter by return status
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: integer
+ *         description: Filter by order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of return requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  protect,
+  [
+    query('status')
+      .optional()
+      .isIn(returnStateMachine.states)
+      .withMessage(`Status must be one of: ${returnStateMachine.states.join(', ')}`),
+    query('orderId').optional().isInt().withMessage('Order ID must be an integer')
+  ],
+  validate,
+  returnController.getReturns
+);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Open a return
+ *     description: Return some units of a delivered order within RETURN_WINDOW_DAYS of delivery. All items must come from the same seller. The refund of each item is its discounted unit price multiplied by the returned quantity.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               comment:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                     - reason
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *                     reasonDetails:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Return opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Order not delivered, return window over, or more units than can be returned
+ *       403:
+ *         description: Not the buyer of the order
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+  '/',
+  protect,
+  restrictTo('buyer'),
+  createReturnValidation,
+  validate,
+  returnController.createReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     responses:
+ *       200:
+ *         description: Return request details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Not authorized to access this return
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id', protect, idValidation, validate, returnController.getReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a return
+ *     description: The buyer can cancel a return until the seller has reviewed it.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     responses:
+ *       200:
+ *         description: Return cancelled
+ *       400:
+ *         description: Return has already been reviewed
+ *       403:
+ *         description: Not authorized to cancel this return
+ */
+router.post('/:id/cancel', protect, idValidation, validate, returnController.cancelReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   post:
+ *     summary: Approve a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     responses:
+ *       200:
+ *         description: Return approved, the buyer can send the goods back
+ *       400:
+ *         description: Return is not requested
+ *       403:
+ *         description: Not the seller of the returned items
+ */
+router.post(
+  '/:id/approve',
+  protect,
+  restrictTo('seller', 'admin'),
+  idValidation,
+  validate,
+  returnController.approveReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   post:
+ *     summary: Reject a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Return is not requested
+ *       403:
+ *         description: Not the seller of the returned items
+ */
+router.post(
+  '/:id/reject',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    ...idValidation,
+    body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+  ],
+  validate,
+  returnController.rejectReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   post:
+ *     summary: Receive returned goods
+ *     description: |
+ *       Puts the returned units back into inventory. Each item is handled by its disposition:
+ *       restock adds the units to the on-hand quantity, quarantine holds them in the inventory's
+ *       quarantined quantity until they are inspected, and discard leaves stock unchanged.
+ *       Items of serialized products list the serial numbers of the units coming back, which can
+ *       be left out when every unit sold on the order item is returned.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               disposition:
+ *                 type: string
+ *                 enum: [restock, quarantine, discard]
+ *                 default: restock
+ *                 description: Disposition of every item not listed in items
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     returnItemId:
+ *                       type: integer
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, quarantine, discard]
+ *                       description: Disposition of the item, the disposition of the return by default
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Serial numbers of the returned units of a serialized item
+ *     responses:
+ *       200:
+ *         description: Goods received
+ *       400:
+ *         description: Return is not approved
+ *       403:
+ *         description: Not the seller of the returned items
+ */
+router.post(
+  '/:id/receive',
+  protect,
+  restrictTo('seller', 'admin'),
+  [...idValidation, ...receiveReturnValidation],
+  validate,
+  returnController.receiveReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/refund:
+ *   post:
+ *     summary: Refund a received return
+ *     description: Refunds the return's refund amount from the order's captured payments.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Return ID
+ *     responses:
+ *       200:
+ *         description: Buyer refunded
+ *       400:
+ *         description: Return has not been received or the order has too little left to refund
+ *       402:
+ *         description: Refund failed at the payment provider
+ *       403:
+ *         description: Not the seller of the returned items
+ */
+router.post(
+  '/:id/refund',
+  protect,
+  restrictTo('seller', 'admin'),
+  idValidation,
+  validate,
+  returnController.refundReturn
+);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const router = express.Router();
  * /api/search/products:
  *   get:
  *     summary: Advanced product search
- *     description: Search products with advanced filtering options
+ *     description: Search the published active products with advanced filtering options
  *     tags: [Search]
  *     parameters:
  *       - in: query
@@ -52,12 +52,12 @@ const router = express.Router();
  *         name: inStock
  *         schema:
  *           type: boolean
- *         description: Filter by stock availability
+ *         description: Only products with (true) or without (false) units left to sell, summed over the product, its variants and all active warehouses
  *       - in: query
- *         name: isActive
+ *         name: availability
  *         schema:
- *           type: boolean
- *         description: Filter by active status
+ *           type: string
+ *         description: Comma-separated availability statuses (in_stock, low_stock, preorder, backorder, out_of_stock). A product with variants has the best status of its active variants
  *       - in: query
  *         name: isFeatured
  *         schema:
@@ -0,0 +1,78 @@
+/**
+ * Serial Number Routes
+ * Defines API endpoints for looking up serialized units
+ * @swagger
+ * tags:
+ *   name: Serial Numbers
+ *   description: History of units tracked by serial number
+ */
+const express = require('express');
+const { param } = require('express-validator');
+const serialController = require('../controllers/serialController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/serials/{serialNumber}:
+ *   get:
+ *     summary: Get the history of a serial number
+ *     description: |
+ *       Every unit registered with the serial number, with its product, the stock record it is held in and the
+ *       events of its life: received, allocated to and sold on which order, returned, transferred or written off.
+ *       Serial numbers are unique per product, so products of different sellers can share one. Sellers only
+ *       see units of their own products.
+ *     tags: [Serial Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serialNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Units with the serial number, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SerialNumber'
+ *                       - type: object
+ *                         properties:
+ *                           events:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/SerialNumberEvent'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Serial number not found
+ */
+router.get(
+  '/:serialNumber',
+  protect,
+  restrictTo('seller', 'admin'),
+  [
+    param('serialNumber')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Serial number must be 1 to 100 characters long')
+  ],
+  validate,
+  serialController.getSerialHistory
+);
+
+module.exports = router;
@@ -0,0 +1,397 @@
+/**
+ * Shipping Routes
+ * Defines API endpoints for shipping zones, methods and rate quotes
+ * @swagger
+ * tags:
+ *   name: Shipping
+ *   description: Shipping zones, methods with their rate tables, and rate quotes
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const shippingController = require('../controllers/shippingController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+const REGION_MESSAGE = 'Region must be a country code such as RW or a subdivision such as US-CA';
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('ID must be an integer')
+];
+
+const zoneValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('regions').optional().isArray().withMessage('Regions must be an array of region codes'),
+  body('regions.*')
+    .trim()
+    .toUpperCase()
+    .matches(REGION_PATTERN)
+    .withMessage(REGION_MESSAGE),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean()
+];
+
+const methodValidation = [
+  body('zoneId').optional().isInt().withMessage('Zone ID must be an integer').toInt(),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('carrierCode').optional().trim().notEmpty().withMessage('Carrier code cannot be empty'),
+  body('rateType').optional().isIn(['weight', 'price']).withMessage('Rate type must be weight or price'),
+  body('rates').optional().isArray({ min: 1 }).withMessage('Rates must be a non-empty array'),
+  body('rates.*.upTo')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Each rate upper bound must be greater than 0'),
+  body('rates.*.price').isFloat({ min: 0 }).withMessage('Each rate needs a price greater than or equal to 0'),
+  body(['minDeliveryDays', 'maxDeliveryDays'])
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Delivery days must be a non-negative integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean()
+];
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     summary: Quote shipping for a list of items
+ *     description: |
+ *       Returns every active method of the zone that delivers to the region, cheapest first. Each seller ships
+ *       their items as a separate parcel, and each parcel is priced from the method's rate table by its weight
+ *       or its value. Methods whose rate table does not cover a parcel are left out. Pass the chosen
+ *       shippingMethodId when placing the order. To quote the current cart use GET /api/cart/shipping-rates.
+ *     tags: [Shipping]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               region:
+ *                 type: string
+ *                 example: US-CA
+ *                 description: Delivery region (defaults to TAX_DEFAULT_REGION)
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Available shipping methods with their price
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post(
+  '/quote',
+  [
+    body('region').optional().trim().toUpperCase().matches(REGION_PATTERN).withMessage(REGION_MESSAGE),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*')
+      .custom(item => {
+        if (!item.productId && !item.variantId) {
+          throw new Error('Each item needs a productId or a variantId');
+        }
+        return true;
+      }),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  ],
+  validate,
+  shippingController.getQuote
+);
+
+router.use(protect, restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   get:
+ *     summary: List shipping zones with their methods
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of shipping zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingZone'
+ *       403:
+ *         description: Admin only
+ */
+router.get('/zones', shippingController.getZones);
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   post:
+ *     summary: Create a shipping zone
+ *     description: A region is delivered by the zone listing it most specifically (US-CA before US). A zone without regions covers every other region.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created
+ *       400:
+ *         description: Invalid input
+ */
+router.post(
+  '/zones',
+  [body('name').trim().notEmpty().withMessage('Name is required'), ...zoneValidation],
+  validate,
+  shippingController.createZone
+);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   get:
+ *     summary: Get a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping zone with its methods
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.get('/zones/:id', idValidation, validate, shippingController.getZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.put('/zones/:id', [...idValidation, ...zoneValidation], validate, shippingController.updateZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   delete:
+ *     summary: Delete a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted
+ *       404:
+ *         description: Shipping zone not found
+ *       409:
+ *         description: The zone still has shipping methods
+ */
+router.delete('/zones/:id', idValidation, validate, shippingController.deleteZone);
+
+/**
+ * @swagger
+ * /api/shipping/methods:
+ *   get:
+ *     summary: List shipping methods
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: zoneId
+ *         schema:
+ *           type: integer
+ *         description: Only methods of this zone
+ *     responses:
+ *       200:
+ *         description: List of shipping methods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingMethod'
+ */
+router.get(
+  '/methods',
+  query('zoneId').optional().isInt().withMessage('Zone ID must be an integer'),
+  validate,
+  shippingController.getMethods
+);
+
+/**
+ * @swagger
+ * /api/shipping/methods:
+ *   post:
+ *     summary: Create a shipping method
+ *     description: |
+ *       The rate table is a list of brackets. A parcel is charged the price of the first bracket whose upTo
+ *       is at least its weight in kg (rateType weight) or its value (rateType price). A bracket without upTo
+ *       covers everything above the other brackets.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *     responses:
+ *       201:
+ *         description: Shipping method created
+ *       400:
+ *         description: Invalid input or unknown zone
+ */
+router.post(
+  '/methods',
+  [
+    body('zoneId').exists().withMessage('Zone ID is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('carrierCode').trim().notEmpty().withMessage('Carrier code is required'),
+    body('rates').exists().withMessage('Rates are required'),
+    ...methodValidation
+  ],
+  validate,
+  shippingController.createMethod
+);
+
+/**
+ * @swagger
+ * /api/shipping/methods/{id}:
+ *   get:
+ *     summary: Get a shipping method
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping method
+ *       404:
+ *         description: Shipping method not found
+ */
+router.get('/methods/:id', idValidation, validate, shippingController.getMethod);
+
+/**
+ * @swagger
+ * /api/shipping/methods/{id}:
+ *   put:
+ *     summary: Update a shipping method
+ *     description: Orders keep the shipping cost they were placed with.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *     responses:
+ *       200:
+ *         description: Shipping method updated
+ *       404:
+ *         description: Shipping method not found
+ */
+router.put('/methods/:id', [...idValidation, ...methodValidation], validate, shippingController.updateMethod);
+
+/**
+ * @swagger
+ * /api/shipping/methods/{id}:
+ *   delete:
+ *     summary: Delete a shipping method
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping method deleted
+ *       404:
+ *         description: Shipping method not found
+ *       409:
+ *         description: The method was used by orders and can only be deactivated
+ */
+router.delete('/methods/:id', idValidation, validate, shippingController.deleteMethod);
+
+module.exports = router;
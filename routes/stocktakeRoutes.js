@@ -0,0 +1,330 @@
+/**
+ * Stocktake Routes
+ * Defines API endpoints for stocktake and cycle count sessions
+ * @swagger
+ * tags:
+ *   name: Stocktakes
+ *   description: Count stock, review the variances and post them as adjustments
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const stocktakeController = require('../controllers/stocktakeController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const stocktakeStateMachine = require('../utils/stocktakeStateMachine');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Stocktake ID must be an integer')
+];
+
+router.use(protect, restrictTo('seller', 'admin'));
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   get:
+ *     summary: List stocktakes
+ *     description: Sellers see the sessions they opened, admins every session.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, submitted, posted, cancelled]
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of stocktakes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Stocktake'
+ */
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(stocktakeStateMachine.states)
+      .withMessage(`Status must be one of: ${stocktakeStateMachine.states.join(', ')}`),
+    query('warehouseId').optional().isInt().withMessage('Warehouse ID must be an integer')
+  ],
+  validate,
+  stocktakeController.getStocktakes
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}:
+ *   get:
+ *     summary: Get a stocktake
+ *     description: Returns the lines with their counts and variances, and a summary of the session.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stocktake with lines and summary
+ *       403:
+ *         description: Not authorized to access this stocktake
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id', idValidation, validate, stocktakeController.getStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   post:
+ *     summary: Open a stocktake
+ *     description: |
+ *       Adds a line for every inventory record matching all the given filters. At least one filter is required.
+ *       Sellers only count the stock of their own products. A record can only be part of one open or submitted stocktake.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               warehouseId:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *                 description: Location prefix, such as A-01 for every bin of aisle A-01
+ *               categoryId:
+ *                 type: integer
+ *               skus:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Stocktake opened
+ *       400:
+ *         description: No filter given, or no inventory record matches
+ *       409:
+ *         description: Some records are already being counted
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string'),
+    body('warehouseId').optional({ nullable: true }).isInt().withMessage('Warehouse ID must be an integer').toInt(),
+    body('location').optional({ nullable: true }).trim().isString().withMessage('Location must be a string'),
+    body('categoryId').optional({ nullable: true }).isInt().withMessage('Category ID must be an integer').toInt(),
+    body('skus').optional().isArray().withMessage('SKUs must be an array'),
+    body('skus.*').trim().notEmpty().withMessage('SKUs cannot be empty')
+  ],
+  validate,
+  stocktakeController.createStocktake
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts:
+ *   post:
+ *     summary: Enter counted quantities
+ *     description: |
+ *       The variance of each line is the counted quantity minus the system quantity at the moment of the count.
+ *       Counting a line again replaces its count. Only open stocktakes can be counted.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counts
+ *             properties:
+ *               counts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - inventoryId
+ *                     - countedQuantity
+ *                   properties:
+ *                     inventoryId:
+ *                       type: integer
+ *                     countedQuantity:
+ *                       type: integer
+ *                       minimum: 0
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Counts recorded
+ *       400:
+ *         description: Stocktake not open, or record not part of it
+ */
+router.post(
+  '/:id/counts',
+  [
+    ...idValidation,
+    body('counts').isArray({ min: 1 }).withMessage('Counts must be a non-empty array'),
+    body('counts.*.inventoryId').isInt({ min: 1 }).withMessage('Inventory ID must be an integer').toInt(),
+    body('counts.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer').toInt(),
+    body('counts.*.notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+  ],
+  validate,
+  stocktakeController.recordCounts
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/submit:
+ *   post:
+ *     summary: Submit a stocktake for approval
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stocktake submitted
+ *       400:
+ *         description: Not open, or nothing counted
+ */
+router.post('/:id/submit', idValidation, validate, stocktakeController.submitStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/cancel:
+ *   post:
+ *     summary: Cancel a stocktake
+ *     description: Open and submitted stocktakes can be cancelled. Nothing is posted.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stocktake cancelled
+ *       400:
+ *         description: Stocktake already posted or cancelled
+ */
+router.post('/:id/cancel', idValidation, validate, stocktakeController.cancelStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/reopen:
+ *   post:
+ *     summary: Send a stocktake back for a recount
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stocktake open again
+ *       400:
+ *         description: Stocktake is not submitted
+ *       403:
+ *         description: Admins only
+ */
+router.post('/:id/reopen', restrictTo('admin'), idValidation, validate, stocktakeController.reopenStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/post:
+ *   post:
+ *     summary: Post a stocktake
+ *     description: |
+ *       Records the variance of every counted line as an adjustment movement with the reference stocktake:<id>.
+ *       All lines are posted together; when one cannot be posted, none is.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Adjustments posted
+ *       400:
+ *         description: Stocktake is not submitted
+ *       403:
+ *         description: Admins only
+ *       409:
+ *         description: An adjustment would take a record below the stock reserved by open orders
+ */
+router.post('/:id/post', restrictTo('admin'), idValidation, validate, stocktakeController.postStocktake);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Supplier Routes
+ * Defines API endpoints for the suppliers stock is bought from
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Suppliers purchase orders are placed with
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const supplierController = require('../controllers/supplierController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('ID must be an integer')
+];
+
+const supplierValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('code')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{1,20}$/)
+    .withMessage('Code must be 1 to 20 letters, digits or dashes'),
+  body('contactName').optional({ nullable: true }).isString().withMessage('Contact name must be a string'),
+  body('email').optional({ nullable: true }).isEmail().withMessage('Please provide a valid email address'),
+  body('phone').optional({ nullable: true }).isString().withMessage('Phone must be a string'),
+  body('address').optional({ nullable: true }).isString().withMessage('Address must be a string'),
+  body('leadTimeDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Lead time must be a non-negative integer')
+    .toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean()
+];
+
+router.use(protect, restrictTo('seller', 'admin'));
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Only active or only inactive suppliers
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the name or code
+ *     responses:
+ *       200:
+ *         description: List of suppliers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Supplier'
+ *       403:
+ *         description: Sellers and admins only
+ */
+router.get(
+  '/',
+  [
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean value'),
+    query('search').optional().isString().trim()
+  ],
+  validate,
+  supplierController.getSuppliers
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id', idValidation, validate, supplierController.getSupplier);
+
+router.use(restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: The code is used by another supplier
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('code').trim().notEmpty().withMessage('Code is required'),
+    ...supplierValidation
+  ],
+  validate,
+  supplierController.createSupplier
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     description: Deactivating a supplier stops new purchase orders. Open purchase orders can still be received.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: The code is used by another supplier
+ */
+router.put('/:id', [...idValidation, ...supplierValidation], validate, supplierController.updateSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: The supplier appears on purchase orders
+ */
+router.delete('/:id', idValidation, validate, supplierController.deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,243 @@
+/**
+ * Tax Rule Routes
+ * Defines API endpoints for managing tax rules
+ * @swagger
+ * tags:
+ *   name: Tax Rules
+ *   description: Tax rate configuration per region and category
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const taxRuleController = require('../controllers/taxRuleController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+const REGION_MESSAGE = 'Region must be a country code such as RW or a subdivision such as US-CA';
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Tax rule ID must be an integer')
+];
+
+// Fields shared by create and update, required ones are checked separately on create
+const taxRuleFieldValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('region')
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .matches(REGION_PATTERN)
+    .withMessage(REGION_MESSAGE),
+  body('categoryId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Category ID must be an integer').toInt(),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100').toFloat(),
+  body('inclusive').optional().isBoolean().withMessage('Inclusive must be a boolean value').toBoolean(),
+  body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be a date').toDate(),
+  body('effectiveTo').optional({ nullable: true }).isISO8601().withMessage('effectiveTo must be a date').toDate()
+];
+
+router.use(protect, restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/tax-rules:
+ *   get:
+ *     summary: List tax rules
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Only rules written for this region
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: Only overrides of this category
+ *       - in: query
+ *         name: activeOn
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only rules in effect on this date
+ *     responses:
+ *       200:
+ *         description: List of tax rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaxRule'
+ *       403:
+ *         description: Admin only
+ */
+router.get(
+  '/',
+  [
+    query('region').optional().trim().toUpperCase().matches(REGION_PATTERN).withMessage(REGION_MESSAGE),
+    query('categoryId').optional().isInt().withMessage('Category ID must be an integer'),
+    query('activeOn').optional().isISO8601().withMessage('activeOn must be a date')
+  ],
+  validate,
+  taxRuleController.getTaxRules
+);
+
+/**
+ * @swagger
+ * /api/tax-rules:
+ *   post:
+ *     summary: Create a tax rule
+ *     description: |
+ *       A rule without a category is the default rate of its region. A rule with a category overrides
+ *       that rate for products of the category. A rule without a region applies everywhere. When several
+ *       rules match a line, the category rule wins, then the most specific region (US-CA before US),
+ *       then the most recent effectiveFrom.
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               categoryId:
+ *                 type: integer
+ *               rate:
+ *                 type: number
+ *               inclusive:
+ *                 type: boolean
+ *                 default: false
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Tax rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: Invalid input or unknown category
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('rate').exists().withMessage('Rate is required'),
+    ...taxRuleFieldValidation
+  ],
+  validate,
+  taxRuleController.createTaxRule
+);
+
+/**
+ * @swagger
+ * /api/tax-rules/{id}:
+ *   get:
+ *     summary: Get a tax rule
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tax rule ID
+ *     responses:
+ *       200:
+ *         description: Tax rule details
+ *       404:
+ *         description: Tax rule not found
+ */
+router.get('/:id', idValidation, validate, taxRuleController.getTaxRule);
+
+/**
+ * @swagger
+ * /api/tax-rules/{id}:
+ *   put:
+ *     summary: Update a tax rule
+ *     description: Orders keep the rate they were placed with. To change a rate from a given date, end the current rule with effectiveTo and create a new one.
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tax rule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Tax rule not found
+ */
+router.put('/:id', [...idValidation, ...taxRuleFieldValidation], validate, taxRuleController.updateTaxRule);
+
+/**
+ * @swagger
+ * /api/tax-rules/{id}:
+ *   delete:
+ *     summary: Delete a tax rule
+ *     tags: [Tax Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tax rule ID
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted
+ *       404:
+ *         description: Tax rule not found
+ */
+router.delete('/:id', idValidation, validate, taxRuleController.deleteTaxRule);
+
+module.exports = router;
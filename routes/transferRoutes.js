@@ -0,0 +1,448 @@
+/**
+ * Transfer Routes
+ * Defines API endpoints for moving stock between warehouses
+ * @swagger
+ * tags:
+ *   name: Transfers
+ *   description: Stock transfers between warehouses, from draft to receipt
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const transferController = require('../controllers/transferController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const transferStateMachine = require('../utils/transferStateMachine');
+
+const router = express.Router();
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('Transfer ID must be an integer')
+];
+
+const warehouseValidation = [
+  body('fromWarehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Source warehouse ID must be an integer')
+    .toInt(),
+  body('toWarehouseId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Destination warehouse ID must be an integer')
+    .toInt(),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+];
+
+const itemsValidation = [
+  body('items.*.productId').optional().isInt().withMessage('Product ID must be an integer').toInt(),
+  body('items.*.variantId').optional().isInt().withMessage('Variant ID must be an integer').toInt(),
+  body('items.*')
+    .custom(item => {
+      if (Boolean(item.productId) === Boolean(item.variantId)) {
+        throw new Error('Each item needs either a productId or a variantId');
+      }
+      return true;
+    }),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+];
+
+const warehouseFilterValidation = [
+  query('fromWarehouseId').optional().isInt().withMessage('Source warehouse ID must be an integer'),
+  query('toWarehouseId').optional().isInt().withMessage('Destination warehouse ID must be an integer')
+];
+
+router.use(protect, restrictTo('seller', 'admin'));
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List stock transfers
+ *     description: Sellers see the transfers they drafted, admins every transfer. Use status=in_transit to see the goods on their way.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_transit, partially_received, received, cancelled]
+ *       - in: query
+ *         name: fromWarehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toWarehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of transfers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockTransfer'
+ */
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(transferStateMachine.states)
+      .withMessage(`Status must be one of: ${transferStateMachine.states.join(', ')}`),
+    ...warehouseFilterValidation
+  ],
+  validate,
+  transferController.getTransfers
+);
+
+/**
+ * @swagger
+ * /api/transfers/discrepancies:
+ *   get:
+ *     summary: Report units missing after transfers
+ *     description: Lines of received transfers where fewer units arrived than were sent, newest receipt first.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromWarehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toWarehouseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Received on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Received on or before this date
+ *     responses:
+ *       200:
+ *         description: Discrepancy report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 totalMissing:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       transferId:
+ *                         type: integer
+ *                       transferItemId:
+ *                         type: integer
+ *                       sku:
+ *                         type: string
+ *                       quantitySent:
+ *                         type: integer
+ *                       quantityReceived:
+ *                         type: integer
+ *                       quantityMissing:
+ *                         type: integer
+ *                       notes:
+ *                         type: string
+ */
+router.get(
+  '/discrepancies',
+  [
+    ...warehouseFilterValidation,
+    query('from').optional().isISO8601().withMessage('From must be a date'),
+    query('to').optional().isISO8601().withMessage('To must be a date')
+  ],
+  validate,
+  transferController.getDiscrepancyReport
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Get a stock transfer
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transfer with its items
+ *       403:
+ *         description: Not authorized to access this transfer
+ *       404:
+ *         description: Transfer not found
+ */
+router.get('/:id', idValidation, validate, transferController.getTransfer);
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Draft a stock transfer
+ *     description: |
+ *       Nothing moves until the transfer is dispatched. Leave out fromWarehouseId or toWarehouseId for stock
+ *       not assigned to a warehouse. Sellers can only move their own products.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               fromWarehouseId:
+ *                 type: integer
+ *               toWarehouseId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Transfer drafted
+ *       400:
+ *         description: Same source and destination, unknown warehouse or item, or inactive destination
+ *       403:
+ *         description: Item belongs to another seller
+ */
+router.post(
+  '/',
+  [
+    ...warehouseValidation,
+    body('items').isArray({ min: 1 }).withMessage('Transfer must contain at least one item'),
+    ...itemsValidation
+  ],
+  validate,
+  transferController.createTransfer
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   put:
+ *     summary: Change a draft transfer
+ *     description: Items, when sent, replace all lines of the draft.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromWarehouseId:
+ *                 type: integer
+ *               toWarehouseId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Transfer updated
+ *       400:
+ *         description: The transfer is no longer a draft
+ */
+router.put(
+  '/:id',
+  [
+    ...idValidation,
+    ...warehouseValidation,
+    body('items').optional().isArray({ min: 1 }).withMessage('Transfer must contain at least one item'),
+    ...itemsValidation
+  ],
+  validate,
+  transferController.updateTransfer
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a transfer
+ *     description: Takes the units out of the source warehouse as transfer movements. They stay in transit until received.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transfer in transit
+ *       400:
+ *         description: Not a draft, or not enough available stock at the source
+ */
+router.post('/:id/dispatch', idValidation, validate, transferController.dispatchTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a transfer
+ *     description: |
+ *       Books units in at the destination. Without items, everything still in transit is received. Receive part of
+ *       the units to leave the transfer partially received. Set close to true to finish a transfer whose missing
+ *       units will not arrive; they are reported as discrepancies. Serialized units still in transit are
+ *       then marked missing.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               close:
+ *                 type: boolean
+ *                 default: false
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - transferItemId
+ *                     - quantity
+ *                   properties:
+ *                     transferItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Serial numbers of the units received of a serialized item, the units sent first by default
+ *                     notes:
+ *                       type: string
+ *                       description: Why units are missing or damaged
+ *     responses:
+ *       200:
+ *         description: Receipt booked
+ *       400:
+ *         description: Transfer not in transit, or more units than are still in transit
+ */
+router.post(
+  '/:id/receive',
+  [
+    ...idValidation,
+    body('close').optional().isBoolean().withMessage('Close must be a boolean value').toBoolean(),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.transferItemId').isInt({ min: 1 }).withMessage('Transfer item ID must be an integer').toInt(),
+    body('items.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer').toInt(),
+    body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('items.*.serialNumbers.*').isString().trim().notEmpty().withMessage('Serial numbers cannot be empty'),
+    body('items.*.notes').optional().isString().withMessage('Notes must be a string')
+  ],
+  validate,
+  transferController.receiveTransfer
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a draft transfer
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       400:
+ *         description: The transfer was already dispatched
+ */
+router.post('/:id/cancel', idValidation, validate, transferController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+/**
+ * Warehouse Routes
+ * Defines API endpoints for the warehouses stock is held in
+ * @swagger
+ * tags:
+ *   name: Warehouses
+ *   description: Warehouses holding per-location stock and the order they are picked in
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const warehouseController = require('../controllers/warehouseController');
+const validate = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+const REGION_MESSAGE = 'Region must be a country code such as RW or a subdivision such as US-CA';
+
+const idValidation = [
+  param('id')
+    .isInt()
+    .withMessage('ID must be an integer')
+];
+
+const warehouseValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('code')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{1,20}$/)
+    .withMessage('Code must be 1 to 20 letters, digits or dashes'),
+  body('region')
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .matches(REGION_PATTERN)
+    .withMessage(REGION_MESSAGE),
+  body('address').optional({ nullable: true }).isString().withMessage('Address must be a string'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean value').toBoolean()
+];
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   get:
+ *     summary: List warehouses
+ *     description: Warehouses are listed in the order they are preferred in, lowest priority number first.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Only active or only inactive warehouses
+ *     responses:
+ *       200:
+ *         description: List of warehouses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Warehouse'
+ *       403:
+ *         description: Sellers and admins only
+ */
+router.get(
+  '/',
+  restrictTo('seller', 'admin'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean value'),
+  validate,
+  warehouseController.getWarehouses
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   get:
+ *     summary: Get a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Warehouse
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get('/:id', restrictTo('seller', 'admin'), idValidation, validate, warehouseController.getWarehouse);
+
+router.use(restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   post:
+ *     summary: Create a warehouse
+ *     description: |
+ *       An order line is shipped from the warehouse closest to the shipping region (same region, then same
+ *       country), then from the lowest priority number. A line no single warehouse can cover is split over several.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: The code is used by another warehouse
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('code').trim().notEmpty().withMessage('Code is required'),
+    ...warehouseValidation
+  ],
+  validate,
+  warehouseController.createWarehouse
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse
+ *     description: Deactivating a warehouse takes its stock off sale without removing it.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: The code is used by another warehouse
+ */
+router.put('/:id', [...idValidation, ...warehouseValidation], validate, warehouseController.updateWarehouse);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   delete:
+ *     summary: Delete a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Warehouse deleted
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: The warehouse still has inventory records
+ */
+router.delete('/:id', idValidation, validate, warehouseController.deleteWarehouse);
+
+module.exports = router;
@@ -1,16 +1,54 @@
 const app = require('./app');
 const { connectDB } = require('./config/database');
+const OrderService = require('./services/orderService');
+const JobService = require('./services/jobService');
+const ProductScheduleService = require('./services/productScheduleService');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 3000;
+const RESERVATION_SWEEP_SECONDS = parseInt(process.env.CHECKOUT_RESERVATION_SWEEP_SECONDS, 10) || 60;
+const PRODUCT_SCHEDULE_SWEEP_SECONDS = parseInt(process.env.PRODUCT_SCHEDULE_SWEEP_SECONDS, 10) || 60;
 
 // Connect to database
-connectDB();
+const connected = connectDB();
 
 const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Release stock reserved by orders that were not paid in time
+const reservationSweeper = setInterval(async () => {
+  try {
+    const released = await OrderService.releaseExpiredReservations();
+
+    if (released > 0) {
+      console.log(`Released stock reservations for ${released} expired order(s)`);
+    }
+  } catch (error) {
+    console.error('Reservation sweep error:', error);
+  }
+}, RESERVATION_SWEEP_SECONDS * 1000);
+
+// Publish and unpublish the products and variants whose scheduled time has come
+const scheduleSweeper = setInterval(async () => {
+  try {
+    const { published, unpublished, activated, deactivated } = await ProductScheduleService.runDueSchedules();
+
+    if (published + unpublished + activated + deactivated > 0) {
+      console.log(`Schedule: published ${published} and unpublished ${unpublished} product(s), activated ${activated} and deactivated ${deactivated} variant(s)`);
+    }
+  } catch (error) {
+    console.error('Product schedule sweep error:', error);
+  }
+}, PRODUCT_SCHEDULE_SWEEP_SECONDS * 1000);
+
+// Run background jobs in this process too, unless they have workers of their own (npm run worker)
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+  connected.then(() => JobService.startWorker()).catch((error) => {
+    console.error('Job worker start error:', error);
+  });
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -23,7 +61,10 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM signal
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
-  server.close(() => {
+  clearInterval(reservationSweeper);
+  clearInterval(scheduleSweeper);
+  server.close(async () => {
+    await JobService.stopWorker();
     console.log('💥 Process terminated!');
   });
 });
\ No newline at end of file
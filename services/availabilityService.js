@@ -0,0 +1,227 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const InventoryService = require('./inventoryService');
+
+// Availability statuses, best first. A product with variants shows the best status of its variants
+const STATUSES = ['in_stock', 'low_stock', 'preorder', 'backorder', 'out_of_stock'];
+
+// Stock rows that can be sold, outside any warehouse or in an active one
+const SELLABLE_SQL = '(i.warehouseId IS NULL OR w.isActive = 1)';
+
+/**
+ * SQL rank of the availability status of one product or variant, the index in STATUSES
+ * Mirrors getStatus so search filters match the status shown in responses
+ * @param {Object} item - policy, limit and availableAt SQL expressions and the where clause of its stock rows
+ * @returns {string} - SQL expression
+ */
+const statusRankSql = ({ policy, limit, availableAt, rows }) => {
+  const available = `(
+    SELECT COALESCE(SUM(CASE WHEN i.quantity > i.reservedQuantity THEN i.quantity - i.reservedQuantity ELSE 0 END), 0)
+    FROM inventory i LEFT JOIN warehouses w ON w.id = i.warehouseId
+    WHERE ${rows} AND ${SELLABLE_SQL}
+  )`;
+  const threshold = `(
+    SELECT COALESCE(SUM(i.lowStockThreshold), 0)
+    FROM inventory i LEFT JOIN warehouses w ON w.id = i.warehouseId
+    WHERE ${rows} AND ${SELLABLE_SQL}
+  )`;
+  const oversold = `(
+    SELECT COALESCE(SUM(CASE WHEN i.reservedQuantity > i.quantity THEN i.reservedQuantity - i.quantity ELSE 0 END), 0)
+    FROM inventory i
+    WHERE ${rows}
+  )`;
+  const canOversell = `(${limit} IS NULL OR ${limit} > ${oversold})`;
+
+  return `(CASE
+    WHEN ${policy} = 'preorder' AND (${availableAt} IS NULL OR ${availableAt} > CURRENT_DATE)
+      AND (${available} > 0 OR ${canOversell}) THEN 2
+    WHEN ${available} > ${threshold} THEN 0
+    WHEN ${available} > 0 THEN 1
+    WHEN ${policy} = 'backorder' AND ${canOversell} THEN 3
+    ELSE 4
+  END)`;
+};
+
+// A variant without a policy of its own takes all three settings from its product
+const inherited = field => `(CASE WHEN v.backorderPolicy IS NULL THEN Product.${field} ELSE v.${field} END)`;
+
+// Availability rank of the Product row of a query, the best rank of its active variants when it has any
+const PRODUCT_STATUS_RANK_SQL = `(CASE
+  WHEN EXISTS (SELECT 1 FROM variants v WHERE v.productId = Product.id) THEN COALESCE((
+    SELECT MIN(${statusRankSql({
+    policy: inherited('backorderPolicy'),
+    limit: inherited('backorderLimit'),
+    availableAt: inherited('availableAt'),
+    rows: 'i.variantId = v.id'
+  })})
+    FROM variants v
+    WHERE v.productId = Product.id AND v.isActive = 1
+  ), ${STATUSES.indexOf('out_of_stock')})
+  ELSE ${statusRankSql({
+    policy: 'Product.backorderPolicy',
+    limit: 'Product.backorderLimit',
+    availableAt: 'Product.availableAt',
+    rows: 'i.productId = Product.id AND i.variantId IS NULL'
+  })}
+END)`;
+
+/**
+ * Today as YYYY-MM-DD, the format of DATEONLY columns
+ * @returns {string} - Date
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Availability Service
+ * Works out whether a product or variant sells from stock, as a backorder or as a pre-order
+ * Units sold beyond the stock on hand stay reserved on a stock row until new stock arrives,
+ * so the reserved quantity of that row is higher than its quantity
+ */
+class AvailabilityService {
+  /**
+   * Availability statuses, best first
+   * @returns {Array} - Statuses
+   */
+  getStatuses() {
+    return [...STATUSES];
+  }
+
+  /**
+   * Backorder settings of a product or variant
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant instance (optional)
+   * @returns {Object} - policy, limit and availableAt
+   */
+  getSettings(product, variant = null) {
+    const source = variant && variant.backorderPolicy ? variant : product;
+
+    return {
+      policy: source.backorderPolicy || 'none',
+      limit: source.backorderLimit === null || source.backorderLimit === undefined ? null : source.backorderLimit,
+      availableAt: source.availableAt || null
+    };
+  }
+
+  /**
+   * Whether pre-orders are taken, until the release date. Without a date they stay open
+   * @param {Object} settings - Backorder settings
+   * @param {string} date - Today as YYYY-MM-DD
+   * @returns {boolean} - true while pre-orders are open
+   */
+  isPreorderOpen(settings, date = today()) {
+    return settings.policy === 'preorder' && (!settings.availableAt || settings.availableAt > date);
+  }
+
+  /**
+   * Units reserved beyond the stock on hand, over every stock row
+   * @param {Array} inventories - Inventory instances
+   * @returns {number} - Units sold ahead of stock
+   */
+  getOversold(inventories = []) {
+    return inventories.reduce((sum, inventory) => sum + Math.max(inventory.reservedQuantity - inventory.quantity, 0), 0);
+  }
+
+  /**
+   * Units that can still be sold beyond the stock on hand
+   * @param {Object} settings - Backorder settings
+   * @param {Array} inventories - Inventory instances
+   * @param {string} date - Today as YYYY-MM-DD
+   * @returns {number} - Units, Infinity without a limit and 0 when nothing can be sold ahead of stock
+   */
+  getBackorderCapacity(settings, inventories = [], date = today()) {
+    if (settings.policy !== 'backorder' && !this.isPreorderOpen(settings, date)) {
+      return 0;
+    }
+
+    if (settings.limit === null) {
+      return Infinity;
+    }
+
+    return Math.max(settings.limit - this.getOversold(inventories), 0);
+  }
+
+  /**
+   * Availability status of a product or variant
+   * @param {Object} settings - Backorder settings
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @param {string} date - Today as YYYY-MM-DD
+   * @returns {string} - in_stock, low_stock, preorder, backorder or out_of_stock
+   */
+  getStatus(settings, inventories = [], date = today()) {
+    const sellable = inventories.filter(inventory => InventoryService.isSellable(inventory));
+    const available = InventoryService.getTotalAvailable(sellable);
+    const threshold = sellable.reduce((sum, inventory) => sum + inventory.lowStockThreshold, 0);
+    const canOversell = this.getBackorderCapacity(settings, inventories, date) > 0;
+
+    if (this.isPreorderOpen(settings, date) && (available > 0 || canOversell)) {
+      return 'preorder';
+    }
+
+    if (available > 0) {
+      return available > threshold ? 'in_stock' : 'low_stock';
+    }
+
+    return canOversell ? 'backorder' : 'out_of_stock';
+  }
+
+  /**
+   * Availability status of a product or variant from its own stock rows
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant instance (optional)
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @returns {string} - Availability status
+   */
+  getItemStatus(product, variant, inventories) {
+    return this.getStatus(this.getSettings(product, variant), inventories);
+  }
+
+  /**
+   * Best availability status over the active variants of a product, or of the product itself
+   * @param {Object} product - Product instance with its inventories
+   * @param {Array} variants - Variant instances with their inventories
+   * @returns {string} - Availability status
+   */
+  getProductStatus(product, variants = []) {
+    if (variants.length === 0) {
+      return this.getItemStatus(product, null, product.inventories);
+    }
+
+    const ranks = variants
+      .filter(variant => variant.isActive)
+      .map(variant => STATUSES.indexOf(this.getItemStatus(product, variant, variant.inventories)));
+
+    return STATUSES[Math.min(...ranks, STATUSES.indexOf('out_of_stock'))];
+  }
+
+  /**
+   * Attribute selecting the availability rank of the Product rows of a query
+   * @returns {Array} - Sequelize attribute, read back with withStatus
+   */
+  rankAttribute() {
+    return [sequelize.literal(PRODUCT_STATUS_RANK_SQL), 'availabilityRank'];
+  }
+
+  /**
+   * Condition keeping the products that show one of the statuses
+   * @param {Array} statuses - Availability statuses
+   * @returns {Object} - Sequelize where condition
+   */
+  whereStatus(statuses) {
+    return sequelize.where(sequelize.literal(PRODUCT_STATUS_RANK_SQL), {
+      [Op.in]: statuses.map(status => STATUSES.indexOf(status))
+    });
+  }
+
+  /**
+   * Serialize a product loaded with rankAttribute, replacing the rank by its status
+   * @param {Object} product - Product instance
+   * @returns {Object} - Product data with availability
+   */
+  withStatus(product) {
+    const { availabilityRank, ...data } = product.toJSON();
+
+    return { ...data, availability: STATUSES[parseInt(availabilityRank, 10)] || 'out_of_stock' };
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -2,6 +2,9 @@ const NodeCache = require('node-cache');
 const redis = require('redis');
 const { promisify } = require('util');
 
+// Keys looked at per SCAN call and deleted per DEL call when deleting by prefix
+const SCAN_BATCH_SIZE = 100;
+
 /**
  * Cache Service for performance optimization
  */
@@ -20,13 +23,7 @@ class CacheService {
     
     if (this.redisEnabled) {
       try {
-        this.redisClient = redis.createClient({
-          url: process.env.REDIS_URL || 'redis://localhost:6379',
-          password: process.env.REDIS_PASSWORD,
-          socket: {
-            reconnectStrategy: (retries) => Math.min(retries * 50, 1000) // Backoff strategy
-          }
-        });
+        this.redisClient = redis.createClient(this.getRedisOptions());
         
         this.redisClient.on('error', (err) => {
           console.error('Redis error:', err);
@@ -50,6 +47,20 @@ class CacheService {
     }
   }
   
+  /**
+   * Redis connection settings, shared with other Redis clients such as the job queue
+   * @returns {Object} - Options for redis.createClient
+   */
+  getRedisOptions() {
+    return {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      password: process.env.REDIS_PASSWORD,
+      socket: {
+        reconnectStrategy: (retries) => Math.min(retries * 50, 1000) // Backoff strategy
+      }
+    };
+  }
+  
   /**
    * Get a value from cache
    * @param {string} key - Cache key
@@ -120,6 +131,42 @@ class CacheService {
     }
   }
   
+  /**
+   * Delete every value whose key starts with a prefix
+   * @param {string} prefix - Key prefix, such as a createKey part
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delByPrefix(prefix) {
+    try {
+      // Delete from Redis if enabled. SCAN walks the keys a few at a time where KEYS would block
+      // Redis for the whole keyspace, and the keys found are deleted in batches on the way
+      if (this.redisEnabled && this.redisClient) {
+        let keys = [];
+        
+        for await (const key of this.redisClient.scanIterator({ MATCH: `${prefix}*`, COUNT: SCAN_BATCH_SIZE })) {
+          keys.push(key);
+          
+          if (keys.length >= SCAN_BATCH_SIZE) {
+            await this.redisClient.del(keys);
+            keys = [];
+          }
+        }
+        
+        if (keys.length > 0) {
+          await this.redisClient.del(keys);
+        }
+      }
+      
+      // Delete from memory cache
+      this.memoryCache.del(this.memoryCache.keys().filter(key => key.startsWith(prefix)));
+      
+      return true;
+    } catch (error) {
+      console.error('Cache delete error:', error);
+      return false;
+    }
+  }
+  
   /**
    * Flush all cache
    * @returns {Promise<boolean>} - Success status
@@ -0,0 +1,408 @@
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const Cart = require('../models/cart');
+const CartItem = require('../models/cartItem');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const InventoryService = require('./inventoryService');
+const AvailabilityService = require('./availabilityService');
+const TaxService = require('./taxService');
+const { ApiError } = require('../utils/errorHandler');
+const { getItemPricing, roundPrice } = require('../utils/helpers');
+
+// Stock rows of every warehouse, availability is summed over the ones that can sell
+// A new object each time, a query cannot use the same include object twice
+const stockInclude = () => ({
+  model: Inventory,
+  as: 'inventories',
+  include: [{ model: Warehouse, as: 'warehouse', attributes: ['id', 'isActive'] }]
+});
+
+/**
+ * Cart Service
+ * Keeps shopping carts for users and guests and prices them from the catalog
+ */
+class CartService {
+  /**
+   * Find the cart for an owner, creating it if needed
+   * @param {Object} owner - { userId } for users or { guestToken } for guests
+   * @returns {Promise<Object>} - Cart instance
+   */
+  async getOrCreateCart(owner) {
+    const cart = await this.findCart(owner);
+
+    if (cart) {
+      return cart;
+    }
+
+    if (owner.userId) {
+      return Cart.create({ userId: owner.userId });
+    }
+
+    return Cart.create({ guestToken: uuidv4() });
+  }
+
+  /**
+   * Find the cart for an owner
+   * @param {Object} owner - { userId } for users or { guestToken } for guests
+   * @param {Object} options - Extra query options
+   * @returns {Promise<Object|null>} - Cart instance or null
+   */
+  async findCart(owner, options = {}) {
+    if (owner.userId) {
+      return Cart.findOne({ where: { userId: owner.userId }, ...options });
+    }
+
+    if (owner.guestToken) {
+      return Cart.findOne({ where: { guestToken: owner.guestToken }, ...options });
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a product or variant with its inventory and check it can be sold
+   * @param {number} productId - Product ID
+   * @param {number} variantId - Variant ID (optional)
+   * @returns {Promise<Object>} - product, variant, available quantity and the orderable quantity,
+   *   which adds the units that can be backordered or pre-ordered
+   */
+  async resolveSellable(productId, variantId) {
+    let product;
+    let variant = null;
+
+    if (variantId) {
+      variant = await Variant.findByPk(variantId, {
+        include: [{ model: Product }, stockInclude()]
+      });
+
+      if (!variant || (productId && variant.productId !== parseInt(productId, 10))) {
+        throw ApiError.notFound('Variant not found');
+      }
+
+      product = variant.Product;
+    } else {
+      product = await Product.findByPk(productId, {
+        include: [stockInclude()]
+      });
+
+      if (product && await Variant.count({ where: { productId: product.id } }) > 0) {
+        throw ApiError.badRequest('Please choose a variant of this product');
+      }
+    }
+
+    if (!product) {
+      throw ApiError.notFound('Product not found');
+    }
+
+    if (!product.isActive || product.status !== 'published' || (variant && !variant.isActive)) {
+      throw ApiError.badRequest('This item is not available for sale');
+    }
+
+    const inventories = variant ? variant.inventories : product.inventories;
+    const available = InventoryService.getTotalAvailable(inventories);
+
+    return {
+      product,
+      variant,
+      available,
+      orderable: available + AvailabilityService.getBackorderCapacity(AvailabilityService.getSettings(product, variant), inventories)
+    };
+  }
+
+  /**
+   * Add a product or variant to the cart
+   * Adding an item that is already in the cart increases its quantity
+   * @param {Object} owner - Cart owner
+   * @param {Object} item - { productId, variantId, quantity }
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async addItem(owner, { productId, variantId, quantity = 1 }) {
+    const cart = await this.getOrCreateCart(owner);
+    const { product, variant, orderable } = await this.resolveSellable(productId, variantId);
+
+    const existing = await CartItem.findOne({
+      where: {
+        cartId: cart.id,
+        productId: product.id,
+        variantId: variant ? variant.id : null
+      }
+    });
+
+    const newQuantity = (existing ? existing.quantity : 0) + parseInt(quantity, 10);
+    this.assertAvailable(variant || product, newQuantity, orderable);
+
+    if (existing) {
+      await existing.update({ quantity: newQuantity });
+    } else {
+      await CartItem.create({
+        cartId: cart.id,
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        quantity: newQuantity
+      });
+    }
+
+    return this.getPricedCart(cart);
+  }
+
+  /**
+   * Change the quantity of a cart line
+   * A quantity of 0 removes the line
+   * @param {Object} owner - Cart owner
+   * @param {number} itemId - Cart item ID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async updateItemQuantity(owner, itemId, quantity) {
+    const { cart, item } = await this.findCartItem(owner, itemId);
+    const newQuantity = parseInt(quantity, 10);
+
+    if (newQuantity === 0) {
+      await item.destroy();
+      return this.getPricedCart(cart);
+    }
+
+    const { product, variant, orderable } = await this.resolveSellable(item.productId, item.variantId);
+    this.assertAvailable(variant || product, newQuantity, orderable);
+
+    await item.update({ quantity: newQuantity });
+
+    return this.getPricedCart(cart);
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {Object} owner - Cart owner
+   * @param {number} itemId - Cart item ID
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async removeItem(owner, itemId) {
+    const { cart, item } = await this.findCartItem(owner, itemId);
+
+    await item.destroy();
+
+    return this.getPricedCart(cart);
+  }
+
+  /**
+   * Remove every line from the cart
+   * @param {Object} owner - Cart owner
+   * @returns {Promise<Object>} - Priced (empty) cart
+   */
+  async clearCart(owner) {
+    const cart = await this.getOrCreateCart(owner);
+
+    await CartItem.destroy({ where: { cartId: cart.id } });
+
+    return this.getPricedCart(cart);
+  }
+
+  /**
+   * Move the lines of a guest cart into a user's cart
+   * Quantities of lines present in both carts are added up and capped at what can be ordered
+   * @param {number} userId - User ID
+   * @param {string} guestToken - Guest cart token
+   * @returns {Promise<Object>} - Priced user cart
+   */
+  async mergeGuestCart(userId, guestToken) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const guestCart = await Cart.findOne({
+        where: { guestToken },
+        include: [{ model: CartItem, as: 'items' }],
+        transaction
+      });
+
+      let userCart = await Cart.findOne({ where: { userId }, transaction });
+
+      if (!userCart) {
+        userCart = await Cart.create({ userId }, { transaction });
+      }
+
+      if (guestCart) {
+        for (const guestItem of guestCart.items) {
+          const existing = await CartItem.findOne({
+            where: {
+              cartId: userCart.id,
+              productId: guestItem.productId,
+              variantId: guestItem.variantId
+            },
+            transaction
+          });
+
+          let orderable;
+
+          try {
+            ({ orderable } = await this.resolveSellable(guestItem.productId, guestItem.variantId));
+          } catch (error) {
+            // Items that can no longer be sold are dropped from the merge
+            continue;
+          }
+
+          const quantity = Math.min((existing ? existing.quantity : 0) + guestItem.quantity, orderable);
+
+          if (quantity <= 0) {
+            continue;
+          }
+
+          if (existing) {
+            await existing.update({ quantity }, { transaction });
+          } else {
+            await CartItem.create({
+              cartId: userCart.id,
+              productId: guestItem.productId,
+              variantId: guestItem.variantId,
+              quantity
+            }, { transaction });
+          }
+        }
+
+        await guestCart.destroy({ transaction });
+      }
+
+      await transaction.commit();
+
+      return this.getPricedCart(userCart);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Load a cart with its lines and price every line from the catalog
+   * Taxes are estimated for the given region, the order is taxed again at checkout
+   * @param {Object} cart - Cart instance
+   * @param {string} region - Tax region (defaults to TAX_DEFAULT_REGION)
+   * @returns {Promise<Object>} - Cart with priced items, totals and the tax breakdown
+   */
+  async getPricedCart(cart, region) {
+    const items = await CartItem.findAll({
+      where: { cartId: cart.id },
+      include: [
+        {
+          model: Product,
+          include: [stockInclude()]
+        },
+        {
+          model: Variant,
+          include: [stockInclude()]
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const taxes = await TaxService.applyTaxes(items.map(item => this.priceItem(item)), { region });
+    const pricedItems = taxes.lines.map(({ categoryId, ...item }) => item);
+
+    return {
+      id: cart.id,
+      userId: cart.userId,
+      guestToken: cart.guestToken,
+      items: pricedItems,
+      totals: this.calculateTotals(pricedItems),
+      taxes: taxes.breakdown,
+      updatedAt: cart.updatedAt
+    };
+  }
+
+  /**
+   * Price a single cart line with the current catalog price and discount
+   * Units beyond the available stock are shown as backordered when the item takes backorders or pre-orders
+   * @param {Object} item - CartItem with Product and Variant loaded
+   * @returns {Object} - Priced line
+   */
+  priceItem(item) {
+    const { Product: product, Variant: variant } = item;
+    const pricing = getItemPricing(product, variant);
+    const inventories = variant ? variant.inventories : product.inventories;
+    const settings = AvailabilityService.getSettings(product, variant);
+    const availableQuantity = InventoryService.getTotalAvailable(inventories);
+    const capacity = AvailabilityService.getBackorderCapacity(settings, inventories);
+    const isActive = product.isActive && product.status === 'published' && (!variant || variant.isActive);
+
+    return {
+      id: item.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      sku: variant ? variant.sku : product.sku,
+      name: variant && variant.name ? variant.name : product.name,
+      imageUrl: (variant && variant.imageUrls[0]) || product.imageUrls[0] || null,
+      categoryId: product.categoryId,
+      quantity: item.quantity,
+      ...pricing,
+      lineTotal: roundPrice(pricing.finalUnitPrice * item.quantity),
+      availableQuantity,
+      availability: AvailabilityService.getStatus(settings, inventories),
+      availableAt: AvailabilityService.isPreorderOpen(settings) ? settings.availableAt : null,
+      backorderedQuantity: Math.max(item.quantity - availableQuantity, 0),
+      isAvailable: isActive && availableQuantity + capacity >= item.quantity
+    };
+  }
+
+  /**
+   * Calculate cart totals from priced and taxed lines
+   * Exclusive taxes are added to the total, inclusive taxes are already in the prices
+   * @param {Array} items - Priced cart lines
+   * @returns {Object} - Cart totals
+   */
+  calculateTotals(items) {
+    const subtotal = roundPrice(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+    const linesTotal = roundPrice(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const exclusiveTax = items
+      .filter(item => !item.taxInclusive)
+      .reduce((sum, item) => sum + item.taxAmount, 0);
+
+    return {
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal,
+      discountTotal: roundPrice(subtotal - linesTotal),
+      taxTotal: roundPrice(items.reduce((sum, item) => sum + item.taxAmount, 0)),
+      total: roundPrice(linesTotal + exclusiveTax)
+    };
+  }
+
+  /**
+   * Find a line in the owner's cart
+   * @param {Object} owner - Cart owner
+   * @param {number} itemId - Cart item ID
+   * @returns {Promise<Object>} - cart and item
+   */
+  async findCartItem(owner, itemId) {
+    const cart = await this.findCart(owner);
+
+    if (!cart) {
+      throw ApiError.notFound('Cart not found');
+    }
+
+    const item = await CartItem.findOne({ where: { id: itemId, cartId: cart.id } });
+
+    if (!item) {
+      throw ApiError.notFound('Cart item not found');
+    }
+
+    return { cart, item };
+  }
+
+  /**
+   * Throw if the requested quantity is more than can be ordered
+   * @param {Object} sellable - Product or variant
+   * @param {number} quantity - Requested quantity
+   * @param {number} available - Orderable quantity, backorders and pre-orders included
+   */
+  assertAvailable(sellable, quantity, available) {
+    if (quantity > available) {
+      throw ApiError.badRequest(
+        available > 0
+          ? `Only ${available} unit(s) of ${sellable.sku} are available`
+          : `${sellable.sku} is out of stock`
+      );
+    }
+  }
+}
+
+module.exports = new CartService();
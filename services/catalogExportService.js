@@ -0,0 +1,395 @@
+const { Op } = require('sequelize');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Category = require('../models/category');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const AvailabilityService = require('./availabilityService');
+const { formatCsvRow } = require('../utils/csv');
+const { XlsxWriter } = require('../utils/xlsx');
+
+// The columns of the product import, so that an exported file can be edited and imported again.
+// categoryPath is for reading only, the import goes by categoryId
+const EXPORT_COLUMNS = [
+  'sku', 'productSku', 'name', 'description', 'basePrice', 'price', 'discountType', 'discountValue', 'categoryId',
+  'categoryPath', 'tags', 'imageUrls', 'attributes', 'options', 'weight', 'length', 'width', 'height', 'isActive',
+  'isFeatured', 'backorderPolicy', 'backorderLimit', 'availableAt', 'isSerialized', 'publishAt', 'unpublishAt',
+  'warehouse', 'quantity', 'lowStockThreshold', 'location'
+];
+
+const BATCH_SIZE = 100;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * Catalog Export Service
+ * Streams products with their variants and stock, in batches so that the catalog is never held in memory.
+ * Each product and variant is a row, repeated for every warehouse it is stocked in
+ */
+class CatalogExportService {
+  /**
+   * Build the product filter of the product list, which the export shares
+   * Only admins see inactive products unless isActive is given, and sellers only see their own products.
+   * Buyers and guests only see published active products, whatever the filters
+   * @param {Object} filters - Query parameters
+   * @param {Object} user - Authenticated user (optional)
+   * @returns {Object} - Where clause
+   */
+  buildFilter(filters, user) {
+    const {
+      name,
+      categoryId,
+      minPrice,
+      maxPrice,
+      tags,
+      isActive,
+      isFeatured,
+      sellerId,
+      availability,
+      status
+    } = filters;
+
+    const where = {};
+
+    if (name) {
+      where.name = { [Op.like]: `%${name}%` };
+    }
+
+    if (categoryId) {
+      where.categoryId = categoryId;
+    }
+
+    if (minPrice) {
+      where.basePrice = { ...where.basePrice, [Op.gte]: minPrice };
+    }
+
+    if (maxPrice) {
+      where.basePrice = { ...where.basePrice, [Op.lte]: maxPrice };
+    }
+
+    if (tags) {
+      where.tags = { [Op.like]: `%${tags}%` };
+    }
+
+    // For non-admins, only show active products
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    } else if (!user || user.role !== 'admin') {
+      where.isActive = true;
+    }
+
+    if (isFeatured !== undefined) {
+      where.isFeatured = isFeatured === 'true';
+    }
+
+    // Filter by seller
+    if (sellerId) {
+      where.userId = sellerId;
+    }
+
+    // If user is a seller, only show their products
+    if (user && user.role === 'seller') {
+      where.userId = user.id;
+    }
+
+    // Drafts and products under review are only listed to admins and their sellers
+    if (user && ['admin', 'seller'].includes(user.role)) {
+      if (status) {
+        where.status = status;
+      }
+    } else {
+      where.isActive = true;
+      where.status = 'published';
+    }
+
+    // Filter by availability status, a comma-separated list
+    if (availability) {
+      where[Op.and] = [AvailabilityService.whereStatus(availability.split(','))];
+    }
+
+    return where;
+  }
+
+  /**
+   * Content type and file extension of an export format
+   * @param {string} format - csv, jsonl or xlsx
+   * @returns {Object} - contentType and extension
+   */
+  getFormat(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Category names from the top of the tree down to each category
+   * @returns {Promise<Map>} - Path per category ID, such as Clothing > Shirts
+   */
+  async getCategoryPaths() {
+    const categories = await Category.findAll({ attributes: ['id', 'name', 'parentId'], raw: true });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const paths = new Map();
+
+    for (const category of categories) {
+      const names = [];
+      const visited = new Set();
+
+      for (let current = category; current && !visited.has(current.id); current = byId.get(current.parentId)) {
+        visited.add(current.id);
+        names.unshift(current.name);
+      }
+
+      paths.set(category.id, names.join(' > '));
+    }
+
+    return paths;
+  }
+
+  /**
+   * Write an object as key=value pairs, or as JSON when a key or value would not survive that
+   * @param {Object} value - Attributes or options
+   * @returns {string|null} - Cell text
+   */
+  formatObject(value) {
+    const entries = Object.entries(value || {});
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const plain = entries.every(([key, item]) => ['string', 'number', 'boolean'].includes(typeof item) &&
+      !/[=|]/.test(key) && !/[=|]/.test(String(item)) && String(item).trim() === String(item));
+
+    return plain ? entries.map(([key, item]) => `${key}=${item}`).join('|') : JSON.stringify(value);
+  }
+
+  /**
+   * Rows of a product and its variants, one per warehouse they are stocked in
+   * @param {Object} product - Product with inventories and Variants with inventories
+   * @param {Map} categoryPaths - Category paths by ID
+   * @returns {Array<Object>} - Rows keyed by column
+   */
+  toRows(product, categoryPaths) {
+    const stock = (inventory) => (inventory ? {
+      warehouse: inventory.warehouse ? inventory.warehouse.code : null,
+      quantity: inventory.quantity,
+      lowStockThreshold: inventory.lowStockThreshold,
+      location: inventory.location
+    } : {});
+    const expand = (fields, inventories) => (inventories && inventories.length > 0
+      ? inventories.map(inventory => ({ ...fields, ...stock(inventory) }))
+      : [fields]);
+
+    const productFields = {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      basePrice: parseFloat(product.basePrice),
+      discountType: product.discountType,
+      discountValue: parseFloat(product.discountValue),
+      categoryId: product.categoryId,
+      categoryPath: categoryPaths.get(product.categoryId) || null,
+      tags: product.tags,
+      imageUrls: product.imageUrls,
+      attributes: product.attributes,
+      weight: product.weight === null ? null : parseFloat(product.weight),
+      length: product.length === null ? null : parseFloat(product.length),
+      width: product.width === null ? null : parseFloat(product.width),
+      height: product.height === null ? null : parseFloat(product.height),
+      isActive: product.isActive,
+      isFeatured: product.isFeatured,
+      backorderPolicy: product.backorderPolicy,
+      backorderLimit: product.backorderLimit,
+      availableAt: product.availableAt,
+      isSerialized: product.isSerialized,
+      publishAt: product.publishAt,
+      unpublishAt: product.unpublishAt
+    };
+
+    const variantRows = (product.Variants || []).flatMap(variant => expand({
+      sku: variant.sku,
+      productSku: product.sku,
+      name: variant.name,
+      price: parseFloat(variant.price),
+      discountType: variant.discountType,
+      discountValue: parseFloat(variant.discountValue),
+      imageUrls: variant.imageUrls,
+      options: variant.options,
+      isActive: variant.isActive,
+      backorderPolicy: variant.backorderPolicy,
+      backorderLimit: variant.backorderLimit,
+      availableAt: variant.availableAt,
+      isSerialized: variant.isSerialized,
+      publishAt: variant.publishAt,
+      unpublishAt: variant.unpublishAt
+    }, variant.inventories));
+
+    return [...expand(productFields, product.inventories), ...variantRows];
+  }
+
+  /**
+   * Turn a row into the values of a CSV or XLSX line, lists and objects written as the import reads them
+   * @param {Object} row - Row keyed by column
+   * @returns {Array} - Values in column order
+   */
+  toValues(row) {
+    return EXPORT_COLUMNS.map(column => {
+      const value = row[column];
+
+      if (value === null || value === undefined) {
+        return null;
+      }
+
+      if (column === 'tags') {
+        return value.length > 0 ? value.join(',') : null;
+      }
+
+      if (column === 'imageUrls') {
+        return value.length > 0 ? value.join('|') : null;
+      }
+
+      if (column === 'attributes' || column === 'options') {
+        return this.formatObject(value);
+      }
+
+      if (typeof value === 'boolean') {
+        return String(value);
+      }
+
+      return value instanceof Date ? value.toISOString() : value;
+    });
+  }
+
+  /**
+   * Turn a row into a JSON Lines object, leaving out empty fields
+   * @param {Object} row - Row keyed by column
+   * @returns {Object} - Object in column order
+   */
+  toObject(row) {
+    const object = {};
+
+    EXPORT_COLUMNS.forEach(column => {
+      const value = row[column];
+      const empty = value === null || value === undefined ||
+        (Array.isArray(value) && value.length === 0) ||
+        ((column === 'attributes' || column === 'options') && Object.keys(value).length === 0);
+
+      if (!empty) {
+        object[column] = value;
+      }
+    });
+
+    return object;
+  }
+
+  /**
+   * Products matching a filter, one batch at a time in ID order
+   * @param {Object} where - Product filter
+   * @returns {AsyncGenerator<Array>} - Batches of products with variants and stock
+   */
+  async *batches(where) {
+    const inventoryInclude = () => ({
+      model: Inventory,
+      as: 'inventories',
+      attributes: ['id', 'warehouseId', 'quantity', 'lowStockThreshold', 'location'],
+      include: [{ model: Warehouse, as: 'warehouse', attributes: ['id', 'code'] }],
+      separate: true,
+      order: [['warehouseId', 'ASC']]
+    });
+    let lastId = 0;
+
+    while (true) {
+      const products = await Product.findAll({
+        where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+        include: [
+          inventoryInclude(),
+          {
+            model: Variant,
+            separate: true,
+            order: [['id', 'ASC']],
+            include: [inventoryInclude()]
+          }
+        ],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      if (products.length === 0) {
+        return;
+      }
+
+      yield products;
+      lastId = products[products.length - 1].id;
+
+      if (products.length < BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Stream the products matching a filter to a writable stream
+   * @param {Object} where - Product filter, as built for the product list
+   * @param {string} format - csv, jsonl or xlsx
+   * @param {Object} output - Writable stream, such as an HTTP response
+   * @param {Object} options - onProgress, called with the number of products written after every batch
+   * @returns {Promise<number>} - Rows written
+   */
+  async exportCatalog(where, format, output, { onProgress } = {}) {
+    const categoryPaths = await this.getCategoryPaths();
+    const xlsx = format === 'xlsx' ? new XlsxWriter(output, 'Products') : null;
+    let count = 0;
+    let products = 0;
+
+    const send = (text) => (output.write(text) ? Promise.resolve() : new Promise(resolve => {
+      const done = () => {
+        output.removeListener('drain', done);
+        output.removeListener('close', done);
+        resolve();
+      };
+      output.once('drain', done);
+      output.once('close', done);
+    }));
+
+    if (xlsx) {
+      await xlsx.addRow(EXPORT_COLUMNS);
+    } else if (format === 'csv') {
+      await send(formatCsvRow(EXPORT_COLUMNS));
+    }
+
+    for await (const batch of this.batches(where)) {
+      // A client that went away does not need the rest
+      if (output.destroyed) {
+        return count;
+      }
+
+      for (const row of batch.flatMap(product => this.toRows(product, categoryPaths))) {
+        if (xlsx) {
+          await xlsx.addRow(this.toValues(row));
+        } else if (format === 'csv') {
+          await send(formatCsvRow(this.toValues(row)));
+        } else {
+          await send(`${JSON.stringify(this.toObject(row))}\n`);
+        }
+
+        count += 1;
+      }
+
+      products += batch.length;
+
+      if (onProgress) {
+        await onProgress(products);
+      }
+    }
+
+    if (xlsx) {
+      await xlsx.end();
+    }
+
+    return count;
+  }
+}
+
+module.exports = new CatalogExportService();
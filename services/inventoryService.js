@@ -0,0 +1,625 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Inventory = require('../models/inventory');
+const InventoryLot = require('../models/inventoryLot');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const StockMovement = require('../models/stockMovement');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * Inventory Service
+ * Keeps stock reservations and stock levels consistent
+ * Every method expects to run inside a transaction so the inventory row can be locked
+ * The on-hand quantity only changes through recordMovement, so it always equals the sum of the ledger.
+ * For serialized SKUs it also equals the number of serial numbers on hand
+ */
+class InventoryService {
+  /**
+   * Quantity that can still be sold from an inventory record
+   * @param {Object} inventory - Inventory instance
+   * @returns {number} - quantity minus reserved quantity
+   */
+  getAvailableQuantity(inventory) {
+    if (!inventory) {
+      return 0;
+    }
+
+    return Math.max(inventory.quantity - inventory.reservedQuantity, 0);
+  }
+
+  /**
+   * Whether the stock of an inventory record can be sold
+   * Stock in an inactive warehouse is kept but not offered; the warehouse must be loaded as `warehouse`
+   * @param {Object} inventory - Inventory instance
+   * @returns {boolean} - true for stock outside any warehouse or in an active one
+   */
+  isSellable(inventory) {
+    return !inventory.warehouseId || Boolean(inventory.warehouse && inventory.warehouse.isActive);
+  }
+
+  /**
+   * Stock of a product or variant summed over its warehouses
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @returns {Object} - quantity, reservedQuantity and available over the sellable rows
+   */
+  summarizeStock(inventories = []) {
+    return inventories.filter(inventory => this.isSellable(inventory)).reduce((stock, inventory) => ({
+      quantity: stock.quantity + inventory.quantity,
+      reservedQuantity: stock.reservedQuantity + inventory.reservedQuantity,
+      available: stock.available + this.getAvailableQuantity(inventory)
+    }), { quantity: 0, reservedQuantity: 0, available: 0 });
+  }
+
+  /**
+   * Quantity that can still be sold from every warehouse
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @returns {number} - Available quantity
+   */
+  getTotalAvailable(inventories) {
+    return this.summarizeStock(inventories).available;
+  }
+
+  /**
+   * Lock every inventory row of a product or variant for update
+   * @param {Object} where - { productId, variantId: null } or { variantId }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Locked inventory instances with their warehouse
+   */
+  async lockStockRows(where, transaction) {
+    return Inventory.findAll({
+      where,
+      include: [{ model: Warehouse, as: 'warehouse' }],
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+  }
+
+  /**
+   * Lock an inventory row for update
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object|null>} - Locked inventory instance
+   */
+  async lockInventory(inventoryId, transaction) {
+    return Inventory.findByPk(inventoryId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+  }
+
+  /**
+   * Reserve stock for an unpaid order
+   * The inventory row must already be locked by the caller. Backordered units are reserved
+   * beyond the stock on hand and wait for stock to arrive
+   * @param {Object} inventory - Locked inventory instance
+   * @param {number} quantity - Quantity to reserve, backordered units included
+   * @param {Object} transaction - Sequelize transaction
+   * @param {number} backordered - Units of the quantity sold ahead of stock
+   */
+  async reserveStock(inventory, quantity, transaction, backordered = 0) {
+    if (this.getAvailableQuantity(inventory) < quantity - backordered) {
+      throw ApiError.badRequest(`Insufficient stock for ${inventory.sku}`);
+    }
+
+    await inventory.increment('reservedQuantity', { by: quantity, transaction });
+  }
+
+  /**
+   * Release a reservation without taking the stock
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Reserved quantity to release
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async releaseStock(inventoryId, quantity, transaction) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      return;
+    }
+
+    await inventory.decrement('reservedQuantity', {
+      by: Math.min(quantity, inventory.reservedQuantity),
+      transaction
+    });
+  }
+
+  /**
+   * Turn a reservation into a sale
+   * Both the on-hand quantity and the reserved quantity go down
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Reserved quantity to take
+   * @param {Object} transaction - Sequelize transaction
+   * @param {Object} movement - actor, reference and notes for the ledger, and the serials sold
+   * @returns {Promise<Object|null>} - Created stock movement, null when the record was removed
+   */
+  async commitReservation(inventoryId, quantity, transaction, movement = {}) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      return null;
+    }
+
+    if (inventory.quantity < quantity) {
+      throw ApiError.conflict(`Insufficient stock for ${inventory.sku}`);
+    }
+
+    const created = await this.recordMovement(inventory, -quantity, { ...movement, type: 'sale' }, transaction);
+
+    await inventory.decrement('reservedQuantity', {
+      by: Math.min(quantity, inventory.reservedQuantity),
+      transaction
+    });
+
+    return created;
+  }
+
+  /**
+   * Put sold stock back on hand
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Quantity to return
+   * @param {Object} transaction - Sequelize transaction
+   * @param {Object} movement - type (restock by default), actor, reference and notes for the ledger,
+   *   and the serials put back
+   * @returns {Promise<Object|null>} - Created stock movement, null when the record was removed
+   */
+  async restock(inventoryId, quantity, transaction, movement = {}) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      return null;
+    }
+
+    return this.recordMovement(inventory, quantity, { type: 'restock', ...movement }, transaction);
+  }
+
+  /**
+   * Hold returned stock for inspection
+   * Quarantined units are kept apart from the on-hand quantity so they cannot be sold
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Quantity to quarantine
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async quarantine(inventoryId, quantity, transaction) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      return;
+    }
+
+    await inventory.increment('quarantinedQuantity', { by: quantity, transaction });
+  }
+
+  /**
+   * Take stock out of quarantine, either back on hand or written off
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Quantity to release
+   * @param {boolean} restock - Whether the units go back on hand
+   * @param {Object} transaction - Sequelize transaction
+   * @param {Object} movement - actor, reference and notes for the ledger, and the serials released
+   * @returns {Promise<Object>} - Updated inventory instance
+   */
+  async releaseQuarantine(inventoryId, quantity, restock, transaction, movement = {}) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    if (inventory.quarantinedQuantity < quantity) {
+      throw ApiError.badRequest(`Only ${inventory.quarantinedQuantity} unit(s) of ${inventory.sku} are in quarantine`);
+    }
+
+    await this.assertSerials(inventory, quantity, movement.serials, transaction);
+
+    await inventory.decrement('quarantinedQuantity', { by: quantity, transaction });
+
+    // Written off units never went back on hand, so only restocked units reach the ledger
+    if (restock) {
+      await inventory.reload({ transaction });
+      await this.recordMovement(inventory, quantity, { ...movement, type: 'return' }, transaction);
+    }
+
+    return inventory.reload({ transaction });
+  }
+
+  /**
+   * Change the on-hand quantity and record the change in the stock movement ledger
+   * The inventory row must already be locked by the caller. Stock leaving without a lot is taken
+   * first-expired-first-out, which records one movement per lot it came from
+   * @param {Object} inventory - Locked inventory instance
+   * @param {number} delta - Change of the on-hand quantity, negative when stock leaves
+   * @param {Object} movement - type, actor, reference, notes, the unitCost of stock bought in, the lot,
+   *   { id } or { lotNumber, manufacturedAt, expiresAt }, the units go into or come from, and for
+   *   serialized SKUs the serial numbers of the units
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Last created stock movement, its quantityAfter is the new quantity
+   */
+  async recordMovement(inventory, delta, { type, actor = null, reference = null, notes = null, unitCost = null, lot = null, serials = null }, transaction) {
+    await this.assertSerials(inventory, Math.abs(delta), serials, transaction);
+    await this.openLedger(inventory, transaction);
+
+    let quantityAfter = inventory.quantity;
+
+    if (quantityAfter + delta < 0) {
+      throw ApiError.conflict(`Insufficient stock for ${inventory.sku}`);
+    }
+
+    const parts = await this.allocateLots(inventory, delta, lot, transaction);
+    const changes = { quantity: quantityAfter + delta };
+
+    if (type === 'restock') {
+      changes.lastRestockDate = new Date();
+    }
+
+    await inventory.update(changes, { transaction });
+
+    let movement = null;
+
+    for (const part of parts) {
+      quantityAfter += part.delta;
+
+      if (part.lot) {
+        await part.lot.increment('quantity', { by: part.delta, transaction });
+      }
+
+      movement = await StockMovement.create({
+        inventoryId: inventory.id,
+        lotId: part.lot ? part.lot.id : null,
+        type,
+        delta: part.delta,
+        quantityAfter,
+        actorId: actor ? actor.id : null,
+        actorRole: actor ? actor.role : 'system',
+        reference,
+        unitCost,
+        notes
+      }, { transaction });
+    }
+
+    return movement;
+  }
+
+  /**
+   * Split a change of the on-hand quantity over the lots of an inventory record
+   * @param {Object} inventory - Locked inventory instance
+   * @param {number} delta - Change of the on-hand quantity
+   * @param {Object} lot - Lot the units go into or come from, null to leave lots alone when stock
+   *   arrives and to take it first-expired-first-out when it leaves
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - [{ lot, delta }], lot null for units outside any lot
+   */
+  async allocateLots(inventory, delta, lot, transaction) {
+    if (lot) {
+      const record = await this.findLot(inventory, lot, delta > 0, transaction);
+
+      if (record.quantity + delta < 0) {
+        throw ApiError.conflict(`Only ${record.quantity} unit(s) of ${inventory.sku} are left in lot ${record.lotNumber}`);
+      }
+
+      return [{ lot: record, delta }];
+    }
+
+    if (delta >= 0) {
+      return [{ lot: null, delta }];
+    }
+
+    const lots = await InventoryLot.findAll({
+      where: { inventoryId: inventory.id, quantity: { [Op.gt]: 0 } },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    return this.planLotAllocation(lots, -delta).map(part => ({ lot: part.lot, delta: -part.quantity }));
+  }
+
+  /**
+   * Pick the lots units leave from, first-expired-first-out
+   * Lots go by expiry date, then lots without one. Units outside any lot have no known date and go last
+   * @param {Array} lots - Lots of the inventory record
+   * @param {number} quantity - Units leaving
+   * @returns {Array} - [{ lot, quantity }], lot null for units outside any lot
+   */
+  planLotAllocation(lots, quantity) {
+    const ordered = lots.filter(lot => lot.quantity > 0).sort(this.compareLots);
+
+    const parts = [];
+    let remaining = quantity;
+
+    for (const lot of ordered) {
+      if (remaining === 0) {
+        break;
+      }
+
+      const taken = Math.min(lot.quantity, remaining);
+      parts.push({ lot, quantity: taken });
+      remaining -= taken;
+    }
+
+    if (remaining > 0) {
+      parts.push({ lot: null, quantity: remaining });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Sort order of lots, first to expire first and lots without an expiry date last
+   * @param {Object} a - Lot
+   * @param {Object} b - Lot
+   * @returns {number} - Negative when a goes first
+   */
+  compareLots(a, b) {
+    if (a.expiresAt !== b.expiresAt) {
+      if (!a.expiresAt || !b.expiresAt) {
+        return a.expiresAt ? -1 : 1;
+      }
+
+      return a.expiresAt < b.expiresAt ? -1 : 1;
+    }
+
+    return a.id - b.id;
+  }
+
+  /**
+   * Lock a lot of an inventory record, creating it for stock that arrives under a new lot number
+   * @param {Object} inventory - Inventory instance
+   * @param {Object} lot - { id } or { lotNumber, manufacturedAt, expiresAt }
+   * @param {boolean} create - Whether a missing lot number is created
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Locked lot instance
+   */
+  async findLot(inventory, { id, lotNumber, manufacturedAt = null, expiresAt = null }, create, transaction) {
+    const where = id ? { id, inventoryId: inventory.id } : { inventoryId: inventory.id, lotNumber: String(lotNumber).trim() };
+
+    const record = await InventoryLot.findOne({
+      where,
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!record) {
+      if (!create || id) {
+        throw ApiError.notFound(`Lot ${id || lotNumber} not found for ${inventory.sku}`);
+      }
+
+      return InventoryLot.create({
+        inventoryId: inventory.id,
+        lotNumber,
+        manufacturedAt,
+        expiresAt
+      }, { transaction });
+    }
+
+    // A lot number names one batch, more of it cannot carry other dates
+    if ((manufacturedAt && manufacturedAt !== record.manufacturedAt) || (expiresAt && expiresAt !== record.expiresAt)) {
+      throw ApiError.conflict(`Lot ${record.lotNumber} of ${inventory.sku} has other manufacture or expiry dates`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Whether the units of a product or variant are tracked by serial number
+   * A variant without a setting of its own follows its product
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant instance (optional)
+   * @returns {boolean} - true for serialized SKUs
+   */
+  tracksSerials(product, variant = null) {
+    if (variant && variant.isSerialized !== null && variant.isSerialized !== undefined) {
+      return variant.isSerialized;
+    }
+
+    return Boolean(product && product.isSerialized);
+  }
+
+  /**
+   * Whether an inventory record or order item holds a serialized SKU
+   * @param {Object} item - Anything with a productId or a variantId
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<boolean>} - true for serialized SKUs
+   */
+  async isSerialized({ productId, variantId }, transaction) {
+    if (variantId) {
+      const variant = await Variant.findByPk(variantId, { include: [Product], transaction });
+      return Boolean(variant) && this.tracksSerials(variant.Product, variant);
+    }
+
+    return this.tracksSerials(await Product.findByPk(productId, { transaction }));
+  }
+
+  /**
+   * Throw when the stock of a serialized SKU changes without one serial number per unit
+   * @param {Object} inventory - Inventory instance
+   * @param {number} units - Units changing
+   * @param {Array} serials - Serial numbers of the units, if any
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertSerials(inventory, units, serials, transaction) {
+    if (units === 0 || (serials && serials.length === units)) {
+      return;
+    }
+
+    if (await this.isSerialized(inventory, transaction)) {
+      throw ApiError.badRequest(`${inventory.sku} is tracked by serial number, its stock only changes with the serial numbers of the units`);
+    }
+  }
+
+  /**
+   * Record the stock a record held before it had any movements as an opening balance
+   * Records created before the ledger existed start it this way the first time they change
+   * @param {Object} inventory - Locked inventory instance
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async openLedger(inventory, transaction) {
+    if (inventory.quantity === 0) {
+      return;
+    }
+
+    const recorded = await StockMovement.count({ where: { inventoryId: inventory.id }, transaction });
+
+    if (recorded === 0) {
+      await StockMovement.create({
+        inventoryId: inventory.id,
+        type: 'adjustment',
+        delta: inventory.quantity,
+        quantityAfter: inventory.quantity,
+        notes: 'Opening balance'
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Set the on-hand quantity to a counted value, recording the difference as one movement
+   * @param {Object} inventory - Locked inventory instance
+   * @param {number} quantity - New on-hand quantity
+   * @param {Object} movement - type, actor, reference, notes and the unitCost of units coming in.
+   *   The type defaults to restock when the quantity goes up and to adjustment when it goes down
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object|null>} - Created stock movement, null when the quantity did not change
+   */
+  async setQuantity(inventory, quantity, movement, transaction) {
+    this.assertCoversReservations(inventory, quantity);
+
+    const delta = quantity - inventory.quantity;
+
+    if (delta === 0) {
+      return null;
+    }
+
+    if ((movement.type === 'restock' && delta < 0) || (movement.type === 'damage' && delta > 0)) {
+      throw ApiError.badRequest(`A ${movement.type} cannot ${delta < 0 ? 'lower' : 'raise'} the quantity of ${inventory.sku}`);
+    }
+
+    if (movement.unitCost !== undefined && movement.unitCost !== null && delta < 0) {
+      throw ApiError.badRequest(`A unit cost can only be given when the quantity of ${inventory.sku} goes up`);
+    }
+
+    return this.recordMovement(inventory, delta, {
+      ...movement,
+      type: movement.type || (delta > 0 ? 'restock' : 'adjustment')
+    }, transaction);
+  }
+
+  /**
+   * Create an inventory record, recording its starting stock as a restock
+   * @param {Object} data - Inventory fields, quantity included
+   * @param {Object} movement - actor, reference and notes for the ledger
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Created inventory instance
+   */
+  async createInventory({ quantity = 0, ...data }, movement, transaction) {
+    const inventory = await Inventory.create({ ...data, quantity: 0, lastRestockDate: null }, { transaction });
+
+    if (quantity > 0) {
+      await this.recordMovement(inventory, quantity, { ...movement, type: 'restock' }, transaction);
+    }
+
+    return inventory;
+  }
+
+  /**
+   * On-hand quantity according to the ledger
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<number>} - Sum of the movements
+   */
+  async getLedgerQuantity(inventoryId, transaction) {
+    return (await StockMovement.sum('delta', { where: { inventoryId }, transaction })) || 0;
+  }
+
+  /**
+   * Bring the on-hand quantity of a record back in line with its ledger
+   * A quantity written outside recordMovement is replaced by the sum of the movements,
+   * and so is the quantity of each of its lots
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - inventory, previousQuantity, ledgerQuantity and difference
+   */
+  async reconcile(inventoryId, transaction) {
+    const inventory = await this.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    // A record without movements has nothing to be checked against yet
+    await this.openLedger(inventory, transaction);
+
+    const previousQuantity = inventory.quantity;
+    const ledgerQuantity = await this.getLedgerQuantity(inventory.id, transaction);
+
+    if (ledgerQuantity !== previousQuantity) {
+      if (ledgerQuantity < inventory.reservedQuantity) {
+        throw ApiError.conflict(
+          `The ledger of ${inventory.sku} holds ${ledgerQuantity} unit(s), fewer than the ${inventory.reservedQuantity} reserved by open orders`
+        );
+      }
+
+      await inventory.update({ quantity: ledgerQuantity }, { transaction });
+    }
+
+    await this.reconcileLots(inventory.id, transaction);
+
+    return {
+      inventory,
+      previousQuantity,
+      ledgerQuantity,
+      difference: ledgerQuantity - previousQuantity
+    };
+  }
+
+  /**
+   * Set the quantity of every lot of a record back to the sum of its movements
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async reconcileLots(inventoryId, transaction) {
+    const lots = await InventoryLot.findAll({
+      where: { inventoryId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (lots.length === 0) {
+      return;
+    }
+
+    const sums = await StockMovement.findAll({
+      attributes: ['lotId', [sequelize.fn('SUM', sequelize.col('delta')), 'quantity']],
+      where: { inventoryId, lotId: { [Op.ne]: null } },
+      group: ['lotId'],
+      raw: true,
+      transaction
+    });
+
+    const ledger = new Map(sums.map(row => [row.lotId, parseInt(row.quantity, 10)]));
+
+    for (const lot of lots) {
+      const quantity = ledger.get(lot.id) || 0;
+
+      if (quantity !== lot.quantity) {
+        await lot.update({ quantity }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Throw if a new on-hand quantity would be lower than the reserved quantity
+   * A record with backorders holds fewer units than it reserved, its quantity may still go up
+   * @param {Object} inventory - Inventory instance
+   * @param {number} quantity - New on-hand quantity
+   */
+  assertCoversReservations(inventory, quantity) {
+    if (quantity < inventory.reservedQuantity && quantity < inventory.quantity) {
+      throw ApiError.badRequest(
+        `Quantity for ${inventory.sku} cannot be lower than the ${inventory.reservedQuantity} unit(s) reserved by open orders`
+      );
+    }
+  }
+}
+
+module.exports = new InventoryService();
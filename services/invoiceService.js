@@ -0,0 +1,237 @@
+const { sequelize } = require('../config/database');
+const Invoice = require('../models/invoice');
+const InvoiceSequence = require('../models/invoiceSequence');
+const User = require('../models/user');
+const OrderService = require('./orderService');
+const { renderInvoice, renderPackingSlip } = require('../utils/pdfDocuments');
+const { ApiError } = require('../utils/errorHandler');
+const { roundPrice } = require('../utils/helpers');
+
+// Documents are only produced once the order has been paid
+const DOCUMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+
+const sellerAttributes = ['id', 'firstName', 'lastName', 'email', 'companyName', 'businessAddress', 'taxId'];
+
+/**
+ * Invoice Service
+ * Issues per-seller invoices with sequential numbers and renders order documents
+ */
+class InvoiceService {
+  /**
+   * Get the invoice PDF of a seller's part of an order, issuing the invoice on first request
+   * @param {number} orderId - Order ID
+   * @param {Object} user - Authenticated user
+   * @param {number} sellerId - Seller to invoice for (optional, see resolveSellerId)
+   * @returns {Promise<Object>} - { invoice, pdf }
+   */
+  async getInvoicePdf(orderId, user, sellerId) {
+    const context = await this.getDocumentContext(orderId, user, sellerId);
+    const invoice = await this.getOrIssueInvoice(context.order, context.seller.id, context.lines, context.shipment);
+
+    const pdf = await renderInvoice({ ...context, invoice });
+
+    return { invoice, pdf };
+  }
+
+  /**
+   * Get the packing slip PDF of a seller's part of an order
+   * @param {number} orderId - Order ID
+   * @param {Object} user - Authenticated user
+   * @param {number} sellerId - Seller whose items are packed (optional, see resolveSellerId)
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  async getPackingSlipPdf(orderId, user, sellerId) {
+    const context = await this.getDocumentContext(orderId, user, sellerId);
+    return renderPackingSlip(context);
+  }
+
+  /**
+   * Load everything a document needs and check the user may see it
+   * @param {number} orderId - Order ID
+   * @param {Object} user - Authenticated user
+   * @param {number} sellerId - Requested seller
+   * @returns {Promise<Object>} - { order, seller, buyer, lines, taxes, shipment }
+   */
+  async getDocumentContext(orderId, user, sellerId) {
+    const order = await OrderService.getOrderDetails(orderId, user);
+
+    if (!DOCUMENT_STATUSES.includes(order.status)) {
+      throw ApiError.badRequest(`Documents are not available for an order that is ${order.status}`);
+    }
+
+    const resolvedSellerId = this.resolveSellerId(order, user, sellerId);
+    const seller = await User.findByPk(resolvedSellerId, { attributes: sellerAttributes });
+
+    if (!seller) {
+      throw ApiError.notFound('Seller not found');
+    }
+
+    const lines = order.items
+      .filter(item => item.sellerId === resolvedSellerId)
+      .map(item => this.buildLine(item));
+
+    return {
+      order,
+      seller,
+      buyer: order.buyer,
+      lines,
+      taxes: this.summarizeTaxes(lines),
+      shipment: order.shipments.find(shipment => shipment.sellerId === resolvedSellerId) || null
+    };
+  }
+
+  /**
+   * Work out whose part of the order a document covers
+   * Sellers always get their own part. Buyers and admins must name the seller
+   * when the order has items from more than one seller.
+   * @param {Object} order - Order with items loaded
+   * @param {Object} user - Authenticated user
+   * @param {number} sellerId - Requested seller (optional)
+   * @returns {number} - Seller ID
+   */
+  resolveSellerId(order, user, sellerId) {
+    const sellerIds = [...new Set(order.items.map(item => item.sellerId))];
+
+    if (user.role === 'seller' && order.userId !== user.id) {
+      if (sellerId && sellerId !== user.id) {
+        throw ApiError.forbidden('Sellers can only get documents for their own items');
+      }
+
+      return user.id;
+    }
+
+    if (sellerId) {
+      if (!sellerIds.includes(sellerId)) {
+        throw ApiError.badRequest('The seller has no items in this order');
+      }
+
+      return sellerId;
+    }
+
+    if (sellerIds.length > 1) {
+      throw ApiError.badRequest('This order has items from several sellers, a sellerId is required');
+    }
+
+    return sellerIds[0];
+  }
+
+  /**
+   * Amounts of an order line as printed on documents
+   * Uses the tax stored on the line when the order was placed
+   * @param {Object} item - OrderItem instance
+   * @returns {Object} - Line with unitPrice, discount, tax and total
+   */
+  buildLine(item) {
+    const unitPrice = Number(item.unitPrice);
+    const tax = Number(item.taxAmount);
+
+    return {
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice,
+      discount: roundPrice((unitPrice - Number(item.finalUnitPrice)) * item.quantity),
+      taxRate: Number(item.taxRate),
+      taxInclusive: item.taxInclusive,
+      tax,
+      total: roundPrice(Number(item.lineTotal) + (item.taxInclusive ? 0 : tax))
+    };
+  }
+
+  /**
+   * Tax summary per rate, as printed under the invoice lines
+   * @param {Array} lines - Lines from buildLine
+   * @returns {Array} - { rate, inclusive, taxAmount }
+   */
+  summarizeTaxes(lines) {
+    const summary = new Map();
+
+    lines.filter(line => line.tax > 0).forEach(line => {
+      const key = `${line.taxRate}:${line.taxInclusive}`;
+      const entry = summary.get(key) || { rate: line.taxRate, inclusive: line.taxInclusive, taxAmount: 0 };
+
+      entry.taxAmount = roundPrice(entry.taxAmount + line.tax);
+      summary.set(key, entry);
+    });
+
+    return [...summary.values()];
+  }
+
+  /**
+   * Get the seller's invoice for an order, issuing it with the next number if needed
+   * The totals are stored when the invoice is issued and never recalculated
+   * @param {Object} order - Order instance
+   * @param {number} sellerId - Seller ID
+   * @param {Array} lines - Seller's lines from buildLine
+   * @param {Object} shipment - Seller's shipment, for the shipping charged (optional)
+   * @returns {Promise<Object>} - Invoice instance
+   */
+  async getOrIssueInvoice(order, sellerId, lines, shipment) {
+    const existing = await Invoice.findOne({ where: { orderId: order.id, sellerId } });
+
+    if (existing) {
+      return existing;
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      await InvoiceSequence.bulkCreate([{ sellerId }], { ignoreDuplicates: true, transaction });
+
+      // The sequence lock also serializes concurrent requests for the same order
+      const sequence = await InvoiceSequence.findByPk(sellerId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      let invoice = await Invoice.findOne({ where: { orderId: order.id, sellerId }, transaction });
+
+      if (!invoice) {
+        const sequenceNumber = sequence.lastNumber + 1;
+        const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+        const discountTotal = roundPrice(lines.reduce((sum, line) => sum + line.discount, 0));
+        const taxTotal = roundPrice(lines.reduce((sum, line) => sum + line.tax, 0));
+        const exclusiveTax = roundPrice(lines
+          .filter(line => !line.taxInclusive)
+          .reduce((sum, line) => sum + line.tax, 0));
+        const shippingTotal = shipment ? Number(shipment.shippingCost) : 0;
+
+        await sequence.update({ lastNumber: sequenceNumber }, { transaction });
+
+        invoice = await Invoice.create({
+          orderId: order.id,
+          sellerId,
+          sequenceNumber,
+          invoiceNumber: this.formatInvoiceNumber(sellerId, sequenceNumber),
+          subtotal,
+          discountTotal,
+          taxTotal,
+          shippingTotal,
+          totalAmount: roundPrice(subtotal - discountTotal + exclusiveTax + shippingTotal),
+          currency: process.env.PAYMENT_CURRENCY || 'USD',
+          issuedAt: new Date()
+        }, { transaction });
+      }
+
+      await transaction.commit();
+
+      return invoice;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Printed invoice number, e.g. INV-3-000012
+   * @param {number} sellerId - Seller ID
+   * @param {number} sequenceNumber - Seller's invoice sequence number
+   * @returns {string} - Invoice number
+   */
+  formatInvoiceNumber(sellerId, sequenceNumber) {
+    const prefix = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+    return `${prefix}-${sellerId}-${String(sequenceNumber).padStart(6, '0')}`;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,45 @@
+const { Op } = require('sequelize');
+const Job = require('../../models/job');
+const JobBackend = require('./jobBackend');
+
+/**
+ * Database Job Backend
+ * Workers poll the jobs table for queued jobs that are due. Needs nothing but the database,
+ * which makes it the default
+ */
+class DatabaseJobBackend extends JobBackend {
+  constructor() {
+    super('database');
+  }
+
+  /**
+   * The jobs table is the queue, a queued job is already there
+   * @returns {Promise<void>}
+   */
+  async push() {}
+
+  /**
+   * Queued jobs that are due, oldest first
+   * @param {number} limit - Most jobs to pick
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<number>>} - Job IDs
+   */
+  async next(limit, now) {
+    const jobs = await Job.findAll({
+      where: { status: 'queued', runAt: { [Op.lte]: now } },
+      attributes: ['id'],
+      order: [['runAt', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    return jobs.map(job => job.id);
+  }
+
+  /**
+   * A job leaves the queue with its status
+   * @returns {Promise<void>}
+   */
+  async remove() {}
+}
+
+module.exports = DatabaseJobBackend;
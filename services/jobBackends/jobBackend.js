@@ -0,0 +1,60 @@
+/**
+ * Job Backend
+ * Base class for the queues that hand jobs to workers
+ *
+ * The jobs table always holds the state of a job (status, progress, result, attempts),
+ * whichever backend is used. A backend only decides which queued jobs a worker picks up next.
+ * Picking a job does not start it: the job service still moves it from queued to running
+ * with a conditional update, so a job that two workers picked runs once.
+ */
+class JobBackend {
+  /**
+   * @param {string} name - Name used to select the backend
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Make a queued job available to workers from its runAt on
+   * @param {Object} job - Queued job
+   * @returns {Promise<void>}
+   */
+  async push(job) {
+    throw new Error(`${this.name} job backend does not implement push`);
+  }
+
+  /**
+   * Pick jobs that are due
+   * @param {number} limit - Most jobs to pick
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<number>>} - Job IDs, the one that waited longest first
+   */
+  async next(limit, now) {
+    throw new Error(`${this.name} job backend does not implement next`);
+  }
+
+  /**
+   * Take a job out of the queue, for instance once it is cancelled
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async remove(job) {
+    throw new Error(`${this.name} job backend does not implement remove`);
+  }
+
+  /**
+   * Make sure the queue holds these queued jobs, after a restart or a lost connection
+   * @param {Array<Object>} jobs - Queued jobs
+   * @returns {Promise<void>}
+   */
+  async restore(jobs) {}
+
+  /**
+   * Release connections
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = JobBackend;
@@ -0,0 +1,105 @@
+const redis = require('redis');
+const CacheService = require('../cacheService');
+const JobBackend = require('./jobBackend');
+
+const QUEUE_KEY = 'jobs:queued';
+
+/**
+ * Redis Job Backend
+ * Keeps the IDs of queued jobs in a sorted set scored by their runAt, so workers find due jobs
+ * without polling the jobs table. Connects with the same settings as the cache (REDIS_URL, REDIS_PASSWORD)
+ */
+class RedisJobBackend extends JobBackend {
+  /**
+   * @param {Object} options - Options for redis.createClient, the cache settings by default
+   */
+  constructor(options = CacheService.getRedisOptions()) {
+    super('redis');
+    this.client = redis.createClient(options);
+    this.client.on('error', (err) => {
+      console.error('Job queue Redis error:', err);
+    });
+    this.connecting = null;
+  }
+
+  /**
+   * Connected client, connecting on first use
+   * @returns {Promise<Object>} - Redis client
+   */
+  async getClient() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Add a job to the sorted set at its runAt
+   * @param {Object} job - Queued job
+   * @returns {Promise<void>}
+   */
+  async push(job) {
+    const client = await this.getClient();
+    await client.zAdd(QUEUE_KEY, { score: new Date(job.runAt).getTime(), value: String(job.id) });
+  }
+
+  /**
+   * Take due jobs off the sorted set. Removing a member only succeeds for one worker, which owns the job
+   * @param {number} limit - Most jobs to pick
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<number>>} - Job IDs
+   */
+  async next(limit, now) {
+    const client = await this.getClient();
+    const members = await client.zRangeByScore(QUEUE_KEY, 0, now.getTime(), { LIMIT: { offset: 0, count: limit } });
+    const ids = [];
+
+    for (const member of members) {
+      if (await client.zRem(QUEUE_KEY, member) === 1) {
+        ids.push(parseInt(member, 10));
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Remove a job from the sorted set
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async remove(job) {
+    const client = await this.getClient();
+    await client.zRem(QUEUE_KEY, String(job.id));
+  }
+
+  /**
+   * Add queued jobs the sorted set lost, leaving the ones it has alone
+   * @param {Array<Object>} jobs - Queued jobs
+   * @returns {Promise<void>}
+   */
+  async restore(jobs) {
+    if (jobs.length === 0) {
+      return;
+    }
+
+    const client = await this.getClient();
+    await client.zAdd(QUEUE_KEY, jobs.map(job => ({ score: new Date(job.runAt).getTime(), value: String(job.id) })), { NX: true });
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisJobBackend;
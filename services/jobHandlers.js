@@ -0,0 +1,187 @@
+const fs = require('fs');
+const { sequelize } = require('../config/database');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const User = require('../models/user');
+const JobService = require('./jobService');
+const ProductImportService = require('./productImportService');
+const CatalogExportService = require('./catalogExportService');
+const ValuationService = require('./valuationService');
+const imageService = require('./imageService');
+const { ApiError } = require('../utils/errorHandler');
+
+// Name the uploaded import file is stored under in the job directory
+const IMPORT_FILE = 'import';
+const IMPORT_ERRORS_FILE = 'product-import-errors.csv';
+
+/**
+ * Name an uploaded image is stored under in the job directory
+ * @param {number} index - Position of the image in the upload
+ * @returns {string} - File name
+ */
+const imageFile = index => `image-${index}`;
+
+/**
+ * Name the processed files of an uploaded image are recorded under in the job directory
+ * @param {number} index - Position of the image in the upload
+ * @returns {string} - File name
+ */
+const processedImageFile = index => `image-${index}.json`;
+
+/**
+ * The user who started a job, whose permissions the job runs with
+ * @param {Object} job - Job
+ * @returns {Promise<Object>} - User
+ */
+const getJobUser = async (job) => {
+  const user = job.userId ? await User.findByPk(job.userId) : null;
+
+  if (!user) {
+    throw ApiError.badRequest('The user who started the job no longer exists');
+  }
+
+  return user;
+};
+
+/**
+ * Import products from the file stored with the job
+ * Payload: { format, dryRun, filename }. The errors are also written as CSV when there are any
+ */
+const importProducts = async (job, { progress, filePath }) => {
+  const { format, dryRun, filename } = job.payload;
+  const user = await getJobUser(job);
+  const buffer = await fs.promises.readFile(filePath(IMPORT_FILE));
+
+  const report = await ProductImportService.importProducts({ buffer, originalname: filename }, {
+    format,
+    dryRun,
+    onProgress: (done, total) => progress((done / total) * 100, `${done} of ${total} rows`)
+  }, user);
+
+  if (report.errors.length === 0) {
+    return report;
+  }
+
+  await fs.promises.writeFile(filePath(IMPORT_ERRORS_FILE), ProductImportService.toErrorCsv(report));
+
+  return { ...report, file: { filename: IMPORT_ERRORS_FILE, contentType: 'text/csv; charset=utf-8' } };
+};
+
+/**
+ * Export the catalog to a file in the job directory
+ * Payload: { format, filters } with the filters of the product list
+ */
+const exportProducts = async (job, { progress, filePath }) => {
+  const { format, filters } = job.payload;
+  const user = await getJobUser(job);
+  const where = CatalogExportService.buildFilter(filters, user);
+  const total = await Product.count({ where });
+  const { contentType, extension } = CatalogExportService.getFormat(format);
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  const output = fs.createWriteStream(filePath(filename));
+  let rows;
+
+  try {
+    rows = await CatalogExportService.exportCatalog(where, format, output, {
+      onProgress: done => progress(total > 0 ? (done / total) * 100 : 100, `${done} of ${total} products`)
+    });
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+
+  await new Promise((resolve, reject) => {
+    output.once('error', reject);
+    output.end(resolve);
+  });
+
+  return { rows, file: { filename, contentType } };
+};
+
+/**
+ * Value the stock with the parameters of the inventory valuation report
+ * Payload: { method, groupBy, from, to, warehouseId, categoryId }
+ */
+const valueInventory = async (job) => {
+  const user = await getJobUser(job);
+
+  return ValuationService.getValuation(job.payload, user);
+};
+
+/**
+ * Process the images stored with the job and add them to the product or variant
+ * Each processed image is recorded in the job directory, so a retry picks up where the failed
+ * attempt stopped instead of writing the images again
+ * Payload: { productId, variantId, count }, variantId is null for product images
+ */
+const processImages = async (job, { progress, filePath }) => {
+  const { productId, variantId, count } = job.payload;
+  const images = [];
+
+  for (let index = 0; index < count; index += 1) {
+    const processed = filePath(processedImageFile(index));
+
+    if (fs.existsSync(processed)) {
+      images.push(JSON.parse(await fs.promises.readFile(processed, 'utf8')));
+    } else {
+      const buffer = await fs.promises.readFile(filePath(imageFile(index)));
+      const [image] = await imageService.processProductImages([{ buffer }], productId);
+
+      await fs.promises.writeFile(processed, JSON.stringify(image));
+      images.push(image);
+    }
+
+    await progress(((index + 1) / count) * 100, `${index + 1} of ${count} images`);
+  }
+
+  // Read when the images are ready, so URLs added in the meantime are kept
+  const owner = variantId ? await Variant.findByPk(variantId) : await Product.findByPk(productId);
+
+  if (!owner) {
+    throw ApiError.notFound(variantId ? 'Variant not found' : 'Product not found');
+  }
+
+  // An attempt that failed after saving the URLs has already added some of them
+  const current = owner.imageUrls || [];
+  const imageUrls = [...current, ...images.map(image => image.original).filter(url => !current.includes(url))];
+  await owner.update({ imageUrls });
+
+  return { imageUrls, newImages: images };
+};
+
+/**
+ * Delete a product with what hangs off it: variants, stock rows and other dependent rows through
+ * the database cascades, then its image files
+ * Payload: { productId }
+ */
+const deleteProduct = async (job) => {
+  const user = await getJobUser(job);
+  const product = await Product.findByPk(job.payload.productId);
+
+  if (!product) {
+    throw ApiError.notFound('Product not found');
+  }
+
+  if (user.role !== 'admin' && product.userId !== user.id) {
+    throw ApiError.forbidden('You are not authorized to delete this product');
+  }
+
+  await sequelize.transaction(transaction => product.destroy({ transaction }));
+  await imageService.deleteProductImages(product.id);
+
+  return { productId: product.id };
+};
+
+/**
+ * Register the job types of the API with the job service
+ * Called by the API and by stand-alone workers, so both know every type
+ */
+const registerJobHandlers = () => {
+  JobService.registerHandler('products.import', importProducts);
+  JobService.registerHandler('products.export', exportProducts);
+  JobService.registerHandler('reports.inventory-valuation', valueInventory);
+  JobService.registerHandler('images.process', processImages);
+  JobService.registerHandler('products.delete', deleteProduct);
+};
+
+module.exports = { registerJobHandlers, IMPORT_FILE, imageFile };
@@ -0,0 +1,576 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Job = require('../models/job');
+const DatabaseJobBackend = require('./jobBackends/databaseBackend');
+const RedisJobBackend = require('./jobBackends/redisBackend');
+const { ApiError } = require('../utils/errorHandler');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Files jobs read and write, one directory per job under JOB_STORAGE_DIR (storage/jobs by default).
+// Kept out of the public uploads directory
+const JOB_FILE_DIR = process.env.JOB_STORAGE_DIR || path.join(process.cwd(), 'storage', 'jobs');
+
+// What the job endpoints show, the payload and the lock stay internal
+const JOB_ATTRIBUTES = { exclude: ['payload', 'lockedBy', 'lockedAt'] };
+
+// Progress is written at most this often, the last update of a job always is
+const PROGRESS_INTERVAL_MS = 1000;
+
+const getRetryDelaySeconds = () => parseInt(process.env.JOB_RETRY_DELAY_SECONDS, 10) || 30;
+const getLockTimeoutSeconds = () => parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 300;
+const getRetentionDays = () => parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+const getConcurrency = () => parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const getPollIntervalMs = () => parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+
+/**
+ * Thrown from a progress update once the job was asked to stop
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Job Service
+ * Runs long work outside the request. A request queues a job and answers 202 with it,
+ * a worker picks it up, reports its progress and stores its result or error.
+ *
+ * Failed attempts are retried with exponential backoff up to the job's maxAttempts.
+ * Errors with a 4xx status, such as a file that does not validate, fail the job at once
+ * because another attempt would fail the same way.
+ * A running job keeps its lock fresh; a job whose worker stopped responding is queued again.
+ */
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.backend = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.worker = null;
+  }
+
+  /**
+   * Job statuses
+   * @returns {Array<string>} - Statuses
+   */
+  getStatuses() {
+    return STATUSES;
+  }
+
+  /**
+   * Job types that can be queued
+   * @returns {Array<string>} - Types
+   */
+  getTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Make a job type available
+   * @param {string} type - Job type, such as products.import
+   * @param {Function} handler - async (job, context) => result, context being { progress, filePath }
+   * @param {Object} options - maxAttempts for jobs of this type
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, { handler, maxAttempts: options.maxAttempts || 3 });
+  }
+
+  /**
+   * Queue backend, chosen with JOB_QUEUE_BACKEND (database or redis, database by default)
+   * @returns {Object} - JobBackend instance
+   */
+  getBackend() {
+    if (!this.backend) {
+      const name = process.env.JOB_QUEUE_BACKEND || 'database';
+
+      if (name === 'database') {
+        this.backend = new DatabaseJobBackend();
+      } else if (name === 'redis') {
+        this.backend = new RedisJobBackend();
+      } else {
+        throw new Error(`Unknown job queue backend: ${name}`);
+      }
+    }
+
+    return this.backend;
+  }
+
+  /**
+   * Use another queue backend
+   * @param {Object} backend - JobBackend instance
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Path of a file in the directory of a job
+   * @param {number} jobId - Job ID
+   * @param {string} filename - File name
+   * @returns {string} - Absolute path
+   */
+  getFilePath(jobId, filename) {
+    return path.join(JOB_FILE_DIR, String(jobId), path.basename(filename));
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - What the handler needs, stored as JSON
+   * @param {Object} options - user starting the job, files to store with it by name, delaySeconds before it can run
+   * @returns {Promise<Object>} - Queued job
+   */
+  async enqueue(type, payload, { user, files = {}, delaySeconds = 0 } = {}) {
+    const registered = this.handlers.get(type);
+
+    if (!registered) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const transaction = await sequelize.transaction();
+    let job;
+
+    try {
+      job = await Job.create({
+        type,
+        payload,
+        maxAttempts: registered.maxAttempts,
+        runAt: new Date(Date.now() + delaySeconds * 1000),
+        userId: user ? user.id : null
+      }, { transaction });
+
+      // The files are in place before a worker can see the job
+      const names = Object.keys(files);
+
+      if (names.length > 0) {
+        await fs.promises.mkdir(path.join(JOB_FILE_DIR, String(job.id)), { recursive: true });
+
+        for (const name of names) {
+          await fs.promises.writeFile(this.getFilePath(job.id, name), files[name]);
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+
+      if (job) {
+        await fs.promises.rm(path.join(JOB_FILE_DIR, String(job.id)), { recursive: true, force: true });
+      }
+      throw error;
+    }
+
+    await this.getBackend().push(job);
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * List jobs, sellers and buyers only see the jobs they started
+   * @param {Object} user - Current user
+   * @param {Object} options - page, limit, status, type
+   * @returns {Promise<Object>} - count and jobs
+   */
+  async getJobs(user, options = {}) {
+    const { page = 1, limit = 10, status, type } = options;
+    const where = {};
+
+    if (user.role !== 'admin') {
+      where.userId = user.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    const { count, rows } = await Job.findAndCountAll({
+      where,
+      attributes: JOB_ATTRIBUTES,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { count, jobs: rows };
+  }
+
+  /**
+   * Get a job
+   * @param {number} jobId - Job ID
+   * @param {Object} user - Current user, leave out for internal use
+   * @returns {Promise<Object>} - Job
+   */
+  async getJob(jobId, user) {
+    const job = await Job.findByPk(jobId, { attributes: JOB_ATTRIBUTES });
+
+    if (!job) {
+      throw ApiError.notFound('Job not found');
+    }
+
+    if (user && user.role !== 'admin' && job.userId !== user.id) {
+      throw ApiError.forbidden('You can only view your own jobs');
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel a job. A queued job is cancelled at once, a running job stops at its next progress update
+   * @param {number} jobId - Job ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} - Job
+   */
+  async cancelJob(jobId, user) {
+    const job = await this.getJob(jobId, user);
+
+    if (job.status === 'queued') {
+      const [cancelled] = await Job.update(
+        { status: 'cancelled', finishedAt: new Date() },
+        { where: { id: job.id, status: 'queued' } }
+      );
+
+      if (cancelled === 1) {
+        await this.getBackend().remove(job);
+        return this.getJob(job.id);
+      }
+    }
+
+    const [requested] = await Job.update({ cancelRequested: true }, { where: { id: job.id, status: 'running' } });
+
+    if (requested === 0) {
+      throw ApiError.badRequest(`A ${(await this.getJob(job.id)).status} job cannot be cancelled`);
+    }
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Queue a failed or cancelled job again, with all its attempts
+   * @param {number} jobId - Job ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} - Job
+   */
+  async retryJob(jobId, user) {
+    const job = await this.getJob(jobId, user);
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw ApiError.badRequest(`Only failed or cancelled jobs can be retried, this job is ${job.status}`);
+    }
+
+    const runAt = new Date();
+    const [retried] = await Job.update({
+      status: 'queued',
+      attempts: 0,
+      progress: 0,
+      progressMessage: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      runAt,
+      startedAt: null,
+      finishedAt: null
+    }, { where: { id: job.id, status: job.status } });
+
+    if (retried === 0) {
+      throw ApiError.conflict('The job changed while it was retried, please try again');
+    }
+
+    await this.getBackend().push({ id: job.id, runAt });
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * File a completed job produced
+   * @param {number} jobId - Job ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} - path, filename and contentType
+   */
+  async getJobFile(jobId, user) {
+    const job = await this.getJob(jobId, user);
+
+    if (job.status !== 'completed' || !job.result || !job.result.file) {
+      throw ApiError.notFound('This job has no file to download');
+    }
+
+    const filePath = this.getFilePath(job.id, job.result.file.filename);
+
+    if (!fs.existsSync(filePath)) {
+      throw ApiError.notFound('The file of this job has been removed');
+    }
+
+    return { path: filePath, ...job.result.file };
+  }
+
+  /**
+   * Seconds to wait before the next attempt, doubling with every failed attempt up to an hour
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Seconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(getRetryDelaySeconds() * 2 ** Math.max(attempts - 1, 0), 3600);
+  }
+
+  /**
+   * Move due jobs from queued to running for this worker
+   * @param {number} limit - Most jobs to claim
+   * @returns {Promise<Array<Object>>} - Claimed jobs, with their payload
+   */
+  async claimJobs(limit) {
+    if (limit <= 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const ids = await this.getBackend().next(limit, now);
+    const jobs = [];
+
+    for (const id of ids) {
+      const [claimed] = await Job.update({
+        status: 'running',
+        attempts: sequelize.literal('attempts + 1'),
+        lockedBy: this.workerId,
+        lockedAt: now,
+        startedAt: now
+      }, { where: { id, status: 'queued' } });
+
+      if (claimed === 1) {
+        jobs.push(await Job.findByPk(id));
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Run a claimed job and record how it went
+   * @param {Object} job - Job claimed by this worker
+   * @returns {Promise<Object>} - Job
+   */
+  async runJob(job) {
+    const lock = { id: job.id, status: 'running', lockedBy: this.workerId };
+    const registered = this.handlers.get(job.type);
+    let lastProgressAt = 0;
+
+    // Keep the lock fresh while the handler works without reporting progress
+    const heartbeat = setInterval(() => {
+      Job.update({ lockedAt: new Date() }, { where: lock }).catch(error => console.error('Job heartbeat error:', error));
+    }, (getLockTimeoutSeconds() * 1000) / 3);
+
+    const context = {
+      filePath: (filename) => this.getFilePath(job.id, filename),
+      progress: async (percent, message = null) => {
+        const now = Date.now();
+
+        if (percent < 100 && now - lastProgressAt < PROGRESS_INTERVAL_MS) {
+          return;
+        }
+
+        lastProgressAt = now;
+        await Job.update({
+          progress: Math.min(Math.max(Math.round(percent), 0), 100),
+          progressMessage: message,
+          lockedAt: new Date(now)
+        }, { where: lock });
+
+        const current = await Job.findByPk(job.id, { attributes: ['cancelRequested'] });
+
+        if (!current || current.cancelRequested) {
+          throw new JobCancelledError();
+        }
+      }
+    };
+
+    try {
+      if (!registered) {
+        throw ApiError.badRequest(`Unknown job type: ${job.type}`);
+      }
+
+      await fs.promises.mkdir(path.join(JOB_FILE_DIR, String(job.id)), { recursive: true });
+      const result = await registered.handler(job, context);
+
+      await Job.update({
+        status: 'completed',
+        progress: 100,
+        progressMessage: null,
+        result: result === undefined ? null : result,
+        error: null,
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null
+      }, { where: lock });
+    } catch (error) {
+      await this.recordFailure(job, error, lock);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Queue a failed attempt again after its backoff, or fail the job
+   * @param {Object} job - Job
+   * @param {Error} error - What went wrong
+   * @param {Object} lock - Condition that the job is still running for this worker
+   * @returns {Promise<void>}
+   */
+  async recordFailure(job, error, lock) {
+    const finishedAt = new Date();
+
+    if (error instanceof JobCancelledError) {
+      await Job.update({ status: 'cancelled', finishedAt, lockedBy: null, lockedAt: null }, { where: lock });
+      return;
+    }
+
+    const retryable = !(error.statusCode && error.statusCode < 500);
+
+    if (retryable) {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error);
+    }
+
+    if (retryable && job.attempts < job.maxAttempts) {
+      const runAt = new Date(finishedAt.getTime() + this.getRetryDelay(job.attempts) * 1000);
+      const [queued] = await Job.update({
+        status: 'queued',
+        error: error.message,
+        runAt,
+        lockedBy: null,
+        lockedAt: null
+      }, { where: lock });
+
+      if (queued === 1) {
+        await this.getBackend().push({ id: job.id, runAt });
+      }
+      return;
+    }
+
+    await Job.update({
+      status: 'failed',
+      error: error.message,
+      finishedAt,
+      lockedBy: null,
+      lockedAt: null
+    }, { where: lock });
+  }
+
+  /**
+   * Queue again the running jobs whose worker stopped refreshing their lock
+   * @returns {Promise<number>} - Jobs recovered
+   */
+  async recoverStalledJobs() {
+    const staleBefore = new Date(Date.now() - getLockTimeoutSeconds() * 1000);
+    const jobs = await Job.findAll({
+      where: { status: 'running', lockedAt: { [Op.lt]: staleBefore } }
+    });
+
+    for (const job of jobs) {
+      const lock = { id: job.id, status: 'running', lockedBy: job.lockedBy, lockedAt: { [Op.lt]: staleBefore } };
+      const error = job.cancelRequested ? new JobCancelledError() : new Error('The worker running the job stopped responding');
+
+      await this.recordFailure(job, error, lock);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Delete finished jobs and their files once they are older than JOB_RETENTION_DAYS
+   * @returns {Promise<number>} - Jobs deleted
+   */
+  async removeExpiredJobs() {
+    const jobs = await Job.findAll({
+      where: {
+        status: FINISHED_STATUSES,
+        finishedAt: { [Op.lt]: new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000) }
+      },
+      attributes: ['id']
+    });
+
+    for (const job of jobs) {
+      await fs.promises.rm(path.join(JOB_FILE_DIR, String(job.id)), { recursive: true, force: true });
+      await job.destroy();
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Start working on queued jobs in this process
+   * @param {Object} options - concurrency (jobs at a time, JOB_CONCURRENCY by default),
+   *   pollInterval (milliseconds between looks at the queue, JOB_POLL_INTERVAL_MS by default)
+   * @returns {Promise<void>}
+   */
+  async startWorker({ concurrency = getConcurrency(), pollInterval = getPollIntervalMs() } = {}) {
+    if (this.worker) {
+      return;
+    }
+
+    const worker = { running: new Set(), timer: null, ticking: null, stopped: false, lastSweep: 0 };
+    this.worker = worker;
+
+    // A Redis queue may have lost jobs the table still has queued
+    const queued = await Job.findAll({ where: { status: 'queued' }, attributes: ['id', 'runAt'] });
+    await this.getBackend().restore(queued);
+
+    const tick = async () => {
+      try {
+        if (Date.now() - worker.lastSweep >= 60 * 1000) {
+          worker.lastSweep = Date.now();
+          await this.recoverStalledJobs();
+          await this.removeExpiredJobs();
+        }
+
+        const jobs = await this.claimJobs(concurrency - worker.running.size);
+
+        jobs.forEach(job => {
+          const run = this.runJob(job)
+            .catch(error => console.error(`Job ${job.id} error:`, error))
+            .finally(() => worker.running.delete(run));
+          worker.running.add(run);
+        });
+      } catch (error) {
+        console.error('Job worker error:', error);
+      }
+
+      if (!worker.stopped) {
+        worker.timer = setTimeout(() => {
+          worker.ticking = tick();
+        }, pollInterval);
+      }
+    };
+
+    worker.ticking = tick();
+    await worker.ticking;
+  }
+
+  /**
+   * Stop taking jobs and wait for the running ones to finish
+   * @returns {Promise<void>}
+   */
+  async stopWorker() {
+    const { worker } = this;
+
+    if (!worker) {
+      return;
+    }
+
+    worker.stopped = true;
+    clearTimeout(worker.timer);
+    await worker.ticking;
+    await Promise.all([...worker.running]);
+    this.worker = null;
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,217 @@
+const { Op } = require('sequelize');
+const Inventory = require('../models/inventory');
+const InventoryLot = require('../models/inventoryLot');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const InventoryService = require('./inventoryService');
+const { ApiError } = require('../utils/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today as YYYY-MM-DD, the format of DATEONLY columns
+ * @returns {string} - Date
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Lot Service
+ * Lots split the on-hand quantity of an inventory record by batch, with manufacture and expiry dates.
+ * Units outside any lot stay untracked. The ledger records which lot each movement touched, and
+ * stock that leaves without a lot is taken first-expired-first-out by InventoryService.recordMovement
+ */
+class LotService {
+  /**
+   * Days left until a lot expires
+   * @param {string} expiresAt - Expiry date as YYYY-MM-DD
+   * @param {string} date - Today as YYYY-MM-DD
+   * @returns {Object} - daysUntilExpiry, 0 on the expiry date itself, and expired once it has passed
+   */
+  describeExpiry(expiresAt, date = today()) {
+    const daysUntilExpiry = Math.round((Date.parse(expiresAt) - Date.parse(date)) / DAY_MS);
+
+    return { daysUntilExpiry, expired: daysUntilExpiry < 0 };
+  }
+
+  /**
+   * Lots of an inventory record, first to expire first
+   * @param {number} inventoryId - Inventory ID
+   * @param {boolean} includeEmpty - Whether lots with no units left are listed
+   * @returns {Promise<Object>} - inventory, untrackedQuantity and lots
+   */
+  async getLots(inventoryId, includeEmpty = false) {
+    const inventory = await Inventory.findByPk(inventoryId, {
+      attributes: ['id', 'sku', 'warehouseId', 'quantity', 'reservedQuantity']
+    });
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const lots = await InventoryLot.findAll({
+      where: includeEmpty ? { inventoryId } : { inventoryId, quantity: { [Op.gt]: 0 } }
+    });
+
+    const date = today();
+
+    return {
+      inventory,
+      untrackedQuantity: Math.max(inventory.quantity - lots.reduce((sum, lot) => sum + lot.quantity, 0), 0),
+      // Listed in the order FEFO takes them
+      lots: lots.sort(InventoryService.compareLots).map(lot => ({
+        ...lot.toJSON(),
+        ...(lot.expiresAt ? this.describeExpiry(lot.expiresAt, date) : { daysUntilExpiry: null, expired: false })
+      }))
+    };
+  }
+
+  /**
+   * Book new stock into a lot, creating the lot the first time its number is seen
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} data - lotNumber, manufacturedAt, expiresAt, quantity, unitCost and notes
+   * @param {Object} user - User booking the stock
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Lot with its new quantity
+   */
+  async receiveLot(inventoryId, { lotNumber, manufacturedAt = null, expiresAt = null, quantity, unitCost = null, notes = null }, user, transaction) {
+    const inventory = await InventoryService.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const movement = await InventoryService.recordMovement(inventory, quantity, {
+      type: 'restock',
+      actor: user,
+      notes,
+      unitCost,
+      lot: { lotNumber, manufacturedAt, expiresAt }
+    }, transaction);
+
+    return InventoryLot.findByPk(movement.lotId, { transaction });
+  }
+
+  /**
+   * Correct the dates of a lot
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} lotId - Lot ID
+   * @param {Object} data - manufacturedAt and expiresAt, null to clear
+   * @returns {Promise<Object>} - Updated lot
+   */
+  async updateLot(inventoryId, lotId, { manufacturedAt, expiresAt }) {
+    const lot = await InventoryLot.findOne({ where: { id: lotId, inventoryId } });
+
+    if (!lot) {
+      throw ApiError.notFound('Lot not found');
+    }
+
+    const changes = {};
+
+    if (manufacturedAt !== undefined) {
+      changes.manufacturedAt = manufacturedAt;
+    }
+
+    if (expiresAt !== undefined) {
+      changes.expiresAt = expiresAt;
+    }
+
+    return lot.update(changes);
+  }
+
+  /**
+   * Write off units of a lot, such as an expired or recalled batch, as damage
+   * Units reserved by open orders cannot be written off
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} lotId - Lot ID
+   * @param {Object} data - quantity, all units of the lot by default, and notes
+   * @param {Object} user - User writing the stock off
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - inventory and lot after the write-off
+   */
+  async writeOffLot(inventoryId, lotId, { quantity, notes = null }, user, transaction) {
+    const inventory = await InventoryService.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const lot = await InventoryService.findLot(inventory, { id: lotId }, false, transaction);
+    const units = quantity === undefined ? lot.quantity : quantity;
+
+    if (units === 0) {
+      throw ApiError.badRequest(`Lot ${lot.lotNumber} of ${inventory.sku} has no units left`);
+    }
+
+    InventoryService.assertCoversReservations(inventory, inventory.quantity - units);
+
+    await InventoryService.recordMovement(inventory, -units, {
+      type: 'damage',
+      actor: user,
+      reference: `lot:${lot.id}`,
+      notes: notes || `Written off from lot ${lot.lotNumber}`,
+      lot: { id: lot.id }
+    }, transaction);
+
+    return {
+      inventory: await inventory.reload({ transaction }),
+      lot: await lot.reload({ transaction })
+    };
+  }
+
+  /**
+   * Lots with units on hand that expire within a number of days, expired lots included
+   * @param {Object} options - days ahead, 30 by default, and warehouseId
+   * @returns {Promise<Object>} - summary and items, first to expire first
+   */
+  async getExpiringLots({ days = 30, warehouseId } = {}) {
+    const date = today();
+    const until = new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+    const inventoryWhere = {};
+
+    if (warehouseId) {
+      inventoryWhere.warehouseId = warehouseId;
+    }
+
+    const lots = await InventoryLot.findAll({
+      where: {
+        quantity: { [Op.gt]: 0 },
+        expiresAt: { [Op.lte]: until }
+      },
+      include: [
+        {
+          model: Inventory,
+          where: inventoryWhere,
+          attributes: ['id', 'productId', 'variantId', 'sku', 'warehouseId', 'quantity', 'reservedQuantity'],
+          include: [
+            { model: Product, attributes: ['id', 'name'] },
+            {
+              model: Variant,
+              attributes: ['id', 'name', 'productId'],
+              include: [{ model: Product, attributes: ['id', 'name'] }]
+            },
+            { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] }
+          ]
+        }
+      ],
+      order: [['expiresAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const items = lots.map(lot => ({ ...lot.toJSON(), ...this.describeExpiry(lot.expiresAt, date) }));
+    const expired = items.filter(item => item.expired);
+    const expiring = items.filter(item => !item.expired);
+
+    return {
+      summary: {
+        days,
+        expiredLots: expired.length,
+        expiredUnits: expired.reduce((sum, item) => sum + item.quantity, 0),
+        expiringLots: expiring.length,
+        expiringUnits: expiring.reduce((sum, item) => sum + item.quantity, 0)
+      },
+      items
+    };
+  }
+}
+
+module.exports = new LotService();
@@ -2,220 +2,1402 @@
  * Order Service
  * Handles business logic for order operations
  */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Order = require('../models/order');
 const OrderItem = require('../models/orderItem');
+const OrderStatusHistory = require('../models/orderStatusHistory');
 const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const User = require('../models/user');
+const Cart = require('../models/cart');
+const CartItem = require('../models/cartItem');
+const Shipment = require('../models/shipment');
+const ShippingMethod = require('../models/shippingMethod');
+const SellerOrder = require('../models/sellerOrder');
+const SerialNumber = require('../models/serialNumber');
+const InventoryService = require('./inventoryService');
+const SerialService = require('./serialService');
+const WarehouseService = require('./warehouseService');
+const AvailabilityService = require('./availabilityService');
+const PaymentService = require('./paymentService');
+const TaxService = require('./taxService');
+const ShippingService = require('./shippingService');
+const orderStateMachine = require('../utils/orderStateMachine');
+const shipmentStateMachine = require('../utils/shipmentStateMachine');
+const sellerOrderStateMachine = require('../utils/sellerOrderStateMachine');
 const { ApiError } = require('../utils/errorHandler');
-const logger = require('../utils/logger');
-const db = require('../config/db');
+const { getItemPricing, roundPrice } = require('../utils/helpers');
+
+// Includes used whenever an order is returned to a client
+const orderIncludes = [
+  {
+    model: OrderItem,
+    as: 'items',
+    include: [
+      {
+        model: Product,
+        attributes: ['id', 'name', 'sku', 'imageUrls']
+      },
+      {
+        model: Variant,
+        attributes: ['id', 'name', 'sku', 'options']
+      },
+      {
+        model: Warehouse,
+        as: 'warehouse',
+        attributes: ['id', 'code', 'name']
+      },
+      {
+        model: SerialNumber,
+        as: 'serialNumbers',
+        attributes: ['id', 'serialNumber', 'status']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'buyer',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  },
+  {
+    model: Shipment,
+    as: 'shipments'
+  },
+  {
+    model: SellerOrder,
+    as: 'sellerOrders'
+  }
+];
+
+// A seller only sees their own lines, parcel and seller order of an order they did not place
+const sellerPortionIncludes = sellerId => orderIncludes.map(include => (
+  include.as === 'buyer' ? include : { ...include, where: { sellerId }, required: false }
+));
+
+// Order totals cover every seller, sellers get theirs from their seller order instead
+const ORDER_TOTAL_FIELDS = ['subtotal', 'discountTotal', 'taxTotal', 'shippingTotal', 'totalAmount'];
+
+// Seller order statuses in fulfilment order, the order follows the least advanced of its parts
+const FULFILMENT_STEPS = ['pending', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Minutes an unpaid order keeps its stock reserved
+ * @returns {number} - Reservation window in minutes
+ */
+const getReservationMinutes = () => parseInt(process.env.CHECKOUT_RESERVATION_MINUTES, 10) || 30;
 
 class OrderService {
     /**
      * Create a new order
-     * @param {Object} orderData - Basic order data (shipping_address, etc.)
-     * @param {Array} items - Array of order items
-     * @param {number} userId - ID of user creating the order
+     * Prices are always taken from the catalog, never from the client
+     * @param {Object} orderData - Basic order data (shippingAddress, shippingRegion, shippingMethodId, paymentMethod, notes)
+     * @param {Array} items - Array of { productId, variantId, quantity }
+     * @param {Object} user - User creating the order
      */
-    async createOrder(orderData, items, userId) {
-        const connection = await db.getConnection();
+    async createOrder(orderData, items, user) {
+        const transaction = await sequelize.transaction();
+
         try {
-            await connection.beginTransaction();
+            const order = await this.placeOrder(orderData, items, user, transaction);
 
-            // 1. Validate items exist and have sufficient stock
-            for (const item of items) {
-                const [product] = await Product.findById(item.product_id);
-                if (!product) {
-                    throw new ApiError(404, `Product ${item.product_id} not found`);
-                }
-                if (product.stock < item.quantity) {
-                    throw new ApiError(400, `Insufficient stock for product ${product.name}`);
-                }
-                // Set the current price
-                item.price = product.price;
+            await transaction.commit();
+
+            return await this.getOrderById(order.id);
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Convert the user's cart into an order
+     * The cart lines are snapshotted with catalog prices and the cart is emptied in the same transaction
+     * @param {Object} user - User checking out
+     * @param {Object} orderData - Basic order data (shippingAddress, shippingRegion, shippingMethodId, paymentMethod, notes)
+     */
+    async checkout(user, orderData) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const cart = await Cart.findOne({
+                where: { userId: user.id },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            const cartItems = cart
+                ? await CartItem.findAll({ where: { cartId: cart.id }, transaction })
+                : [];
+
+            if (cartItems.length === 0) {
+                throw ApiError.badRequest('Your cart is empty');
             }
 
-            // 2. Create the order
-            const [orderId] = await Order.create({
-                user_id: userId,
-                shipping_address: orderData.shipping_address,
+            const items = cartItems.map(item => ({
+                productId: item.productId,
+                variantId: item.variantId,
+                quantity: item.quantity
+            }));
+
+            const order = await this.placeOrder(orderData, items, user, transaction);
+
+            await CartItem.destroy({ where: { cartId: cart.id }, transaction });
+
+            await transaction.commit();
+
+            return await this.getOrderById(order.id);
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Create a pending order and reserve its stock
+     * The stock stays reserved until payment is confirmed or the reservation expires
+     * @param {Object} orderData - Basic order data (shippingAddress, shippingRegion, shippingMethodId, paymentMethod, notes)
+     * @param {Array} items - Array of { productId, variantId, quantity }
+     * @param {Object} user - User creating the order
+     * @param {Object} transaction - Sequelize transaction
+     * @returns {Promise<Object>} - Created order
+     */
+    async placeOrder(orderData, items, user, transaction) {
+        const shippingRegion = orderData.shippingRegion
+            ? orderData.shippingRegion.toUpperCase()
+            : TaxService.getDefaultRegion();
+
+        // 1. Resolve catalog prices, lock the inventory rows and pick the warehouses
+        const pricedLines = await this.buildOrderLines(items, transaction, shippingRegion);
+
+        // 2. Add the taxes of the shipping region
+        const { lines } = await TaxService.applyTaxes(pricedLines, { region: shippingRegion, transaction });
+
+        // 3. Price the shipping, one parcel per seller
+        const shipping = await ShippingService.priceOrderShipping(orderData.shippingMethodId, lines, shippingRegion, transaction);
+
+        // 4. Create the order with its totals
+        const totals = this.calculateTotals(lines, shipping.shippingTotal);
+
+        const order = await Order.create({
+            userId: user.id,
+            shippingAddress: orderData.shippingAddress,
+            shippingRegion,
+            shippingMethodId: shipping.shippingMethodId,
+            paymentMethod: orderData.paymentMethod,
+            notes: orderData.notes,
+            status: 'pending',
+            reservationExpiresAt: new Date(Date.now() + getReservationMinutes() * 60 * 1000),
+            ...totals
+        }, { transaction });
+
+        // 5. Split the order into a seller order per seller, with its items, parcel and totals
+        for (const pkg of shipping.packages) {
+            const sellerLines = lines.filter(line => line.sellerId === pkg.sellerId);
+
+            const sellerOrder = await SellerOrder.create({
+                orderId: order.id,
+                sellerId: pkg.sellerId,
                 status: 'pending',
-                created_at: new Date()
-            }, connection);
+                ...this.calculateTotals(sellerLines, pkg.shippingCost)
+            }, { transaction });
+
+            // 6. Create order items and reserve the stock
+            for (const line of sellerLines) {
+                const { inventory, categoryId, unitWeight, ...itemData } = line;
 
-            // 3. Create order items
-            for (const item of items) {
                 await OrderItem.create({
-                    order_id: orderId,
-                    product_id: item.product_id,
-                    quantity: item.quantity,
-                    price: item.price
-                }, connection);
+                    ...itemData,
+                    orderId: order.id,
+                    sellerOrderId: sellerOrder.id
+                }, { transaction });
 
-                // 4. Update product stock
-                await Product.updateStock(
-                    item.product_id, 
-                    -item.quantity,
-                    connection
-                );
+                await InventoryService.reserveStock(inventory, line.quantity, transaction, line.backorderedQuantity);
             }
 
-            await connection.commit();
+            // 7. Open a shipment for the seller's parcel
+            await Shipment.create({
+                orderId: order.id,
+                sellerId: pkg.sellerId,
+                sellerOrderId: sellerOrder.id,
+                shippingMethodId: shipping.shippingMethodId,
+                carrierCode: shipping.carrierCode,
+                weight: pkg.weight,
+                shippingCost: pkg.shippingCost
+            }, { transaction });
+        }
 
-            // 5. Return the created order with items
-            const order = await this.getOrderById(orderId);
-            return order;
+        await this.recordStatusChange(order.id, null, 'pending', user, null, transaction);
 
-        } catch (error) {
-            await connection.rollback();
-            logger.error('Error in createOrder:', error);
-            throw error;
-        } finally {
-            connection.release();
+        return order;
+    }
+
+    /**
+     * Turn requested items into priced order lines
+     * Inventory rows are locked for the duration of the transaction. Each item is allocated to the
+     * warehouses that fulfil it and becomes one line per warehouse. Units beyond the stock on hand
+     * are backordered when the product or variant allows it
+     * @param {Array} items - Array of { productId, variantId, quantity }
+     * @param {Object} transaction - Sequelize transaction
+     * @param {string} region - Shipping region used to pick the closest warehouse
+     * @returns {Promise<Array>} - Order line data with the locked inventory row
+     */
+    async buildOrderLines(items, transaction, region) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw ApiError.badRequest('Order must contain at least one item');
         }
+
+        // Merge duplicate lines so stock is checked against the combined quantity
+        const merged = new Map();
+
+        for (const item of items) {
+            const key = item.variantId ? `variant:${item.variantId}` : `product:${item.productId}`;
+            const existing = merged.get(key);
+
+            if (existing) {
+                existing.quantity += parseInt(item.quantity, 10);
+            } else {
+                merged.set(key, { ...item, quantity: parseInt(item.quantity, 10) });
+            }
+        }
+
+        // Lock rows in a stable order so concurrent checkouts cannot deadlock
+        const sortedItems = [...merged.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([, item]) => item);
+
+        const lines = [];
+
+        for (const item of sortedItems) {
+            let product;
+            let variant = null;
+
+            if (item.variantId) {
+                variant = await Variant.findByPk(item.variantId, {
+                    include: [{ model: Product }],
+                    transaction
+                });
+
+                if (!variant || (item.productId && variant.productId !== parseInt(item.productId, 10))) {
+                    throw ApiError.notFound(`Variant ${item.variantId} not found`);
+                }
+
+                product = variant.Product;
+            } else {
+                product = await Product.findByPk(item.productId, { transaction });
+            }
+
+            if (!product) {
+                throw ApiError.notFound(`Product ${item.productId} not found`);
+            }
+
+            if (!product.isActive || product.status !== 'published' || (variant && !variant.isActive)) {
+                throw ApiError.badRequest(`${variant ? variant.sku : product.sku} is not available for sale`);
+            }
+
+            const inventories = await InventoryService.lockStockRows(
+                variant ? { variantId: variant.id } : { productId: product.id, variantId: null },
+                transaction
+            );
+            const sku = variant ? variant.sku : product.sku;
+            const settings = AvailabilityService.getSettings(product, variant);
+            const capacity = AvailabilityService.getBackorderCapacity(settings, inventories);
+            const inStock = Math.min(InventoryService.getTotalAvailable(inventories), item.quantity);
+            const backordered = item.quantity - inStock;
+
+            if (backordered > capacity) {
+                throw ApiError.badRequest(capacity > 0
+                    ? `Only ${inStock + capacity} unit(s) of ${sku} can be ordered`
+                    : `Insufficient stock for ${sku}`);
+            }
+
+            // Stock on hand is sold first, the rest is reserved ahead of stock on the best ranked row
+            const allocations = inStock > 0 ? WarehouseService.allocate(inventories, inStock, region) : [];
+
+            if (backordered > 0) {
+                const inventory = await this.getBackorderRow(inventories, product, variant, region, transaction);
+                const allocation = allocations.find(candidate => candidate.inventory.id === inventory.id);
+
+                if (allocation) {
+                    allocation.quantity += backordered;
+                    allocation.backordered = backordered;
+                } else {
+                    allocations.push({ inventory, quantity: backordered, backordered });
+                }
+            }
+
+            const pricing = getItemPricing(product, variant);
+            const availableAt = AvailabilityService.isPreorderOpen(settings) ? settings.availableAt : null;
+
+            for (const { inventory, quantity, backordered: backorderedQuantity = 0 } of allocations) {
+                lines.push({
+                    productId: product.id,
+                    variantId: variant ? variant.id : null,
+                    inventoryId: inventory.id,
+                    warehouseId: inventory.warehouseId,
+                    sellerId: product.userId,
+                    categoryId: product.categoryId,
+                    unitWeight: ShippingService.getUnitWeight(product),
+                    sku,
+                    name: variant && variant.name ? variant.name : product.name,
+                    quantity,
+                    backorderedQuantity,
+                    availableAt,
+                    ...pricing,
+                    lineTotal: roundPrice(pricing.finalUnitPrice * quantity),
+                    inventory
+                });
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Stock row that holds the backorders of a product or variant
+     * The best ranked sellable row is used, a record outside any warehouse is opened when there is none
+     * @param {Array} inventories - Locked inventory instances with their warehouse
+     * @param {Object} product - Product instance
+     * @param {Object} variant - Variant instance (optional)
+     * @param {string} region - Shipping region
+     * @param {Object} transaction - Sequelize transaction
+     * @returns {Promise<Object>} - Inventory instance
+     */
+    async getBackorderRow(inventories, product, variant, region, transaction) {
+        const [best] = WarehouseService.rankStockRows(inventories, region, false);
+
+        if (best) {
+            return best;
+        }
+
+        return InventoryService.createInventory({
+            productId: variant ? null : product.id,
+            variantId: variant ? variant.id : null,
+            warehouseId: null,
+            sku: variant ? variant.sku : product.sku
+        }, {}, transaction);
+    }
+
+    /**
+     * Calculate order totals from priced and taxed lines
+     * Inclusive taxes are already part of the line totals, exclusive taxes and shipping are added on top
+     * @param {Array} lines - Order lines
+     * @param {number} shippingTotal - Shipping charged for the order
+     * @returns {Object} - subtotal, discountTotal, taxTotal, shippingTotal and totalAmount
+     */
+    calculateTotals(lines, shippingTotal = 0) {
+        const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+        const linesTotal = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+        const exclusiveTax = roundPrice(lines
+            .filter(line => !line.taxInclusive)
+            .reduce((sum, line) => sum + line.taxAmount, 0));
+
+        return {
+            subtotal,
+            discountTotal: roundPrice(subtotal - linesTotal),
+            taxTotal: roundPrice(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+            shippingTotal,
+            totalAmount: roundPrice(linesTotal + exclusiveTax + shippingTotal)
+        };
     }
 
     /**
      * Get an order by ID
      * @param {number} orderId - Order ID to fetch
+     * @param {Object} options - Extra query options (transaction, lock)
      */
-    async getOrderById(orderId) {
-        try {
-            // Get the order
-            const [order] = await Order.findById(orderId);
-            if (!order) {
-                throw new ApiError(404, 'Order not found');
-            }
+    async getOrderById(orderId, options = {}) {
+        const order = await Order.findByPk(orderId, {
+            include: orderIncludes,
+            order: [
+                [{ model: OrderItem, as: 'items' }, 'id', 'ASC'],
+                [{ model: Shipment, as: 'shipments' }, 'id', 'ASC'],
+                [{ model: SellerOrder, as: 'sellerOrders' }, 'id', 'ASC']
+            ],
+            ...options
+        });
 
-            // Get the order items
-            const items = await OrderItem.findByOrderId(orderId);
-            order.items = items;
+        if (!order) {
+            throw ApiError.notFound('Order not found');
+        }
 
-            return order;
-        } catch (error) {
-            logger.error('Error in getOrderById:', error);
-            throw error;
+        return order;
+    }
+
+    /**
+     * Get an order after checking the user may see it
+     * Buyers see their own orders, sellers see their portion of orders containing their products
+     * @param {number} orderId - Order ID
+     * @param {Object} user - Authenticated user
+     */
+    async getOrderDetails(orderId, user) {
+        const order = await this.getOrderById(orderId);
+        this.assertOrderAccess(order, user);
+
+        if (user.role === 'seller' && order.userId !== user.id) {
+            return this.getOrderById(orderId, {
+                attributes: { exclude: ORDER_TOTAL_FIELDS },
+                include: sellerPortionIncludes(user.id)
+            });
         }
+
+        return order;
+    }
+
+    /**
+     * Throw if the user is not allowed to access the order
+     * @param {Object} order - Order with items loaded
+     * @param {Object} user - Authenticated user
+     */
+    assertOrderAccess(order, user) {
+        if (user.role === 'admin') {
+            return;
+        }
+
+        if (user.role === 'seller' && order.items.some(item => item.sellerId === user.id)) {
+            return;
+        }
+
+        if (order.userId === user.id) {
+            return;
+        }
+
+        throw ApiError.forbidden('Not authorized to access this order');
     }
 
     /**
      * Get orders for a user
      * @param {number} userId - User ID to get orders for
-     * @param {Object} options - Pagination options
+     * @param {Object} options - Pagination and status filter
      */
     async getUserOrders(userId, options = {}) {
-        try {
-            const orders = await Order.findByUser(userId, options);
-            return orders;
-        } catch (error) {
-            logger.error('Error in getUserOrders:', error);
-            throw error;
+        const { page = 1, limit = 10, status } = options;
+        const where = { userId };
+
+        if (status) {
+            where.status = status;
         }
+
+        const { count, rows } = await Order.findAndCountAll({
+            where,
+            include: [{ model: OrderItem, as: 'items' }],
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+            distinct: true
+        });
+
+        return { count, orders: rows };
     }
 
     /**
-     * Cancel an order
+     * Get the seller orders of a seller
+     * Each one holds only the seller's lines, parcel and totals, with the buyer's order for context
+     * @param {number} sellerId - Seller ID to get orders for
+     * @param {Object} options - Pagination and status filter
+     */
+    async getSellerOrders(sellerId, options = {}) {
+        const { page = 1, limit = 10, status } = options;
+        const where = { sellerId };
+
+        if (status) {
+            where.status = status;
+        }
+
+        const { count, rows } = await SellerOrder.findAndCountAll({
+            where,
+            include: [
+                {
+                    model: OrderItem,
+                    as: 'items'
+                },
+                {
+                    model: Shipment,
+                    as: 'shipment'
+                },
+                {
+                    model: Order,
+                    attributes: ['id', 'status', 'shippingAddress', 'shippingRegion', 'notes', 'createdAt'],
+                    include: [
+                        {
+                            model: User,
+                            as: 'buyer',
+                            attributes: ['id', 'firstName', 'lastName']
+                        }
+                    ]
+                }
+            ],
+            order: [['createdAt', 'DESC'], [{ model: OrderItem, as: 'items' }, 'id', 'ASC']],
+            limit,
+            offset: (page - 1) * limit,
+            distinct: true
+        });
+
+        return { count, orders: rows };
+    }
+
+    /**
+     * Get all orders (admin)
+     * @param {Object} options - Pagination, status filter and sorting
+     */
+    async getAllOrders(options = {}) {
+        const {
+            page = 1,
+            limit = 10,
+            status,
+            sortBy = 'createdAt',
+            sortOrder = 'DESC'
+        } = options;
+
+        const where = {};
+
+        if (status) {
+            where.status = status;
+        }
+
+        const validSortFields = ['createdAt', 'updatedAt', 'totalAmount', 'status'];
+        const validSortOrders = ['ASC', 'DESC'];
+
+        const orderBy = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+        const order = validSortOrders.includes(String(sortOrder).toUpperCase()) ? String(sortOrder).toUpperCase() : 'DESC';
+
+        const { count, rows } = await Order.findAndCountAll({
+            where,
+            include: orderIncludes,
+            order: [[orderBy, order]],
+            limit,
+            offset: (page - 1) * limit,
+            distinct: true
+        });
+
+        return { count, orders: rows };
+    }
+
+    /**
+     * Cancel an order and release its stock
+     * Buyers can cancel their own pending orders, admins can cancel pending or processing orders
      * @param {number} orderId - Order ID to cancel
-     * @param {number} userId - User ID requesting cancellation
+     * @param {Object} user - User requesting cancellation
+     * @param {string} reason - Optional cancellation reason
      */
-    async cancelOrder(orderId, userId) {
-        const connection = await db.getConnection();
-        try {
-            await connection.beginTransaction();
+    async cancelOrder(orderId, user, reason) {
+        const transaction = await sequelize.transaction();
 
+        try {
             // 1. Get the order
-            const [order] = await Order.findById(orderId);
-            if (!order) {
-                throw new ApiError(404, 'Order not found');
-            }
+            const order = await this.getOrderById(orderId, { transaction, lock: transaction.LOCK.UPDATE });
 
             // 2. Verify ownership
-            if (order.user_id !== userId) {
-                throw new ApiError(403, 'Not authorized to cancel this order');
+            if (user.role !== 'admin' && order.userId !== user.id) {
+                throw ApiError.forbidden('Not authorized to cancel this order');
             }
 
             // 3. Check if order can be cancelled
-            if (order.status !== 'pending') {
-                throw new ApiError(400, 'Only pending orders can be cancelled');
+            orderStateMachine.assert(order.status, 'cancelled');
+
+            // Buyers can only cancel before the order is paid
+            if (user.role !== 'admin' && order.status !== 'pending') {
+                throw ApiError.badRequest(`Cannot cancel an order that is ${order.status}`);
             }
 
-            // 4. Get order items to restore stock
-            const items = await OrderItem.findByOrderId(orderId);
+            // 4. Release the reservation or restore the stock
+            await this.releaseOrderStock(order, transaction, user);
+            await this.cancelSellerOrders(order, transaction);
 
             // 5. Update order status
-            await Order.update(orderId, { status: 'cancelled' }, connection);
+            await this.transitionOrder(order, 'cancelled', user, {
+                reason,
+                updates: {
+                    cancellationReason: reason || null,
+                    cancelledAt: new Date(),
+                    reservationExpiresAt: null
+                },
+                transaction
+            });
 
-            // 6. Restore product stock
-            for (const item of items) {
-                await Product.updateStock(
-                    item.product_id,
-                    item.quantity,
-                    connection
-                );
-            }
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
 
-            await connection.commit();
-            return await this.getOrderById(orderId);
+        // 6. Void or refund the payments
+        await this.releaseOrderPayments(orderId);
+
+        return await this.getOrderById(orderId);
+    }
 
+    /**
+     * Void or refund the payments of a cancelled order
+     * The cancellation stands when the provider fails, the error is only logged
+     * @param {number} orderId - Cancelled order ID
+     */
+    async releaseOrderPayments(orderId) {
+        try {
+            await PaymentService.releaseOrderPayments(orderId);
         } catch (error) {
-            await connection.rollback();
-            logger.error('Error in cancelOrder:', error);
-            throw error;
-        } finally {
-            connection.release();
+            console.error(`Failed to release payments for order ${orderId}:`, error);
+        }
+    }
+
+    /**
+     * Give back the stock held by an order that is being cancelled
+     * Pending orders only hold a reservation, paid orders have already taken the stock
+     * except for serialized items, which hold it until they ship
+     * @param {Object} order - Order with items loaded, before its status changes
+     * @param {Object} transaction - Sequelize transaction
+     * @param {Object} actor - User cancelling the order (null for system changes)
+     */
+    async releaseOrderStock(order, transaction, actor = null) {
+        for (const item of order.items) {
+            if (!item.inventoryId) {
+                continue;
+            }
+
+            if (order.status === 'pending') {
+                await InventoryService.releaseStock(item.inventoryId, item.quantity, transaction);
+                continue;
+            }
+
+            if (await InventoryService.isSerialized(item, transaction)) {
+                await InventoryService.releaseStock(item.inventoryId, item.quantity, transaction);
+                await SerialService.releaseSerials(order, item, actor, transaction);
+                continue;
+            }
+
+            // Backordered units were never taken from stock, they only held a reservation
+            const taken = item.quantity - item.backorderedQuantity;
+
+            if (item.backorderedQuantity > 0) {
+                await InventoryService.releaseStock(item.inventoryId, item.backorderedQuantity, transaction);
+            }
+
+            if (taken > 0) {
+                await InventoryService.restock(item.inventoryId, taken, transaction, {
+                    type: 'return',
+                    actor,
+                    reference: `order:${order.id}`,
+                    notes: 'Order cancelled'
+                });
+            }
+        }
+    }
+
+    /**
+     * Turn the reservations of a paid order into sales
+     * Backordered units stay reserved until they ship, see shipBackorders, and so do serialized
+     * items as the units sold are only known once their serial numbers are assigned
+     * @param {Object} order - Order with items loaded
+     * @param {Object} transaction - Sequelize transaction
+     * @param {Object} actor - User who moved the order on (null for system changes)
+     */
+    async commitOrderStock(order, transaction, actor = null) {
+        if (order.reservationExpiresAt && new Date(order.reservationExpiresAt) < new Date()) {
+            throw ApiError.badRequest('The stock reservation for this order has expired');
+        }
+
+        for (const item of order.items) {
+            const inStock = item.quantity - item.backorderedQuantity;
+
+            if (item.inventoryId && inStock > 0 && !(await InventoryService.isSerialized(item, transaction))) {
+                await InventoryService.commitReservation(item.inventoryId, inStock, transaction, {
+                    actor,
+                    reference: `order:${order.id}`
+                });
+            }
+        }
+    }
+
+    /**
+     * Take the backordered units and serialized items of a seller order from stock as it ships
+     * Pre-ordered items cannot ship while their product or variant still takes pre-orders,
+     * so a release date moved by the seller applies to the orders already placed
+     * @param {Object} order - Order with items loaded
+     * @param {Object} sellerOrder - Seller order being shipped
+     * @param {Object} actor - User shipping the seller order
+     * @param {Object} transaction - Sequelize transaction
+     */
+    async shipBackorders(order, sellerOrder, actor, transaction) {
+        const items = order.items.filter(item => item.sellerId === sellerOrder.sellerId);
+
+        for (const item of items) {
+            if (item.availableAt) {
+                await this.assertReleased(item, transaction);
+            }
+
+            if (item.inventoryId && await InventoryService.isSerialized(item, transaction)) {
+                await SerialService.sellSerials(order, item, actor, transaction);
+                await item.update({ backorderedQuantity: 0 }, { transaction });
+            } else if (item.inventoryId && item.backorderedQuantity > 0) {
+                await InventoryService.commitReservation(item.inventoryId, item.backorderedQuantity, transaction, {
+                    actor,
+                    reference: `order:${order.id}`,
+                    notes: 'Backorder shipped'
+                });
+
+                await item.update({ backorderedQuantity: 0 }, { transaction });
+            }
+        }
+    }
+
+    /**
+     * Throw if a pre-ordered item has not been released yet
+     * @param {Object} item - Order item
+     * @param {Object} transaction - Sequelize transaction
+     */
+    async assertReleased(item, transaction) {
+        const variant = item.variantId ? await Variant.findByPk(item.variantId, { transaction }) : null;
+        const product = await Product.findByPk(variant ? variant.productId : item.productId, { transaction });
+
+        if (!product) {
+            return;
+        }
+
+        const settings = AvailabilityService.getSettings(product, variant);
+
+        if (AvailabilityService.isPreorderOpen(settings)) {
+            throw ApiError.badRequest(settings.availableAt
+                ? `${item.sku} is a pre-order and cannot ship before ${settings.availableAt}`
+                : `${item.sku} is a pre-order and cannot ship before it is released`);
         }
     }
 
+    /**
+     * Check that a pending order is paid and take its reserved stock
+     * @param {Object} order - Order with items loaded
+     * @param {Object} transaction - Sequelize transaction
+     * @param {Object} actor - User who moved the order on (null for provider webhooks)
+     */
+    async startProcessing(order, transaction, actor = null) {
+        const capturedAmount = await PaymentService.getCapturedAmount(order.id, transaction);
+
+        if (capturedAmount < Number(order.totalAmount)) {
+            throw ApiError.badRequest('Order cannot be processed before its payment is captured');
+        }
+
+        // Payment is confirmed, so the reserved stock is taken
+        await this.commitOrderStock(order, transaction, actor);
+
+        await SellerOrder.update(
+            { status: 'processing' },
+            { where: { orderId: order.id, status: 'pending' }, transaction }
+        );
+    }
+
+    /**
+     * Cancel pending orders whose payment was not confirmed in time and release their stock
+     * @returns {Promise<number>} - Number of orders cancelled
+     */
+    async releaseExpiredReservations() {
+        const expiredOrders = await Order.findAll({
+            where: {
+                status: 'pending',
+                reservationExpiresAt: { [Op.lt]: new Date() }
+            },
+            attributes: ['id']
+        });
+
+        let released = 0;
+
+        for (const { id } of expiredOrders) {
+            const transaction = await sequelize.transaction();
+
+            try {
+                const order = await this.getOrderById(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+                // Skip orders that were paid or cancelled since they were listed
+                if (order.status !== 'pending' || !order.reservationExpiresAt || new Date(order.reservationExpiresAt) >= new Date()) {
+                    await transaction.rollback();
+                    continue;
+                }
+
+                await this.releaseOrderStock(order, transaction);
+                await this.cancelSellerOrders(order, transaction);
+
+                const reason = 'Payment was not confirmed in time';
+
+                await this.transitionOrder(order, 'cancelled', null, {
+                    reason,
+                    updates: {
+                        cancellationReason: reason,
+                        cancelledAt: new Date(),
+                        reservationExpiresAt: null
+                    },
+                    transaction
+                });
+
+                await transaction.commit();
+                released++;
+
+                await this.releaseOrderPayments(id);
+            } catch (error) {
+                await transaction.rollback();
+                console.error(`Failed to release reservation for order ${id}:`, error);
+            }
+        }
+
+        return released;
+    }
+
     /**
      * Update order status
+     * Shipping and delivery apply to seller orders, see fulfilSellerOrders
      * @param {number} orderId - Order ID to update
      * @param {string} newStatus - New status to set
-     * @param {number} userId - User ID making the update
+     * @param {Object} user - User making the update
+     * @param {Object} data - Extra data for the transition (trackingNumber, carrierCode, sellerId, reason)
      */
-    async updateOrderStatus(orderId, newStatus, userId) {
+    async updateOrderStatus(orderId, newStatus, user, data = {}) {
+        if (newStatus === 'cancelled') {
+            return this.cancelOrder(orderId, user, data.reason);
+        }
+
+        if (newStatus === 'shipped' || newStatus === 'delivered') {
+            return this.fulfilSellerOrders(orderId, newStatus, user, data);
+        }
+
+        const transaction = await sequelize.transaction();
+
         try {
             // 1. Get the order
-            const [order] = await Order.findById(orderId);
-            if (!order) {
-                throw new ApiError(404, 'Order not found');
-            }
+            const order = await this.getOrderById(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+            this.assertOrderAccess(order, user);
 
             // 2. Validate status transition
-            const validTransitions = {
-                'pending': ['processing', 'cancelled'],
-                'processing': ['shipped', 'cancelled'],
-                'shipped': ['delivered'],
-                'delivered': [],
-                'cancelled': []
-            };
+            orderStateMachine.assert(order.status, newStatus);
+
+            // 3. Take the paid stock and update the status
+            await this.startProcessing(order, transaction, user);
+
+            await this.transitionOrder(order, newStatus, user, {
+                reason: data.reason,
+                updates: { reservationExpiresAt: null },
+                transaction
+            });
 
-            if (!validTransitions[order.status]?.includes(newStatus)) {
-                throw new ApiError(400, `Cannot transition from ${order.status} to ${newStatus}`);
+            await transaction.commit();
+            return await this.getOrderDetails(orderId, user);
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Ship or deliver seller orders, then move the order on once all its seller orders have
+     * Sellers update their own seller order. Admins update the one of data.sellerId,
+     * or every seller order that can make the step when no seller is given.
+     * @param {number} orderId - Order ID
+     * @param {string} toStatus - shipped or delivered
+     * @param {Object} user - User making the update
+     * @param {Object} data - { trackingNumber, carrierCode, sellerId, reason }
+     * @returns {Promise<Object>} - Order
+     */
+    async fulfilSellerOrders(orderId, toStatus, user, data = {}) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const order = await this.getOrderById(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+            this.assertOrderAccess(order, user);
+
+            // A parcel can be delivered while other sellers have not shipped yet
+            if (!(toStatus === 'delivered' && order.status === 'processing')) {
+                orderStateMachine.assert(order.status, toStatus);
             }
 
-            // 3. Update the status
-            await Order.update(orderId, { status: newStatus });
-            return await this.getOrderById(orderId);
+            const sellerOrders = await this.ensureSellerOrders(order, transaction);
+            const fromStatus = toStatus === 'shipped' ? 'processing' : 'shipped';
 
+            for (const sellerOrder of this.selectSellerOrders(sellerOrders, user, data.sellerId, fromStatus)) {
+                if (toStatus === 'shipped') {
+                    await this.shipBackorders(order, sellerOrder, user, transaction);
+                }
+
+                await this.transitionSellerOrder(sellerOrder, toStatus, user, data, transaction);
+            }
+
+            const orderStatus = this.getFulfilmentStatus(sellerOrders);
+
+            if (orderStatus !== order.status) {
+                const updates = {};
+
+                if (orderStatus === 'shipped') {
+                    updates.shippedAt = new Date();
+
+                    if (sellerOrders.length === 1 && data.trackingNumber) {
+                        updates.trackingNumber = data.trackingNumber;
+                    }
+                } else {
+                    updates.deliveredAt = new Date();
+                }
+
+                await this.transitionOrder(order, orderStatus, user, {
+                    reason: data.reason,
+                    updates,
+                    transaction
+                });
+            }
+
+            await transaction.commit();
+            return await this.getOrderDetails(orderId, user);
         } catch (error) {
-            logger.error('Error in updateOrderStatus:', error);
+            await transaction.rollback();
             throw error;
         }
     }
 
     /**
-     * Get orders for a seller
-     * @param {number} sellerId - Seller ID to get orders for
-     * @param {Object} options - Pagination options
+     * Pick the seller orders a user is updating
+     * @param {Array} sellerOrders - Seller orders of the order
+     * @param {Object} user - User making the update
+     * @param {number} sellerId - Seller requested by an admin (optional)
+     * @param {string} fromStatus - Status the seller orders must be in when no seller is given
+     * @returns {Array} - Seller orders to update
      */
-    async getSellerOrders(sellerId, options = {}) {
+    selectSellerOrders(sellerOrders, user, sellerId, fromStatus) {
+        if (user.role !== 'admin' && sellerId && sellerId !== user.id) {
+            throw ApiError.forbidden('Sellers can only update their own items');
+        }
+
+        const targetSellerId = user.role === 'admin' ? sellerId : user.id;
+
+        if (!targetSellerId) {
+            const selected = sellerOrders.filter(sellerOrder => sellerOrder.status === fromStatus);
+
+            if (selected.length === 0) {
+                throw ApiError.badRequest(`No part of this order is ${fromStatus}`);
+            }
+
+            return selected;
+        }
+
+        const selected = sellerOrders.filter(sellerOrder => sellerOrder.sellerId === targetSellerId);
+
+        if (selected.length === 0) {
+            throw ApiError.badRequest('The seller has no items in this order');
+        }
+
+        return selected;
+    }
+
+    /**
+     * Ship or deliver a seller order together with its parcel
+     * @param {Object} sellerOrder - Seller order with its shipment loaded
+     * @param {string} toStatus - shipped or delivered
+     * @param {Object} user - User making the update
+     * @param {Object} data - { trackingNumber, carrierCode, reason }
+     * @param {Object} transaction - Sequelize transaction
+     */
+    async transitionSellerOrder(sellerOrder, toStatus, user, data, transaction) {
+        const fromStatus = sellerOrder.status;
+        const { shipment } = sellerOrder;
+        const now = new Date();
+
+        sellerOrderStateMachine.assert(fromStatus, toStatus);
+        shipmentStateMachine.assert(shipment.status, toStatus);
+
+        if (toStatus === 'shipped') {
+            await sellerOrder.update({ status: toStatus, shippedAt: now }, { transaction });
+            await shipment.update({
+                status: toStatus,
+                trackingNumber: data.trackingNumber || null,
+                carrierCode: data.carrierCode || shipment.carrierCode,
+                shippedBy: user.id,
+                shippedAt: now
+            }, { transaction });
+        } else {
+            await sellerOrder.update({ status: toStatus, deliveredAt: now }, { transaction });
+            await shipment.update({ status: toStatus, deliveredAt: now }, { transaction });
+        }
+
+        await this.recordStatusChange(sellerOrder.orderId, fromStatus, toStatus, user, data.reason, transaction, sellerOrder.id);
+    }
+
+    /**
+     * Status of an order given the status of its seller orders
+     * Cancelled seller orders are ignored, the order is cancelled when all of them are
+     * @param {Array} sellerOrders - Seller orders of the order
+     * @returns {string} - Order status
+     */
+    getFulfilmentStatus(sellerOrders) {
+        const active = sellerOrders.filter(sellerOrder => sellerOrder.status !== 'cancelled');
+
+        if (active.length === 0) {
+            return 'cancelled';
+        }
+
+        return FULFILMENT_STEPS[Math.min(...active.map(sellerOrder => FULFILMENT_STEPS.indexOf(sellerOrder.status)))];
+    }
+
+    /**
+     * Move an order to a new status and record the change
+     * @param {Object} order - Order locked by the caller
+     * @param {string} toStatus - New status
+     * @param {Object} actor - User making the change (null for system changes)
+     * @param {Object} options - { reason, updates, transaction }
+     * @returns {Promise<Object>} - Updated order
+     */
+    async transitionOrder(order, toStatus, actor, { reason = null, updates = {}, transaction } = {}) {
+        const fromStatus = order.status;
+
+        orderStateMachine.assert(fromStatus, toStatus);
+
+        await order.update({ ...updates, status: toStatus }, { transaction });
+        await this.recordStatusChange(order.id, fromStatus, toStatus, actor, reason, transaction);
+
+        return order;
+    }
+
+    /**
+     * Write an entry to the order status history
+     * @param {number} orderId - Order ID
+     * @param {string} fromStatus - Previous status (null for new orders)
+     * @param {string} toStatus - New status
+     * @param {Object} actor - User making the change (null for system changes)
+     * @param {string} reason - Optional reason
+     * @param {Object} transaction - Sequelize transaction
+     * @param {number} sellerOrderId - Seller order when only that part of the order changed (optional)
+     */
+    async recordStatusChange(orderId, fromStatus, toStatus, actor, reason, transaction, sellerOrderId = null) {
+        return OrderStatusHistory.create({
+            orderId,
+            sellerOrderId,
+            fromStatus,
+            toStatus,
+            actorId: actor ? actor.id : null,
+            actorRole: actor ? actor.role : 'system',
+            reason: reason || null
+        }, { transaction });
+    }
+
+    /**
+     * Get the status history of an order
+     * Sellers see the changes of the whole order and of their own seller order
+     * @param {number} orderId - Order ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Array>} - History entries, oldest first
+     */
+    async getOrderHistory(orderId, user) {
+        const order = await this.getOrderDetails(orderId, user);
+        const where = { orderId };
+
+        if (user.role === 'seller' && order.userId !== user.id) {
+            where[Op.or] = [
+                { sellerOrderId: null },
+                { sellerOrderId: order.sellerOrders.map(sellerOrder => sellerOrder.id) }
+            ];
+        }
+
+        return OrderStatusHistory.findAll({
+            where,
+            include: [
+                {
+                    model: User,
+                    as: 'actor',
+                    attributes: ['id', 'firstName', 'lastName']
+                },
+                {
+                    model: SellerOrder,
+                    as: 'sellerOrder',
+                    attributes: ['id', 'sellerId']
+                }
+            ],
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    /**
+     * Authorize payment for a pending order
+     * @param {number} orderId - Order ID
+     * @param {Object} user - User paying for the order
+     * @param {Object} data - { paymentToken, provider, capture }
+     * @returns {Promise<Object>} - Authorized, or captured, payment
+     */
+    async payOrder(orderId, user, data = {}) {
+        const order = await this.getOrderById(orderId);
+
+        if (user.role !== 'admin' && order.userId !== user.id) {
+            throw ApiError.forbidden('Not authorized to pay for this order');
+        }
+
+        this.assertPayable(order);
+
+        const payments = await PaymentService.getOrderPayments(order.id);
+
+        if (payments.some(payment => ['authorized', 'captured'].includes(payment.status))) {
+            throw ApiError.conflict('This order already has an active payment');
+        }
+
+        const payment = await PaymentService.authorize(order, data);
+
+        if (data.capture) {
+            return this.capturePayment(payment.id, user);
+        }
+
+        return payment;
+    }
+
+    /**
+     * Capture an authorized payment and move its order to processing
+     * @param {number} paymentId - Payment ID
+     * @param {Object} user - User capturing the payment
+     * @returns {Promise<Object>} - Captured payment
+     */
+    async capturePayment(paymentId, user) {
+        const payment = await PaymentService.getPaymentById(paymentId);
+        const order = await this.getOrderById(payment.orderId);
+
+        this.assertPayable(order);
+
+        await PaymentService.capture(payment);
+        await this.markOrderPaid(order.id, user);
+
+        return payment;
+    }
+
+    /**
+     * Move a pending order to processing once its payment is captured
+     * Orders that already left pending are ignored, so repeated webhooks are harmless.
+     * A payment the provider captured after the order was cancelled or paid otherwise is refunded
+     * @param {number} orderId - Order ID
+     * @param {Object} actor - User who confirmed the payment (null for provider webhooks)
+     * @param {Object} capturedPayment - Payment a provider webhook just captured (optional)
+     * @returns {Promise<Object>} - Order
+     */
+    async markOrderPaid(orderId, actor = null, capturedPayment = null) {
+        const transaction = await sequelize.transaction();
+
         try {
-            const orders = await Order.findBySeller(sellerId, options);
-            return orders;
+            const order = await this.getOrderById(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+
+            if (!orderStateMachine.can(order.status, 'processing')) {
+                await transaction.rollback();
+
+                if (capturedPayment) {
+                    await PaymentService.refund(capturedPayment, undefined, `Captured after the order was ${order.status}`);
+                }
+
+                return order;
+            }
+
+            await this.startProcessing(order, transaction, actor);
+
+            await this.transitionOrder(order, 'processing', actor, {
+                reason: 'Payment captured',
+                updates: { reservationExpiresAt: null },
+                transaction
+            });
+
+            await transaction.commit();
+            return await this.getOrderById(orderId);
         } catch (error) {
-            logger.error('Error in getSellerOrders:', error);
+            await transaction.rollback();
             throw error;
         }
     }
+
+    /**
+     * Throw if an order cannot take a payment
+     * @param {Object} order - Order instance
+     */
+    assertPayable(order) {
+        if (order.status !== 'pending') {
+            throw ApiError.badRequest(`Cannot pay for an order that is ${order.status}`);
+        }
+
+        if (order.reservationExpiresAt && new Date(order.reservationExpiresAt) < new Date()) {
+            throw ApiError.badRequest('The stock reservation for this order has expired');
+        }
+    }
+
+    /**
+     * Ship a seller's part of an order
+     * The order moves to shipped once all its seller orders are shipped
+     * @param {number} orderId - Order ID
+     * @param {Object} user - User shipping the parcel
+     * @param {Object} data - { trackingNumber, carrierCode, sellerId }
+     */
+    async shipOrder(orderId, user, data = {}) {
+        if (!data.trackingNumber) {
+            throw ApiError.badRequest('Tracking number is required');
+        }
+
+        return this.updateOrderStatus(orderId, 'shipped', user, data);
+    }
+
+    /**
+     * Get the seller orders of an order with their shipments, splitting the order if needed
+     * Orders placed before they were split get their seller orders here, in the order's status.
+     * The caller holds the order lock, which serializes every change to its seller orders.
+     * @param {Object} order - Order with items loaded
+     * @param {Object} transaction - Sequelize transaction
+     * @returns {Promise<Array>} - Seller orders with their shipment
+     */
+    async ensureSellerOrders(order, transaction) {
+        const sellerIds = [...new Set(order.items.map(item => item.sellerId))];
+        const existing = await SellerOrder.findAll({ where: { orderId: order.id }, transaction });
+
+        for (const sellerId of sellerIds) {
+            if (existing.some(sellerOrder => sellerOrder.sellerId === sellerId)) {
+                continue;
+            }
+
+            const items = order.items.filter(item => item.sellerId === sellerId);
+            const shipment = await Shipment.findOne({ where: { orderId: order.id, sellerId }, transaction });
+
+            const lines = items.map(item => ({
+                quantity: item.quantity,
+                unitPrice: Number(item.unitPrice),
+                lineTotal: Number(item.lineTotal),
+                taxAmount: Number(item.taxAmount),
+                taxInclusive: item.taxInclusive
+            }));
+
+            // A parcel shipped before the split keeps its own status
+            const shipped = shipment && ['shipped', 'delivered'].includes(shipment.status);
+
+            const sellerOrder = await SellerOrder.create({
+                orderId: order.id,
+                sellerId,
+                status: shipped ? shipment.status : order.status,
+                shippedAt: shipped ? shipment.shippedAt : order.shippedAt,
+                ...this.calculateTotals(lines, shipment ? Number(shipment.shippingCost) : 0)
+            }, { transaction });
+
+            await OrderItem.update(
+                { sellerOrderId: sellerOrder.id },
+                { where: { orderId: order.id, sellerId }, transaction }
+            );
+
+            if (shipment) {
+                await shipment.update({ sellerOrderId: sellerOrder.id }, { transaction });
+            } else {
+                await Shipment.create({
+                    orderId: order.id,
+                    sellerId,
+                    sellerOrderId: sellerOrder.id,
+                    status: order.status === 'shipped' ? 'shipped' : 'pending',
+                    trackingNumber: order.trackingNumber,
+                    shippedAt: order.shippedAt
+                }, { transaction });
+            }
+        }
+
+        return SellerOrder.findAll({
+            where: { orderId: order.id },
+            include: [{ model: Shipment, as: 'shipment' }],
+            order: [['id', 'ASC']],
+            transaction
+        });
+    }
+
+    /**
+     * Cancel the seller orders of an order, and their parcels, that were not shipped
+     * @param {Object} order - Order being cancelled
+     * @param {Object} transaction - Sequelize transaction
+     */
+    async cancelSellerOrders(order, transaction) {
+        await SellerOrder.update(
+            { status: 'cancelled', cancelledAt: new Date() },
+            { where: { orderId: order.id, status: { [Op.in]: ['pending', 'processing'] } }, transaction }
+        );
+
+        await Shipment.update(
+            { status: 'cancelled' },
+            { where: { orderId: order.id, status: 'pending' }, transaction }
+        );
+    }
+
+    /**
+     * Get the shipments of an order
+     * Sellers only see their own parcel
+     * @param {number} orderId - Order ID
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Array>} - Shipments
+     */
+    async getOrderShipments(orderId, user) {
+        const order = await this.getOrderDetails(orderId, user);
+        const where = { orderId: order.id };
+
+        if (user.role === 'seller' && order.userId !== user.id) {
+            where.sellerId = user.id;
+        }
+
+        return Shipment.findAll({
+            where,
+            include: [
+                {
+                    model: ShippingMethod,
+                    as: 'shippingMethod',
+                    attributes: ['id', 'name', 'carrierCode', 'minDeliveryDays', 'maxDeliveryDays']
+                },
+                {
+                    model: User,
+                    as: 'seller',
+                    attributes: ['id', 'firstName', 'lastName', 'companyName']
+                }
+            ],
+            order: [['id', 'ASC']]
+        });
+    }
+
+    /**
+     * Mark a seller's part of an order as delivered
+     * The order moves to delivered once all its seller orders are delivered
+     * @param {number} orderId - Order ID
+     * @param {Object} user - User delivering the parcel
+     * @param {Object} data - { sellerId }
+     */
+    async deliverOrder(orderId, user, data = {}) {
+        return this.updateOrderStatus(orderId, 'delivered', user, data);
+    }
+
+    /**
+     * Get dashboard statistics
+     * Seller statistics are based on the seller's own seller orders
+     * @param {number} sellerId - Seller ID (optional, for seller stats)
+     * @returns {Promise<Object>} Dashboard statistics
+     */
+    async getDashboardStats(sellerId = null) {
+        const itemWhere = sellerId ? { sellerId } : {};
+
+        const countOrders = (where = {}) => (sellerId
+            ? SellerOrder.count({ where: { ...where, sellerId } })
+            : Order.count({ where }));
+
+        const recentOrders = sellerId
+            ? SellerOrder.findAll({
+                where: { sellerId },
+                include: [{ model: OrderItem, as: 'items' }],
+                order: [['createdAt', 'DESC']],
+                limit: 5
+            })
+            : Order.findAll({
+                include: [{ model: OrderItem, as: 'items' }],
+                order: [['createdAt', 'DESC']],
+                limit: 5
+            });
+
+        const [totalOrders, pendingOrders, completedOrders, totalRevenue, recent] = await Promise.all([
+            countOrders(),
+            countOrders({ status: 'pending' }),
+            countOrders({ status: 'delivered' }),
+            OrderItem.sum('lineTotal', {
+                where: itemWhere,
+                include: [{ model: Order, where: { status: { [Op.ne]: 'cancelled' } }, attributes: [] }]
+            }),
+            recentOrders
+        ]);
+
+        return {
+            totalOrders,
+            pendingOrders,
+            completedOrders,
+            totalRevenue: roundPrice(totalRevenue || 0),
+            recentOrders: recent
+        };
+    }
 }
 
 module.exports = new OrderService();
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+
+// Payment tokens that make the mock provider fail
+const DECLINED_TOKEN = 'tok_declined';
+const CAPTURE_FAILS_TOKEN = 'tok_capture_fails';
+
+// Webhook secret used in development and tests when MOCK_PAYMENT_WEBHOOK_SECRET is not set
+const DEVELOPMENT_WEBHOOK_SECRET = 'mock_webhook_secret_for_development';
+
+/**
+ * Mock Payment Provider
+ * Local provider for development and tests. It never calls out and its results only
+ * depend on the input, so the same request always gets the same answer. It is not
+ * available in production unless MOCK_PAYMENT_ENABLED is true.
+ *
+ * - paymentToken "tok_declined" is declined at authorization
+ * - paymentToken "tok_capture_fails" is authorized but fails at capture
+ * - any other token succeeds
+ *
+ * Webhooks are signed with an HMAC-SHA256 of the raw body in the X-Mock-Signature header,
+ * keyed with MOCK_PAYMENT_WEBHOOK_SECRET. Outside production a development secret is used
+ * when it is not set; in production webhooks are refused until it is.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - { webhookSecret }
+   */
+  constructor(options = {}) {
+    super('mock');
+    this.webhookSecret = options.webhookSecret;
+
+    // Authorizations known to this instance, keyed by reference
+    this.authorizations = new Map();
+  }
+
+  /**
+   * Build a reference that only depends on its parts
+   * @param {string} prefix - Reference prefix
+   * @param {...*} parts - Values identifying the operation
+   * @returns {string} - Reference
+   */
+  buildReference(prefix, ...parts) {
+    const hash = crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 16);
+    return `mock_${prefix}_${hash}`;
+  }
+
+  async authorize({ amount, currency, paymentToken, idempotencyKey }) {
+    const reference = this.buildReference('auth', idempotencyKey, amount, currency);
+
+    if (paymentToken === DECLINED_TOKEN) {
+      return { success: false, reference, message: 'Card declined' };
+    }
+
+    this.authorizations.set(reference, {
+      amount: Number(amount),
+      captureFails: paymentToken === CAPTURE_FAILS_TOKEN
+    });
+
+    return { success: true, reference, message: 'Authorized' };
+  }
+
+  async capture({ reference, amount }) {
+    const authorization = this.authorizations.get(reference);
+
+    if (authorization && authorization.captureFails) {
+      return { success: false, reference, message: 'Capture failed' };
+    }
+
+    if (authorization && Number(amount) > authorization.amount) {
+      return { success: false, reference, message: 'Capture amount exceeds the authorized amount' };
+    }
+
+    return { success: true, reference, message: 'Captured' };
+  }
+
+  async void({ reference }) {
+    this.authorizations.delete(reference);
+
+    return { success: true, reference, message: 'Voided' };
+  }
+
+  async refund({ reference, amount, idempotencyKey }) {
+    return {
+      success: true,
+      reference: this.buildReference('refund', reference, amount, idempotencyKey),
+      message: 'Refunded'
+    };
+  }
+
+  /**
+   * Get the secret webhooks are signed with, read when a webhook is signed or verified
+   * @returns {string} - Webhook secret
+   */
+  getWebhookSecret() {
+    const secret = this.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    if (secret) {
+      return secret;
+    }
+
+    // The development secret is public, so in production anyone could sign a webhook that marks an order paid
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to verify mock payment webhooks in production');
+    }
+
+    return DEVELOPMENT_WEBHOOK_SECRET;
+  }
+
+  /**
+   * Sign a webhook body the same way the provider would
+   * @param {string} rawBody - Body to sign
+   * @returns {string} - Hex signature
+   */
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.getWebhookSecret()).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(headers, rawBody) {
+    const signature = headers['x-mock-signature'];
+
+    if (!signature || !rawBody) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+
+    return {
+      type: payload.type,
+      reference: payload.data && payload.data.reference,
+      amount: payload.data && payload.data.amount
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,64 @@
+/**
+ * Payment Provider
+ * Base class for payment gateway integrations
+ *
+ * Every operation resolves to a result object instead of throwing when the gateway declines:
+ * { success: boolean, reference: string, message: string }
+ * Network or configuration problems should still throw.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Name used to select the provider and stored on payments
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds on the customer's payment method
+   * @param {Object} request - { amount, currency, paymentToken, idempotencyKey, orderId }
+   * @returns {Promise<Object>} - Result with the provider reference of the authorization
+   */
+  async authorize(request) {
+    throw new Error(`${this.name} provider does not implement authorize`);
+  }
+
+  /**
+   * Collect funds from an authorization
+   * @param {Object} request - { reference, amount, currency }
+   * @returns {Promise<Object>} - Result
+   */
+  async capture(request) {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  /**
+   * Cancel an authorization that has not been captured
+   * @param {Object} request - { reference }
+   * @returns {Promise<Object>} - Result
+   */
+  async void(request) {
+    throw new Error(`${this.name} provider does not implement void`);
+  }
+
+  /**
+   * Return captured funds, fully or partially
+   * @param {Object} request - { reference, amount, currency, reason, idempotencyKey }
+   * @returns {Promise<Object>} - Result with the provider reference of the refund
+   */
+  async refund(request) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Verify the signature of a webhook call and parse its event
+   * @param {Object} headers - Request headers
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @returns {Object|null} - { type, reference, amount } or null when the signature is invalid
+   */
+  verifyWebhook(headers, rawBody) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,378 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/payment');
+const MockPaymentProvider = require('./paymentProviders/mockProvider');
+const { ApiError } = require('../utils/errorHandler');
+const { roundPrice } = require('../utils/helpers');
+
+/**
+ * Payment Service
+ * Records payments and talks to the configured payment providers
+ */
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+
+    // The mock provider approves any payment, so production only gets it when asked for
+    if (this.isMockEnabled()) {
+      this.registerProvider(new MockPaymentProvider());
+    }
+  }
+
+  /**
+   * Check if the mock provider is available: outside production, or when MOCK_PAYMENT_ENABLED is true
+   * @returns {boolean} - Whether the mock provider is registered
+   */
+  isMockEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.MOCK_PAYMENT_ENABLED === 'true';
+  }
+
+  /**
+   * Make a provider available by its name
+   * @param {Object} provider - PaymentProvider instance
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER, then mock while it is enabled)
+   * @returns {Object} - PaymentProvider instance
+   */
+  getProvider(name) {
+    const providerName = name || process.env.PAYMENT_PROVIDER || (this.isMockEnabled() ? 'mock' : null);
+
+    if (!providerName) {
+      throw ApiError.badRequest('No payment provider is configured');
+    }
+
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw ApiError.badRequest(`Unknown payment provider: ${providerName}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get a payment by ID
+   * @param {number} paymentId - Payment ID
+   * @param {Object} options - Extra query options (transaction, lock)
+   * @returns {Promise<Object>} - Payment instance
+   */
+  async getPaymentById(paymentId, options = {}) {
+    const payment = await Payment.findByPk(paymentId, options);
+
+    if (!payment) {
+      throw ApiError.notFound('Payment not found');
+    }
+
+    return payment;
+  }
+
+  /**
+   * Get the payments of an order
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>} - Payments, oldest first
+   */
+  async getOrderPayments(orderId) {
+    return Payment.findAll({
+      where: { orderId },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Amount captured for an order, before refunds
+   * @param {number} orderId - Order ID
+   * @param {Object} transaction - Sequelize transaction (optional)
+   * @returns {Promise<number>} - Captured amount
+   */
+  async getCapturedAmount(orderId, transaction) {
+    const captured = await Payment.sum('capturedAmount', {
+      where: {
+        orderId,
+        status: { [Op.in]: ['captured', 'partially_refunded', 'refunded'] }
+      },
+      transaction
+    });
+
+    return roundPrice(captured || 0);
+  }
+
+  /**
+   * Authorize the full amount of an order
+   * Declined authorizations are stored as failed payments
+   * @param {Object} order - Order instance
+   * @param {Object} data - { paymentToken, provider }
+   * @returns {Promise<Object>} - Authorized payment
+   */
+  async authorize(order, { paymentToken, provider: providerName } = {}) {
+    const provider = this.getProvider(providerName);
+    const currency = process.env.PAYMENT_CURRENCY || 'USD';
+
+    const result = await provider.authorize({
+      amount: Number(order.totalAmount),
+      currency,
+      paymentToken,
+      idempotencyKey: uuidv4(),
+      orderId: order.id
+    });
+
+    const payment = await Payment.create({
+      orderId: order.id,
+      provider: provider.name,
+      providerReference: result.reference,
+      status: result.success ? 'authorized' : 'failed',
+      amount: order.totalAmount,
+      currency,
+      failureReason: result.success ? null : result.message,
+      authorizedAt: result.success ? new Date() : null
+    });
+
+    if (!result.success) {
+      throw new ApiError(402, `Payment authorization failed: ${result.message}`);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Capture an authorized payment in full
+   * @param {Object} payment - Payment instance
+   * @returns {Promise<Object>} - Captured payment
+   */
+  async capture(payment) {
+    if (payment.status !== 'authorized') {
+      throw ApiError.badRequest(`Cannot capture a payment that is ${payment.status}`);
+    }
+
+    const result = await this.getProvider(payment.provider).capture({
+      reference: payment.providerReference,
+      amount: Number(payment.amount),
+      currency: payment.currency
+    });
+
+    if (!result.success) {
+      await payment.update({ failureReason: result.message });
+      throw new ApiError(402, `Payment capture failed: ${result.message}`);
+    }
+
+    return payment.update({
+      status: 'captured',
+      capturedAmount: payment.amount,
+      capturedAt: new Date(),
+      failureReason: null
+    });
+  }
+
+  /**
+   * Cancel an authorization that has not been captured
+   * @param {Object} payment - Payment instance
+   * @returns {Promise<Object>} - Voided payment
+   */
+  async void(payment) {
+    if (payment.status !== 'authorized') {
+      throw ApiError.badRequest(`Cannot void a payment that is ${payment.status}`);
+    }
+
+    const result = await this.getProvider(payment.provider).void({
+      reference: payment.providerReference
+    });
+
+    if (!result.success) {
+      await payment.update({ failureReason: result.message });
+      throw new ApiError(402, `Payment void failed: ${result.message}`);
+    }
+
+    return payment.update({
+      status: 'voided',
+      voidedAt: new Date()
+    });
+  }
+
+  /**
+   * Refund a captured payment, fully or partially
+   * @param {Object} payment - Payment instance
+   * @param {number} amount - Amount to refund (defaults to everything not yet refunded)
+   * @param {string} reason - Optional refund reason
+   * @param {Object} options - idempotencyKey sent to the provider (a new one by default), and the
+   *   transaction the refund is recorded in
+   * @returns {Promise<Object>} - Refunded payment
+   */
+  async refund(payment, amount, reason, { idempotencyKey = uuidv4(), transaction } = {}) {
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+      throw ApiError.badRequest(`Cannot refund a payment that is ${payment.status}`);
+    }
+
+    const refundable = roundPrice(Number(payment.capturedAmount) - Number(payment.refundedAmount));
+    const refundAmount = amount === undefined || amount === null ? refundable : roundPrice(amount);
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw ApiError.badRequest(`Refund amount must be between 0 and ${refundable}`);
+    }
+
+    const result = await this.getProvider(payment.provider).refund({
+      reference: payment.providerReference,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      idempotencyKey
+    });
+
+    if (!result.success) {
+      await payment.update({ failureReason: result.message });
+      throw new ApiError(402, `Refund failed: ${result.message}`);
+    }
+
+    const refundedAmount = roundPrice(Number(payment.refundedAmount) + refundAmount);
+
+    return payment.update({
+      status: refundedAmount >= Number(payment.capturedAmount) ? 'refunded' : 'partially_refunded',
+      refundedAmount,
+      refundedAt: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * Refund part of what was captured for an order
+   * The amount is taken from the oldest captured payments first
+   * @param {number} orderId - Order ID
+   * @param {number} amount - Amount to refund
+   * @param {string} reason - Refund reason
+   * @param {Object} options - idempotencyKey the key of each payment's refund is made from, and the
+   *   transaction the refunds are recorded in. The same key and recorded payments give the same refunds
+   * @returns {Promise<Array>} - Refunded payments
+   */
+  async refundOrderAmount(orderId, amount, reason, { idempotencyKey, transaction } = {}) {
+    const payments = await Payment.findAll({
+      where: {
+        orderId,
+        status: { [Op.in]: ['captured', 'partially_refunded'] }
+      },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+
+    const refundable = roundPrice(payments.reduce(
+      (sum, payment) => sum + Number(payment.capturedAmount) - Number(payment.refundedAmount),
+      0
+    ));
+
+    if (amount > refundable) {
+      throw ApiError.badRequest(`Only ${refundable} can still be refunded for this order`);
+    }
+
+    const refunded = [];
+    let remaining = roundPrice(amount);
+
+    for (const payment of payments) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const share = Math.min(remaining, roundPrice(Number(payment.capturedAmount) - Number(payment.refundedAmount)));
+
+      if (share <= 0) {
+        continue;
+      }
+
+      refunded.push(await this.refund(payment, share, reason, {
+        idempotencyKey: idempotencyKey ? `${idempotencyKey}:${payment.id}` : undefined,
+        transaction
+      }));
+      remaining = roundPrice(remaining - share);
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Give back the money of a cancelled order
+   * Authorizations are voided and captured payments are refunded
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>} - Updated payments
+   */
+  async releaseOrderPayments(orderId) {
+    const payments = await Payment.findAll({
+      where: {
+        orderId,
+        status: { [Op.in]: ['authorized', 'captured', 'partially_refunded'] }
+      }
+    });
+
+    const released = [];
+
+    for (const payment of payments) {
+      if (payment.status === 'authorized') {
+        released.push(await this.void(payment));
+      } else {
+        released.push(await this.refund(payment, undefined, 'Order cancelled'));
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Verify a provider webhook and apply its event to the matching payment
+   * @param {string} providerName - Provider that sent the webhook
+   * @param {Object} headers - Request headers
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @returns {Promise<Object>} - { event, payment, applied }, applied being false for events already applied or ignored
+   */
+  async handleWebhook(providerName, headers, rawBody) {
+    const provider = this.getProvider(providerName);
+    const event = provider.verifyWebhook(headers, rawBody);
+
+    if (!event) {
+      throw ApiError.unauthorized('Invalid webhook signature');
+    }
+
+    const payment = await Payment.findOne({
+      where: {
+        provider: provider.name,
+        providerReference: event.reference
+      }
+    });
+
+    if (!payment) {
+      throw ApiError.notFound('Payment not found');
+    }
+
+    const previousStatus = payment.status;
+
+    // Events are applied only once, so providers can safely retry them
+    switch (event.type) {
+      case 'payment.captured':
+        if (payment.status === 'authorized') {
+          await payment.update({
+            status: 'captured',
+            capturedAmount: event.amount !== undefined ? event.amount : payment.amount,
+            capturedAt: new Date(),
+            failureReason: null
+          });
+        }
+        break;
+      case 'payment.failed':
+        if (payment.status === 'authorized') {
+          await payment.update({ status: 'failed', failureReason: 'Reported as failed by the provider' });
+        }
+        break;
+      case 'payment.voided':
+        if (payment.status === 'authorized') {
+          await payment.update({ status: 'voided', voidedAt: new Date() });
+        }
+        break;
+      default:
+        // Unknown events are acknowledged and ignored
+        break;
+    }
+
+    return { event, payment, applied: payment.status !== previousStatus };
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,661 @@
+const path = require('path');
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Category = require('../models/category');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const InventoryService = require('./inventoryService');
+const SerialService = require('./serialService');
+const ProductModerationService = require('./productModerationService');
+const ProductScheduleService = require('./productScheduleService');
+const {
+  createProductValidation,
+  updateProductValidation,
+  createVariantValidation,
+  updateVariantValidation
+} = require('../middleware/productValidation');
+const { parseCsv, toCsv, unescapeFormula } = require('../utils/csv');
+const { generateVariantSku } = require('../utils/helpers');
+const { ApiError } = require('../utils/errorHandler');
+
+const PRODUCT_FIELDS = [
+  'sku', 'name', 'description', 'basePrice', 'discountType', 'discountValue', 'categoryId', 'tags', 'imageUrls',
+  'attributes', 'weight', 'length', 'width', 'height', 'isActive', 'isFeatured', 'backorderPolicy', 'backorderLimit',
+  'availableAt', 'isSerialized', 'publishAt', 'unpublishAt'
+];
+const VARIANT_FIELDS = [
+  'sku', 'name', 'price', 'discountType', 'discountValue', 'options', 'imageUrls', 'isActive', 'backorderPolicy',
+  'backorderLimit', 'availableAt', 'isSerialized', 'publishAt', 'unpublishAt'
+];
+const INVENTORY_FIELDS = ['quantity', 'lowStockThreshold', 'location', 'warehouseId', 'warehouse'];
+// categoryPath is written by the catalog export for reading, the import goes by categoryId
+const IMPORT_FIELDS = ['productSku', 'category', 'categoryPath', 'inventory', ...INVENTORY_FIELDS];
+
+// CSV cells are text, these are turned into the types the models expect once a row passed validation
+const DECIMAL_FIELDS = ['basePrice', 'price', 'discountValue', 'weight', 'length', 'width', 'height'];
+const INTEGER_FIELDS = ['categoryId', 'backorderLimit'];
+const BOOLEAN_FIELDS = ['isActive', 'isFeatured', 'isSerialized'];
+
+const MAX_ROWS = 10000;
+// A real import commits after this many rows, so it never holds the row locks of the whole file
+const CHUNK_ROWS = 100;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+/**
+ * Product Import Service
+ * Creates or updates products, variants and their stock from a CSV or JSON Lines file, one row per
+ * product or variant. Rows are matched on SKU and checked by the same rules as the product routes.
+ * Each row runs in a savepoint, so a failing row is reported without stopping the others. A real
+ * import commits every CHUNK_ROWS rows to keep checkout and stock updates from waiting on its locks,
+ * a dry run is the whole import in one transaction rolled back at the end
+ */
+class ProductImportService {
+  /**
+   * Get multer upload middleware for the import file
+   * @returns {Function} - Middleware reading the file field into memory
+   */
+  getUploadMiddleware() {
+    const single = upload.single('file');
+
+    return (req, res, next) => single(req, res, error => next(error ? ApiError.badRequest(error.message) : undefined));
+  }
+
+  /**
+   * Work out the format of an import file
+   * @param {Object} file - Uploaded file
+   * @param {string} format - csv or jsonl when given by the client
+   * @returns {string} - csv or jsonl
+   */
+  detectFormat(file, format) {
+    if (format) {
+      return format;
+    }
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.csv' || file.mimetype === 'text/csv') {
+      return 'csv';
+    }
+
+    if (['.jsonl', '.ndjson', '.json'].includes(extension)) {
+      return 'jsonl';
+    }
+
+    throw ApiError.badRequest('Cannot tell the format of the file, send format csv or jsonl');
+  }
+
+  /**
+   * Read a CSV cell holding key=value pairs separated by |, or a JSON object
+   * Text that is neither is kept, so that validation reports it
+   * @param {string} text - Cell value
+   * @returns {Object|string} - Parsed object
+   */
+  parseObject(text) {
+    if (text.startsWith('{')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    }
+
+    const pairs = text.split('|').map(pair => pair.split('='));
+
+    if (pairs.some(pair => pair.length !== 2 || !pair[0].trim())) {
+      return text;
+    }
+
+    return Object.fromEntries(pairs.map(([key, value]) => [key.trim(), value.trim()]));
+  }
+
+  /**
+   * Read the rows of an import file
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - csv or jsonl
+   * @returns {Array<Object>} - Rows as { line, data, errors }
+   */
+  readRows(buffer, format) {
+    const text = buffer.toString('utf8');
+
+    if (format === 'jsonl') {
+      return text.split(/\r?\n/)
+        .map((content, index) => ({ line: index + 1, content }))
+        .filter(({ content }) => content.trim() !== '')
+        .map(({ line, content }) => {
+          try {
+            const data = JSON.parse(content);
+
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+              return { line, data: {}, errors: [{ field: null, message: 'Each line must be a JSON object' }] };
+            }
+
+            return { line, data, errors: [] };
+          } catch (error) {
+            return { line, data: {}, errors: [{ field: null, message: `Invalid JSON: ${error.message}` }] };
+          }
+        });
+    }
+
+    let records;
+
+    try {
+      records = parseCsv(text);
+    } catch (error) {
+      throw ApiError.badRequest(error.message);
+    }
+
+    if (records.length === 0) {
+      return [];
+    }
+
+    const [header, ...rows] = records;
+    const columns = header.fields.map(column => column.trim());
+    const known = [...PRODUCT_FIELDS, ...VARIANT_FIELDS, ...IMPORT_FIELDS].filter(field => field !== 'inventory');
+    const unknown = columns.filter(column => !known.includes(column));
+
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(`Unknown column(s): ${unknown.join(', ')}`);
+    }
+
+    return rows.map(({ line, fields }) => {
+      if (fields.length !== columns.length) {
+        return {
+          line,
+          data: {},
+          errors: [{ field: null, message: `The row has ${fields.length} field(s), the header has ${columns.length}` }]
+        };
+      }
+
+      const data = {};
+
+      columns.forEach((column, index) => {
+        // Exports write an apostrophe in front of text that starts like a formula
+        const value = unescapeFormula(fields[index]);
+
+        // An empty cell leaves the field out, as if it was not in the file
+        if (value === '') {
+          return;
+        }
+
+        if (column === 'imageUrls') {
+          data[column] = value.split('|').map(url => url.trim()).filter(Boolean);
+        } else if (column === 'attributes' || column === 'options') {
+          data[column] = this.parseObject(value.trim());
+        } else {
+          data[column] = value;
+        }
+      });
+
+      return { line, data, errors: [] };
+    });
+  }
+
+  /**
+   * Split a row into the body of a product or variant and its stock, and resolve names to IDs
+   * @param {Object} row - Row as read from the file
+   * @param {Object} lookups - categories by ID and by name, warehouses by ID and by code
+   * @returns {Object} - Row with type, sku, productSku and body
+   */
+  prepareRow(row, lookups) {
+    const { data, errors } = row;
+    const productSku = data.productSku !== undefined && data.productSku !== null ? String(data.productSku).trim() : '';
+    const type = productSku ? 'variant' : 'product';
+    const fields = type === 'product' ? PRODUCT_FIELDS : VARIANT_FIELDS;
+    const body = {};
+    const inventory = data.inventory && typeof data.inventory === 'object' ? { ...data.inventory } : {};
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || ['productSku', 'category', 'categoryPath', 'inventory'].includes(key)) {
+        continue;
+      }
+
+      if (INVENTORY_FIELDS.includes(key)) {
+        inventory[key] = value;
+      } else if (fields.includes(key)) {
+        body[key] = value;
+      } else if (PRODUCT_FIELDS.includes(key) || VARIANT_FIELDS.includes(key)) {
+        errors.push({ field: key, message: `${key} only applies to ${type === 'product' ? 'variant' : 'product'} rows` });
+      } else {
+        errors.push({ field: key, message: `Unknown field ${key}` });
+      }
+    }
+
+    if (data.category !== undefined && data.category !== null) {
+      if (type === 'variant') {
+        errors.push({ field: 'category', message: 'category only applies to product rows' });
+      } else {
+        const name = String(data.category).trim();
+        const matches = /^\d+$/.test(name)
+          ? [lookups.categories.get(parseInt(name, 10))].filter(Boolean)
+          : lookups.categoriesByName.get(name.toLowerCase()) || [];
+
+        if (matches.length === 1) {
+          body.categoryId = matches[0].id;
+        } else {
+          errors.push({
+            field: 'category',
+            message: matches.length > 1 ? `Category name ${name} is used more than once, use its ID` : `Category ${name} not found`
+          });
+        }
+      }
+    } else if (body.categoryId !== undefined && !lookups.categories.has(parseInt(body.categoryId, 10))) {
+      errors.push({ field: 'categoryId', message: 'Category not found' });
+    }
+
+    if (inventory.warehouse !== undefined && inventory.warehouse !== null) {
+      const warehouse = lookups.warehousesByCode.get(String(inventory.warehouse).trim().toUpperCase());
+
+      if (warehouse) {
+        inventory.warehouseId = warehouse.id;
+      } else {
+        errors.push({ field: 'warehouse', message: `Warehouse ${inventory.warehouse} not found` });
+      }
+    } else if (inventory.warehouseId && !lookups.warehouses.has(parseInt(inventory.warehouseId, 10))) {
+      errors.push({ field: 'warehouseId', message: 'Warehouse not found' });
+    }
+
+    delete inventory.warehouse;
+
+    if (Object.keys(inventory).length > 0) {
+      body.inventory = inventory;
+    }
+
+    // A variant listed by its options alone gets the SKU the variant generator gives it
+    if (type === 'variant' && (body.sku === undefined || body.sku === '') && body.options && typeof body.options === 'object') {
+      body.sku = generateVariantSku(productSku, body.options);
+    }
+
+    return {
+      ...row,
+      type,
+      sku: body.sku !== undefined && body.sku !== null ? String(body.sku).trim() : '',
+      productSku,
+      body
+    };
+  }
+
+  /**
+   * Check a row body with the validation chains of a route
+   * The chains sanitize the body in place, as they do for a request. Only the first error of a field is kept
+   * @param {Object} body - Row body
+   * @param {Array} chains - express-validator chains
+   * @returns {Promise<Array>} - Errors as { field, message }
+   */
+  async validateBody(body, chains) {
+    const req = { body };
+
+    for (const chain of chains) {
+      await chain.run(req);
+    }
+
+    return validationResult(req).array({ onlyFirstError: true }).map(error => ({ field: error.path, message: error.msg }));
+  }
+
+  /**
+   * Turn the text of CSV cells into numbers and booleans
+   * @param {Object} body - Validated row body
+   * @returns {Object} - Body with typed values
+   */
+  coerce(body) {
+    const typed = { ...body };
+
+    for (const [key, value] of Object.entries(body)) {
+      if (typeof value !== 'string') {
+        continue;
+      }
+
+      if (DECIMAL_FIELDS.includes(key)) {
+        typed[key] = parseFloat(value);
+      } else if (INTEGER_FIELDS.includes(key)) {
+        typed[key] = parseInt(value, 10);
+      } else if (BOOLEAN_FIELDS.includes(key)) {
+        typed[key] = value === 'true' || value === '1';
+      }
+    }
+
+    if (body.inventory) {
+      typed.inventory = { ...body.inventory };
+
+      ['quantity', 'lowStockThreshold', 'warehouseId'].forEach(key => {
+        if (typeof typed.inventory[key] === 'string') {
+          typed.inventory[key] = parseInt(typed.inventory[key], 10);
+        }
+      });
+    }
+
+    return typed;
+  }
+
+  /**
+   * Set the stock of a product or variant in one warehouse
+   * @param {Object} owner - productId, variantId and sku of the stock row
+   * @param {Object} inventory - quantity, lowStockThreshold, location and warehouseId
+   * @param {Object} user - Importing user
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async importInventory(owner, inventory, user, transaction) {
+    const warehouseId = inventory.warehouseId || null;
+    const movement = { actor: user, notes: 'Product import' };
+    const existing = await Inventory.findOne({
+      where: { productId: owner.productId, variantId: owner.variantId, warehouseId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!existing) {
+      await InventoryService.createInventory({
+        ...owner,
+        warehouseId,
+        quantity: inventory.quantity || 0,
+        lowStockThreshold: inventory.lowStockThreshold !== undefined ? inventory.lowStockThreshold : 10,
+        location: inventory.location
+      }, movement, transaction);
+      return;
+    }
+
+    if (inventory.quantity !== undefined) {
+      await InventoryService.setQuantity(existing, inventory.quantity, movement, transaction);
+    }
+
+    await existing.update({
+      lowStockThreshold: inventory.lowStockThreshold !== undefined ? inventory.lowStockThreshold : existing.lowStockThreshold,
+      location: inventory.location !== undefined ? inventory.location : existing.location
+    }, { transaction });
+  }
+
+  /**
+   * Create or update the product of a row
+   * @param {Object} row - Prepared row
+   * @param {Object|null} product - Product with the SKU of the row
+   * @param {Object} user - Importing user
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - product and action (created or updated)
+   */
+  async importProduct(row, product, user, transaction) {
+    const { inventory, ...fields } = row.body;
+    let action = 'updated';
+    let resubmit = false;
+
+    if (product) {
+      if (user.role !== 'admin' && product.userId !== user.id) {
+        throw ApiError.forbidden(`SKU ${row.sku} belongs to a product of another seller`);
+      }
+
+      if (fields.isSerialized !== undefined && fields.isSerialized !== product.isSerialized) {
+        await SerialService.assertSwitchable(product, null, transaction);
+      }
+
+      resubmit = ProductModerationService.needsReview(product, user, fields);
+      await product.update(fields, { transaction });
+    } else {
+      product = await Product.create({
+        discountType: 'none',
+        discountValue: 0,
+        isActive: true,
+        isFeatured: false,
+        backorderPolicy: 'none',
+        isSerialized: false,
+        ...fields,
+        userId: user.id
+      }, { transaction });
+      action = 'created';
+    }
+
+    if (resubmit) {
+      await ProductModerationService.returnToReview(product, user, transaction);
+    }
+
+    if (inventory) {
+      await this.importInventory({ productId: product.id, variantId: null, sku: product.sku }, inventory, user, transaction);
+    }
+
+    return { product, action, resubmitted: resubmit };
+  }
+
+  /**
+   * Create or update the variant of a row
+   * @param {Object} row - Prepared row
+   * @param {Object|null} product - Product the row belongs to
+   * @param {Object|null} variant - Variant with the SKU of the row
+   * @param {Object} user - Importing user
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - variant and action (created or updated)
+   */
+  async importVariant(row, product, variant, user, transaction) {
+    const { inventory, ...fields } = row.body;
+    let action = 'updated';
+
+    if (!product) {
+      throw ApiError.badRequest(`Product ${row.productSku} not found`);
+    }
+
+    if (user.role !== 'admin' && product.userId !== user.id) {
+      throw ApiError.forbidden(`SKU ${row.productSku} belongs to a product of another seller`);
+    }
+
+    const resubmit = ProductModerationService.needsReview(product, user, fields, variant || null);
+
+    if (variant) {
+      if (variant.productId !== product.id) {
+        throw ApiError.badRequest(`Variant ${row.sku} belongs to another product`);
+      }
+
+      if (fields.isSerialized !== undefined &&
+        InventoryService.tracksSerials(product, fields) !== InventoryService.tracksSerials(product, variant)) {
+        await SerialService.assertSwitchable(product, variant, transaction);
+      }
+
+      await variant.update({
+        ...fields,
+        isActive: ProductScheduleService.getVariantActive(fields.isActive, fields.publishAt, variant.isActive)
+      }, { transaction });
+    } else {
+      variant = await Variant.create({
+        discountType: 'none',
+        discountValue: 0,
+        ...fields,
+        isActive: ProductScheduleService.getVariantActive(fields.isActive, fields.publishAt),
+        productId: product.id,
+        name: fields.name || product.name,
+        price: fields.price || product.basePrice
+      }, { transaction });
+      action = 'created';
+    }
+
+    if (resubmit) {
+      await ProductModerationService.returnToReview(product, user, transaction);
+    }
+
+    if (inventory) {
+      await this.importInventory({ productId: null, variantId: variant.id, sku: variant.sku }, inventory, user, transaction);
+    }
+
+    return { variant, action, resubmitted: resubmit };
+  }
+
+  /**
+   * Import products and variants from a file
+   * @param {Object} file - Uploaded file with buffer, originalname and mimetype
+   * @param {Object} options - format (csv or jsonl), dryRun, and onProgress called with the rows done and the total
+   * @param {Object} user - Importing user, sellers only create and change their own products
+   * @returns {Promise<Object>} - dryRun, format, summary and errors per row
+   */
+  async importProducts(file, { format, dryRun = false, onProgress } = {}, user) {
+    const fileFormat = this.detectFormat(file, format);
+    const rows = this.readRows(file.buffer, fileFormat);
+
+    if (rows.length === 0) {
+      throw ApiError.badRequest('The file has no rows to import');
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw ApiError.badRequest(`A file can hold up to ${MAX_ROWS} rows`);
+    }
+
+    const [categoryList, warehouseList] = await Promise.all([
+      Category.findAll({ attributes: ['id', 'name'] }),
+      Warehouse.findAll({ attributes: ['id', 'code'] })
+    ]);
+    const lookups = {
+      categories: new Map(categoryList.map(category => [category.id, category])),
+      categoriesByName: new Map(),
+      warehouses: new Map(warehouseList.map(warehouse => [warehouse.id, warehouse])),
+      warehousesByCode: new Map(warehouseList.map(warehouse => [warehouse.code, warehouse]))
+    };
+
+    categoryList.forEach(category => {
+      const key = category.name.toLowerCase();
+      lookups.categoriesByName.set(key, [...(lookups.categoriesByName.get(key) || []), category]);
+    });
+
+    const prepared = rows.map(row => this.prepareRow(row, lookups));
+    const productSkus = new Set();
+    const variantSkus = new Set();
+
+    prepared.forEach(row => {
+      if (row.type === 'product' && row.sku) {
+        productSkus.add(row.sku);
+      }
+
+      if (row.type === 'variant') {
+        productSkus.add(row.productSku);
+
+        if (row.sku) {
+          variantSkus.add(row.sku);
+        }
+      }
+    });
+
+    const [productList, variantList] = await Promise.all([
+      productSkus.size > 0 ? Product.findAll({ where: { sku: [...productSkus] } }) : [],
+      variantSkus.size > 0 ? Variant.findAll({ where: { sku: [...variantSkus] } }) : []
+    ]);
+    const products = new Map(productList.map(product => [product.sku, product]));
+    const variants = new Map(variantList.map(variant => [variant.sku, variant]));
+    const seen = new Map();
+
+    for (const row of prepared) {
+      // A line that could not be read has nothing to check
+      if (row.errors.some(error => error.field === null)) {
+        continue;
+      }
+
+      // The same SKU can come back to set its stock in another warehouse, but for nothing else
+      const key = `${row.type}:${row.sku}`;
+      const warehouseId = row.body.inventory && row.body.inventory.warehouseId ? parseInt(row.body.inventory.warehouseId, 10) : null;
+      const first = seen.get(key);
+
+      if (row.sku && first && (!row.body.inventory || first.warehouses.has(warehouseId))) {
+        row.errors.push({ field: 'sku', message: `SKU ${row.sku} is already on line ${first.line}` });
+      } else if (row.sku && first) {
+        first.warehouses.add(warehouseId);
+      } else if (row.sku) {
+        seen.set(key, { line: row.line, warehouses: new Set(row.body.inventory ? [warehouseId] : []) });
+      }
+
+      const existing = row.type === 'product' ? products.get(row.sku) : variants.get(row.sku);
+      const chains = row.type === 'product'
+        ? (existing ? updateProductValidation : createProductValidation)
+        : (existing ? updateVariantValidation : createVariantValidation);
+      const errors = await this.validateBody(row.body, chains);
+      const categoryFailed = row.errors.some(error => error.field === 'category');
+
+      // An unknown category name already explains the missing category ID
+      row.errors.push(...errors.filter(error => !(categoryFailed && error.field === 'categoryId')));
+    }
+
+    const summary = { rows: prepared.length, created: 0, updated: 0, failed: 0 };
+    const errors = [];
+    let resubmitted = false;
+    let transaction = await sequelize.transaction();
+
+    try {
+      for (const [index, row] of prepared.entries()) {
+        if (onProgress) {
+          await onProgress(index, prepared.length);
+        }
+
+        if (!dryRun && index > 0 && index % CHUNK_ROWS === 0) {
+          await transaction.commit();
+          transaction = await sequelize.transaction();
+        }
+
+        if (row.errors.length === 0) {
+          try {
+            const body = this.coerce(row.body);
+            const result = await sequelize.transaction({ transaction }, savepoint => (row.type === 'product'
+              ? this.importProduct({ ...row, body }, products.get(row.sku), user, savepoint)
+              : this.importVariant({ ...row, body }, products.get(row.productSku), variants.get(row.sku), user, savepoint)));
+
+            if (row.type === 'product') {
+              products.set(row.sku, result.product);
+            } else {
+              variants.set(row.sku, result.variant);
+            }
+
+            summary[result.action] += 1;
+            resubmitted = resubmitted || result.resubmitted;
+            continue;
+          } catch (error) {
+            if (error.statusCode) {
+              row.errors.push({ field: null, message: error.message });
+            } else if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+              row.errors.push(...error.errors.map(item => ({ field: item.path, message: item.message })));
+            } else {
+              throw error;
+            }
+          }
+        }
+
+        summary.failed += 1;
+        errors.push(...row.errors.map(error => ({ line: row.line, sku: row.sku || null, ...error })));
+      }
+
+      if (dryRun) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+      }
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+
+      // The chunks committed before the failure stay imported
+      if (resubmitted && !dryRun) {
+        await ProductModerationService.invalidateCatalogCache();
+      }
+      throw error;
+    }
+
+    // Products sent back to review left the storefront
+    if (resubmitted && !dryRun) {
+      await ProductModerationService.invalidateCatalogCache();
+    }
+
+    return { dryRun, format: fileFormat, summary, errors };
+  }
+
+  /**
+   * Write the errors of an import as CSV, one line per error
+   * @param {Object} report - Import report
+   * @returns {string} - CSV text
+   */
+  toErrorCsv(report) {
+    return toCsv(
+      ['line', 'sku', 'field', 'message'],
+      report.errors.map(error => [error.line, error.sku, error.field, error.message])
+    );
+  }
+}
+
+module.exports = new ProductImportService();
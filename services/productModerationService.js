@@ -0,0 +1,341 @@
+const { isDeepStrictEqual } = require('util');
+const { sequelize } = require('../config/database');
+const Product = require('../models/product');
+const ProductStatusHistory = require('../models/productStatusHistory');
+const Category = require('../models/category');
+const User = require('../models/user');
+const CacheService = require('./cacheService');
+const productStateMachine = require('../utils/productStateMachine');
+const { ApiError } = require('../utils/errorHandler');
+
+const userAttributes = ['id', 'firstName', 'lastName', 'email'];
+
+// What a moderator looks at. Sellers changing it on a reviewed product send the product back to review
+const REVIEWED_STATUSES = ['approved', 'published'];
+const REVIEWED_PRODUCT_FIELDS = [
+  'name', 'description', 'basePrice', 'discountType', 'discountValue', 'categoryId', 'tags', 'imageUrls', 'attributes'
+];
+const REVIEWED_VARIANT_FIELDS = ['name', 'price', 'discountType', 'discountValue', 'options', 'imageUrls'];
+
+// Decimals come back from the database as strings, so 25 and '25.00' are the same price
+const isSameValue = (current, value) => (
+  typeof value === 'number' && current !== null ? Number(current) === value : isDeepStrictEqual(current, value)
+);
+
+// Cached search responses that list products: the search routes and the results the search controller caches
+const CATALOG_CACHE_PREFIXES = ['route:/api/search/', 'fulltext:', 'suggestions:', 'trending:'];
+
+/**
+ * Product Moderation Service
+ * New products start as drafts. Sellers submit them for review, an admin approves or rejects them,
+ * and approved products are published. Buyers only ever see products that are published and active
+ */
+class ProductModerationService {
+  /**
+   * Get the moderation statuses
+   * @returns {Array<string>} - Statuses
+   */
+  getStatuses() {
+    return productStateMachine.states;
+  }
+
+  /**
+   * Check if a user may see a product
+   * Admins see every product and sellers their own, everybody else only published active products
+   * @param {Object} product - Product instance
+   * @param {Object} user - Authenticated user (optional)
+   * @returns {boolean} - Whether the product is visible
+   */
+  isVisible(product, user) {
+    if (product.isActive && product.status === 'published') {
+      return true;
+    }
+
+    return this.canManage(product, user);
+  }
+
+  /**
+   * Check if a user sees a product as its manager: admins and the seller of the product.
+   * Managers also see inactive variants and the schedules
+   * @param {Object} product - Product instance
+   * @param {Object} user - Authenticated user (optional)
+   * @returns {boolean} - Whether the user manages the product
+   */
+  canManage(product, user) {
+    return Boolean(user) && (user.role === 'admin' || (user.role === 'seller' && user.id === product.userId));
+  }
+
+  /**
+   * Throw if a user may not change the status of a product
+   * @param {Object} product - Product instance
+   * @param {Object} user - Authenticated user
+   */
+  assertOwner(product, user) {
+    if (user.role !== 'admin' && product.userId !== user.id) {
+      throw ApiError.forbidden('You are not authorized to change this product');
+    }
+  }
+
+  /**
+   * Drop the cached search results, after products were put on sale or taken off
+   * @returns {Promise<void>}
+   */
+  async invalidateCatalogCache() {
+    await Promise.all(CATALOG_CACHE_PREFIXES.map(prefix => CacheService.delByPrefix(prefix)));
+  }
+
+  /**
+   * Move a product to another status in a transaction and record the change
+   * @param {number} productId - Product ID
+   * @param {Object|null} user - Authenticated user, null for changes made by the scheduler
+   * @param {Array} steps - [{ status, fields, reason }], applied one after the other
+   * @param {Object} options - invalidateCache, false when the caller drops the cache once for many changes
+   * @returns {Promise<Object>} - Updated product
+   */
+  async changeStatus(productId, user, steps, { invalidateCache = true } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const product = await Product.findByPk(productId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!product) {
+        throw ApiError.notFound('Product not found');
+      }
+
+      if (user) {
+        this.assertOwner(product, user);
+      }
+
+      await this.applySteps(product, user, steps, transaction);
+      await transaction.commit();
+
+      if (invalidateCache) {
+        await this.invalidateCatalogCache();
+      }
+
+      return product;
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply status changes to a product and record them, in the transaction of the caller
+   * @param {Object} product - Product instance
+   * @param {Object|null} user - Authenticated user, null for the scheduler
+   * @param {Array} steps - [{ status, fields, reason }]
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async applySteps(product, user, steps, transaction) {
+    for (const { status, fields = {}, reason = null } of steps) {
+      const fromStatus = product.status;
+      productStateMachine.assert(fromStatus, status);
+
+      await product.update({ ...fields, status }, { transaction });
+      await ProductStatusHistory.create({
+        productId: product.id,
+        fromStatus,
+        toStatus: status,
+        actorId: user ? user.id : null,
+        actorRole: user ? user.role : 'system',
+        reason
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Check if an edit changes what a moderator approved. Admin edits are trusted
+   * @param {Object} product - Product instance, before the edit
+   * @param {Object} user - Authenticated user
+   * @param {Object} changes - Fields sent for the product or variant
+   * @param {Object|null} variant - Variant before the edit, null for a new variant, left out for a product edit
+   * @returns {boolean} - Whether the product has to be reviewed again
+   */
+  needsReview(product, user, changes, variant) {
+    if (user.role === 'admin' || !REVIEWED_STATUSES.includes(product.status)) {
+      return false;
+    }
+
+    // A new variant is new content as a whole
+    if (variant === null) {
+      return true;
+    }
+
+    const [record, fields] = variant ? [variant, REVIEWED_VARIANT_FIELDS] : [product, REVIEWED_PRODUCT_FIELDS];
+
+    return fields.some(field => changes[field] !== undefined && !isSameValue(record.get(field), changes[field]));
+  }
+
+  /**
+   * Send an edited product back to review, in the transaction of the edit.
+   * A published product leaves the storefront until an admin approves the change
+   * @param {Object} product - Product instance
+   * @param {Object} user - Seller who edited the product
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async returnToReview(product, user, transaction) {
+    await this.applySteps(product, user, [
+      { status: 'pending_review', fields: { submittedAt: new Date() }, reason: 'Changed after review' }
+    ], transaction);
+  }
+
+  /**
+   * Submit a draft or rejected product for review
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @returns {Promise<Object>} - Updated product
+   */
+  async submitProduct(productId, user) {
+    return this.changeStatus(productId, user, [
+      { status: 'pending_review', fields: { submittedAt: new Date() } }
+    ]);
+  }
+
+  /**
+   * Approve a product waiting for review, and publish it right away when asked to
+   * @param {number} productId - Product ID
+   * @param {Object} user - Admin
+   * @param {Object} options - { publish, note }
+   * @returns {Promise<Object>} - Updated product
+   */
+  async approveProduct(productId, user, { publish = false, note } = {}) {
+    const now = new Date();
+    const steps = [
+      {
+        status: 'approved',
+        fields: { reviewedAt: now, reviewedBy: user.id, rejectionReason: null },
+        reason: note
+      }
+    ];
+
+    if (publish) {
+      steps.push({ status: 'published', fields: { publishedAt: now, publishAt: null } });
+    }
+
+    return this.changeStatus(productId, user, steps);
+  }
+
+  /**
+   * Reject a product waiting for review. The reason is kept on the product for the seller
+   * until it is approved
+   * @param {number} productId - Product ID
+   * @param {Object} user - Admin
+   * @param {string} reason - What the seller has to change
+   * @returns {Promise<Object>} - Updated product
+   */
+  async rejectProduct(productId, user, reason) {
+    return this.changeStatus(productId, user, [
+      {
+        status: 'rejected',
+        fields: { reviewedAt: new Date(), reviewedBy: user.id, rejectionReason: reason },
+        reason
+      }
+    ]);
+  }
+
+  /**
+   * Put an approved product on sale, replacing a scheduled publishAt
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @returns {Promise<Object>} - Updated product
+   */
+  async publishProduct(productId, user) {
+    return this.changeStatus(productId, user, [
+      { status: 'published', fields: { publishedAt: new Date(), publishAt: null } }
+    ]);
+  }
+
+  /**
+   * Take a published product off sale, replacing a scheduled unpublishAt.
+   * It stays approved and can be published again without a review
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @returns {Promise<Object>} - Updated product
+   */
+  async unpublishProduct(productId, user) {
+    return this.changeStatus(productId, user, [{ status: 'approved', fields: { unpublishAt: null } }]);
+  }
+
+  /**
+   * Archive a product that is no longer sold
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @param {string} reason - Why it is archived (optional)
+   * @returns {Promise<Object>} - Updated product
+   */
+  async archiveProduct(productId, user, reason) {
+    return this.changeStatus(productId, user, [{ status: 'archived', reason }]);
+  }
+
+  /**
+   * Bring an archived product back as a draft, to be reviewed again before it is sold
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @returns {Promise<Object>} - Updated product
+   */
+  async restoreProduct(productId, user) {
+    return this.changeStatus(productId, user, [{ status: 'draft' }]);
+  }
+
+  /**
+   * Products waiting for a moderator, oldest submission first
+   * @param {Object} options - Pagination, status (pending_review by default), sellerId and categoryId
+   * @returns {Promise<Object>} - { count, products }
+   */
+  async getModerationQueue({ page = 1, limit = 10, status = 'pending_review', sellerId, categoryId } = {}) {
+    const where = { status };
+
+    if (sellerId) {
+      where.userId = sellerId;
+    }
+
+    if (categoryId) {
+      where.categoryId = categoryId;
+    }
+
+    const { count, rows } = await Product.findAndCountAll({
+      where,
+      include: [
+        { model: Category, attributes: ['id', 'name'] },
+        { model: User, as: 'seller', attributes: userAttributes },
+        { model: User, as: 'reviewer', attributes: userAttributes }
+      ],
+      order: [['submittedAt', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return { count, products: rows };
+  }
+
+  /**
+   * The status changes of a product, oldest first, with the reasons given by the moderators
+   * @param {number} productId - Product ID
+   * @param {Object} user - Seller who owns the product or admin
+   * @returns {Promise<Array>} - History entries
+   */
+  async getStatusHistory(productId, user) {
+    const product = await Product.findByPk(productId);
+
+    if (!product) {
+      throw ApiError.notFound('Product not found');
+    }
+
+    if (user.role !== 'admin' && product.userId !== user.id) {
+      throw ApiError.forbidden('You are not authorized to view the history of this product');
+    }
+
+    return ProductStatusHistory.findAll({
+      where: { productId },
+      include: [{ model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = new ProductModerationService();
@@ -0,0 +1,201 @@
+const { Op } = require('sequelize');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const ProductModerationService = require('./productModerationService');
+
+const productAttributes = ['id', 'name', 'sku', 'status', 'isActive', 'userId', 'publishAt', 'unpublishAt'];
+
+/**
+ * Product Schedule Service
+ * Puts products and variants on sale and takes them off at the times merchandisers set with publishAt and
+ * unpublishAt. Products go through moderation: a scheduled product is only published once it is approved,
+ * at its publishAt or at the first run after its approval. Variants have no review, they are activated and
+ * deactivated. Each time is cleared once it has been applied
+ */
+class ProductScheduleService {
+  /**
+   * Check if a publishAt is still ahead
+   * @param {string|Date} publishAt - Scheduled time (optional)
+   * @param {Date} now - Current time
+   * @returns {boolean} - Whether the publishAt is in the future
+   */
+  isPending(publishAt, now = new Date()) {
+    return Boolean(publishAt) && new Date(publishAt) > now;
+  }
+
+  /**
+   * Whether a variant is active once saved. A variant waiting for its publishAt is inactive unless isActive is given
+   * @param {boolean} isActive - isActive of the request (optional)
+   * @param {string|Date} publishAt - publishAt of the request (optional)
+   * @param {boolean} current - Current isActive of the variant, true for a new variant
+   * @returns {boolean} - isActive to save
+   */
+  getVariantActive(isActive, publishAt, current = true) {
+    if (isActive !== undefined) {
+      return isActive;
+    }
+
+    return this.isPending(publishAt) ? false : current;
+  }
+
+  /**
+   * Leave the scheduled times out of a product or variant shown to buyers
+   * @param {Object} data - Product or variant as plain data
+   * @returns {Object} - The same data without publishAt and unpublishAt
+   */
+  withoutSchedule({ publishAt, unpublishAt, ...data }) {
+    return data;
+  }
+
+  /**
+   * Apply the schedules that are due
+   * Publishing comes before unpublishing, so a product or variant whose whole window has passed ends up off sale
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { published, unpublished, activated, deactivated }
+   */
+  async runDueSchedules(now = new Date()) {
+    const due = { [Op.lte]: now };
+
+    const published = await this.changeDueProducts(
+      { status: 'approved', publishAt: due },
+      [{ status: 'published', fields: { publishedAt: now, publishAt: null }, reason: 'Scheduled publish' }]
+    );
+
+    // A product published by hand before its time has nothing left to do
+    // (the model check cannot run on a bulk update that only clears a time)
+    await Product.update({ publishAt: null }, { where: { status: 'published', publishAt: due }, validate: false });
+
+    const [activated] = await Variant.update(
+      { isActive: true, publishAt: null },
+      { where: { publishAt: due }, validate: false }
+    );
+
+    const unpublished = await this.changeDueProducts(
+      { status: 'published', unpublishAt: due },
+      [{ status: 'approved', fields: { unpublishAt: null }, reason: 'Scheduled unpublish' }]
+    );
+
+    const [deactivated] = await Variant.update(
+      { isActive: false, unpublishAt: null },
+      { where: { unpublishAt: due }, validate: false }
+    );
+
+    // Dropped once for the whole run, whatever went on sale or came off
+    if (published + unpublished + activated + deactivated > 0) {
+      await ProductModerationService.invalidateCatalogCache();
+    }
+
+    return { published, unpublished, activated, deactivated };
+  }
+
+  /**
+   * Move the products matching a filter through the moderation workflow as the system
+   * @param {Object} where - Product filter
+   * @param {Array} steps - Status changes, see ProductModerationService.changeStatus
+   * @returns {Promise<number>} - Products changed
+   */
+  async changeDueProducts(where, steps) {
+    const products = await Product.findAll({ where, attributes: ['id'], order: [['id', 'ASC']] });
+    let changed = 0;
+
+    for (const { id } of products) {
+      try {
+        await ProductModerationService.changeStatus(id, null, steps, { invalidateCache: false });
+        changed += 1;
+      } catch (error) {
+        // A product moved in the meantime, by hand or by another server, is left as it is
+        if (error.statusCode !== 400 && error.statusCode !== 404) {
+          console.error(`Scheduled status change of product ${id} failed:`, error);
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Upcoming scheduled changes of products and variants, soonest first.
+   * Times that have passed are listed too while they wait, such as a publishAt of a product not approved yet
+   * @param {Object} options - Pagination, from and to (times), type (product or variant) and sellerId
+   * @returns {Promise<Object>} - { count, entries }
+   */
+  async getUpcomingSchedule({ page = 1, limit = 20, from, to, type, sellerId } = {}) {
+    const range = {};
+
+    if (from) {
+      range[Op.gte] = new Date(from);
+    }
+
+    if (to) {
+      range[Op.lte] = new Date(to);
+    }
+
+    const when = field => ({ [field]: { [Op.ne]: null, ...range } });
+    const productWhere = sellerId ? { userId: sellerId } : {};
+    const entries = [];
+
+    if (type !== 'variant') {
+      const products = await Product.findAll({
+        where: { ...productWhere, [Op.or]: [when('publishAt'), when('unpublishAt')] },
+        attributes: productAttributes
+      });
+
+      products.forEach(product => {
+        entries.push(...this.toEntries('product', product, null, range));
+      });
+    }
+
+    if (type !== 'product') {
+      const variants = await Variant.findAll({
+        where: { [Op.or]: [when('publishAt'), when('unpublishAt')] },
+        attributes: ['id', 'name', 'sku', 'isActive', 'productId', 'publishAt', 'unpublishAt'],
+        include: [{ model: Product, attributes: productAttributes, where: productWhere }]
+      });
+
+      variants.forEach(variant => {
+        entries.push(...this.toEntries('variant', variant.Product, variant, range));
+      });
+    }
+
+    entries.sort((a, b) => a.at - b.at || a.product.id - b.product.id);
+
+    return {
+      count: entries.length,
+      entries: entries.slice((page - 1) * limit, page * limit)
+    };
+  }
+
+  /**
+   * The scheduled changes of a product or variant that fall in a time range
+   * @param {string} type - product or variant
+   * @param {Object} product - Product
+   * @param {Object|null} variant - Variant, for a variant entry
+   * @param {Object} range - Op.gte and Op.lte bounds
+   * @returns {Array<Object>} - Entries with type, action, at, product and variant
+   */
+  toEntries(type, product, variant, range) {
+    const scheduled = variant || product;
+    const inRange = at => at && (!range[Op.gte] || at >= range[Op.gte]) && (!range[Op.lte] || at <= range[Op.lte]);
+
+    return [['publish', scheduled.publishAt], ['unpublish', scheduled.unpublishAt]]
+      .filter(([, at]) => inRange(at))
+      .map(([action, at]) => ({
+        type,
+        action,
+        at,
+        product: {
+          id: product.id,
+          name: product.name,
+          sku: product.sku,
+          status: product.status,
+          isActive: product.isActive,
+          userId: product.userId
+        },
+        variant: variant
+          ? { id: variant.id, name: variant.name, sku: variant.sku, isActive: variant.isActive }
+          : null
+      }));
+  }
+}
+
+module.exports = new ProductScheduleService();
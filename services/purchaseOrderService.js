@@ -0,0 +1,690 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const PurchaseOrder = require('../models/purchaseOrder');
+const PurchaseOrderLine = require('../models/purchaseOrderLine');
+const Supplier = require('../models/supplier');
+const Inventory = require('../models/inventory');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const SerialService = require('./serialService');
+const purchaseOrderStateMachine = require('../utils/purchaseOrderStateMachine');
+const { ApiError } = require('../utils/errorHandler');
+const { roundPrice } = require('../utils/helpers');
+
+// Purchase orders the supplier still has to deliver
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+const supplierAttributes = ['id', 'code', 'name', 'isActive'];
+
+// Built per query, the same include object cannot appear twice in one query
+const purchaseOrderIncludes = () => [
+  {
+    model: PurchaseOrderLine,
+    as: 'lines',
+    include: [
+      { model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'userId'] },
+      {
+        model: Variant,
+        as: 'variant',
+        attributes: ['id', 'name', 'sku'],
+        include: [{ model: Product, attributes: ['id', 'userId'] }]
+      }
+    ]
+  },
+  { model: Supplier, as: 'supplier', attributes: supplierAttributes },
+  { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name', 'isActive'] },
+  { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+/**
+ * Purchase Order Service
+ * Buys stock from suppliers. Stock only enters the inventory when a delivery is received,
+ * until then it is on order
+ */
+class PurchaseOrderService {
+  /**
+   * Get a purchase order by ID
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} options - Extra query options (transaction, lock)
+   * @returns {Promise<Object>} - Purchase order with lines, supplier and warehouse
+   */
+  async getPurchaseOrderById(purchaseOrderId, options = {}) {
+    const purchaseOrder = await PurchaseOrder.findByPk(purchaseOrderId, {
+      include: purchaseOrderIncludes(),
+      order: [[{ model: PurchaseOrderLine, as: 'lines' }, 'id', 'ASC']],
+      ...options
+    });
+
+    if (!purchaseOrder) {
+      throw ApiError.notFound('Purchase order not found');
+    }
+
+    return purchaseOrder;
+  }
+
+  /**
+   * Get a purchase order with its totals after checking the user may see it
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Purchase order with lines and totals
+   */
+  async getPurchaseOrderDetails(purchaseOrderId, user) {
+    const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+    this.assertAccess(purchaseOrder, user);
+
+    return this.withTotals(purchaseOrder);
+  }
+
+  /**
+   * Throw if a user may not see or work on a purchase order
+   * Sellers only handle the purchase orders they drafted, admins all of them
+   * @param {Object} purchaseOrder - Purchase order instance
+   * @param {Object} user - Authenticated user
+   */
+  assertAccess(purchaseOrder, user) {
+    if (user.role !== 'admin' && purchaseOrder.createdBy !== user.id) {
+      throw ApiError.forbidden('Not authorized to access this purchase order');
+    }
+  }
+
+  /**
+   * Add up the units and cost of the lines of a purchase order
+   * @param {Array} lines - Purchase order lines
+   * @returns {Object} - quantity, quantityReceived, quantityOutstanding, totalCost and receivedCost
+   */
+  summarize(lines) {
+    return lines.reduce((totals, line) => {
+      const unitCost = parseFloat(line.unitCost);
+
+      return {
+        quantity: totals.quantity + line.quantity,
+        quantityReceived: totals.quantityReceived + line.quantityReceived,
+        quantityOutstanding: totals.quantityOutstanding + line.quantity - line.quantityReceived,
+        totalCost: roundPrice(totals.totalCost + line.quantity * unitCost),
+        receivedCost: roundPrice(totals.receivedCost + line.quantityReceived * unitCost)
+      };
+    }, { quantity: 0, quantityReceived: 0, quantityOutstanding: 0, totalCost: 0, receivedCost: 0 });
+  }
+
+  /**
+   * Serialize a purchase order with its totals
+   * @param {Object} purchaseOrder - Purchase order with lines
+   * @returns {Object} - Plain purchase order with totals
+   */
+  withTotals(purchaseOrder) {
+    return { ...purchaseOrder.toJSON(), totals: this.summarize(purchaseOrder.lines) };
+  }
+
+  /**
+   * List purchase orders visible to a user
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - Pagination, status, supplier and warehouse filters
+   * @returns {Promise<Object>} - { count, purchaseOrders }
+   */
+  async getPurchaseOrders(user, options = {}) {
+    const { page = 1, limit = 10, status, supplierId, warehouseId } = options;
+    const where = {};
+
+    if (user.role !== 'admin') {
+      where.createdBy = user.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (supplierId) {
+      where.supplierId = supplierId;
+    }
+
+    if (warehouseId) {
+      where.warehouseId = warehouseId;
+    }
+
+    const { count, rows } = await PurchaseOrder.findAndCountAll({
+      where,
+      include: purchaseOrderIncludes(),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return { count, purchaseOrders: rows.map(purchaseOrder => this.withTotals(purchaseOrder)) };
+  }
+
+  /**
+   * Draft a purchase order
+   * @param {Object} user - Seller or admin drafting the purchase order
+   * @param {Object} data - { supplierId, warehouseId, expectedDate, supplierReference, notes,
+   *   lines: [{ productId | variantId, quantity, unitCost, expectedDate }] }
+   * @returns {Promise<Object>} - Created purchase order
+   */
+  async createPurchaseOrder(user, { supplierId, warehouseId = null, expectedDate, supplierReference, notes, lines }) {
+    const transaction = await sequelize.transaction();
+    let purchaseOrder;
+
+    try {
+      await this.assertSupplier(supplierId, transaction);
+      await this.assertWarehouse(warehouseId, transaction);
+      const orderLines = await this.buildOrderLines(user, lines, transaction);
+
+      purchaseOrder = await PurchaseOrder.create({
+        supplierId,
+        warehouseId,
+        expectedDate: expectedDate || null,
+        supplierReference: supplierReference || null,
+        notes: notes || null,
+        createdBy: user.id
+      }, { transaction });
+
+      await PurchaseOrderLine.bulkCreate(
+        orderLines.map(line => ({ ...line, purchaseOrderId: purchaseOrder.id })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withTotals(await this.getPurchaseOrderById(purchaseOrder.id));
+  }
+
+  /**
+   * Change a draft purchase order
+   * Lines, when sent, replace all lines of the draft
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @param {Object} data - supplierId, warehouseId, expectedDate, supplierReference, notes and lines, all optional
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async updatePurchaseOrder(purchaseOrderId, user, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(purchaseOrder, user);
+
+      if (purchaseOrder.status !== 'draft') {
+        throw ApiError.badRequest(`Cannot change a purchase order that is ${purchaseOrder.status}`);
+      }
+
+      const changes = {};
+
+      ['supplierId', 'warehouseId', 'expectedDate', 'supplierReference', 'notes'].forEach(field => {
+        if (data[field] !== undefined) {
+          changes[field] = data[field];
+        }
+      });
+
+      if (changes.supplierId) {
+        await this.assertSupplier(changes.supplierId, transaction);
+      }
+
+      if (changes.warehouseId !== undefined) {
+        await this.assertWarehouse(changes.warehouseId, transaction);
+      }
+
+      if (data.lines) {
+        const orderLines = await this.buildOrderLines(user, data.lines, transaction);
+
+        await PurchaseOrderLine.destroy({ where: { purchaseOrderId: purchaseOrder.id }, transaction });
+        await PurchaseOrderLine.bulkCreate(
+          orderLines.map(line => ({ ...line, purchaseOrderId: purchaseOrder.id })),
+          { transaction }
+        );
+      }
+
+      await purchaseOrder.update(changes, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withTotals(await this.getPurchaseOrderById(purchaseOrderId));
+  }
+
+  /**
+   * Throw if new orders cannot be placed with a supplier
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Supplier
+   */
+  async assertSupplier(supplierId, transaction) {
+    const supplier = await Supplier.findByPk(supplierId, { transaction });
+
+    if (!supplier) {
+      throw ApiError.badRequest('Supplier not found');
+    }
+
+    if (!supplier.isActive) {
+      throw ApiError.badRequest(`Supplier ${supplier.code} is inactive`);
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Throw if stock cannot be delivered to a warehouse
+   * @param {number|null} warehouseId - Warehouse ID, null for stock not assigned to a warehouse
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertWarehouse(warehouseId, transaction) {
+    if (!warehouseId) {
+      return;
+    }
+
+    const warehouse = await Warehouse.findByPk(warehouseId, { transaction });
+
+    if (!warehouse) {
+      throw ApiError.badRequest('Warehouse not found');
+    }
+
+    if (!warehouse.isActive) {
+      throw ApiError.badRequest(`Stock cannot be delivered to ${warehouse.code}, the warehouse is inactive`);
+    }
+  }
+
+  /**
+   * Match requested lines to products and variants the user may buy stock for
+   * @param {Object} user - Seller or admin
+   * @param {Array} lines - [{ productId | variantId, quantity, unitCost, expectedDate }]
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Lines with productId, variantId, sku, quantity, unitCost and expectedDate
+   */
+  async buildOrderLines(user, lines, transaction) {
+    const seen = new Set();
+    const orderLines = [];
+
+    for (const line of lines) {
+      const key = line.variantId ? `variant:${line.variantId}` : `product:${line.productId}`;
+
+      if (seen.has(key)) {
+        throw ApiError.badRequest(`${line.variantId ? 'Variant' : 'Product'} ${line.variantId || line.productId} is listed more than once`);
+      }
+
+      seen.add(key);
+
+      let owner;
+      let item;
+
+      if (line.variantId) {
+        const variant = await Variant.findByPk(line.variantId, { include: [{ model: Product }], transaction });
+
+        if (!variant) {
+          throw ApiError.badRequest(`Variant ${line.variantId} not found`);
+        }
+
+        owner = variant.Product.userId;
+        item = { productId: null, variantId: variant.id, sku: variant.sku };
+      } else {
+        const product = await Product.findByPk(line.productId, { transaction });
+
+        if (!product) {
+          throw ApiError.badRequest(`Product ${line.productId} not found`);
+        }
+
+        owner = product.userId;
+        item = { productId: product.id, variantId: null, sku: product.sku };
+      }
+
+      if (user.role !== 'admin' && owner !== user.id) {
+        throw ApiError.forbidden(`Not authorized to order stock of ${item.sku}`);
+      }
+
+      orderLines.push({
+        ...item,
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+        expectedDate: line.expectedDate || null
+      });
+    }
+
+    return orderLines;
+  }
+
+  /**
+   * Where clause for the inventory record a purchase order line is delivered into
+   * @param {Object} line - Purchase order line
+   * @param {number|null} warehouseId - Warehouse ID
+   * @returns {Object} - Where clause
+   */
+  stockWhere(line, warehouseId) {
+    return line.variantId
+      ? { variantId: line.variantId, productId: null, warehouseId }
+      : { productId: line.productId, variantId: null, warehouseId };
+  }
+
+  /**
+   * Place a draft purchase order with the supplier
+   * Without an expected date, delivery is expected after the supplier's lead time
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async placePurchaseOrder(purchaseOrderId, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(purchaseOrder, user);
+      purchaseOrderStateMachine.assert(purchaseOrder.status, 'ordered');
+
+      // The supplier or warehouse may have been deactivated since the draft was made
+      const supplier = await this.assertSupplier(purchaseOrder.supplierId, transaction);
+      await this.assertWarehouse(purchaseOrder.warehouseId, transaction);
+
+      const changes = {
+        status: 'ordered',
+        orderedBy: user.id,
+        orderedAt: new Date()
+      };
+
+      if (!purchaseOrder.expectedDate && supplier.leadTimeDays !== null) {
+        const expected = new Date(changes.orderedAt);
+        expected.setUTCDate(expected.getUTCDate() + supplier.leadTimeDays);
+        changes.expectedDate = expected.toISOString().slice(0, 10);
+      }
+
+      await purchaseOrder.update(changes, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withTotals(await this.getPurchaseOrderById(purchaseOrderId));
+  }
+
+  /**
+   * Book a delivery against a purchase order
+   * Without lines everything still outstanding is received. An order stays partially received
+   * until every unit arrived, or until it is closed, which gives up on the units still outstanding
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @param {Object} data - { lines: [{ lineId, quantity, notes, lotNumber, manufacturedAt, expiresAt }], close }
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async receivePurchaseOrder(purchaseOrderId, user, { lines, close = false } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(purchaseOrder, user);
+
+      if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+        throw ApiError.badRequest(`Cannot receive a purchase order that is ${purchaseOrder.status}`);
+      }
+
+      const receipts = lines || purchaseOrder.lines.map(line => ({
+        lineId: line.id,
+        quantity: line.quantity - line.quantityReceived
+      }));
+
+      const receivedIds = new Set();
+
+      for (const receipt of receipts) {
+        const line = purchaseOrder.lines.find(orderLine => orderLine.id === receipt.lineId);
+
+        if (!line) {
+          throw ApiError.badRequest(`Line ${receipt.lineId} is not part of this purchase order`);
+        }
+
+        if (receivedIds.has(line.id)) {
+          throw ApiError.badRequest(`Line ${line.id} is listed more than once`);
+        }
+
+        receivedIds.add(line.id);
+        await this.receiveLine(purchaseOrder, line, receipt, user, transaction);
+      }
+
+      const outstanding = purchaseOrder.lines.reduce((sum, line) => sum + line.quantity - line.quantityReceived, 0);
+      const status = outstanding === 0 || close ? 'received' : 'partially_received';
+
+      purchaseOrderStateMachine.assert(purchaseOrder.status, status);
+
+      await purchaseOrder.update({
+        status,
+        receivedBy: user.id,
+        receivedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withTotals(await this.getPurchaseOrderById(purchaseOrderId));
+  }
+
+  /**
+   * Book one delivered line into the inventory record of the warehouse, creating it when needed
+   * The units are recorded as a restock at the agreed unit cost, into the lot given with the receipt.
+   * Units of serialized lines are registered by the serial numbers given with the receipt
+   * @param {Object} purchaseOrder - Locked purchase order
+   * @param {Object} line - Purchase order line
+   * @param {Object} receipt - { quantity, notes, lotNumber, manufacturedAt, expiresAt, serialNumbers }
+   * @param {Object} user - User booking the delivery
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async receiveLine(purchaseOrder, line, { quantity, notes, lotNumber, manufacturedAt, expiresAt, serialNumbers }, user, transaction) {
+    const outstanding = line.quantity - line.quantityReceived;
+
+    if (quantity > outstanding) {
+      throw ApiError.badRequest(`Only ${outstanding} unit(s) of ${line.sku} are still outstanding`);
+    }
+
+    if (quantity > 0) {
+      let inventory = await Inventory.findOne({
+        where: this.stockWhere(line, purchaseOrder.warehouseId),
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!inventory) {
+        // Use the current SKU, the product may have been renamed since the order was drafted
+        const sku = line.variant ? line.variant.sku : (line.product ? line.product.sku : line.sku);
+
+        inventory = await InventoryService.createInventory({
+          ...this.stockWhere(line, purchaseOrder.warehouseId),
+          sku
+        }, {}, transaction);
+      }
+
+      const movement = {
+        type: 'restock',
+        actor: user,
+        reference: `po:${purchaseOrder.id}`,
+        notes: `Received from ${purchaseOrder.supplier.code}`,
+        unitCost: line.unitCost,
+        lot: lotNumber ? { lotNumber, manufacturedAt, expiresAt } : null
+      };
+
+      if (await InventoryService.isSerialized(inventory, transaction)) {
+        if (!serialNumbers || serialNumbers.length !== quantity) {
+          throw ApiError.badRequest(`List the serial numbers of the ${quantity} unit(s) of ${line.sku} received`);
+        }
+
+        await SerialService.receiveSerials(inventory, serialNumbers, movement, transaction);
+      } else {
+        await InventoryService.recordMovement(inventory, quantity, movement, transaction);
+      }
+
+      await line.update({
+        quantityReceived: line.quantityReceived + quantity,
+        inventoryId: inventory.id
+      }, { transaction });
+    }
+
+    if (notes !== undefined) {
+      await line.update({ notes }, { transaction });
+    }
+  }
+
+  /**
+   * Cancel a purchase order nothing was delivered for yet
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async cancelPurchaseOrder(purchaseOrderId, user) {
+    const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+    this.assertAccess(purchaseOrder, user);
+    purchaseOrderStateMachine.assert(purchaseOrder.status, 'cancelled');
+
+    await purchaseOrder.update({ status: 'cancelled' });
+
+    return this.withTotals(purchaseOrder);
+  }
+
+  /**
+   * Open purchase order lines that still have units to deliver
+   * @param {Object} where - Extra conditions on the lines
+   * @param {Object} orderWhere - Extra conditions on the purchase orders
+   * @returns {Promise<Array>} - Lines with their purchase order and supplier
+   */
+  async findOutstandingLines(where = {}, orderWhere = {}) {
+    return PurchaseOrderLine.findAll({
+      where: {
+        ...where,
+        quantityReceived: { [Op.lt]: sequelize.col('PurchaseOrderLine.quantity') }
+      },
+      include: [
+        {
+          model: PurchaseOrder,
+          as: 'purchaseOrder',
+          where: { ...orderWhere, status: OPEN_STATUSES },
+          attributes: ['id', 'status', 'supplierId', 'warehouseId', 'expectedDate', 'orderedAt'],
+          include: [{ model: Supplier, as: 'supplier', attributes: supplierAttributes }]
+        }
+      ],
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Units on order per product or variant and delivery warehouse
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - productId, variantId, warehouseId
+   * @returns {Promise<Array>} - One entry per product or variant and warehouse, soonest delivery first
+   */
+  async getOnOrder(user, { productId, variantId, warehouseId } = {}) {
+    const where = {};
+    const orderWhere = {};
+
+    if (productId) {
+      where.productId = productId;
+    }
+
+    if (variantId) {
+      where.variantId = variantId;
+    }
+
+    if (warehouseId) {
+      orderWhere.warehouseId = warehouseId;
+    }
+
+    if (user.role !== 'admin') {
+      orderWhere.createdBy = user.id;
+    }
+
+    const lines = await this.findOutstandingLines(where, orderWhere);
+    const entries = new Map();
+
+    lines.forEach(line => {
+      const key = this.onOrderKey(line.productId, line.variantId, line.purchaseOrder.warehouseId);
+      const expectedDate = line.expectedDate || line.purchaseOrder.expectedDate;
+      const quantityOutstanding = line.quantity - line.quantityReceived;
+
+      if (!entries.has(key)) {
+        entries.set(key, {
+          productId: line.productId,
+          variantId: line.variantId,
+          sku: line.sku,
+          warehouseId: line.purchaseOrder.warehouseId,
+          quantityOnOrder: 0,
+          nextExpectedDate: null,
+          purchaseOrders: []
+        });
+      }
+
+      const entry = entries.get(key);
+
+      entry.quantityOnOrder += quantityOutstanding;
+
+      if (expectedDate && (!entry.nextExpectedDate || expectedDate < entry.nextExpectedDate)) {
+        entry.nextExpectedDate = expectedDate;
+      }
+
+      entry.purchaseOrders.push({
+        purchaseOrderId: line.purchaseOrderId,
+        lineId: line.id,
+        status: line.purchaseOrder.status,
+        supplier: line.purchaseOrder.supplier,
+        expectedDate,
+        quantityOutstanding,
+        unitCost: parseFloat(line.unitCost)
+      });
+    });
+
+    // Undated deliveries go last
+    return [...entries.values()].sort((a, b) => (a.nextExpectedDate || '9999').localeCompare(b.nextExpectedDate || '9999'));
+  }
+
+  /**
+   * Units on order for each of a set of inventory records
+   * @param {Array} inventories - Inventory records
+   * @returns {Promise<Map>} - Units on order by inventory ID
+   */
+  async getOnOrderQuantities(inventories) {
+    const quantities = new Map(inventories.map(inventory => [inventory.id, 0]));
+    const productIds = inventories.filter(inventory => inventory.productId).map(inventory => inventory.productId);
+    const variantIds = inventories.filter(inventory => inventory.variantId).map(inventory => inventory.variantId);
+
+    if (productIds.length === 0 && variantIds.length === 0) {
+      return quantities;
+    }
+
+    const lines = await this.findOutstandingLines({
+      [Op.or]: [
+        { productId: productIds },
+        { variantId: variantIds }
+      ]
+    });
+    const outstanding = new Map();
+
+    lines.forEach(line => {
+      const key = this.onOrderKey(line.productId, line.variantId, line.purchaseOrder.warehouseId);
+      outstanding.set(key, (outstanding.get(key) || 0) + line.quantity - line.quantityReceived);
+    });
+
+    inventories.forEach(inventory => {
+      quantities.set(
+        inventory.id,
+        outstanding.get(this.onOrderKey(inventory.productId, inventory.variantId, inventory.warehouseId)) || 0
+      );
+    });
+
+    return quantities;
+  }
+
+  /**
+   * Key matching purchase order lines to the inventory record they are delivered into
+   * @param {number|null} productId - Product ID
+   * @param {number|null} variantId - Variant ID
+   * @param {number|null} warehouseId - Warehouse ID
+   * @returns {string} - Key
+   */
+  onOrderKey(productId, variantId, warehouseId) {
+    return variantId ? `variant:${variantId}:${warehouseId || ''}` : `product:${productId}:${warehouseId || ''}`;
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,261 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Inventory = require('../models/inventory');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const Order = require('../models/order');
+const OrderItem = require('../models/orderItem');
+const PurchaseOrder = require('../models/purchaseOrder');
+const PurchaseOrderLine = require('../models/purchaseOrderLine');
+const Supplier = require('../models/supplier');
+const InventoryService = require('./inventoryService');
+const PurchaseOrderService = require('./purchaseOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date a number of days after another, as YYYY-MM-DD
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} - Date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Replenishment Service
+ * Suggests when to reorder each inventory record and how much, from how fast it sold recently,
+ * the lead time of its supplier and a safety stock
+ */
+class ReplenishmentService {
+  /**
+   * Days a supplier takes to deliver when it has no lead time of its own
+   * @returns {number} - REPLENISHMENT_DEFAULT_LEAD_TIME_DAYS, 14 by default
+   */
+  getDefaultLeadTimeDays() {
+    const days = parseInt(process.env.REPLENISHMENT_DEFAULT_LEAD_TIME_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : 14;
+  }
+
+  /**
+   * Work out the reorder point and suggestion of one inventory record
+   * Stock on hand minus reservations plus stock on order is the stock position. An order is due
+   * once the position drops to the reorder point, the sales expected during the lead time plus
+   * the safety stock. It brings the position back up to cover coverDays of sales on top
+   * @param {Object} stock - quantity, reservedQuantity, onOrderQuantity, averageDailySales, leadTimeDays
+   * @param {Object} options - safetyDays, coverDays
+   * @param {Date} today - Date to plan from
+   * @returns {Object|null} - Suggestion, or null when the record did not sell
+   */
+  computeSuggestion(stock, { safetyDays, coverDays }, today = new Date()) {
+    const { quantity, reservedQuantity, onOrderQuantity, averageDailySales, leadTimeDays } = stock;
+
+    if (!(averageDailySales > 0)) {
+      return null;
+    }
+
+    const available = Math.max(quantity - reservedQuantity, 0);
+    const stockPosition = available + onOrderQuantity;
+    const safetyStock = Math.ceil(averageDailySales * safetyDays);
+    const reorderPoint = Math.ceil(averageDailySales * leadTimeDays) + safetyStock;
+    const daysUntilReorder = Math.max(Math.floor((stockPosition - reorderPoint) / averageDailySales), 0);
+    const daysOfCover = Math.floor(available / averageDailySales);
+
+    // Sales until the order is placed lower the position the order has to top up
+    const positionAtReorder = stockPosition - averageDailySales * daysUntilReorder;
+    const orderUpTo = reorderPoint + Math.ceil(averageDailySales * coverDays);
+
+    return {
+      stockPosition,
+      safetyStock,
+      reorderPoint,
+      daysOfCover,
+      stockoutDate: addDays(today, daysOfCover),
+      suggestedOrderDate: addDays(today, daysUntilReorder),
+      suggestedQuantity: Math.max(Math.ceil(orderUpTo - positionAtReorder), 0)
+    };
+  }
+
+  /**
+   * Units sold per inventory record since a date, cancelled orders left out
+   * @param {Date} since - Start of the sales window
+   * @returns {Promise<Map>} - Units sold by inventory ID
+   */
+  async getUnitsSold(since) {
+    const rows = await OrderItem.findAll({
+      attributes: ['inventoryId', [sequelize.fn('SUM', sequelize.col('OrderItem.quantity')), 'unitsSold']],
+      where: { inventoryId: { [Op.ne]: null } },
+      include: [
+        {
+          model: Order,
+          attributes: [],
+          where: {
+            status: { [Op.ne]: 'cancelled' },
+            createdAt: { [Op.gte]: since }
+          }
+        }
+      ],
+      group: ['OrderItem.inventoryId'],
+      raw: true
+    });
+
+    return new Map(rows.map(row => [row.inventoryId, parseInt(row.unitsSold, 10)]));
+  }
+
+  /**
+   * The supplier each product or variant was last ordered from
+   * A supplier that delivers to the same warehouse is preferred over one that delivered elsewhere
+   * @param {Array} inventories - Inventory records
+   * @returns {Promise<Map>} - Suppliers by purchase order key and by product or variant key
+   */
+  async getLastSuppliers(inventories) {
+    const productIds = inventories.filter(inventory => inventory.productId).map(inventory => inventory.productId);
+    const variantIds = inventories.filter(inventory => inventory.variantId).map(inventory => inventory.variantId);
+    const suppliers = new Map();
+
+    if (productIds.length === 0 && variantIds.length === 0) {
+      return suppliers;
+    }
+
+    const lines = await PurchaseOrderLine.findAll({
+      where: {
+        [Op.or]: [
+          { productId: productIds },
+          { variantId: variantIds }
+        ]
+      },
+      attributes: ['id', 'productId', 'variantId'],
+      include: [
+        {
+          model: PurchaseOrder,
+          as: 'purchaseOrder',
+          where: { status: { [Op.notIn]: ['draft', 'cancelled'] } },
+          attributes: ['id', 'warehouseId', 'orderedAt'],
+          include: [{ model: Supplier, as: 'supplier', attributes: ['id', 'code', 'name', 'leadTimeDays'] }]
+        }
+      ],
+      order: [[{ model: PurchaseOrder, as: 'purchaseOrder' }, 'orderedAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    // Newest first, so the first supplier seen for a key is the latest one
+    lines.forEach(line => {
+      const { supplier, warehouseId } = line.purchaseOrder;
+      const warehouseKey = PurchaseOrderService.onOrderKey(line.productId, line.variantId, warehouseId);
+      const itemKey = line.variantId ? `variant:${line.variantId}` : `product:${line.productId}`;
+
+      if (!suppliers.has(warehouseKey)) {
+        suppliers.set(warehouseKey, supplier);
+      }
+
+      if (!suppliers.has(itemKey)) {
+        suppliers.set(itemKey, supplier);
+      }
+    });
+
+    return suppliers;
+  }
+
+  /**
+   * Reorder suggestions for the inventory records a user manages
+   * Records that did not sell during the window get no suggestion
+   * @param {Object} user - Seller or admin
+   * @param {Object} options - warehouseId, supplierId, windowDays, safetyDays, coverDays, horizonDays
+   * @returns {Promise<Array>} - Suggestions due within the horizon, earliest order date first
+   */
+  async getReorderSuggestions(user, options = {}) {
+    const {
+      warehouseId,
+      supplierId,
+      windowDays = 30,
+      safetyDays = 7,
+      coverDays = 30,
+      horizonDays = 7
+    } = options;
+
+    const today = new Date();
+    const where = {};
+
+    if (warehouseId) {
+      where.warehouseId = warehouseId;
+    }
+
+    const inventories = (await Inventory.findAll({
+      where,
+      include: [
+        { model: Product, attributes: ['id', 'name', 'userId'] },
+        {
+          model: Variant,
+          attributes: ['id', 'name'],
+          include: [{ model: Product, attributes: ['id', 'name', 'userId'] }]
+        },
+        { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name', 'isActive'] }
+      ],
+      order: [['sku', 'ASC'], ['id', 'ASC']]
+    })).filter(inventory => {
+      const product = inventory.Variant ? inventory.Variant.Product : inventory.Product;
+
+      return product
+        && InventoryService.isSellable(inventory)
+        && (user.role === 'admin' || product.userId === user.id);
+    });
+
+    const unitsSold = await this.getUnitsSold(new Date(today.getTime() - windowDays * DAY_MS));
+    const onOrder = await PurchaseOrderService.getOnOrderQuantities(inventories);
+    const suppliers = await this.getLastSuppliers(inventories);
+    const defaultLeadTimeDays = this.getDefaultLeadTimeDays();
+    const lastOrderDate = addDays(today, horizonDays);
+    const suggestions = [];
+
+    inventories.forEach(inventory => {
+      const product = inventory.Variant ? inventory.Variant.Product : inventory.Product;
+      const supplier = suppliers.get(PurchaseOrderService.onOrderKey(inventory.productId, inventory.variantId, inventory.warehouseId))
+        || suppliers.get(inventory.variantId ? `variant:${inventory.variantId}` : `product:${inventory.productId}`)
+        || null;
+
+      if (supplierId && (!supplier || supplier.id !== supplierId)) {
+        return;
+      }
+
+      const sold = unitsSold.get(inventory.id) || 0;
+      const averageDailySales = sold / windowDays;
+      const hasLeadTime = supplier && supplier.leadTimeDays !== null;
+      const leadTimeDays = hasLeadTime ? supplier.leadTimeDays : defaultLeadTimeDays;
+
+      const suggestion = this.computeSuggestion({
+        quantity: inventory.quantity,
+        reservedQuantity: inventory.reservedQuantity,
+        onOrderQuantity: onOrder.get(inventory.id),
+        averageDailySales,
+        leadTimeDays
+      }, { safetyDays, coverDays }, today);
+
+      if (!suggestion || suggestion.suggestedOrderDate > lastOrderDate || suggestion.suggestedQuantity === 0) {
+        return;
+      }
+
+      suggestions.push({
+        inventoryId: inventory.id,
+        sku: inventory.sku,
+        productId: inventory.productId,
+        variantId: inventory.variantId,
+        name: inventory.Variant && inventory.Variant.name ? inventory.Variant.name : product.name,
+        warehouse: inventory.warehouse,
+        quantity: inventory.quantity,
+        reservedQuantity: inventory.reservedQuantity,
+        onOrderQuantity: onOrder.get(inventory.id),
+        unitsSold: sold,
+        averageDailySales: Math.round(averageDailySales * 100) / 100,
+        supplier: supplier ? { id: supplier.id, code: supplier.code, name: supplier.name } : null,
+        leadTimeDays,
+        leadTimeSource: hasLeadTime ? 'supplier' : 'default',
+        ...suggestion
+      });
+    });
+
+    return suggestions.sort((a, b) => a.suggestedOrderDate.localeCompare(b.suggestedOrderDate)
+      || a.stockoutDate.localeCompare(b.stockoutDate)
+      || a.inventoryId - b.inventoryId);
+  }
+}
+
+module.exports = new ReplenishmentService();
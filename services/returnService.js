@@ -0,0 +1,519 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const ReturnRequest = require('../models/returnRequest');
+const ReturnItem = require('../models/returnItem');
+const Order = require('../models/order');
+const OrderItem = require('../models/orderItem');
+const SellerOrder = require('../models/sellerOrder');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const SerialService = require('./serialService');
+const PaymentService = require('./paymentService');
+const returnStateMachine = require('../utils/returnStateMachine');
+const { ApiError } = require('../utils/errorHandler');
+const { roundPrice } = require('../utils/helpers');
+
+// Returns in these statuses no longer hold on to the returned quantity
+const CLOSED_WITHOUT_RETURN = ['rejected', 'cancelled'];
+
+const returnIncludes = [
+  {
+    model: ReturnItem,
+    as: 'items',
+    include: [
+      {
+        model: OrderItem,
+        as: 'orderItem',
+        attributes: ['id', 'orderId', 'productId', 'variantId', 'sku', 'name', 'quantity', 'unitPrice', 'finalUnitPrice', 'taxAmount', 'inventoryId']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'buyer',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  }
+];
+
+/**
+ * Return Service
+ * Handles return requests (RMA) for delivered orders, from request to refund
+ */
+class ReturnService {
+  /**
+   * Days after delivery during which a return can be opened
+   * @returns {number} - RETURN_WINDOW_DAYS, 30 by default
+   */
+  getReturnWindowDays() {
+    const days = parseInt(process.env.RETURN_WINDOW_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : 30;
+  }
+
+  /**
+   * Get a return request by ID
+   * @param {number} returnId - Return request ID
+   * @param {Object} options - Extra query options (transaction, lock)
+   * @returns {Promise<Object>} - Return request with items
+   */
+  async getReturnById(returnId, options = {}) {
+    const returnRequest = await ReturnRequest.findByPk(returnId, {
+      include: returnIncludes,
+      order: [[{ model: ReturnItem, as: 'items' }, 'id', 'ASC']],
+      ...options
+    });
+
+    if (!returnRequest) {
+      throw ApiError.notFound('Return request not found');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Get a return request after checking the user may see it
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Return request with items
+   */
+  async getReturnDetails(returnId, user) {
+    const returnRequest = await this.getReturnById(returnId);
+
+    if (user.role !== 'admin' && returnRequest.userId !== user.id && returnRequest.sellerId !== user.id) {
+      throw ApiError.forbidden('Not authorized to access this return');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * List return requests visible to a user
+   * Buyers see their own returns, sellers the returns of their items, admins everything
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - Pagination, status and orderId filters
+   * @returns {Promise<Object>} - { count, returns }
+   */
+  async getReturns(user, options = {}) {
+    const { page = 1, limit = 10, status, orderId } = options;
+    const where = {};
+
+    if (user.role === 'seller') {
+      where.sellerId = user.id;
+    } else if (user.role !== 'admin') {
+      where.userId = user.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (orderId) {
+      where.orderId = orderId;
+    }
+
+    const { count, rows } = await ReturnRequest.findAndCountAll({
+      where,
+      include: returnIncludes,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return { count, returns: rows };
+  }
+
+  /**
+   * Open a return for items of a delivered order
+   * @param {Object} user - Buyer opening the return
+   * @param {Object} data - { orderId, comment, items: [{ orderItemId, quantity, reason, reasonDetails }] }
+   * @returns {Promise<Object>} - Created return request
+   */
+  async createReturn(user, { orderId, comment, items }) {
+    const transaction = await sequelize.transaction();
+    let returnRequest;
+
+    try {
+      // Locking the order keeps two requests from returning the same units
+      const order = await Order.findByPk(orderId, {
+        include: [
+          { model: OrderItem, as: 'items' },
+          { model: SellerOrder, as: 'sellerOrders' }
+        ],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!order) {
+        throw ApiError.notFound('Order not found');
+      }
+
+      if (order.userId !== user.id) {
+        throw ApiError.forbidden('Not authorized to return items of this order');
+      }
+
+      const returnedQuantities = await this.getReturnedQuantities(order.id, transaction);
+      const lines = this.buildReturnLines(order, items, returnedQuantities);
+
+      const sellerIds = [...new Set(lines.map(line => line.orderItem.sellerId))];
+
+      if (sellerIds.length > 1) {
+        throw ApiError.badRequest('Items sold by different sellers must be returned separately');
+      }
+
+      // Each seller's part can be returned as soon as it is delivered
+      this.assertReturnable(order.sellerOrders.find(sellerOrder => sellerOrder.sellerId === sellerIds[0]) || order);
+
+      returnRequest = await ReturnRequest.create({
+        orderId: order.id,
+        userId: user.id,
+        sellerId: sellerIds[0],
+        comment: comment || null,
+        refundAmount: roundPrice(lines.reduce((sum, line) => sum + line.refundAmount, 0))
+      }, { transaction });
+
+      await ReturnItem.bulkCreate(lines.map(line => ({
+        returnRequestId: returnRequest.id,
+        orderItemId: line.orderItem.id,
+        quantity: line.quantity,
+        reason: line.reason,
+        reasonDetails: line.reasonDetails || null,
+        refundAmount: line.refundAmount
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getReturnById(returnRequest.id);
+  }
+
+  /**
+   * Throw if the items of a seller order cannot be returned anymore
+   * @param {Object} fulfilment - Seller order of the items, or the order when it was placed before orders were split
+   */
+  assertReturnable(fulfilment) {
+    if (fulfilment.status !== 'delivered') {
+      throw ApiError.badRequest('Only delivered orders can be returned');
+    }
+
+    const windowEnds = new Date(fulfilment.deliveredAt || fulfilment.updatedAt);
+    windowEnds.setDate(windowEnds.getDate() + this.getReturnWindowDays());
+
+    if (windowEnds < new Date()) {
+      throw ApiError.badRequest(`Returns must be opened within ${this.getReturnWindowDays()} days of delivery`);
+    }
+  }
+
+  /**
+   * Units already claimed by open or completed returns, per order line
+   * @param {number} orderId - Order ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Map>} - orderItemId => quantity
+   */
+  async getReturnedQuantities(orderId, transaction) {
+    const returnItems = await ReturnItem.findAll({
+      include: [
+        {
+          model: ReturnRequest,
+          where: {
+            orderId,
+            status: { [Op.notIn]: CLOSED_WITHOUT_RETURN }
+          },
+          attributes: []
+        }
+      ],
+      transaction
+    });
+
+    const quantities = new Map();
+
+    returnItems.forEach(item => {
+      quantities.set(item.orderItemId, (quantities.get(item.orderItemId) || 0) + item.quantity);
+    });
+
+    return quantities;
+  }
+
+  /**
+   * Match requested items to order lines and price the refund of each
+   * The refund uses the discounted unit price the buyer actually paid, plus the
+   * returned share of the line's tax when the tax was charged on top of the price
+   * @param {Object} order - Order with items loaded
+   * @param {Array} items - Requested return items
+   * @param {Map} returnedQuantities - Units already claimed per order line
+   * @returns {Array} - Lines with orderItem, quantity, reason and refundAmount
+   */
+  buildReturnLines(order, items, returnedQuantities) {
+    const requested = new Map();
+
+    items.forEach(item => {
+      if (requested.has(item.orderItemId)) {
+        throw ApiError.badRequest(`Order item ${item.orderItemId} is listed more than once`);
+      }
+
+      requested.set(item.orderItemId, item);
+    });
+
+    return items.map(item => {
+      const orderItem = order.items.find(line => line.id === item.orderItemId);
+
+      if (!orderItem) {
+        throw ApiError.badRequest(`Order item ${item.orderItemId} is not part of this order`);
+      }
+
+      const returnable = orderItem.quantity - (returnedQuantities.get(orderItem.id) || 0);
+
+      if (item.quantity > returnable) {
+        throw ApiError.badRequest(`Only ${returnable} unit(s) of ${orderItem.sku} can still be returned`);
+      }
+
+      const exclusiveTax = orderItem.taxInclusive
+        ? 0
+        : Number(orderItem.taxAmount) * item.quantity / orderItem.quantity;
+
+      return {
+        orderItem,
+        quantity: item.quantity,
+        reason: item.reason,
+        reasonDetails: item.reasonDetails,
+        refundAmount: roundPrice(Number(orderItem.finalUnitPrice) * item.quantity + exclusiveTax)
+      };
+    });
+  }
+
+  /**
+   * Approve a requested return
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Seller of the items or admin
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async approveReturn(returnId, user) {
+    return this.reviewReturn(returnId, user, 'approved');
+  }
+
+  /**
+   * Reject a requested return
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Seller of the items or admin
+   * @param {string} reason - Why the return was rejected
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async rejectReturn(returnId, user, reason) {
+    return this.reviewReturn(returnId, user, 'rejected', { rejectionReason: reason });
+  }
+
+  /**
+   * Record the seller's decision on a return
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Seller of the items or admin
+   * @param {string} status - approved or rejected
+   * @param {Object} updates - Extra fields to save
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async reviewReturn(returnId, user, status, updates = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const returnRequest = await ReturnRequest.findByPk(returnId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!returnRequest) {
+        throw ApiError.notFound('Return request not found');
+      }
+
+      this.assertSellerAccess(returnRequest, user);
+      returnStateMachine.assert(returnRequest.status, status);
+
+      await returnRequest.update({
+        ...updates,
+        status,
+        reviewedBy: user.id,
+        reviewedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getReturnById(returnId);
+  }
+
+  /**
+   * Cancel a return before the seller has reviewed it
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Buyer who opened the return or admin
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async cancelReturn(returnId, user) {
+    const returnRequest = await this.getReturnById(returnId);
+
+    if (user.role !== 'admin' && returnRequest.userId !== user.id) {
+      throw ApiError.forbidden('Not authorized to cancel this return');
+    }
+
+    returnStateMachine.assert(returnRequest.status, 'cancelled');
+
+    await returnRequest.update({ status: 'cancelled' });
+
+    return returnRequest;
+  }
+
+  /**
+   * Receive the returned goods and put them back into inventory
+   * Each item is restocked, held in quarantine or discarded. Units of serialized items are
+   * booked by their serial numbers
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Seller of the items or admin
+   * @param {Object} data - { disposition, items: [{ returnItemId, disposition, serialNumbers }] }
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async receiveReturn(returnId, user, { disposition = 'restock', items = [] } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const returnRequest = await this.getReturnById(returnId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      this.assertSellerAccess(returnRequest, user);
+      returnStateMachine.assert(returnRequest.status, 'received');
+
+      const overrides = new Map(items.map(item => [item.returnItemId, item]));
+
+      overrides.forEach((value, returnItemId) => {
+        if (!returnRequest.items.some(item => item.id === returnItemId)) {
+          throw ApiError.badRequest(`Return item ${returnItemId} is not part of this return`);
+        }
+      });
+
+      for (const item of returnRequest.items) {
+        const override = overrides.get(item.id) || {};
+        let itemDisposition = override.disposition || disposition;
+        const { inventoryId } = item.orderItem;
+
+        // Nothing to put back when the inventory record was removed after the sale
+        if (!inventoryId) {
+          itemDisposition = 'discard';
+        } else if (await InventoryService.isSerialized(item.orderItem, transaction)) {
+          await SerialService.returnSerials(returnRequest, item, override.serialNumbers, itemDisposition, user, transaction);
+        } else if (itemDisposition === 'restock') {
+          await InventoryService.restock(inventoryId, item.quantity, transaction, {
+            type: 'return',
+            actor: user,
+            reference: `return:${returnRequest.id}`
+          });
+        } else if (itemDisposition === 'quarantine') {
+          await InventoryService.quarantine(inventoryId, item.quantity, transaction);
+        }
+
+        await item.update({ disposition: itemDisposition }, { transaction });
+      }
+
+      await returnRequest.update({
+        status: 'received',
+        receivedBy: user.id,
+        receivedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getReturnById(returnId);
+  }
+
+  /**
+   * Refund the buyer for received goods
+   * The refund is taken from the order's captured payments
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Seller of the items or admin
+   * @returns {Promise<Object>} - Updated return request
+   */
+  async refundReturn(returnId, user) {
+    const refundKey = await this.claimRefundKey(returnId, user);
+    const transaction = await sequelize.transaction();
+
+    try {
+      // The lock is held during the provider call so the same return cannot be refunded twice
+      const returnRequest = await ReturnRequest.findByPk(returnId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      returnStateMachine.assert(returnRequest.status, 'refunded');
+
+      const amount = Number(returnRequest.refundAmount);
+
+      // The payments are recorded in this transaction too. If it fails after the provider paid out,
+      // nothing is recorded and a retry sends the same refunds with the same keys, which the provider
+      // does not pay out again
+      if (amount > 0) {
+        await PaymentService.refundOrderAmount(returnRequest.orderId, amount, `Return #${returnRequest.id}`, {
+          idempotencyKey: refundKey,
+          transaction
+        });
+      }
+
+      await returnRequest.update({
+        status: 'refunded',
+        refundedAmount: amount,
+        refundedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getReturnById(returnId);
+  }
+
+  /**
+   * Check a return can be refunded and save the key its provider refunds are sent with
+   * The key is saved before the provider is called and kept, so a retried refund reuses it
+   * @param {number} returnId - Return request ID
+   * @param {Object} user - Authenticated seller or admin
+   * @returns {Promise<string>} - Refund key
+   */
+  async claimRefundKey(returnId, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const returnRequest = await ReturnRequest.findByPk(returnId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!returnRequest) {
+        throw ApiError.notFound('Return request not found');
+      }
+
+      this.assertSellerAccess(returnRequest, user);
+      returnStateMachine.assert(returnRequest.status, 'refunded');
+
+      if (!returnRequest.refundKey) {
+        await returnRequest.update({ refundKey: uuidv4() }, { transaction });
+      }
+
+      await transaction.commit();
+      return returnRequest.refundKey;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if the user cannot act for the seller of a return
+   * @param {Object} returnRequest - Return request instance
+   * @param {Object} user - Authenticated user
+   */
+  assertSellerAccess(returnRequest, user) {
+    if (user.role === 'admin' || returnRequest.sellerId === user.id) {
+      return;
+    }
+
+    throw ApiError.forbidden('Not authorized to manage this return');
+  }
+}
+
+module.exports = new ReturnService();
@@ -4,6 +4,27 @@ const Product = require('../models/product');
 const Category = require('../models/category');
 const Variant = require('../models/variant');
 const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const AvailabilityService = require('./availabilityService');
+
+// Units still for sale of a product and its variants, summed over active warehouses and unassigned stock
+// A backordered row reserves more than it holds and counts as none left
+const AVAILABLE_STOCK_SQL = `(
+  SELECT COALESCE(SUM(CASE WHEN i.quantity > i.reservedQuantity THEN i.quantity - i.reservedQuantity ELSE 0 END), 0)
+  FROM inventory i
+  LEFT JOIN warehouses w ON w.id = i.warehouseId
+  WHERE (i.warehouseId IS NULL OR w.isActive = 1)
+    AND (i.productId = Product.id OR i.variantId IN (SELECT v.id FROM variants v WHERE v.productId = Product.id))
+)`;
+
+// Stock rows returned with a product
+const stockInclude = {
+  model: Inventory,
+  as: 'inventories',
+  attributes: ['id', 'warehouseId', 'quantity', 'lowStockThreshold', 'reservedQuantity'],
+  include: [{ model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name', 'isActive'] }],
+  required: false
+};
 
 /**
  * Advanced search service for products
@@ -27,7 +48,7 @@ class SearchService {
         tags,
         attributes,
         inStock,
-        isActive,
+        availability,
         isFeatured,
         createdAfter,
         createdBefore,
@@ -41,7 +62,6 @@ class SearchService {
       // Build where clause
       const where = {};
       const categoryWhere = {};
-      const inventoryWhere = {};
       
       // Text search
       if (query) {
@@ -94,18 +114,27 @@ class SearchService {
         });
       }
       
-      // Stock filtering
-      if (inStock === true) {
-        inventoryWhere.quantity = { [Op.gt]: 0 };
-      } else if (inStock === false) {
-        inventoryWhere.quantity = 0;
+      // Stock filtering on what is left to sell across all warehouses
+      if (inStock === true || inStock === false) {
+        where[Op.and] = [
+          ...(where[Op.and] || []),
+          sequelize.where(sequelize.literal(AVAILABLE_STOCK_SQL), inStock ? Op.gt : Op.eq, 0)
+        ];
       }
       
-      // Active/Featured filtering
-      if (isActive !== undefined) {
-        where.isActive = isActive === 'true' || isActive === true;
+      // Availability filtering, the same statuses the products are returned with
+      if (Array.isArray(availability) && availability.length > 0) {
+        where[Op.and] = [
+          ...(where[Op.and] || []),
+          AvailabilityService.whereStatus(availability)
+        ];
       }
       
+      // Search is public, so only published active products show up, whatever the filters
+      where.isActive = true;
+      where.status = 'published';
+      
+      // Featured filtering
       if (isFeatured !== undefined) {
         where.isFeatured = isFeatured === 'true' || isFeatured === true;
       }
@@ -148,6 +177,7 @@ class SearchService {
       // Get products
       const { count, rows: products } = await Product.findAndCountAll({
         where,
+        attributes: { include: [AvailabilityService.rankAttribute()] },
         include: [
           {
             model: Category,
@@ -159,12 +189,7 @@ class SearchService {
             attributes: ['id', 'sku', 'name', 'price', 'options'],
             required: false
           },
-          {
-            model: Inventory,
-            attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity'],
-            where: Object.keys(inventoryWhere).length > 0 ? inventoryWhere : undefined,
-            required: Object.keys(inventoryWhere).length > 0
-          }
+          stockInclude
         ],
         order: [[orderBy, order]],
         limit: parseInt(limit, 10),
@@ -179,7 +204,7 @@ class SearchService {
         count,
         totalPages,
         currentPage: parseInt(page, 10),
-        products
+        products: products.map(product => AvailabilityService.withStatus(product))
       };
     } catch (error) {
       throw error;
@@ -206,7 +231,8 @@ class SearchService {
         where: {
           categoryId: baseProduct.categoryId,
           id: { [Op.ne]: productId },
-          isActive: true
+          isActive: true,
+          status: 'published'
         },
         limit: parseInt(limit, 10),
         order: sequelize.random() // Random selection for variety
@@ -221,6 +247,7 @@ class SearchService {
             id: { [Op.ne]: productId },
             isFeatured: true,
             isActive: true,
+            status: 'published',
             id: { [Op.notIn]: similarProducts.map(p => p.id) } // Exclude already selected products
           },
           limit: remainingLimit,
@@ -262,6 +289,7 @@ class SearchService {
           MATCH(p.name, p.description, p.tags) AGAINST(:searchTerms IN BOOLEAN MODE) AS relevance 
         FROM products p
         WHERE MATCH(p.name, p.description, p.tags) AGAINST(:searchTerms IN BOOLEAN MODE)
+          AND p.isActive = 1 AND p.status = 'published'
         ORDER BY relevance DESC
         LIMIT :limit OFFSET :offset
       `, {
@@ -278,6 +306,7 @@ class SearchService {
         SELECT COUNT(*) as total
         FROM products p
         WHERE MATCH(p.name, p.description, p.tags) AGAINST(:searchTerms IN BOOLEAN MODE)
+          AND p.isActive = 1 AND p.status = 'published'
       `, {
         replacements: { searchTerms },
         type: sequelize.QueryTypes.SELECT
@@ -300,6 +329,7 @@ class SearchService {
       
       const products = await Product.findAll({
         where: { id: { [Op.in]: productIds } },
+        attributes: { include: [AvailabilityService.rankAttribute()] },
         include: [
           {
             model: Category,
@@ -310,16 +340,15 @@ class SearchService {
             attributes: ['id', 'sku', 'name', 'price', 'options'],
             required: false
           },
-          {
-            model: Inventory,
-            attributes: ['quantity', 'lowStockThreshold', 'reservedQuantity'],
-            required: false
-          }
+          stockInclude
         ]
       });
       
       // Sort products by relevance (maintaining the order from the fulltext search)
-      const sortedProducts = productIds.map(id => products.find(p => p.id === id)).filter(Boolean);
+      const sortedProducts = productIds
+        .map(id => products.find(p => p.id === id))
+        .filter(Boolean)
+        .map(product => AvailabilityService.withStatus(product));
       
       return {
         count,
@@ -354,19 +383,21 @@ class SearchService {
           },
           {
             model: Inventory,
-            attributes: [
-              'quantity', 'lowStockThreshold',
-              [sequelize.literal('(quantity / lowStockThreshold)'), 'stockRatio']
-            ],
+            as: 'inventories',
+            attributes: ['quantity', 'lowStockThreshold'],
             where: {
               quantity: { [Op.gt]: 0 } // Only in-stock items
             }
           }
         ],
         where: {
-          isActive: true
+          isActive: true,
+          status: 'published'
         },
-        order: [[sequelize.col('Inventory.stockRatio'), 'ASC']],
+        // Lowest stock ratio over the product's warehouses
+        order: [[sequelize.literal(
+          '(SELECT MIN(i.quantity / i.lowStockThreshold) FROM inventory i WHERE i.productId = Product.id AND i.quantity > 0)'
+        ), 'ASC']],
         limit: parseInt(limit, 10)
       });
       
@@ -0,0 +1,692 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Inventory = require('../models/inventory');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const Order = require('../models/order');
+const OrderItem = require('../models/orderItem');
+const SellerOrder = require('../models/sellerOrder');
+const SerialNumber = require('../models/serialNumber');
+const SerialNumberEvent = require('../models/serialNumberEvent');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * Serial Service
+ * Tracks each unit of a serialized product or variant by its serial number, from receipt through
+ * sale and return. The on-hand quantity of a serialized inventory record is the number of its
+ * serials in_stock or allocated, so it only changes together with serial numbers
+ */
+class SerialService {
+  /**
+   * Trim a list of serial numbers and reject duplicates
+   * @param {Array} serialNumbers - Serial numbers
+   * @returns {Array} - Trimmed serial numbers
+   */
+  normalize(serialNumbers) {
+    const numbers = serialNumbers.map(number => String(number).trim());
+    const duplicate = numbers.find((number, index) => numbers.indexOf(number) !== index);
+
+    if (duplicate) {
+      throw ApiError.badRequest(`Serial number ${duplicate} is listed more than once`);
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Record the same event for several units
+   * @param {Array} serials - Serial number instances
+   * @param {string} type - Event type
+   * @param {Object} data - orderId, movementId, actor, reference and notes
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async recordEvents(serials, type, { orderId = null, movementId = null, actor = null, reference = null, notes = null }, transaction) {
+    await SerialNumberEvent.bulkCreate(serials.map(serial => ({
+      serialNumberId: serial.id,
+      type,
+      inventoryId: serial.inventoryId,
+      orderId,
+      movementId,
+      actorId: actor ? actor.id : null,
+      actorRole: actor ? actor.role : 'system',
+      reference,
+      notes
+    })), { transaction });
+  }
+
+  /**
+   * Lock the serials of an inventory record by number, all of which must exist
+   * @param {Object} inventory - Inventory instance
+   * @param {Array} serialNumbers - Serial numbers
+   * @param {Array} statuses - Statuses the units must be in
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Locked serial number instances, in the order given
+   */
+  async lockSerials(inventory, serialNumbers, statuses, transaction) {
+    const numbers = this.normalize(serialNumbers);
+
+    const serials = await SerialNumber.findAll({
+      where: { inventoryId: inventory.id, serialNumber: numbers },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    return numbers.map(number => {
+      const serial = serials.find(candidate => candidate.serialNumber === number);
+
+      if (!serial) {
+        throw ApiError.notFound(`Serial number ${number} is not held in the stock of ${inventory.sku}`);
+      }
+
+      if (!statuses.includes(serial.status)) {
+        throw ApiError.conflict(`Serial number ${number} of ${inventory.sku} is ${serial.status.replace('_', ' ')}`);
+      }
+
+      return serial;
+    });
+  }
+
+  /**
+   * Throw unless an inventory record holds a serialized SKU
+   * @param {Object} inventory - Inventory instance
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertSerialized(inventory, transaction) {
+    if (!(await InventoryService.isSerialized(inventory, transaction))) {
+      throw ApiError.badRequest(`${inventory.sku} is not tracked by serial number`);
+    }
+  }
+
+  /**
+   * Register the serial numbers of units arriving in stock
+   * The inventory row must already be locked by the caller
+   * @param {Object} inventory - Locked inventory instance
+   * @param {Array} serialNumbers - Serial numbers of the new units
+   * @param {Object} movement - type (restock by default), actor, reference, notes and unitCost for the ledger
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Created serial number instances
+   */
+  async receiveSerials(inventory, serialNumbers, movement, transaction) {
+    await this.assertSerialized(inventory, transaction);
+
+    const numbers = this.normalize(serialNumbers);
+    const productId = inventory.productId || (await Variant.findByPk(inventory.variantId, { transaction })).productId;
+
+    const existing = await SerialNumber.findOne({
+      where: { productId, serialNumber: numbers },
+      transaction
+    });
+
+    if (existing) {
+      throw ApiError.conflict(`Serial number ${existing.serialNumber} is already registered`);
+    }
+
+    const serials = await SerialNumber.bulkCreate(numbers.map(serialNumber => ({
+      productId,
+      variantId: inventory.variantId,
+      inventoryId: inventory.id,
+      serialNumber
+    })), { transaction });
+
+    const created = await InventoryService.recordMovement(inventory, serials.length, {
+      type: 'restock',
+      ...movement,
+      serials
+    }, transaction);
+
+    await this.recordEvents(serials, 'received', { ...movement, movementId: created.id }, transaction);
+
+    return serials;
+  }
+
+  /**
+   * Register units received outside a purchase order
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} data - serialNumbers, unitCost and notes
+   * @param {Object} user - User receiving the units
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Created serial number instances
+   */
+  async registerSerials(inventoryId, { serialNumbers, unitCost = null, notes = null }, user, transaction) {
+    const inventory = await InventoryService.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    return this.receiveSerials(inventory, serialNumbers, { actor: user, unitCost, notes }, transaction);
+  }
+
+  /**
+   * Write off units in stock, such as damaged or stolen ones
+   * Units allocated to an order have to be released from it first
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} data - serialNumbers and notes
+   * @param {Object} user - User writing the units off
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Written off serial number instances
+   */
+  async writeOffSerials(inventoryId, { serialNumbers, notes = null }, user, transaction) {
+    const inventory = await InventoryService.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const serials = await this.lockSerials(inventory, serialNumbers, ['in_stock'], transaction);
+
+    InventoryService.assertCoversReservations(inventory, inventory.quantity - serials.length);
+
+    const movement = await InventoryService.recordMovement(inventory, -serials.length, {
+      type: 'damage',
+      actor: user,
+      notes,
+      serials
+    }, transaction);
+
+    await SerialNumber.update(
+      { status: 'written_off' },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    await this.recordEvents(serials, 'written_off', { actor: user, movementId: movement.id, notes }, transaction);
+
+    return serials.map(serial => serial.set('status', 'written_off'));
+  }
+
+  /**
+   * Set aside the units an order item ships with
+   * The list replaces the units assigned before. The units must be in stock in the inventory
+   * record the item was sold from
+   * @param {number} orderId - Order ID
+   * @param {number} orderItemId - Order item ID
+   * @param {Array} serialNumbers - Serial numbers, at most one per unit of the item
+   * @param {Object} user - Seller of the item or admin
+   * @returns {Promise<Array>} - Serial numbers now assigned to the item
+   */
+  async assignSerials(orderId, orderItemId, serialNumbers, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const item = await OrderItem.findOne({
+        where: { id: orderItemId, orderId },
+        include: [{ model: Order, attributes: ['id', 'status'] }],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!item) {
+        throw ApiError.notFound('Order item not found');
+      }
+
+      if (user.role !== 'admin' && item.sellerId !== user.id) {
+        throw ApiError.forbidden('Sellers can only update their own items');
+      }
+
+      const sellerOrder = await SellerOrder.findOne({ where: { orderId, sellerId: item.sellerId }, transaction });
+      const status = sellerOrder ? sellerOrder.status : item.Order.status;
+
+      if (item.Order.status !== 'processing' || status !== 'processing') {
+        throw ApiError.badRequest('Serial numbers can only be assigned to paid items that have not shipped');
+      }
+
+      const inventory = item.inventoryId ? await Inventory.findByPk(item.inventoryId, { transaction }) : null;
+
+      if (!inventory) {
+        throw ApiError.badRequest(`The stock ${item.sku} was sold from no longer exists`);
+      }
+
+      await this.assertSerialized(inventory, transaction);
+
+      if (serialNumbers.length > item.quantity) {
+        throw ApiError.badRequest(`${item.sku} was ordered ${item.quantity} time(s), more serial numbers were given`);
+      }
+
+      const wanted = await this.lockSerials(inventory, serialNumbers, ['in_stock', 'allocated'], transaction);
+
+      wanted.forEach(serial => {
+        if (serial.status === 'allocated' && serial.orderItemId !== item.id) {
+          throw ApiError.conflict(`Serial number ${serial.serialNumber} is allocated to another order`);
+        }
+      });
+
+      const current = await SerialNumber.findAll({
+        where: { orderItemId: item.id, status: 'allocated' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const released = current.filter(serial => !wanted.some(candidate => candidate.id === serial.id));
+      const allocated = wanted.filter(serial => serial.status === 'in_stock');
+      const event = { orderId, actor: user, reference: `order:${orderId}` };
+
+      if (released.length > 0) {
+        await SerialNumber.update(
+          { status: 'in_stock', orderItemId: null },
+          { where: { id: released.map(serial => serial.id) }, transaction }
+        );
+        await this.recordEvents(released, 'released', event, transaction);
+      }
+
+      if (allocated.length > 0) {
+        await SerialNumber.update(
+          { status: 'allocated', orderItemId: item.id },
+          { where: { id: allocated.map(serial => serial.id) }, transaction }
+        );
+        await this.recordEvents(allocated, 'allocated', event, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return SerialNumber.findAll({
+      where: { orderItemId, status: 'allocated' },
+      order: [['serialNumber', 'ASC']]
+    });
+  }
+
+  /**
+   * Take the units assigned to a serialized order item from stock as it ships
+   * @param {Object} order - Order being shipped
+   * @param {Object} item - Order item
+   * @param {Object} actor - User shipping the item
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async sellSerials(order, item, actor, transaction) {
+    const serials = await SerialNumber.findAll({
+      where: { orderItemId: item.id, status: 'allocated' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (serials.length !== item.quantity) {
+      throw ApiError.badRequest(
+        `Assign the serial numbers of all ${item.quantity} unit(s) of ${item.sku} before shipping, ${serials.length} are assigned`
+      );
+    }
+
+    const movement = await InventoryService.commitReservation(item.inventoryId, item.quantity, transaction, {
+      actor,
+      reference: `order:${order.id}`,
+      serials
+    });
+
+    await SerialNumber.update({ status: 'sold' }, { where: { id: serials.map(serial => serial.id) }, transaction });
+    await this.recordEvents(serials, 'sold', {
+      orderId: order.id,
+      movementId: movement ? movement.id : null,
+      actor,
+      reference: `order:${order.id}`
+    }, transaction);
+  }
+
+  /**
+   * Put the units assigned to an order item back in stock when the order is cancelled
+   * @param {Object} order - Order being cancelled
+   * @param {Object} item - Order item
+   * @param {Object} actor - User cancelling the order (null for system changes)
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async releaseSerials(order, item, actor, transaction) {
+    const serials = await SerialNumber.findAll({
+      where: { orderItemId: item.id, status: 'allocated' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (serials.length === 0) {
+      return;
+    }
+
+    await SerialNumber.update(
+      { status: 'in_stock', orderItemId: null },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    await this.recordEvents(serials, 'released', {
+      orderId: order.id,
+      actor,
+      reference: `order:${order.id}`,
+      notes: 'Order cancelled'
+    }, transaction);
+  }
+
+  /**
+   * Book returned units of a serialized order item
+   * Without serial numbers every unit sold on the item must be coming back
+   * @param {Object} returnRequest - Return request
+   * @param {Object} returnItem - Return item with its order item
+   * @param {Array} serialNumbers - Serial numbers of the returned units (optional)
+   * @param {string} disposition - restock, quarantine or discard
+   * @param {Object} actor - User receiving the return
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async returnSerials(returnRequest, returnItem, serialNumbers, disposition, actor, transaction) {
+    const { orderItem, quantity } = returnItem;
+
+    const sold = await SerialNumber.findAll({
+      where: { orderItemId: orderItem.id, status: 'sold' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    let serials = sold;
+
+    if (serialNumbers) {
+      serials = this.normalize(serialNumbers).map(number => {
+        const serial = sold.find(candidate => candidate.serialNumber === number);
+
+        if (!serial) {
+          throw ApiError.badRequest(`Serial number ${number} was not sold on this order item`);
+        }
+
+        return serial;
+      });
+    }
+
+    if (serials.length !== quantity) {
+      throw ApiError.badRequest(`List the serial numbers of the ${quantity} returned unit(s) of ${orderItem.sku}`);
+    }
+
+    const reference = `return:${returnRequest.id}`;
+    let movement = null;
+    let status = 'written_off';
+    let notes = 'Discarded';
+
+    if (disposition === 'restock') {
+      movement = await InventoryService.restock(orderItem.inventoryId, quantity, transaction, {
+        type: 'return',
+        actor,
+        reference,
+        serials
+      });
+      status = 'in_stock';
+      notes = 'Restocked';
+    } else if (disposition === 'quarantine') {
+      await InventoryService.quarantine(orderItem.inventoryId, quantity, transaction);
+      status = 'quarantined';
+      notes = 'Held in quarantine';
+    }
+
+    await SerialNumber.update(
+      { status, orderItemId: null },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    await this.recordEvents(serials, 'returned', {
+      orderId: orderItem.orderId,
+      movementId: movement ? movement.id : null,
+      actor,
+      reference,
+      notes
+    }, transaction);
+  }
+
+  /**
+   * Take quarantined units out of quarantine, back on hand or written off
+   * @param {number} inventoryId - Inventory ID
+   * @param {Array} serialNumbers - Serial numbers of the quarantined units
+   * @param {boolean} restock - Whether the units go back on hand
+   * @param {Object} user - User releasing the units
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Updated inventory instance
+   */
+  async releaseQuarantine(inventoryId, serialNumbers, restock, user, transaction) {
+    const inventory = await InventoryService.lockInventory(inventoryId, transaction);
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const serials = await this.lockSerials(inventory, serialNumbers, ['quarantined'], transaction);
+
+    const updated = await InventoryService.releaseQuarantine(inventoryId, serials.length, restock, transaction, {
+      actor: user,
+      reference: 'quarantine',
+      serials
+    });
+
+    await SerialNumber.update(
+      { status: restock ? 'in_stock' : 'written_off' },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    await this.recordEvents(serials, restock ? 'restocked' : 'written_off', {
+      actor: user,
+      reference: 'quarantine',
+      notes: restock ? 'Released from quarantine' : 'Written off after inspection'
+    }, transaction);
+
+    return updated;
+  }
+
+  /**
+   * Send units of a serialized inventory record on a stock transfer, first received first
+   * @param {Object} inventory - Locked source inventory instance
+   * @param {Object} transferItem - Transfer item
+   * @param {Object} movement - actor, reference and notes for the ledger
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async dispatchSerials(inventory, transferItem, movement, transaction) {
+    const serials = await SerialNumber.findAll({
+      where: { inventoryId: inventory.id, status: 'in_stock' },
+      order: [['id', 'ASC']],
+      limit: transferItem.quantity,
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const created = await InventoryService.recordMovement(inventory, -transferItem.quantity, {
+      ...movement,
+      type: 'transfer',
+      serials
+    }, transaction);
+
+    await SerialNumber.update(
+      { status: 'in_transit', transferItemId: transferItem.id },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    await this.recordEvents(serials, 'dispatched', { ...movement, movementId: created.id }, transaction);
+  }
+
+  /**
+   * Book units of a transfer item in at the destination
+   * Without serial numbers the units are taken in the order they were sent
+   * @param {Object} inventory - Locked destination inventory instance
+   * @param {Object} transferItem - Transfer item
+   * @param {number} quantity - Units received
+   * @param {Array} serialNumbers - Serial numbers of the units received (optional)
+   * @param {Object} movement - actor, reference and notes for the ledger
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async receiveTransferredSerials(inventory, transferItem, quantity, serialNumbers, movement, transaction) {
+    const inTransit = await SerialNumber.findAll({
+      where: { transferItemId: transferItem.id, status: 'in_transit' },
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    let serials = inTransit.slice(0, quantity);
+
+    if (serialNumbers) {
+      serials = this.normalize(serialNumbers).map(number => {
+        const serial = inTransit.find(candidate => candidate.serialNumber === number);
+
+        if (!serial) {
+          throw ApiError.badRequest(`Serial number ${number} is not in transit on this transfer item`);
+        }
+
+        return serial;
+      });
+
+      if (serials.length !== quantity) {
+        throw ApiError.badRequest(`List the serial numbers of the ${quantity} unit(s) of ${transferItem.sku} received`);
+      }
+    }
+
+    const created = await InventoryService.recordMovement(inventory, quantity, {
+      ...movement,
+      type: 'transfer',
+      serials
+    }, transaction);
+
+    await SerialNumber.update(
+      { status: 'in_stock', inventoryId: inventory.id, transferItemId: null },
+      { where: { id: serials.map(serial => serial.id) }, transaction }
+    );
+    serials.forEach(serial => serial.set('inventoryId', inventory.id));
+    await this.recordEvents(serials, 'transferred', { ...movement, movementId: created.id }, transaction);
+  }
+
+  /**
+   * Mark the units still in transit on a closed transfer item as missing
+   * @param {Object} transferItem - Transfer item
+   * @param {Object} movement - actor and reference of the closing user
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async markMissing(transferItem, movement, transaction) {
+    const serials = await SerialNumber.findAll({
+      where: { transferItemId: transferItem.id, status: 'in_transit' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (serials.length === 0) {
+      return;
+    }
+
+    await SerialNumber.update({ status: 'missing' }, { where: { id: serials.map(serial => serial.id) }, transaction });
+    await this.recordEvents(serials, 'missing', { ...movement, notes: 'Not received when the transfer was closed' }, transaction);
+  }
+
+  /**
+   * Throw if switching serial tracking would leave stock without serial numbers
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant being switched, or null when the product is
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertSwitchable(product, variant, transaction) {
+    let where = { variantId: variant ? variant.id : null };
+
+    if (!variant) {
+      // Variants without a setting of their own follow the product
+      const following = await Variant.findAll({
+        where: { productId: product.id, isSerialized: null },
+        attributes: ['id'],
+        transaction
+      });
+
+      where = {
+        [Op.or]: [
+          { productId: product.id, variantId: null },
+          { variantId: following.map(item => item.id) }
+        ]
+      };
+    }
+
+    const held = await Inventory.findOne({
+      where: {
+        ...where,
+        [Op.and]: [{
+          [Op.or]: [
+            { quantity: { [Op.gt]: 0 } },
+            { reservedQuantity: { [Op.gt]: 0 } },
+            { quarantinedQuantity: { [Op.gt]: 0 } }
+          ]
+        }]
+      },
+      transaction
+    });
+
+    if (held) {
+      throw ApiError.badRequest(
+        `Serial tracking of ${variant ? variant.sku : product.sku} can only be switched while it holds no stock, reservations or quarantined units`
+      );
+    }
+  }
+
+  /**
+   * Serial numbers of an inventory record
+   * @param {number} inventoryId - Inventory ID
+   * @param {Object} options - status, page and limit
+   * @returns {Promise<Object>} - count, counts by status and serial numbers
+   */
+  async getInventorySerials(inventoryId, { status, page = 1, limit = 50 } = {}) {
+    const inventory = await Inventory.findByPk(inventoryId, {
+      attributes: ['id', 'sku', 'warehouseId', 'quantity', 'reservedQuantity', 'quarantinedQuantity']
+    });
+
+    if (!inventory) {
+      throw ApiError.notFound('Inventory record not found');
+    }
+
+    const where = { inventoryId: inventory.id };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const counts = await SerialNumber.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { inventoryId: inventory.id },
+      group: ['status'],
+      raw: true
+    });
+
+    const { count, rows } = await SerialNumber.findAndCountAll({
+      where,
+      order: [['serialNumber', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      inventory,
+      counts: counts.reduce((result, row) => ({ ...result, [row.status]: parseInt(row.count, 10) }), {}),
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      serialNumbers: rows
+    };
+  }
+
+  /**
+   * Full history of every unit with a serial number
+   * Sellers only see units of their own products
+   * @param {string} serialNumber - Serial number
+   * @param {Object} user - Seller or admin
+   * @returns {Promise<Array>} - Units with their product, current stock record, order item and events
+   */
+  async getSerialHistory(serialNumber, user) {
+    const serials = (await SerialNumber.findAll({
+      where: { serialNumber: String(serialNumber).trim() },
+      include: [
+        { model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'userId'] },
+        { model: Variant, as: 'variant', attributes: ['id', 'name', 'sku'] },
+        {
+          model: Inventory,
+          as: 'inventory',
+          attributes: ['id', 'sku', 'warehouseId'],
+          include: [{ model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] }]
+        },
+        { model: OrderItem, as: 'orderItem', attributes: ['id', 'orderId', 'sku', 'quantity'] },
+        {
+          model: SerialNumberEvent,
+          as: 'events',
+          include: [{ model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName'] }]
+        }
+      ],
+      order: [['id', 'ASC'], [{ model: SerialNumberEvent, as: 'events' }, 'createdAt', 'ASC'], [{ model: SerialNumberEvent, as: 'events' }, 'id', 'ASC']]
+    })).filter(serial => user.role === 'admin' || (serial.product && serial.product.userId === user.id));
+
+    if (serials.length === 0) {
+      throw ApiError.notFound(`Serial number ${serialNumber} not found`);
+    }
+
+    return serials;
+  }
+}
+
+module.exports = new SerialService();
@@ -0,0 +1,439 @@
+const ShippingZone = require('../models/shippingZone');
+const ShippingMethod = require('../models/shippingMethod');
+const Shipment = require('../models/shipment');
+const CartItem = require('../models/cartItem');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const TaxService = require('./taxService');
+const { ApiError } = require('../utils/errorHandler');
+const { getItemPricing, roundPrice } = require('../utils/helpers');
+
+/**
+ * Round a weight to grams
+ * @param {number} weight - Weight in kg
+ * @returns {number} - Rounded weight
+ */
+const roundWeight = weight => Math.round(weight * 1000) / 1000;
+
+/**
+ * Shipping Service
+ * Manages shipping zones and methods and prices the parcels of an order
+ */
+class ShippingService {
+  /**
+   * cm³ per kg used to turn a parcel's size into a weight
+   * @returns {number} - SHIPPING_VOLUMETRIC_DIVISOR, 5000 by default
+   */
+  getVolumetricDivisor() {
+    return parseInt(process.env.SHIPPING_VOLUMETRIC_DIVISOR, 10) || 5000;
+  }
+
+  /**
+   * Weight one unit of a product is charged at
+   * Bulky, light items are charged by their volumetric weight (length × width × height / divisor)
+   * @param {Object} product - Product instance
+   * @returns {number} - Chargeable weight in kg
+   */
+  getUnitWeight(product) {
+    const weight = Number(product.weight) || 0;
+    const { length, width, height } = product;
+
+    if (!length || !width || !height) {
+      return weight;
+    }
+
+    const volumetricWeight = Number(length) * Number(width) * Number(height) / this.getVolumetricDivisor();
+
+    return Math.max(weight, volumetricWeight);
+  }
+
+  /**
+   * Group priced lines into one parcel per seller
+   * @param {Array} lines - Lines with sellerId, quantity, lineTotal and unitWeight
+   * @returns {Array} - { sellerId, weight, amount }
+   */
+  buildPackages(lines) {
+    const packages = new Map();
+
+    lines.forEach(line => {
+      const entry = packages.get(line.sellerId) || { sellerId: line.sellerId, weight: 0, amount: 0 };
+
+      entry.weight = roundWeight(entry.weight + line.unitWeight * line.quantity);
+      entry.amount = roundPrice(entry.amount + line.lineTotal);
+      packages.set(line.sellerId, entry);
+    });
+
+    return [...packages.values()];
+  }
+
+  /**
+   * Find the zone that delivers to a region
+   * A zone listing the subdivision (US-CA) wins over one listing the country (US),
+   * which wins over a catch-all zone without regions
+   * @param {string} region - Region code
+   * @param {Object} transaction - Sequelize transaction (optional)
+   * @returns {Promise<Object|null>} - Shipping zone
+   */
+  async findZone(region, transaction) {
+    const zones = await ShippingZone.findAll({
+      where: { isActive: true },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    for (const code of TaxService.getRegionHierarchy(region)) {
+      const zone = zones.find(candidate => candidate.regions.includes(code));
+
+      if (zone) {
+        return zone;
+      }
+    }
+
+    return zones.find(zone => zone.regions.length === 0) || null;
+  }
+
+  /**
+   * Look up the price of a parcel in a method's rate table
+   * @param {Object} method - Shipping method
+   * @param {Object} pkg - Parcel with weight and amount
+   * @returns {number|null} - Price, or null when no bracket covers the parcel
+   */
+  calculateRate(method, pkg) {
+    const value = method.rateType === 'price' ? pkg.amount : pkg.weight;
+    const bracket = method.rates.find(rate => rate.upTo === null || value <= rate.upTo);
+
+    return bracket ? roundPrice(bracket.price) : null;
+  }
+
+  /**
+   * Price every parcel with a method
+   * @param {Object} method - Shipping method
+   * @param {Array} packages - Parcels from buildPackages
+   * @returns {Array|null} - Parcels with their shippingCost, or null when a parcel cannot be shipped
+   */
+  pricePackages(method, packages) {
+    const priced = packages.map(pkg => ({ ...pkg, shippingCost: this.calculateRate(method, pkg) }));
+
+    return priced.some(pkg => pkg.shippingCost === null) ? null : priced;
+  }
+
+  /**
+   * Quote every method that can deliver the lines to a region
+   * @param {Array} lines - Lines with sellerId, quantity, lineTotal and unitWeight
+   * @param {string} region - Region code (defaults to TAX_DEFAULT_REGION)
+   * @returns {Promise<Object>} - { region, zone, quotes } with the cheapest quote first
+   */
+  async getQuotes(lines, region) {
+    const shippingRegion = region ? region.toUpperCase() : TaxService.getDefaultRegion();
+    const zone = await this.findZone(shippingRegion);
+
+    if (!zone) {
+      return { region: shippingRegion, zone: null, quotes: [] };
+    }
+
+    const methods = await ShippingMethod.findAll({
+      where: { zoneId: zone.id, isActive: true },
+      order: [['id', 'ASC']]
+    });
+    const packages = this.buildPackages(lines);
+
+    const quotes = methods
+      .map(method => {
+        const priced = this.pricePackages(method, packages);
+
+        return priced && {
+          shippingMethodId: method.id,
+          name: method.name,
+          carrierCode: method.carrierCode,
+          minDeliveryDays: method.minDeliveryDays,
+          maxDeliveryDays: method.maxDeliveryDays,
+          price: roundPrice(priced.reduce((sum, pkg) => sum + pkg.shippingCost, 0)),
+          packages: priced
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.price - b.price);
+
+    return {
+      region: shippingRegion,
+      zone: { id: zone.id, name: zone.name },
+      quotes
+    };
+  }
+
+  /**
+   * Quote shipping for a list of products and variants
+   * @param {Array} items - Array of { productId, variantId, quantity }
+   * @param {string} region - Region code
+   * @returns {Promise<Object>} - See getQuotes
+   */
+  async quoteItems(items, region) {
+    const lines = [];
+
+    for (const item of items) {
+      let product;
+      let variant = null;
+
+      if (item.variantId) {
+        variant = await Variant.findByPk(item.variantId, { include: [{ model: Product }] });
+
+        if (!variant) {
+          throw ApiError.notFound(`Variant ${item.variantId} not found`);
+        }
+
+        product = variant.Product;
+      } else {
+        product = await Product.findByPk(item.productId);
+      }
+
+      if (!product) {
+        throw ApiError.notFound(`Product ${item.productId} not found`);
+      }
+
+      lines.push(this.buildShippingLine(product, variant, parseInt(item.quantity, 10)));
+    }
+
+    return this.getQuotes(lines, region);
+  }
+
+  /**
+   * Quote shipping for the contents of a cart
+   * @param {Object} cart - Cart instance
+   * @param {string} region - Region code
+   * @returns {Promise<Object>} - See getQuotes
+   */
+  async quoteCart(cart, region) {
+    const items = await CartItem.findAll({
+      where: { cartId: cart.id },
+      include: [{ model: Product }, { model: Variant }]
+    });
+
+    if (items.length === 0) {
+      throw ApiError.badRequest('Your cart is empty');
+    }
+
+    const lines = items.map(item => this.buildShippingLine(item.Product, item.Variant, item.quantity));
+
+    return this.getQuotes(lines, region);
+  }
+
+  /**
+   * What the rate tables need to know about a line
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant instance (optional)
+   * @param {number} quantity - Quantity
+   * @returns {Object} - { sellerId, quantity, lineTotal, unitWeight }
+   */
+  buildShippingLine(product, variant, quantity) {
+    const { finalUnitPrice } = getItemPricing(product, variant);
+
+    return {
+      sellerId: product.userId,
+      quantity,
+      lineTotal: roundPrice(finalUnitPrice * quantity),
+      unitWeight: this.getUnitWeight(product)
+    };
+  }
+
+  /**
+   * Price the parcels of a new order
+   * Without a shipping method the parcels are still split per seller but cost nothing
+   * @param {number} shippingMethodId - Chosen shipping method (optional)
+   * @param {Array} lines - Order lines with sellerId, quantity, lineTotal and unitWeight
+   * @param {string} region - Shipping region
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - { shippingMethodId, carrierCode, packages, shippingTotal }
+   */
+  async priceOrderShipping(shippingMethodId, lines, region, transaction) {
+    const packages = this.buildPackages(lines);
+
+    if (!shippingMethodId) {
+      return {
+        shippingMethodId: null,
+        carrierCode: null,
+        packages: packages.map(pkg => ({ ...pkg, shippingCost: 0 })),
+        shippingTotal: 0
+      };
+    }
+
+    if (!region) {
+      throw ApiError.badRequest('A shipping region is required to use a shipping method');
+    }
+
+    const method = await ShippingMethod.findByPk(shippingMethodId, { transaction });
+    const zone = await this.findZone(region, transaction);
+
+    if (!method || !method.isActive || !zone || method.zoneId !== zone.id) {
+      throw ApiError.badRequest(`Shipping method ${shippingMethodId} does not deliver to ${region}`);
+    }
+
+    const priced = this.pricePackages(method, packages);
+
+    if (!priced) {
+      throw ApiError.badRequest(`${method.name} cannot ship this order, please choose another shipping method`);
+    }
+
+    return {
+      shippingMethodId: method.id,
+      carrierCode: method.carrierCode,
+      packages: priced,
+      shippingTotal: roundPrice(priced.reduce((sum, pkg) => sum + pkg.shippingCost, 0))
+    };
+  }
+
+  /**
+   * List shipping zones with their methods
+   * @returns {Promise<Array>} - Shipping zones
+   */
+  async getZones() {
+    return ShippingZone.findAll({
+      include: [{ model: ShippingMethod, as: 'methods' }],
+      order: [['name', 'ASC'], [{ model: ShippingMethod, as: 'methods' }, 'id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a shipping zone by ID
+   * @param {number} zoneId - Shipping zone ID
+   * @returns {Promise<Object>} - Shipping zone with its methods
+   */
+  async getZoneById(zoneId) {
+    const zone = await ShippingZone.findByPk(zoneId, {
+      include: [{ model: ShippingMethod, as: 'methods' }]
+    });
+
+    if (!zone) {
+      throw ApiError.notFound('Shipping zone not found');
+    }
+
+    return zone;
+  }
+
+  /**
+   * Create a shipping zone
+   * @param {Object} data - name, regions, isActive
+   * @returns {Promise<Object>} - Created zone
+   */
+  async createZone(data) {
+    const zone = await ShippingZone.create(data);
+    return this.getZoneById(zone.id);
+  }
+
+  /**
+   * Update a shipping zone
+   * @param {number} zoneId - Shipping zone ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated zone
+   */
+  async updateZone(zoneId, data) {
+    const zone = await this.getZoneById(zoneId);
+
+    await zone.update(data);
+
+    return this.getZoneById(zone.id);
+  }
+
+  /**
+   * Delete a shipping zone
+   * Zones that still have methods cannot be deleted
+   * @param {number} zoneId - Shipping zone ID
+   */
+  async deleteZone(zoneId) {
+    const zone = await this.getZoneById(zoneId);
+
+    if (zone.methods.length > 0) {
+      throw ApiError.conflict('Delete or move the shipping methods of this zone first');
+    }
+
+    await zone.destroy();
+  }
+
+  /**
+   * List shipping methods
+   * @param {Object} filters - zoneId
+   * @returns {Promise<Array>} - Shipping methods
+   */
+  async getMethods({ zoneId } = {}) {
+    return ShippingMethod.findAll({
+      where: zoneId ? { zoneId } : {},
+      include: [{ model: ShippingZone, as: 'zone', attributes: ['id', 'name'] }],
+      order: [['zoneId', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a shipping method by ID
+   * @param {number} methodId - Shipping method ID
+   * @returns {Promise<Object>} - Shipping method
+   */
+  async getMethodById(methodId) {
+    const method = await ShippingMethod.findByPk(methodId, {
+      include: [{ model: ShippingZone, as: 'zone', attributes: ['id', 'name'] }]
+    });
+
+    if (!method) {
+      throw ApiError.notFound('Shipping method not found');
+    }
+
+    return method;
+  }
+
+  /**
+   * Create a shipping method
+   * @param {Object} data - Shipping method fields
+   * @returns {Promise<Object>} - Created method
+   */
+  async createMethod(data) {
+    await this.assertZoneExists(data.zoneId);
+
+    const method = await ShippingMethod.create(data);
+
+    return this.getMethodById(method.id);
+  }
+
+  /**
+   * Update a shipping method
+   * Orders keep the shipping cost they were placed with
+   * @param {number} methodId - Shipping method ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated method
+   */
+  async updateMethod(methodId, data) {
+    const method = await this.getMethodById(methodId);
+
+    if (data.zoneId) {
+      await this.assertZoneExists(data.zoneId);
+    }
+
+    await method.update(data);
+
+    return this.getMethodById(method.id);
+  }
+
+  /**
+   * Delete a shipping method
+   * Methods that were used by an order are kept for the record and should be deactivated instead
+   * @param {number} methodId - Shipping method ID
+   */
+  async deleteMethod(methodId) {
+    const method = await this.getMethodById(methodId);
+
+    if (await Shipment.count({ where: { shippingMethodId: method.id } }) > 0) {
+      throw ApiError.conflict('This shipping method has been used by orders, deactivate it instead');
+    }
+
+    await method.destroy();
+  }
+
+  /**
+   * Throw if a shipping zone does not exist
+   * @param {number} zoneId - Shipping zone ID
+   */
+  async assertZoneExists(zoneId) {
+    if (!(await ShippingZone.findByPk(zoneId))) {
+      throw ApiError.badRequest(`Shipping zone ${zoneId} not found`);
+    }
+  }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,445 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Stocktake = require('../models/stocktake');
+const StocktakeLine = require('../models/stocktakeLine');
+const Inventory = require('../models/inventory');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const Category = require('../models/category');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const stocktakeStateMachine = require('../utils/stocktakeStateMachine');
+const { ApiError } = require('../utils/errorHandler');
+
+// Sessions in these statuses still expect counts to be posted
+const ACTIVE_STATUSES = ['open', 'submitted'];
+
+// Built per query, the same include object cannot appear twice in one query
+const stocktakeIncludes = () => [
+  {
+    model: StocktakeLine,
+    as: 'lines',
+    include: [
+      {
+        model: Inventory,
+        as: 'inventory',
+        attributes: ['id', 'productId', 'variantId', 'warehouseId', 'location', 'quantity', 'reservedQuantity']
+      }
+    ]
+  },
+  { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] },
+  { model: Category, as: 'category', attributes: ['id', 'name'] },
+  { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+/**
+ * Stocktake Service
+ * Runs stocktake sessions: counts are entered against a set of inventory records, compared
+ * with the system quantity and posted as adjustments in one transaction once approved
+ */
+class StocktakeService {
+  /**
+   * Get a stocktake by ID
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} options - Extra query options (transaction, lock)
+   * @returns {Promise<Object>} - Stocktake with lines
+   */
+  async getStocktakeById(stocktakeId, options = {}) {
+    const stocktake = await Stocktake.findByPk(stocktakeId, {
+      include: stocktakeIncludes(),
+      order: [[{ model: StocktakeLine, as: 'lines' }, 'sku', 'ASC']],
+      ...options
+    });
+
+    if (!stocktake) {
+      throw ApiError.notFound('Stocktake not found');
+    }
+
+    return stocktake;
+  }
+
+  /**
+   * Get a stocktake with its variance summary after checking the user may see it
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Stocktake as JSON with a summary
+   */
+  async getStocktakeDetails(stocktakeId, user) {
+    const stocktake = await this.getStocktakeById(stocktakeId);
+    this.assertAccess(stocktake, user);
+
+    return this.withSummary(stocktake);
+  }
+
+  /**
+   * Throw if a user may not see or count a stocktake
+   * Sellers only handle the sessions they opened, admins all of them
+   * @param {Object} stocktake - Stocktake instance
+   * @param {Object} user - Authenticated user
+   */
+  assertAccess(stocktake, user) {
+    if (user.role !== 'admin' && stocktake.createdBy !== user.id) {
+      throw ApiError.forbidden('Not authorized to access this stocktake');
+    }
+  }
+
+  /**
+   * Add up the counts and variances of a stocktake
+   * @param {Array} lines - Stocktake lines
+   * @returns {Object} - lines, counted, withVariance, unitsOver and unitsShort
+   */
+  summarize(lines) {
+    const counted = lines.filter(line => line.countedQuantity !== null);
+
+    return {
+      lines: lines.length,
+      counted: counted.length,
+      withVariance: counted.filter(line => line.variance !== 0).length,
+      unitsOver: counted.reduce((sum, line) => sum + Math.max(line.variance, 0), 0),
+      unitsShort: counted.reduce((sum, line) => sum + Math.max(-line.variance, 0), 0)
+    };
+  }
+
+  /**
+   * Stocktake as JSON with its summary
+   * @param {Object} stocktake - Stocktake with lines
+   * @returns {Object} - Stocktake data and summary
+   */
+  withSummary(stocktake) {
+    return { ...stocktake.toJSON(), summary: this.summarize(stocktake.lines) };
+  }
+
+  /**
+   * List stocktakes visible to a user
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - Pagination, status and warehouse filters
+   * @returns {Promise<Object>} - { count, stocktakes }
+   */
+  async getStocktakes(user, options = {}) {
+    const { page = 1, limit = 10, status, warehouseId } = options;
+    const where = {};
+
+    if (user.role !== 'admin') {
+      where.createdBy = user.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (warehouseId) {
+      where.warehouseId = warehouseId;
+    }
+
+    const { count, rows } = await Stocktake.findAndCountAll({
+      where,
+      include: [
+        { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { count, stocktakes: rows };
+  }
+
+  /**
+   * Open a stocktake session for the inventory records matching a scope
+   * Sellers only count the stock of their own products
+   * @param {Object} user - Seller or admin opening the session
+   * @param {Object} data - { name, notes, warehouseId, location, categoryId, skus }
+   * @returns {Promise<Object>} - Created stocktake
+   */
+  async createStocktake(user, { name, notes, warehouseId, location, categoryId, skus }) {
+    if (!warehouseId && !location && !categoryId && !(skus && skus.length)) {
+      throw ApiError.badRequest('Choose the stock to count by warehouse, location, category or SKU list');
+    }
+
+    const transaction = await sequelize.transaction();
+    let stocktake;
+
+    try {
+      if (warehouseId && !(await Warehouse.findByPk(warehouseId, { transaction }))) {
+        throw ApiError.badRequest('Warehouse not found');
+      }
+
+      if (categoryId && !(await Category.findByPk(categoryId, { transaction }))) {
+        throw ApiError.badRequest('Category not found');
+      }
+
+      const inventories = await this.findScopedInventory(user, { warehouseId, location, categoryId, skus }, transaction);
+
+      if (inventories.length === 0) {
+        throw ApiError.badRequest('No inventory records match this stocktake');
+      }
+
+      await this.assertNotBeingCounted(inventories, transaction);
+
+      stocktake = await Stocktake.create({
+        name,
+        notes: notes || null,
+        warehouseId: warehouseId || null,
+        location: location || null,
+        categoryId: categoryId || null,
+        skus: skus || [],
+        createdBy: user.id
+      }, { transaction });
+
+      await StocktakeLine.bulkCreate(inventories.map(inventory => ({
+        stocktakeId: stocktake.id,
+        inventoryId: inventory.id,
+        sku: inventory.sku,
+        expectedQuantity: inventory.quantity
+      })), { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withSummary(await this.getStocktakeById(stocktake.id));
+  }
+
+  /**
+   * Inventory records matching a stocktake scope
+   * @param {Object} user - Seller or admin
+   * @param {Object} scope - warehouseId, location (prefix), categoryId and skus
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Inventory instances
+   */
+  async findScopedInventory(user, { warehouseId, location, categoryId, skus }, transaction) {
+    const where = {};
+
+    if (warehouseId) {
+      where.warehouseId = warehouseId;
+    }
+
+    if (location) {
+      where.location = { [Op.like]: `${location}%` };
+    }
+
+    if (skus && skus.length) {
+      where.sku = { [Op.in]: skus };
+    }
+
+    const inventories = await Inventory.findAll({
+      where,
+      include: [
+        { model: Product, attributes: ['id', 'categoryId', 'userId'] },
+        {
+          model: Variant,
+          attributes: ['id'],
+          include: [{ model: Product, attributes: ['id', 'categoryId', 'userId'] }]
+        }
+      ],
+      order: [['sku', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    return inventories.filter(inventory => {
+      const product = inventory.Variant ? inventory.Variant.Product : inventory.Product;
+
+      if (!product) {
+        return false;
+      }
+
+      if (categoryId && product.categoryId !== categoryId) {
+        return false;
+      }
+
+      return user.role === 'admin' || product.userId === user.id;
+    });
+  }
+
+  /**
+   * Throw if some records are already part of another open or submitted stocktake
+   * Two sessions posting against the same record would each correct the same variance
+   * @param {Array} inventories - Inventory instances
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertNotBeingCounted(inventories, transaction) {
+    const busy = await StocktakeLine.findAll({
+      where: { inventoryId: { [Op.in]: inventories.map(inventory => inventory.id) } },
+      include: [
+        {
+          model: Stocktake,
+          as: 'stocktake',
+          where: { status: { [Op.in]: ACTIVE_STATUSES } },
+          attributes: ['id']
+        }
+      ],
+      transaction
+    });
+
+    if (busy.length > 0) {
+      const skus = [...new Set(busy.map(line => line.sku))];
+
+      throw ApiError.conflict(
+        `${skus.join(', ')} ${skus.length === 1 ? 'is' : 'are'} already being counted in stocktake ${busy[0].stocktake.id}`
+      );
+    }
+  }
+
+  /**
+   * Enter counted quantities
+   * The system quantity is read at the moment of the count, so sales made while the rest of the
+   * session is counted do not show up as variance. Counting a line again replaces its count
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} user - Counter
+   * @param {Array} counts - [{ inventoryId, countedQuantity, notes }]
+   * @returns {Promise<Object>} - Updated stocktake
+   */
+  async recordCounts(stocktakeId, user, counts) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const stocktake = await this.getStocktakeById(stocktakeId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(stocktake, user);
+
+      if (stocktake.status !== 'open') {
+        throw ApiError.badRequest(`Cannot count a stocktake that is ${stocktake.status}`);
+      }
+
+      for (const count of counts) {
+        const line = stocktake.lines.find(candidate => candidate.inventoryId === count.inventoryId);
+
+        if (!line) {
+          throw ApiError.badRequest(`Inventory record ${count.inventoryId} is not part of this stocktake`);
+        }
+
+        const inventory = await InventoryService.lockInventory(line.inventoryId, transaction);
+
+        await line.update({
+          countedQuantity: count.countedQuantity,
+          systemQuantity: inventory.quantity,
+          variance: count.countedQuantity - inventory.quantity,
+          notes: count.notes !== undefined ? count.notes : line.notes,
+          countedBy: user.id,
+          countedAt: new Date()
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withSummary(await this.getStocktakeById(stocktakeId));
+  }
+
+  /**
+   * Hand the counts over to an approver
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} user - Counter
+   * @returns {Promise<Object>} - Updated stocktake
+   */
+  async submitStocktake(stocktakeId, user) {
+    const stocktake = await this.getStocktakeById(stocktakeId);
+    this.assertAccess(stocktake, user);
+    stocktakeStateMachine.assert(stocktake.status, 'submitted');
+
+    if (!stocktake.lines.some(line => line.countedQuantity !== null)) {
+      throw ApiError.badRequest('Count at least one line before submitting the stocktake');
+    }
+
+    await stocktake.update({
+      status: 'submitted',
+      submittedBy: user.id,
+      submittedAt: new Date()
+    });
+
+    return this.withSummary(stocktake);
+  }
+
+  /**
+   * Send a submitted stocktake back for a recount
+   * @param {number} stocktakeId - Stocktake ID
+   * @returns {Promise<Object>} - Updated stocktake
+   */
+  async reopenStocktake(stocktakeId) {
+    const stocktake = await this.getStocktakeById(stocktakeId);
+    stocktakeStateMachine.assert(stocktake.status, 'open');
+
+    await stocktake.update({ status: 'open', submittedBy: null, submittedAt: null });
+
+    return this.withSummary(stocktake);
+  }
+
+  /**
+   * Post the variances of a submitted stocktake as adjustments
+   * All lines are posted in one transaction: when one record cannot take its adjustment, nothing is posted.
+   * Lines that were not counted are left alone
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} user - Approver
+   * @returns {Promise<Object>} - Posted stocktake
+   */
+  async postStocktake(stocktakeId, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const stocktake = await this.getStocktakeById(stocktakeId, { transaction, lock: transaction.LOCK.UPDATE });
+      stocktakeStateMachine.assert(stocktake.status, 'posted');
+
+      for (const line of stocktake.lines) {
+        if (line.countedQuantity === null || line.variance === 0) {
+          continue;
+        }
+
+        const inventory = await InventoryService.lockInventory(line.inventoryId, transaction);
+        const quantity = inventory.quantity + line.variance;
+
+        // Backordered records hold fewer units than they reserved, a count may still raise them
+        if (quantity < inventory.reservedQuantity && line.variance < 0) {
+          throw ApiError.conflict(
+            `Posting the count of ${inventory.sku} would leave ${quantity} unit(s), fewer than the ${inventory.reservedQuantity} reserved by open orders`
+          );
+        }
+
+        const movement = await InventoryService.recordMovement(inventory, line.variance, {
+          type: 'adjustment',
+          actor: user,
+          reference: `stocktake:${stocktake.id}`,
+          notes: line.notes || `Counted ${line.countedQuantity}, system had ${line.systemQuantity}`
+        }, transaction);
+
+        await line.update({ movementId: movement.id }, { transaction });
+      }
+
+      await stocktake.update({
+        status: 'posted',
+        postedBy: user.id,
+        postedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.withSummary(await this.getStocktakeById(stocktakeId));
+  }
+
+  /**
+   * Cancel a stocktake that was not posted
+   * @param {number} stocktakeId - Stocktake ID
+   * @param {Object} user - Seller who opened it or admin
+   * @returns {Promise<Object>} - Cancelled stocktake
+   */
+  async cancelStocktake(stocktakeId, user) {
+    const stocktake = await this.getStocktakeById(stocktakeId);
+    this.assertAccess(stocktake, user);
+    stocktakeStateMachine.assert(stocktake.status, 'cancelled');
+
+    await stocktake.update({ status: 'cancelled' });
+
+    return this.withSummary(stocktake);
+  }
+}
+
+module.exports = new StocktakeService();
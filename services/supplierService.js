@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const Supplier = require('../models/supplier');
+const PurchaseOrder = require('../models/purchaseOrder');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * Supplier Service
+ * Manages the suppliers stock is bought from
+ */
+class SupplierService {
+  /**
+   * List suppliers
+   * @param {Object} filters - isActive, search (name or code)
+   * @returns {Promise<Array>} - Suppliers by name
+   */
+  async getSuppliers({ isActive, search } = {}) {
+    const where = {};
+
+    if (isActive !== undefined) {
+      where.isActive = isActive;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { code: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    return Supplier.findAll({
+      where,
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a supplier by ID
+   * @param {number} supplierId - Supplier ID
+   * @returns {Promise<Object>} - Supplier
+   */
+  async getSupplierById(supplierId) {
+    const supplier = await Supplier.findByPk(supplierId);
+
+    if (!supplier) {
+      throw ApiError.notFound('Supplier not found');
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Create a supplier
+   * @param {Object} data - name, code, contactName, email, phone, address, leadTimeDays, isActive
+   * @returns {Promise<Object>} - Created supplier
+   */
+  async createSupplier(data) {
+    await this.assertCodeAvailable(data.code);
+
+    return Supplier.create(data);
+  }
+
+  /**
+   * Update a supplier
+   * Deactivating a supplier stops new purchase orders, open ones can still be received
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated supplier
+   */
+  async updateSupplier(supplierId, data) {
+    const supplier = await this.getSupplierById(supplierId);
+
+    if (data.code) {
+      await this.assertCodeAvailable(data.code, supplier.id);
+    }
+
+    return supplier.update(data);
+  }
+
+  /**
+   * Delete a supplier
+   * Suppliers that appear on purchase orders cannot be deleted
+   * @param {number} supplierId - Supplier ID
+   */
+  async deleteSupplier(supplierId) {
+    const supplier = await this.getSupplierById(supplierId);
+
+    if (await PurchaseOrder.count({ where: { supplierId: supplier.id } }) > 0) {
+      throw ApiError.conflict('Stock was ordered from this supplier, deactivate it instead');
+    }
+
+    await supplier.destroy();
+  }
+
+  /**
+   * Throw if a supplier code is taken
+   * @param {string} code - Supplier code
+   * @param {number} exceptId - Supplier being updated (optional)
+   */
+  async assertCodeAvailable(code, exceptId) {
+    const where = { code: String(code).trim().toUpperCase() };
+
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+
+    if (await Supplier.count({ where }) > 0) {
+      throw ApiError.conflict(`A supplier with code ${where.code} already exists`);
+    }
+  }
+}
+
+module.exports = new SupplierService();
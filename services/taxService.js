@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+const TaxRule = require('../models/taxRule');
+const Category = require('../models/category');
+const { ApiError } = require('../utils/errorHandler');
+const { roundPrice } = require('../utils/helpers');
+
+/**
+ * Tax Service
+ * Finds the tax rule of each line and works out the tax for carts, orders and invoices
+ */
+class TaxService {
+  /**
+   * Region used when the buyer does not give one
+   * @returns {string|null} - TAX_DEFAULT_REGION, upper-cased
+   */
+  getDefaultRegion() {
+    return process.env.TAX_DEFAULT_REGION ? process.env.TAX_DEFAULT_REGION.toUpperCase() : null;
+  }
+
+  /**
+   * Regions a rule can be written for to cover a region, most specific first
+   * US-CA is covered by rules for US-CA and for US
+   * @param {string} region - Region code
+   * @returns {Array} - Region codes
+   */
+  getRegionHierarchy(region) {
+    if (!region) {
+      return [];
+    }
+
+    const code = region.toUpperCase();
+    const country = code.split('-')[0];
+
+    return country === code ? [code] : [code, country];
+  }
+
+  /**
+   * Load the rules that could apply to lines of the given categories
+   * @param {string} region - Region code
+   * @param {Array} categoryIds - Category IDs of the lines and of their parents
+   * @param {Date} date - Date the tax is due on
+   * @param {Object} transaction - Sequelize transaction (optional)
+   * @returns {Promise<Array>} - Candidate tax rules
+   */
+  async findCandidateRules(region, categoryIds, date, transaction) {
+    return TaxRule.findAll({
+      where: {
+        region: { [Op.or]: [null, ...this.getRegionHierarchy(region)] },
+        categoryId: { [Op.or]: [null, ...categoryIds.filter(Boolean)] },
+        effectiveFrom: { [Op.lte]: date },
+        [Op.or]: [
+          { effectiveTo: null },
+          { effectiveTo: { [Op.gt]: date } }
+        ]
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Parent categories of each category, closest first
+   * Categories are loaded a level at a time, a loop in the tree ends the walk
+   * @param {Array} categoryIds - Category IDs of the lines
+   * @param {Object} transaction - Sequelize transaction (optional)
+   * @returns {Promise<Map>} - Ancestor IDs per category ID
+   */
+  async getCategoryAncestors(categoryIds, transaction) {
+    const ids = [...new Set(categoryIds.filter(Boolean))];
+    const parents = new Map();
+    let pending = ids;
+
+    while (pending.length > 0) {
+      const categories = await Category.findAll({
+        where: { id: pending },
+        attributes: ['id', 'parentId'],
+        raw: true,
+        transaction
+      });
+
+      categories.forEach(category => parents.set(category.id, category.parentId));
+      pending = [...new Set(categories.map(category => category.parentId))]
+        .filter(parentId => parentId && !parents.has(parentId));
+    }
+
+    return new Map(ids.map(id => {
+      const ancestors = [];
+      const visited = new Set([id]);
+
+      for (let parentId = parents.get(id); parentId && !visited.has(parentId); parentId = parents.get(parentId)) {
+        visited.add(parentId);
+        ancestors.push(parentId);
+      }
+
+      return [id, ancestors];
+    }));
+  }
+
+  /**
+   * Pick the rule for a line
+   * A category rule overrides the general rule, the rule of the category itself winning over the
+   * rules of its parents and the closest parent over those further up. Then the most specific
+   * region wins, then the most recent rule
+   * @param {Array} rules - Candidate rules
+   * @param {string} region - Region code
+   * @param {number} categoryId - Category of the line
+   * @param {Array} ancestors - Parent categories of the line's category, closest first
+   * @returns {Object|null} - Tax rule, or null when the line is not taxed
+   */
+  selectRule(rules, region, categoryId, ancestors = []) {
+    const regions = this.getRegionHierarchy(region);
+    const categories = [categoryId, ...ancestors];
+    const regionRank = rule => (rule.region === null ? regions.length : regions.indexOf(rule.region));
+    const categoryRank = rule => (rule.categoryId === null ? categories.length : categories.indexOf(rule.categoryId));
+
+    const applicable = rules.filter(rule =>
+      (rule.categoryId === null || categories.includes(rule.categoryId)) &&
+      (rule.region === null || regions.includes(rule.region))
+    );
+
+    applicable.sort((a, b) =>
+      categoryRank(a) - categoryRank(b) ||
+      regionRank(a) - regionRank(b) ||
+      new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
+    );
+
+    return applicable[0] || null;
+  }
+
+  /**
+   * Tax on a line total under a rule
+   * @param {number} lineTotal - Line total after discounts
+   * @param {Object} rule - Tax rule (or null)
+   * @returns {Object} - taxRate, taxInclusive and taxAmount
+   */
+  calculateLineTax(lineTotal, rule) {
+    if (!rule) {
+      return { taxRate: 0, taxInclusive: false, taxAmount: 0 };
+    }
+
+    const rate = Number(rule.rate);
+    const taxAmount = rule.inclusive
+      ? lineTotal * rate / (100 + rate)
+      : lineTotal * rate / 100;
+
+    return {
+      taxRate: rate,
+      taxInclusive: rule.inclusive,
+      taxAmount: roundPrice(taxAmount)
+    };
+  }
+
+  /**
+   * Add taxes to priced lines
+   * @param {Array} lines - Lines with lineTotal and categoryId
+   * @param {Object} options - { region, date, transaction }
+   * @returns {Promise<Object>} - { lines, taxTotal, exclusiveTaxTotal, breakdown }
+   */
+  async applyTaxes(lines, { region, date = new Date(), transaction } = {}) {
+    const taxRegion = region ? region.toUpperCase() : this.getDefaultRegion();
+    const ancestors = await this.getCategoryAncestors(lines.map(line => line.categoryId), transaction);
+    const categoryIds = [...ancestors].flatMap(([categoryId, parentIds]) => [categoryId, ...parentIds]);
+    const rules = await this.findCandidateRules(taxRegion, categoryIds, date, transaction);
+    const breakdown = new Map();
+
+    const taxedLines = lines.map(line => {
+      const rule = this.selectRule(rules, taxRegion, line.categoryId, ancestors.get(line.categoryId));
+      const tax = this.calculateLineTax(line.lineTotal, rule);
+
+      if (rule) {
+        const entry = breakdown.get(rule.id) || {
+          taxRuleId: rule.id,
+          name: rule.name,
+          rate: tax.taxRate,
+          inclusive: rule.inclusive,
+          taxableAmount: 0,
+          taxAmount: 0
+        };
+
+        entry.taxableAmount = roundPrice(entry.taxableAmount + line.lineTotal - (rule.inclusive ? tax.taxAmount : 0));
+        entry.taxAmount = roundPrice(entry.taxAmount + tax.taxAmount);
+        breakdown.set(rule.id, entry);
+      }
+
+      return { ...line, ...tax };
+    });
+
+    return {
+      lines: taxedLines,
+      taxTotal: roundPrice(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+      exclusiveTaxTotal: roundPrice(taxedLines
+        .filter(line => !line.taxInclusive)
+        .reduce((sum, line) => sum + line.taxAmount, 0)),
+      breakdown: [...breakdown.values()]
+    };
+  }
+
+  /**
+   * List tax rules
+   * @param {Object} filters - region, categoryId, activeOn
+   * @returns {Promise<Array>} - Tax rules
+   */
+  async getRules({ region, categoryId, activeOn } = {}) {
+    const where = {};
+
+    if (region) {
+      where.region = region.toUpperCase();
+    }
+
+    if (categoryId) {
+      where.categoryId = categoryId;
+    }
+
+    if (activeOn) {
+      where.effectiveFrom = { [Op.lte]: activeOn };
+      where[Op.or] = [
+        { effectiveTo: null },
+        { effectiveTo: { [Op.gt]: activeOn } }
+      ];
+    }
+
+    return TaxRule.findAll({
+      where,
+      include: [{ model: Category, attributes: ['id', 'name'] }],
+      order: [['region', 'ASC'], ['categoryId', 'ASC'], ['effectiveFrom', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a tax rule by ID
+   * @param {number} ruleId - Tax rule ID
+   * @returns {Promise<Object>} - Tax rule
+   */
+  async getRuleById(ruleId) {
+    const rule = await TaxRule.findByPk(ruleId, {
+      include: [{ model: Category, attributes: ['id', 'name'] }]
+    });
+
+    if (!rule) {
+      throw ApiError.notFound('Tax rule not found');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Create a tax rule
+   * @param {Object} data - Tax rule fields
+   * @returns {Promise<Object>} - Created tax rule
+   */
+  async createRule(data) {
+    await this.assertCategoryExists(data.categoryId);
+
+    const rule = await TaxRule.create(data);
+
+    return this.getRuleById(rule.id);
+  }
+
+  /**
+   * Update a tax rule
+   * Orders keep the rate they were placed with, so changes only affect new carts and orders
+   * @param {number} ruleId - Tax rule ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated tax rule
+   */
+  async updateRule(ruleId, data) {
+    const rule = await this.getRuleById(ruleId);
+
+    await this.assertCategoryExists(data.categoryId);
+    await rule.update(data);
+
+    return this.getRuleById(rule.id);
+  }
+
+  /**
+   * Delete a tax rule
+   * @param {number} ruleId - Tax rule ID
+   */
+  async deleteRule(ruleId) {
+    const rule = await this.getRuleById(ruleId);
+    await rule.destroy();
+  }
+
+  /**
+   * Throw if a category override points to a missing category
+   * @param {number} categoryId - Category ID (optional)
+   */
+  async assertCategoryExists(categoryId) {
+    if (categoryId && !(await Category.findByPk(categoryId))) {
+      throw ApiError.badRequest(`Category ${categoryId} not found`);
+    }
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,582 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const StockTransfer = require('../models/stockTransfer');
+const StockTransferItem = require('../models/stockTransferItem');
+const Inventory = require('../models/inventory');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Warehouse = require('../models/warehouse');
+const User = require('../models/user');
+const InventoryService = require('./inventoryService');
+const SerialService = require('./serialService');
+const transferStateMachine = require('../utils/transferStateMachine');
+const { ApiError } = require('../utils/errorHandler');
+
+const warehouseAttributes = ['id', 'code', 'name', 'isActive'];
+
+// Built per query, the same include object cannot appear twice in one query
+const transferIncludes = () => [
+  {
+    model: StockTransferItem,
+    as: 'items',
+    include: [
+      { model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'userId'] },
+      {
+        model: Variant,
+        as: 'variant',
+        attributes: ['id', 'name', 'sku'],
+        include: [{ model: Product, attributes: ['id', 'userId'] }]
+      }
+    ]
+  },
+  { model: Warehouse, as: 'fromWarehouse', attributes: warehouseAttributes },
+  { model: Warehouse, as: 'toWarehouse', attributes: warehouseAttributes },
+  { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+/**
+ * Transfer Service
+ * Moves stock between warehouses. Dispatching takes the stock out of the source warehouse and
+ * receiving books it into the destination, so goods in transit are held by the transfer itself
+ */
+class TransferService {
+  /**
+   * Get a transfer by ID
+   * @param {number} transferId - Transfer ID
+   * @param {Object} options - Extra query options (transaction, lock)
+   * @returns {Promise<Object>} - Transfer with items and warehouses
+   */
+  async getTransferById(transferId, options = {}) {
+    const transfer = await StockTransfer.findByPk(transferId, {
+      include: transferIncludes(),
+      order: [[{ model: StockTransferItem, as: 'items' }, 'id', 'ASC']],
+      ...options
+    });
+
+    if (!transfer) {
+      throw ApiError.notFound('Transfer not found');
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Get a transfer after checking the user may see it
+   * @param {number} transferId - Transfer ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Transfer with items and warehouses
+   */
+  async getTransferDetails(transferId, user) {
+    const transfer = await this.getTransferById(transferId);
+    this.assertAccess(transfer, user);
+
+    return transfer;
+  }
+
+  /**
+   * Throw if a user may not see or work on a transfer
+   * Sellers only handle the transfers they drafted, admins all of them
+   * @param {Object} transfer - Transfer instance
+   * @param {Object} user - Authenticated user
+   */
+  assertAccess(transfer, user) {
+    if (user.role !== 'admin' && transfer.createdBy !== user.id) {
+      throw ApiError.forbidden('Not authorized to access this transfer');
+    }
+  }
+
+  /**
+   * List transfers visible to a user
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - Pagination, status and warehouse filters
+   * @returns {Promise<Object>} - { count, transfers }
+   */
+  async getTransfers(user, options = {}) {
+    const { page = 1, limit = 10, status, fromWarehouseId, toWarehouseId } = options;
+    const where = {};
+
+    if (user.role !== 'admin') {
+      where.createdBy = user.id;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (fromWarehouseId) {
+      where.fromWarehouseId = fromWarehouseId;
+    }
+
+    if (toWarehouseId) {
+      where.toWarehouseId = toWarehouseId;
+    }
+
+    const { count, rows } = await StockTransfer.findAndCountAll({
+      where,
+      include: transferIncludes(),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return { count, transfers: rows };
+  }
+
+  /**
+   * Draft a transfer
+   * @param {Object} user - Seller or admin drafting the transfer
+   * @param {Object} data - { fromWarehouseId, toWarehouseId, notes, items: [{ productId | variantId, quantity }] }
+   * @returns {Promise<Object>} - Created transfer
+   */
+  async createTransfer(user, { fromWarehouseId = null, toWarehouseId = null, notes, items }) {
+    const transaction = await sequelize.transaction();
+    let transfer;
+
+    try {
+      await this.assertRoute(fromWarehouseId, toWarehouseId, transaction);
+      const lines = await this.buildTransferLines(user, items, transaction);
+
+      transfer = await StockTransfer.create({
+        fromWarehouseId,
+        toWarehouseId,
+        notes: notes || null,
+        createdBy: user.id
+      }, { transaction });
+
+      await StockTransferItem.bulkCreate(
+        lines.map(line => ({ ...line, transferId: transfer.id })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getTransferById(transfer.id);
+  }
+
+  /**
+   * Change a draft transfer
+   * Items, when sent, replace all lines of the draft
+   * @param {number} transferId - Transfer ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @param {Object} data - fromWarehouseId, toWarehouseId, notes and items, all optional
+   * @returns {Promise<Object>} - Updated transfer
+   */
+  async updateTransfer(transferId, user, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const transfer = await this.getTransferById(transferId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(transfer, user);
+
+      if (transfer.status !== 'draft') {
+        throw ApiError.badRequest(`Cannot change a transfer that is ${transfer.status}`);
+      }
+
+      const changes = {};
+
+      ['fromWarehouseId', 'toWarehouseId', 'notes'].forEach(field => {
+        if (data[field] !== undefined) {
+          changes[field] = data[field];
+        }
+      });
+
+      await this.assertRoute(
+        changes.fromWarehouseId !== undefined ? changes.fromWarehouseId : transfer.fromWarehouseId,
+        changes.toWarehouseId !== undefined ? changes.toWarehouseId : transfer.toWarehouseId,
+        transaction
+      );
+
+      if (data.items) {
+        const lines = await this.buildTransferLines(user, data.items, transaction);
+
+        await StockTransferItem.destroy({ where: { transferId: transfer.id }, transaction });
+        await StockTransferItem.bulkCreate(
+          lines.map(line => ({ ...line, transferId: transfer.id })),
+          { transaction }
+        );
+      }
+
+      await transfer.update(changes, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getTransferById(transferId);
+  }
+
+  /**
+   * Throw if stock cannot be moved between two warehouses
+   * @param {number|null} fromWarehouseId - Source warehouse, null for stock not assigned to a warehouse
+   * @param {number|null} toWarehouseId - Destination warehouse, null for stock not assigned to a warehouse
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertRoute(fromWarehouseId, toWarehouseId, transaction) {
+    if ((fromWarehouseId || null) === (toWarehouseId || null)) {
+      throw ApiError.badRequest('The source and destination of a transfer must be different');
+    }
+
+    if (fromWarehouseId && !(await Warehouse.findByPk(fromWarehouseId, { transaction }))) {
+      throw ApiError.badRequest('Source warehouse not found');
+    }
+
+    if (toWarehouseId) {
+      const destination = await Warehouse.findByPk(toWarehouseId, { transaction });
+
+      if (!destination) {
+        throw ApiError.badRequest('Destination warehouse not found');
+      }
+
+      if (!destination.isActive) {
+        throw ApiError.badRequest(`Stock cannot be sent to ${destination.code}, the warehouse is inactive`);
+      }
+    }
+  }
+
+  /**
+   * Match requested items to products and variants the user may move
+   * @param {Object} user - Seller or admin
+   * @param {Array} items - [{ productId | variantId, quantity }]
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - Lines with productId, variantId, sku and quantity
+   */
+  async buildTransferLines(user, items, transaction) {
+    const seen = new Set();
+    const lines = [];
+
+    for (const item of items) {
+      const key = item.variantId ? `variant:${item.variantId}` : `product:${item.productId}`;
+
+      if (seen.has(key)) {
+        throw ApiError.badRequest(`${item.variantId ? 'Variant' : 'Product'} ${item.variantId || item.productId} is listed more than once`);
+      }
+
+      seen.add(key);
+
+      let owner;
+      let line;
+
+      if (item.variantId) {
+        const variant = await Variant.findByPk(item.variantId, { include: [{ model: Product }], transaction });
+
+        if (!variant) {
+          throw ApiError.badRequest(`Variant ${item.variantId} not found`);
+        }
+
+        owner = variant.Product.userId;
+        line = { productId: null, variantId: variant.id, sku: variant.sku };
+      } else {
+        const product = await Product.findByPk(item.productId, { transaction });
+
+        if (!product) {
+          throw ApiError.badRequest(`Product ${item.productId} not found`);
+        }
+
+        owner = product.userId;
+        line = { productId: product.id, variantId: null, sku: product.sku };
+      }
+
+      if (user.role !== 'admin' && owner !== user.id) {
+        throw ApiError.forbidden(`Not authorized to move stock of ${line.sku}`);
+      }
+
+      lines.push({ ...line, quantity: item.quantity });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Where clause for the inventory record of a transfer line in a warehouse
+   * @param {Object} item - Transfer item
+   * @param {number|null} warehouseId - Warehouse ID
+   * @returns {Object} - Where clause
+   */
+  stockWhere(item, warehouseId) {
+    return item.variantId
+      ? { variantId: item.variantId, productId: null, warehouseId }
+      : { productId: item.productId, variantId: null, warehouseId };
+  }
+
+  /**
+   * Send a draft transfer
+   * The units leave the source warehouse now and stay in transit until they are received
+   * @param {number} transferId - Transfer ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @returns {Promise<Object>} - Updated transfer
+   */
+  async dispatchTransfer(transferId, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const transfer = await this.getTransferById(transferId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(transfer, user);
+      transferStateMachine.assert(transfer.status, 'in_transit');
+
+      // The destination may have been deactivated since the draft was made
+      await this.assertRoute(transfer.fromWarehouseId, transfer.toWarehouseId, transaction);
+
+      const destination = transfer.toWarehouse ? transfer.toWarehouse.code : 'unassigned stock';
+
+      for (const item of transfer.items) {
+        const inventory = await Inventory.findOne({
+          where: this.stockWhere(item, transfer.fromWarehouseId),
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        const available = InventoryService.getAvailableQuantity(inventory);
+
+        if (available < item.quantity) {
+          throw ApiError.badRequest(`Only ${available} unit(s) of ${item.sku} are available at the source`);
+        }
+
+        const movement = { actor: user, reference: `transfer:${transfer.id}`, notes: `Sent to ${destination}` };
+
+        // Serialized units travel by serial number, the ones received first are sent
+        if (await InventoryService.isSerialized(item, transaction)) {
+          await SerialService.dispatchSerials(inventory, item, movement, transaction);
+        } else {
+          await InventoryService.recordMovement(inventory, -item.quantity, { ...movement, type: 'transfer' }, transaction);
+        }
+
+        await item.update({ fromInventoryId: inventory.id }, { transaction });
+      }
+
+      await transfer.update({
+        status: 'in_transit',
+        dispatchedBy: user.id,
+        dispatchedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getTransferById(transferId);
+  }
+
+  /**
+   * Book units of a transfer in at the destination
+   * Without items everything still in transit is received. A transfer stays partially received
+   * until every unit arrived, or until it is closed, which records the missing units as discrepancies
+   * @param {number} transferId - Transfer ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @param {Object} data - { items: [{ transferItemId, quantity, serialNumbers, notes }], close }
+   * @returns {Promise<Object>} - Updated transfer
+   */
+  async receiveTransfer(transferId, user, { items, close = false } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const transfer = await this.getTransferById(transferId, { transaction, lock: transaction.LOCK.UPDATE });
+      this.assertAccess(transfer, user);
+
+      if (!['in_transit', 'partially_received'].includes(transfer.status)) {
+        throw ApiError.badRequest(`Cannot receive a transfer that is ${transfer.status}`);
+      }
+
+      const receipts = items || transfer.items.map(item => ({
+        transferItemId: item.id,
+        quantity: item.quantity - item.quantityReceived
+      }));
+
+      const receivedIds = new Set();
+
+      for (const receipt of receipts) {
+        const item = transfer.items.find(line => line.id === receipt.transferItemId);
+
+        if (!item) {
+          throw ApiError.badRequest(`Transfer item ${receipt.transferItemId} is not part of this transfer`);
+        }
+
+        if (receivedIds.has(item.id)) {
+          throw ApiError.badRequest(`Transfer item ${item.id} is listed more than once`);
+        }
+
+        receivedIds.add(item.id);
+        await this.receiveItem(transfer, item, receipt, user, transaction);
+      }
+
+      const inTransit = transfer.items.reduce((sum, item) => sum + item.quantity - item.quantityReceived, 0);
+      const status = inTransit === 0 || close ? 'received' : 'partially_received';
+
+      transferStateMachine.assert(transfer.status, status);
+
+      if (status === 'received') {
+        for (const item of transfer.items) {
+          await item.update({ discrepancyQuantity: item.quantity - item.quantityReceived }, { transaction });
+
+          if (item.discrepancyQuantity > 0) {
+            await SerialService.markMissing(item, { actor: user, reference: `transfer:${transfer.id}` }, transaction);
+          }
+        }
+      }
+
+      await transfer.update({
+        status,
+        receivedBy: user.id,
+        receivedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getTransferById(transferId);
+  }
+
+  /**
+   * Book one receipt line into the destination inventory record, creating it when needed
+   * @param {Object} transfer - Locked transfer
+   * @param {Object} item - Transfer item
+   * @param {Object} receipt - { quantity, serialNumbers, notes }, serialNumbers of serialized units only
+   * @param {Object} user - User booking the receipt
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async receiveItem(transfer, item, { quantity, serialNumbers, notes }, user, transaction) {
+    const inTransit = item.quantity - item.quantityReceived;
+
+    if (quantity > inTransit) {
+      throw ApiError.badRequest(`Only ${inTransit} unit(s) of ${item.sku} are still in transit`);
+    }
+
+    if (quantity > 0) {
+      let inventory = await Inventory.findOne({
+        where: this.stockWhere(item, transfer.toWarehouseId),
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!inventory) {
+        // Use the current SKU, the product may have been renamed since the transfer was drafted
+        const sku = item.variant ? item.variant.sku : (item.product ? item.product.sku : item.sku);
+
+        inventory = await InventoryService.createInventory({
+          ...this.stockWhere(item, transfer.toWarehouseId),
+          sku
+        }, {}, transaction);
+      }
+
+      const movement = {
+        actor: user,
+        reference: `transfer:${transfer.id}`,
+        notes: `Received from ${transfer.fromWarehouse ? transfer.fromWarehouse.code : 'unassigned stock'}`
+      };
+
+      if (await InventoryService.isSerialized(item, transaction)) {
+        await SerialService.receiveTransferredSerials(inventory, item, quantity, serialNumbers, movement, transaction);
+      } else {
+        await InventoryService.recordMovement(inventory, quantity, { ...movement, type: 'transfer' }, transaction);
+      }
+
+      await item.update({
+        quantityReceived: item.quantityReceived + quantity,
+        toInventoryId: inventory.id
+      }, { transaction });
+    }
+
+    if (notes !== undefined) {
+      await item.update({ notes }, { transaction });
+    }
+  }
+
+  /**
+   * Cancel a draft transfer
+   * @param {number} transferId - Transfer ID
+   * @param {Object} user - Seller who drafted it or admin
+   * @returns {Promise<Object>} - Updated transfer
+   */
+  async cancelTransfer(transferId, user) {
+    const transfer = await this.getTransferById(transferId);
+    this.assertAccess(transfer, user);
+    transferStateMachine.assert(transfer.status, 'cancelled');
+
+    await transfer.update({ status: 'cancelled' });
+
+    return transfer;
+  }
+
+  /**
+   * Lines of received transfers where fewer units arrived than were sent
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - fromWarehouseId, toWarehouseId, from and to (receipt dates)
+   * @returns {Promise<Object>} - { lines, totalMissing }
+   */
+  async getDiscrepancyReport(user, { fromWarehouseId, toWarehouseId, from, to } = {}) {
+    const where = { status: 'received' };
+
+    if (user.role !== 'admin') {
+      where.createdBy = user.id;
+    }
+
+    if (fromWarehouseId) {
+      where.fromWarehouseId = fromWarehouseId;
+    }
+
+    if (toWarehouseId) {
+      where.toWarehouseId = toWarehouseId;
+    }
+
+    if (from || to) {
+      where.receivedAt = {};
+
+      if (from) {
+        where.receivedAt[Op.gte] = new Date(from);
+      }
+
+      if (to) {
+        where.receivedAt[Op.lte] = new Date(to);
+      }
+    }
+
+    const items = await StockTransferItem.findAll({
+      where: { discrepancyQuantity: { [Op.gt]: 0 } },
+      include: [
+        {
+          model: StockTransfer,
+          as: 'transfer',
+          where,
+          attributes: ['id', 'fromWarehouseId', 'toWarehouseId', 'dispatchedAt', 'receivedAt'],
+          include: [
+            { model: Warehouse, as: 'fromWarehouse', attributes: ['id', 'code', 'name'] },
+            { model: Warehouse, as: 'toWarehouse', attributes: ['id', 'code', 'name'] }
+          ]
+        }
+      ],
+      order: [[{ model: StockTransfer, as: 'transfer' }, 'receivedAt', 'DESC'], ['id', 'ASC']]
+    });
+
+    const lines = items.map(item => ({
+      transferId: item.transferId,
+      transferItemId: item.id,
+      sku: item.sku,
+      productId: item.productId,
+      variantId: item.variantId,
+      fromWarehouse: item.transfer.fromWarehouse,
+      toWarehouse: item.transfer.toWarehouse,
+      quantitySent: item.quantity,
+      quantityReceived: item.quantityReceived,
+      quantityMissing: item.discrepancyQuantity,
+      notes: item.notes,
+      dispatchedAt: item.transfer.dispatchedAt,
+      receivedAt: item.transfer.receivedAt
+    }));
+
+    return {
+      lines,
+      totalMissing: lines.reduce((sum, line) => sum + line.quantityMissing, 0)
+    };
+  }
+}
+
+module.exports = new TransferService();
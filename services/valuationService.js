@@ -0,0 +1,373 @@
+const { Op } = require('sequelize');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/stockMovement');
+const Product = require('../models/product');
+const Variant = require('../models/variant');
+const Category = require('../models/category');
+const Warehouse = require('../models/warehouse');
+const { roundPrice } = require('../utils/helpers');
+
+/**
+ * Valuation Service
+ * Values stock by replaying the stock movement ledger. Units bought in carry the unitCost of their
+ * movement. Units coming in without one (returns, transfers, counts) take the cost of the units they
+ * replace, so that the ledger alone is enough to value any record at any date
+ */
+class ValuationService {
+  /**
+   * Start the cost state of an inventory record
+   * @returns {Object} - Units, value and the FIFO cost layers on hand
+   */
+  createState() {
+    return { quantity: 0, value: 0, layers: [] };
+  }
+
+  /**
+   * Average cost of the units on hand
+   * @param {Object} state - Cost state
+   * @returns {number|null} - Cost per unit, null without stock
+   */
+  averageCost(state) {
+    return state.quantity > 0 ? state.value / state.quantity : null;
+  }
+
+  /**
+   * Add units to a cost state
+   * @param {Object} state - Cost state
+   * @param {number} quantity - Units received
+   * @param {number} unitCost - Cost per unit
+   */
+  receive(state, quantity, unitCost) {
+    state.layers.push({ quantity, unitCost });
+    state.quantity += quantity;
+    state.value += quantity * unitCost;
+  }
+
+  /**
+   * Take units out of a cost state
+   * FIFO takes the oldest layers first, weighted average takes the average cost of the units on hand
+   * @param {Object} state - Cost state
+   * @param {number} quantity - Units leaving
+   * @param {string} method - fifo or weighted_average
+   * @returns {number} - Cost of the units taken
+   */
+  issue(state, quantity, method) {
+    let cost = 0;
+
+    if (method === 'fifo') {
+      let remaining = quantity;
+
+      while (remaining > 0 && state.layers.length > 0) {
+        const layer = state.layers[0];
+        const taken = Math.min(layer.quantity, remaining);
+
+        cost += taken * layer.unitCost;
+        layer.quantity -= taken;
+        remaining -= taken;
+
+        if (layer.quantity === 0) {
+          state.layers.shift();
+        }
+      }
+    } else if (state.quantity > 0) {
+      cost = Math.min(quantity, state.quantity) * (state.value / state.quantity);
+    }
+
+    state.quantity = Math.max(state.quantity - quantity, 0);
+    state.value = state.quantity > 0 ? state.value - cost : 0;
+
+    if (state.quantity === 0) {
+      state.layers = [];
+    }
+
+    return cost;
+  }
+
+  /**
+   * Replay stock movements and value every inventory record they touch
+   * Cost of goods sold is the cost of the sales in the period less the cost of the units returned
+   * @param {Array} movements - Movements with inventoryId, skuKey, type, delta, unitCost, reference and createdAt, oldest first
+   * @param {string} method - fifo or weighted_average
+   * @param {Object} period - from and to as Date, the period of the cost of goods sold
+   * @returns {Map} - Per inventory ID: opening and closing quantity and value, cogs, unitsSold and uncostedUnits
+   */
+  replay(movements, method, { from, to }) {
+    const records = new Map();
+    const lastCosts = new Map();
+    const transferCosts = new Map();
+
+    for (const movement of movements) {
+      const createdAt = new Date(movement.createdAt);
+
+      if (createdAt > to) {
+        break;
+      }
+
+      if (!records.has(movement.inventoryId)) {
+        records.set(movement.inventoryId, {
+          state: this.createState(),
+          opening: null,
+          cogs: 0,
+          unitsSold: 0,
+          uncostedUnits: 0
+        });
+      }
+
+      const record = records.get(movement.inventoryId);
+      const inPeriod = createdAt >= from;
+      const transferKey = movement.type === 'transfer' && movement.reference
+        ? `${movement.reference}:${movement.skuKey}`
+        : null;
+
+      if (inPeriod && !record.opening) {
+        record.opening = { quantity: record.state.quantity, value: record.state.value };
+      }
+
+      if (movement.delta > 0) {
+        const candidates = [
+          movement.unitCost,
+          transferKey ? transferCosts.get(transferKey) : null,
+          this.averageCost(record.state),
+          lastCosts.get(movement.skuKey)
+        ];
+        let unitCost = candidates.find(cost => cost !== null && cost !== undefined);
+
+        if (unitCost === undefined) {
+          record.uncostedUnits += movement.delta;
+          unitCost = 0;
+        }
+
+        this.receive(record.state, movement.delta, unitCost);
+
+        if (movement.unitCost !== null && movement.unitCost !== undefined) {
+          lastCosts.set(movement.skuKey, movement.unitCost);
+        }
+
+        if (inPeriod && movement.type === 'return') {
+          record.cogs -= movement.delta * unitCost;
+          record.unitsSold -= movement.delta;
+        }
+      } else if (movement.delta < 0) {
+        const quantity = -movement.delta;
+        const cost = this.issue(record.state, quantity, method);
+
+        if (transferKey) {
+          transferCosts.set(transferKey, cost / quantity);
+        }
+
+        if (inPeriod && movement.type === 'sale') {
+          record.cogs += cost;
+          record.unitsSold += quantity;
+        }
+      }
+    }
+
+    const results = new Map();
+
+    for (const [inventoryId, record] of records) {
+      const closing = { quantity: record.state.quantity, value: record.state.value };
+
+      results.set(inventoryId, {
+        opening: record.opening || closing,
+        closing,
+        cogs: record.cogs,
+        unitsSold: record.unitsSold,
+        uncostedUnits: record.uncostedUnits
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Stock held before the ledger started, as movements to replay before the first one
+   * A record's first movement tells what it held before it, a record without movements still holds its quantity
+   * @param {Array} inventories - Inventory records with id and quantity
+   * @param {Array} movements - Their movements with inventoryId, delta and quantityAfter, oldest first
+   * @returns {Array} - Opening movements of the records that held stock, without a unit cost
+   */
+  getOpeningBalances(inventories, movements) {
+    const held = new Map();
+
+    for (const movement of movements) {
+      if (!held.has(movement.inventoryId)) {
+        held.set(movement.inventoryId, movement.quantityAfter - movement.delta);
+      }
+    }
+
+    return inventories
+      .map(inventory => ({
+        inventoryId: inventory.id,
+        quantity: held.has(inventory.id) ? held.get(inventory.id) : inventory.quantity
+      }))
+      .filter(({ quantity }) => quantity > 0)
+      .map(({ inventoryId, quantity }) => ({
+        inventoryId,
+        type: 'adjustment',
+        delta: quantity,
+        unitCost: null,
+        reference: null,
+        createdAt: new Date(0)
+      }));
+  }
+
+  /**
+   * Product, category and warehouse of an inventory record
+   * @param {Object} inventory - Inventory instance with Product, Variant and warehouse
+   * @returns {Object} - product, category and warehouse, null when missing
+   */
+  describe(inventory) {
+    const product = inventory.Product || (inventory.Variant && inventory.Variant.Product) || null;
+    const category = product && product.Category ? product.Category : null;
+
+    return {
+      product: product ? { id: product.id, name: product.name, sku: product.sku } : null,
+      category: category ? { id: category.id, name: category.name } : null,
+      warehouse: inventory.warehouse
+        ? { id: inventory.warehouse.id, code: inventory.warehouse.code, name: inventory.warehouse.name }
+        : null
+    };
+  }
+
+  /**
+   * Value the stock on hand and the cost of goods sold over a period
+   * Transfers are replayed across all warehouses, so the warehouse filter only limits the output
+   * @param {Object} options - method, groupBy, from and to (YYYY-MM-DD), warehouseId and categoryId
+   * @param {Object} user - Authenticated user, sellers only see their own products
+   * @returns {Promise<Object>} - summary and groups
+   */
+  async getValuation({ method = 'fifo', groupBy = 'product', from, to, warehouseId, categoryId }, user) {
+    const productInclude = () => ({
+      model: Product,
+      attributes: ['id', 'name', 'sku', 'userId', 'categoryId'],
+      include: [{ model: Category, attributes: ['id', 'name'] }]
+    });
+
+    const inventories = await Inventory.findAll({
+      attributes: ['id', 'productId', 'variantId', 'sku', 'warehouseId', 'quantity'],
+      include: [
+        productInclude(),
+        {
+          model: Variant,
+          attributes: ['id', 'productId'],
+          include: [productInclude()]
+        },
+        { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] }
+      ]
+    });
+
+    const inScope = inventories.filter(inventory => {
+      const product = inventory.Product || (inventory.Variant && inventory.Variant.Product);
+
+      if (!product) {
+        return false;
+      }
+
+      if (user && user.role === 'seller' && product.userId !== user.id) {
+        return false;
+      }
+
+      return !categoryId || product.categoryId === categoryId;
+    });
+
+    const skuKeys = new Map(inScope.map(inventory => [
+      inventory.id,
+      inventory.variantId ? `variant:${inventory.variantId}` : `product:${inventory.productId}`
+    ]));
+
+    const periodStart = new Date(`${from}T00:00:00.000Z`);
+    const periodEnd = new Date(`${to}T23:59:59.999Z`);
+
+    const movements = inScope.length === 0 ? [] : await StockMovement.findAll({
+      where: { inventoryId: { [Op.in]: [...skuKeys.keys()] } },
+      attributes: ['id', 'inventoryId', 'type', 'delta', 'quantityAfter', 'unitCost', 'reference', 'createdAt'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      raw: true
+    });
+
+    const openingBalances = this.getOpeningBalances(inScope, movements);
+
+    const valuations = this.replay(
+      [...openingBalances, ...movements].map(movement => ({
+        ...movement,
+        skuKey: skuKeys.get(movement.inventoryId),
+        unitCost: movement.unitCost === null ? null : parseFloat(movement.unitCost)
+      })),
+      method,
+      { from: periodStart, to: periodEnd }
+    );
+
+    const summary = {
+      method,
+      groupBy,
+      from,
+      to,
+      openingQuantity: 0,
+      openingValue: 0,
+      quantity: 0,
+      value: 0,
+      unitsSold: 0,
+      cogs: 0,
+      uncostedUnits: 0
+    };
+    const groups = new Map();
+
+    for (const inventory of inScope) {
+      if (warehouseId && inventory.warehouseId !== warehouseId) {
+        continue;
+      }
+
+      const valuation = valuations.get(inventory.id);
+
+      if (!valuation) {
+        continue;
+      }
+
+      const description = this.describe(inventory);
+      const subject = description[groupBy];
+      const key = subject ? subject.id : null;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          [groupBy]: subject,
+          openingQuantity: 0,
+          openingValue: 0,
+          quantity: 0,
+          value: 0,
+          unitsSold: 0,
+          cogs: 0,
+          uncostedUnits: 0
+        });
+      }
+
+      const group = groups.get(key);
+
+      for (const totals of [group, summary]) {
+        totals.openingQuantity += valuation.opening.quantity;
+        totals.openingValue += valuation.opening.value;
+        totals.quantity += valuation.closing.quantity;
+        totals.value += valuation.closing.value;
+        totals.unitsSold += valuation.unitsSold;
+        totals.cogs += valuation.cogs;
+        totals.uncostedUnits += valuation.uncostedUnits;
+      }
+    }
+
+    const round = totals => ({
+      ...totals,
+      openingValue: roundPrice(totals.openingValue),
+      value: roundPrice(totals.value),
+      averageUnitCost: totals.quantity > 0 ? roundPrice(totals.value / totals.quantity) : null,
+      cogs: roundPrice(totals.cogs)
+    });
+
+    return {
+      summary: round(summary),
+      groups: [...groups.values()]
+        .map(round)
+        .sort((a, b) => b.value - a.value)
+    };
+  }
+}
+
+module.exports = new ValuationService();
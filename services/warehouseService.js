@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const Warehouse = require('../models/warehouse');
+const Inventory = require('../models/inventory');
+const StockTransfer = require('../models/stockTransfer');
+const InventoryService = require('./inventoryService');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * Warehouse Service
+ * Manages warehouses and decides which of them fulfils an order line
+ */
+class WarehouseService {
+  /**
+   * How close the stock of an inventory row is to a shipping region
+   * @param {Object} inventory - Inventory instance with its warehouse
+   * @param {string} region - Shipping region
+   * @returns {number} - 0 same region, 1 same country, 2 elsewhere, 3 not in a warehouse
+   */
+  getRegionRank(inventory, region) {
+    if (!inventory.warehouse) {
+      return 3;
+    }
+
+    const warehouseRegion = inventory.warehouse.region;
+
+    if (!warehouseRegion || !region) {
+      return 2;
+    }
+
+    if (warehouseRegion === region) {
+      return 0;
+    }
+
+    return warehouseRegion.split('-')[0] === region.split('-')[0] ? 1 : 2;
+  }
+
+  /**
+   * Sort the sellable rows of a product or variant in the order they should be shipped from
+   * Closest to the shipping region first, then by warehouse priority, then by warehouse ID
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @param {string} region - Shipping region
+   * @param {boolean} withStockOnly - Leave out rows without stock available, false to rank rows that take backorders
+   * @returns {Array} - Rows with stock available, best candidate first
+   */
+  rankStockRows(inventories, region, withStockOnly = true) {
+    const priority = inventory => (inventory.warehouse ? inventory.warehouse.priority : 0);
+
+    return inventories
+      .filter(inventory => InventoryService.isSellable(inventory)
+        && (!withStockOnly || InventoryService.getAvailableQuantity(inventory) > 0))
+      .sort((a, b) => (this.getRegionRank(a, region) - this.getRegionRank(b, region))
+        || (priority(a) - priority(b))
+        || ((a.warehouseId || 0) - (b.warehouseId || 0)));
+  }
+
+  /**
+   * Choose the warehouses that fulfil an order line
+   * The best ranked warehouse that can ship the whole line is used. When no single warehouse has
+   * enough stock the line is split over the warehouses in rank order
+   * @param {Array} inventories - Inventory instances with their warehouse
+   * @param {number} quantity - Ordered quantity
+   * @param {string} region - Shipping region
+   * @returns {Array|null} - { inventory, quantity } per warehouse, or null when there is not enough stock
+   */
+  allocate(inventories, quantity, region) {
+    const candidates = this.rankStockRows(inventories, region);
+    const single = candidates.find(inventory => InventoryService.getAvailableQuantity(inventory) >= quantity);
+
+    if (single) {
+      return [{ inventory: single, quantity }];
+    }
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const inventory of candidates) {
+      if (remaining === 0) {
+        break;
+      }
+
+      const taken = Math.min(InventoryService.getAvailableQuantity(inventory), remaining);
+
+      allocations.push({ inventory, quantity: taken });
+      remaining -= taken;
+    }
+
+    return remaining === 0 ? allocations : null;
+  }
+
+  /**
+   * List warehouses
+   * @param {Object} filters - isActive
+   * @returns {Promise<Array>} - Warehouses by priority
+   */
+  async getWarehouses({ isActive } = {}) {
+    return Warehouse.findAll({
+      where: isActive !== undefined ? { isActive } : {},
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a warehouse by ID
+   * @param {number} warehouseId - Warehouse ID
+   * @returns {Promise<Object>} - Warehouse
+   */
+  async getWarehouseById(warehouseId) {
+    const warehouse = await Warehouse.findByPk(warehouseId);
+
+    if (!warehouse) {
+      throw ApiError.notFound('Warehouse not found');
+    }
+
+    return warehouse;
+  }
+
+  /**
+   * Create a warehouse
+   * @param {Object} data - name, code, region, address, priority, isActive
+   * @returns {Promise<Object>} - Created warehouse
+   */
+  async createWarehouse(data) {
+    await this.assertCodeAvailable(data.code);
+
+    return Warehouse.create(data);
+  }
+
+  /**
+   * Update a warehouse
+   * Deactivating a warehouse takes its stock off sale without removing it
+   * @param {number} warehouseId - Warehouse ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated warehouse
+   */
+  async updateWarehouse(warehouseId, data) {
+    const warehouse = await this.getWarehouseById(warehouseId);
+
+    if (data.code) {
+      await this.assertCodeAvailable(data.code, warehouse.id);
+    }
+
+    return warehouse.update(data);
+  }
+
+  /**
+   * Delete a warehouse
+   * Warehouses that still have inventory records or appear on transfers cannot be deleted
+   * @param {number} warehouseId - Warehouse ID
+   */
+  async deleteWarehouse(warehouseId) {
+    const warehouse = await this.getWarehouseById(warehouseId);
+
+    if (await Inventory.count({ where: { warehouseId: warehouse.id } }) > 0) {
+      throw ApiError.conflict('Remove the inventory records of this warehouse first, or deactivate it instead');
+    }
+
+    const transfers = await StockTransfer.count({
+      where: { [Op.or]: [{ fromWarehouseId: warehouse.id }, { toWarehouseId: warehouse.id }] }
+    });
+
+    if (transfers > 0) {
+      throw ApiError.conflict('Stock was transferred to or from this warehouse, deactivate it instead');
+    }
+
+    await warehouse.destroy();
+  }
+
+  /**
+   * Throw if a warehouse code is taken
+   * @param {string} code - Warehouse code
+   * @param {number} exceptId - Warehouse being updated (optional)
+   */
+  async assertCodeAvailable(code, exceptId) {
+    const where = { code: String(code).trim().toUpperCase() };
+
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+
+    if (await Warehouse.count({ where }) > 0) {
+      throw ApiError.conflict(`A warehouse with code ${where.code} already exists`);
+    }
+  }
+}
+
+module.exports = new WarehouseService();
@@ -0,0 +1,21 @@
+describe('App', () => {
+  const { MOCK_PAYMENT_WEBHOOK_SECRET } = process.env;
+
+  afterEach(() => {
+    if (MOCK_PAYMENT_WEBHOOK_SECRET !== undefined) {
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = MOCK_PAYMENT_WEBHOOK_SECRET;
+    }
+  });
+
+  it('should load without MOCK_PAYMENT_WEBHOOK_SECRET, as a setup from .env.example does', () => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    jest.isolateModules(() => {
+      const app = require('../app');
+      const PaymentService = require('../services/paymentService');
+
+      expect(typeof app).toBe('function');
+      expect(PaymentService.getProvider('mock').name).toBe('mock');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const imageController = require('../../controllers/imageController');
+const JobService = require('../../services/jobService');
+const Product = require('../../models/product');
+const Variant = require('../../models/variant');
+
+/**
+ * Response that records what was sent
+ */
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.location = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (params) => ({
+  params,
+  query: { async: true },
+  user: { id: 2, role: 'seller' },
+  files: [{ buffer: Buffer.from('image') }]
+});
+
+describe('Image Controller', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('async uploads', () => {
+    it('should answer 202 with the job that processes the images', async () => {
+      jest.spyOn(Product, 'findByPk').mockResolvedValue({ id: 4 });
+      const enqueue = jest.spyOn(JobService, 'enqueue').mockResolvedValue({ id: 'job-1' });
+      const res = response();
+      const next = jest.fn();
+
+      await imageController.uploadProductImages(request({ productId: '4' }), res, next);
+
+      expect(enqueue).toHaveBeenCalledWith('images.process', { productId: 4, variantId: null, count: 1 }, expect.objectContaining({
+        files: { 'image-0': expect.any(Buffer) }
+      }));
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.location).toHaveBeenCalledWith('/api/jobs/job-1');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass a failed enqueue of product images to the error handler', async () => {
+      const error = new Error('Connection refused');
+      jest.spyOn(Product, 'findByPk').mockResolvedValue({ id: 4 });
+      jest.spyOn(JobService, 'enqueue').mockRejectedValue(error);
+      const res = response();
+      const next = jest.fn();
+
+      await imageController.uploadProductImages(request({ productId: '4' }), res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should pass a failed enqueue of variant images to the error handler', async () => {
+      const error = new Error('Connection refused');
+      jest.spyOn(Variant, 'findByPk').mockResolvedValue({ id: 7, productId: 4 });
+      jest.spyOn(JobService, 'enqueue').mockRejectedValue(error);
+      const res = response();
+      const next = jest.fn();
+
+      await imageController.uploadVariantImages(request({ variantId: '7' }), res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const AvailabilityService = require('../../services/availabilityService');
+
+const stockRow = (quantity, reservedQuantity = 0, lowStockThreshold = 2, warehouse = null) => ({
+  warehouseId: warehouse ? warehouse.id : null,
+  warehouse,
+  quantity,
+  reservedQuantity,
+  lowStockThreshold
+});
+
+describe('Availability Service', () => {
+  const none = { policy: 'none', limit: null, availableAt: null };
+  const backorder = { policy: 'backorder', limit: 5, availableAt: null };
+  const preorder = { policy: 'preorder', limit: null, availableAt: '2030-06-01' };
+  const today = '2030-01-15';
+
+  describe('getSettings', () => {
+    it('should use the settings of the product when the variant has no policy', () => {
+      const product = { backorderPolicy: 'backorder', backorderLimit: 3, availableAt: null };
+
+      expect(AvailabilityService.getSettings(product, { backorderPolicy: null, backorderLimit: 9 }))
+        .toEqual({ policy: 'backorder', limit: 3, availableAt: null });
+      expect(AvailabilityService.getSettings(product, { backorderPolicy: 'none', backorderLimit: null }))
+        .toEqual({ policy: 'none', limit: null, availableAt: null });
+    });
+  });
+
+  describe('getBackorderCapacity', () => {
+    it('should take the units already sold ahead of stock off the limit', () => {
+      expect(AvailabilityService.getBackorderCapacity(backorder, [stockRow(2, 4), stockRow(1, 0)], today)).toBe(3);
+      expect(AvailabilityService.getBackorderCapacity(backorder, [stockRow(0, 7)], today)).toBe(0);
+      expect(AvailabilityService.getBackorderCapacity({ ...backorder, limit: null }, [stockRow(0, 7)], today)).toBe(Infinity);
+    });
+
+    it('should only take pre-orders before the release date', () => {
+      expect(AvailabilityService.getBackorderCapacity(preorder, [], today)).toBe(Infinity);
+      expect(AvailabilityService.getBackorderCapacity(preorder, [], '2030-06-01')).toBe(0);
+      expect(AvailabilityService.getBackorderCapacity(none, [], today)).toBe(0);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should compare the available stock with the low stock threshold', () => {
+      expect(AvailabilityService.getStatus(none, [stockRow(5, 1)], today)).toBe('in_stock');
+      expect(AvailabilityService.getStatus(none, [stockRow(5, 3)], today)).toBe('low_stock');
+      expect(AvailabilityService.getStatus(none, [stockRow(5, 5)], today)).toBe('out_of_stock');
+    });
+
+    it('should leave out stock in inactive warehouses', () => {
+      const closed = { id: 1, isActive: false };
+
+      expect(AvailabilityService.getStatus(none, [stockRow(50, 0, 2, closed)], today)).toBe('out_of_stock');
+    });
+
+    it('should show backorders once the stock runs out and until the limit is reached', () => {
+      expect(AvailabilityService.getStatus(backorder, [stockRow(5)], today)).toBe('in_stock');
+      expect(AvailabilityService.getStatus(backorder, [stockRow(0, 4)], today)).toBe('backorder');
+      expect(AvailabilityService.getStatus(backorder, [stockRow(0, 5)], today)).toBe('out_of_stock');
+    });
+
+    it('should show pre-orders until the release date', () => {
+      expect(AvailabilityService.getStatus(preorder, [stockRow(10)], today)).toBe('preorder');
+      expect(AvailabilityService.getStatus(preorder, [], today)).toBe('preorder');
+      expect(AvailabilityService.getStatus(preorder, [stockRow(10)], '2030-06-01')).toBe('in_stock');
+      expect(AvailabilityService.getStatus({ ...preorder, limit: 0 }, [], today)).toBe('out_of_stock');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const CacheService = require('../../services/cacheService');
+
+/**
+ * In-memory stand-in for the SCAN and DEL commands of a Redis client
+ */
+const fakeClient = keys => {
+  const store = new Set(keys);
+  const client = {
+    store,
+    deletes: [],
+    scanIterator: async function* ({ MATCH }) {
+      const prefix = MATCH.slice(0, -1);
+
+      for (const key of [...store]) {
+        if (key.startsWith(prefix)) {
+          yield key;
+        }
+      }
+    },
+    del: async batch => {
+      client.deletes.push(batch.length);
+      batch.forEach(key => store.delete(key));
+      return batch.length;
+    }
+  };
+
+  return client;
+};
+
+describe('Cache Service', () => {
+  describe('delByPrefix', () => {
+    const { redisEnabled, redisClient } = CacheService;
+
+    afterEach(() => {
+      CacheService.redisEnabled = redisEnabled;
+      CacheService.redisClient = redisClient;
+      CacheService.memoryCache.flushAll();
+    });
+
+    it('should delete the matching Redis keys in batches and keep the others', async () => {
+      const matching = Array.from({ length: 250 }, (value, index) => `fulltext:${index}`);
+      const client = fakeClient([...matching, 'trending:10', 'route:/api/products']);
+      CacheService.redisEnabled = true;
+      CacheService.redisClient = client;
+
+      expect(await CacheService.delByPrefix('fulltext:')).toBe(true);
+      expect([...client.store]).toEqual(['trending:10', 'route:/api/products']);
+      expect(client.deletes).toEqual([100, 100, 50]);
+    });
+
+    it('should delete the matching keys of the memory cache', async () => {
+      CacheService.redisEnabled = false;
+      CacheService.memoryCache.set('suggestions:sho', ['Shoe']);
+      CacheService.memoryCache.set('suggestions:hat', ['Hat']);
+      CacheService.memoryCache.set('trending:10', []);
+
+      await CacheService.delByPrefix('suggestions:');
+
+      expect(CacheService.memoryCache.keys()).toEqual(['trending:10']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const CartService = require('../../services/cartService');
+
+const product = {
+  id: 3,
+  sku: 'TEE',
+  name: 'T-Shirt',
+  basePrice: '20.00',
+  discountType: 'percentage',
+  discountValue: '10.00',
+  categoryId: 1,
+  imageUrls: ['/uploads/tee.jpg'],
+  isActive: true,
+  status: 'published',
+  backorderPolicy: 'none',
+  inventories: [{ quantity: 10, reservedQuantity: 2, quarantinedQuantity: 0, warehouseId: null }]
+};
+
+const variant = {
+  id: 7,
+  productId: 3,
+  sku: 'TEE-RED-M',
+  name: 'T-Shirt red M',
+  price: '24.99',
+  discountType: 'fixed',
+  discountValue: '5.00',
+  imageUrls: [],
+  isActive: true,
+  inventories: [{ quantity: 1, reservedQuantity: 0, quarantinedQuantity: 0, warehouseId: null }]
+};
+
+const cartItem = (fields) => ({ id: 1, productId: 3, variantId: null, quantity: 1, Product: product, Variant: null, ...fields });
+
+describe('Cart Service', () => {
+  describe('priceItem', () => {
+    it('should price a product with its discount', () => {
+      const line = CartService.priceItem(cartItem({ quantity: 3 }));
+
+      expect(line).toEqual(expect.objectContaining({
+        sku: 'TEE',
+        unitPrice: 20,
+        discountType: 'percentage',
+        discountValue: 10,
+        finalUnitPrice: 18,
+        lineTotal: 54,
+        availableQuantity: 8,
+        backorderedQuantity: 0,
+        isAvailable: true
+      }));
+    });
+
+    it('should price a variant with its own price and discount', () => {
+      const line = CartService.priceItem(cartItem({ variantId: 7, Variant: variant, quantity: 2 }));
+
+      expect(line).toEqual(expect.objectContaining({
+        sku: 'TEE-RED-M',
+        name: 'T-Shirt red M',
+        imageUrl: '/uploads/tee.jpg',
+        unitPrice: 24.99,
+        discountType: 'fixed',
+        finalUnitPrice: 19.99,
+        lineTotal: 39.98
+      }));
+    });
+
+    it('should round discounted prices to cents', () => {
+      const line = CartService.priceItem(cartItem({
+        quantity: 3,
+        Product: { ...product, basePrice: '9.99', discountType: 'percentage', discountValue: '15.00' }
+      }));
+
+      expect(line.finalUnitPrice).toBe(8.49);
+      expect(line.lineTotal).toBe(25.47);
+    });
+
+    it('should not let a fixed discount take the price below zero', () => {
+      const line = CartService.priceItem(cartItem({ Variant: { ...variant, discountValue: '30.00' }, variantId: 7 }));
+
+      expect(line.finalUnitPrice).toBe(0);
+    });
+
+    it('should mark lines beyond the stock or of unpublished products as unavailable', () => {
+      expect(CartService.priceItem(cartItem({ quantity: 9 })).isAvailable).toBe(false);
+      expect(CartService.priceItem(cartItem({ Product: { ...product, status: 'draft' } })).isAvailable).toBe(false);
+      expect(CartService.priceItem(cartItem({ Variant: { ...variant, isActive: false }, variantId: 7 })).isAvailable).toBe(false);
+    });
+  });
+
+  describe('calculateTotals', () => {
+    it('should add exclusive taxes and leave inclusive taxes in the prices', () => {
+      const totals = CartService.calculateTotals([
+        { quantity: 3, unitPrice: 20, lineTotal: 54, taxAmount: 5.4, taxInclusive: false },
+        { quantity: 2, unitPrice: 24.99, lineTotal: 39.98, taxAmount: 6.66, taxInclusive: true }
+      ]);
+
+      expect(totals).toEqual({
+        itemCount: 5,
+        subtotal: 109.98,
+        discountTotal: 16,
+        taxTotal: 12.06,
+        total: 99.38
+      });
+    });
+
+    it('should give zero totals for an empty cart', () => {
+      expect(CartService.calculateTotals([])).toEqual({ itemCount: 0, subtotal: 0, discountTotal: 0, taxTotal: 0, total: 0 });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const InventoryLot = require('../../models/inventoryLot');
+const StockMovement = require('../../models/stockMovement');
+const InventoryService = require('../../services/inventoryService');
+
+/**
+ * Locked inventory row, applying the increments and decrements it is given
+ */
+const buildInventory = (fields) => {
+  const inventory = { id: 1, sku: 'TEE', quantity: 10, reservedQuantity: 0, ...fields };
+  inventory.increment = jest.fn(async (field, { by }) => { inventory[field] += by; });
+  inventory.decrement = jest.fn(async (field, { by }) => { inventory[field] -= by; });
+  inventory.update = jest.fn(async (changes) => Object.assign(inventory, changes));
+  return inventory;
+};
+
+describe('Inventory Service', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reserveStock', () => {
+    it('should reserve the quantity without taking it from stock', async () => {
+      const inventory = buildInventory({ reservedQuantity: 3 });
+
+      await InventoryService.reserveStock(inventory, 4, transaction);
+
+      expect(inventory.reservedQuantity).toBe(7);
+      expect(inventory.quantity).toBe(10);
+      expect(InventoryService.getAvailableQuantity(inventory)).toBe(3);
+      expect(inventory.increment).toHaveBeenCalledWith('reservedQuantity', { by: 4, transaction });
+    });
+
+    it('should reject more than the available quantity', async () => {
+      const inventory = buildInventory({ reservedQuantity: 8 });
+
+      await expect(InventoryService.reserveStock(inventory, 3, transaction)).rejects.toThrow('Insufficient stock for TEE');
+      expect(inventory.increment).not.toHaveBeenCalled();
+    });
+
+    it('should reserve backordered units beyond the stock on hand', async () => {
+      const inventory = buildInventory({ reservedQuantity: 8 });
+
+      await InventoryService.reserveStock(inventory, 5, transaction, 3);
+
+      expect(inventory.reservedQuantity).toBe(13);
+      expect(InventoryService.getAvailableQuantity(inventory)).toBe(0);
+    });
+  });
+
+  describe('releaseStock', () => {
+    it('should give the reserved quantity back to sale', async () => {
+      const inventory = buildInventory({ reservedQuantity: 5 });
+      jest.spyOn(InventoryService, 'lockInventory').mockResolvedValue(inventory);
+
+      await InventoryService.releaseStock(1, 2, transaction);
+
+      expect(InventoryService.lockInventory).toHaveBeenCalledWith(1, transaction);
+      expect(inventory.reservedQuantity).toBe(3);
+      expect(InventoryService.getAvailableQuantity(inventory)).toBe(7);
+    });
+
+    it('should not release more than is reserved', async () => {
+      const inventory = buildInventory({ reservedQuantity: 1 });
+      jest.spyOn(InventoryService, 'lockInventory').mockResolvedValue(inventory);
+
+      await InventoryService.releaseStock(1, 4, transaction);
+
+      expect(inventory.reservedQuantity).toBe(0);
+    });
+
+    it('should skip a record that was removed', async () => {
+      jest.spyOn(InventoryService, 'lockInventory').mockResolvedValue(null);
+
+      await expect(InventoryService.releaseStock(1, 2, transaction)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('recordMovement', () => {
+    const actor = { id: 2, role: 'seller' };
+    let movements;
+
+    beforeEach(() => {
+      movements = [];
+      jest.spyOn(InventoryService, 'isSerialized').mockResolvedValue(false);
+      jest.spyOn(InventoryLot, 'findAll').mockResolvedValue([]);
+      jest.spyOn(StockMovement, 'count').mockResolvedValue(1);
+      jest.spyOn(StockMovement, 'create').mockImplementation(async (data) => {
+        movements.push(data);
+        return data;
+      });
+    });
+
+    it('should record one movement for stock coming in', async () => {
+      const inventory = buildInventory();
+
+      const movement = await InventoryService.recordMovement(inventory, 5, { type: 'restock', actor, reference: 'po:4', unitCost: 3.5 }, transaction);
+
+      expect(movements).toEqual([expect.objectContaining({
+        inventoryId: 1,
+        lotId: null,
+        type: 'restock',
+        delta: 5,
+        quantityAfter: 15,
+        actorId: 2,
+        actorRole: 'seller',
+        reference: 'po:4',
+        unitCost: 3.5
+      })]);
+      expect(movement).toBe(movements[0]);
+      expect(inventory.quantity).toBe(15);
+      expect(inventory.lastRestockDate).toBeInstanceOf(Date);
+    });
+
+    it('should record one movement for stock going out', async () => {
+      const inventory = buildInventory();
+
+      await InventoryService.recordMovement(inventory, -4, { type: 'sale', reference: 'order:9' }, transaction);
+
+      expect(movements).toEqual([expect.objectContaining({ type: 'sale', delta: -4, quantityAfter: 6, actorRole: 'system' })]);
+      expect(inventory.quantity).toBe(6);
+      expect(inventory.lastRestockDate).toBeUndefined();
+    });
+
+    it('should keep the ledger equal to the quantity over several changes', async () => {
+      const inventory = buildInventory();
+
+      await InventoryService.recordMovement(inventory, -3, { type: 'sale' }, transaction);
+      await InventoryService.recordMovement(inventory, 8, { type: 'restock' }, transaction);
+      await InventoryService.recordMovement(inventory, -1, { type: 'damage' }, transaction);
+
+      expect(movements.map(movement => [movement.delta, movement.quantityAfter])).toEqual([[-3, 7], [8, 15], [-1, 14]]);
+      expect(inventory.quantity).toBe(14);
+    });
+
+    it('should reject taking more than is on hand without recording anything', async () => {
+      const inventory = buildInventory({ quantity: 2 });
+
+      await expect(InventoryService.recordMovement(inventory, -3, { type: 'sale' }, transaction))
+        .rejects.toThrow('Insufficient stock for TEE');
+      expect(movements).toEqual([]);
+      expect(inventory.update).not.toHaveBeenCalled();
+    });
+
+    it('should open the ledger of a record that has no movements yet', async () => {
+      StockMovement.count.mockResolvedValue(0);
+      const inventory = buildInventory();
+
+      await InventoryService.recordMovement(inventory, -2, { type: 'sale' }, transaction);
+
+      expect(movements.map(movement => [movement.type, movement.delta, movement.quantityAfter])).toEqual([
+        ['adjustment', 10, 10],
+        ['sale', -2, 8]
+      ]);
+    });
+
+    it('should record one sale movement when a reservation is taken', async () => {
+      const inventory = buildInventory({ reservedQuantity: 3 });
+      jest.spyOn(InventoryService, 'lockInventory').mockResolvedValue(inventory);
+
+      await InventoryService.commitReservation(1, 3, transaction, { reference: 'order:9' });
+
+      expect(movements).toEqual([expect.objectContaining({ type: 'sale', delta: -3, quantityAfter: 7, reference: 'order:9' })]);
+      expect(inventory.reservedQuantity).toBe(0);
+    });
+  });
+});
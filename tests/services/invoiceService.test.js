@@ -0,0 +1,125 @@
+const { sequelize } = require('../../config/database');
+const Invoice = require('../../models/invoice');
+const InvoiceSequence = require('../../models/invoiceSequence');
+const InvoiceService = require('../../services/invoiceService');
+
+describe('Invoice Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.INVOICE_NUMBER_PREFIX;
+  });
+
+  describe('buildLine', () => {
+    it('should add exclusive tax to the line total', () => {
+      const line = InvoiceService.buildLine({
+        sku: 'TEE', name: 'Tee', quantity: 3, unitPrice: '20.00', finalUnitPrice: '16.67',
+        lineTotal: '50.01', taxRate: '0.2000', taxInclusive: false, taxAmount: '10.00'
+      });
+
+      expect(line).toEqual({
+        sku: 'TEE',
+        name: 'Tee',
+        quantity: 3,
+        unitPrice: 20,
+        discount: 9.99,
+        taxRate: 0.2,
+        taxInclusive: false,
+        tax: 10,
+        total: 60.01
+      });
+    });
+
+    it('should leave inclusive tax inside the line total', () => {
+      const line = InvoiceService.buildLine({
+        sku: 'TEE', name: 'Tee', quantity: 2, unitPrice: '12.00', finalUnitPrice: '12.00',
+        lineTotal: '24.00', taxRate: '0.2000', taxInclusive: true, taxAmount: '4.00'
+      });
+
+      expect(line.discount).toBe(0);
+      expect(line.total).toBe(24);
+    });
+  });
+
+  describe('summarizeTaxes', () => {
+    it('should add up the tax of each rate and leave untaxed lines out', () => {
+      const taxes = InvoiceService.summarizeTaxes([
+        { taxRate: 0.2, taxInclusive: false, tax: 0.1 },
+        { taxRate: 0.2, taxInclusive: false, tax: 0.2 },
+        { taxRate: 0.2, taxInclusive: true, tax: 4 },
+        { taxRate: 0.05, taxInclusive: false, tax: 1.5 },
+        { taxRate: 0, taxInclusive: false, tax: 0 }
+      ]);
+
+      expect(taxes).toEqual([
+        { rate: 0.2, inclusive: false, taxAmount: 0.3 },
+        { rate: 0.2, inclusive: true, taxAmount: 4 },
+        { rate: 0.05, inclusive: false, taxAmount: 1.5 }
+      ]);
+    });
+  });
+
+  describe('formatInvoiceNumber', () => {
+    it('should pad the sequence number after the seller', () => {
+      expect(InvoiceService.formatInvoiceNumber(3, 12)).toBe('INV-3-000012');
+      expect(InvoiceService.formatInvoiceNumber(3, 1234567)).toBe('INV-3-1234567');
+    });
+
+    it('should use the configured prefix', () => {
+      process.env.INVOICE_NUMBER_PREFIX = 'ACME';
+
+      expect(InvoiceService.formatInvoiceNumber(3, 1)).toBe('ACME-3-000001');
+    });
+  });
+
+  describe('getOrIssueInvoice', () => {
+    const lines = [{ unitPrice: 20, quantity: 2, discount: 4, tax: 3.6, taxInclusive: false }];
+    let sequence;
+    let invoices;
+
+    beforeEach(() => {
+      sequence = { sellerId: 3, lastNumber: 0 };
+      sequence.update = jest.fn(async (changes) => Object.assign(sequence, changes));
+      invoices = [];
+
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue({
+        LOCK: { UPDATE: 'UPDATE' },
+        commit: jest.fn(),
+        rollback: jest.fn()
+      });
+      jest.spyOn(InvoiceSequence, 'bulkCreate').mockResolvedValue([]);
+      jest.spyOn(InvoiceSequence, 'findByPk').mockResolvedValue(sequence);
+      jest.spyOn(Invoice, 'findOne').mockImplementation(async ({ where }) => (
+        invoices.find(invoice => invoice.orderId === where.orderId && invoice.sellerId === where.sellerId) || null
+      ));
+      jest.spyOn(Invoice, 'create').mockImplementation(async (data) => {
+        invoices.push(data);
+        return data;
+      });
+    });
+
+    it('should number the invoices of a seller one after the other', async () => {
+      const first = await InvoiceService.getOrIssueInvoice({ id: 10 }, 3, lines, { shippingCost: '5.00' });
+      const second = await InvoiceService.getOrIssueInvoice({ id: 11 }, 3, lines, null);
+
+      expect([first.sequenceNumber, second.sequenceNumber]).toEqual([1, 2]);
+      expect([first.invoiceNumber, second.invoiceNumber]).toEqual(['INV-3-000001', 'INV-3-000002']);
+      expect(sequence.lastNumber).toBe(2);
+      expect(first).toEqual(expect.objectContaining({
+        subtotal: 40,
+        discountTotal: 4,
+        taxTotal: 3.6,
+        shippingTotal: 5,
+        totalAmount: 44.6
+      }));
+    });
+
+    it('should give back an issued invoice without using a number', async () => {
+      const issued = await InvoiceService.getOrIssueInvoice({ id: 10 }, 3, lines, null);
+      const again = await InvoiceService.getOrIssueInvoice({ id: 10 }, 3, lines, null);
+
+      expect(again).toBe(issued);
+      expect(sequence.lastNumber).toBe(1);
+      expect(Invoice.create).toHaveBeenCalledTimes(1);
+    });
+  });
+});
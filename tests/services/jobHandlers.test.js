@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Product = require('../../models/product');
+const JobService = require('../../services/jobService');
+const imageService = require('../../services/imageService');
+const { registerJobHandlers, imageFile } = require('../../services/jobHandlers');
+
+describe('Job Handlers', () => {
+  describe('images.process', () => {
+    const job = { id: 1, payload: { productId: 3, variantId: null, count: 2 } };
+    let processImages;
+    let directory;
+    let context;
+    let product;
+
+    beforeEach(async () => {
+      const handlers = new Map();
+      jest.spyOn(JobService, 'registerHandler').mockImplementation((type, handler) => handlers.set(type, handler));
+      registerJobHandlers();
+      processImages = handlers.get('images.process');
+
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'job-'));
+      await fs.promises.writeFile(path.join(directory, imageFile(0)), 'first');
+      await fs.promises.writeFile(path.join(directory, imageFile(1)), 'second');
+      context = { filePath: filename => path.join(directory, filename), progress: jest.fn() };
+
+      product = { imageUrls: ['/uploads/products/3/old.webp'] };
+      product.update = jest.fn(async (changes) => Object.assign(product, changes));
+      jest.spyOn(Product, 'findByPk').mockResolvedValue(product);
+      jest.spyOn(imageService, 'processProductImages').mockImplementation(async ([file]) => [{
+        original: `/uploads/products/3/${file.buffer}.webp`
+      }]);
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should add the processed images to the product', async () => {
+      const result = await processImages(job, context);
+
+      expect(result.imageUrls).toEqual([
+        '/uploads/products/3/old.webp',
+        '/uploads/products/3/first.webp',
+        '/uploads/products/3/second.webp'
+      ]);
+      expect(product.imageUrls).toEqual(result.imageUrls);
+    });
+
+    it('should not process the images of a failed attempt again', async () => {
+      context.progress.mockRejectedValueOnce(new Error('Connection lost'));
+
+      await expect(processImages(job, context)).rejects.toThrow('Connection lost');
+      expect(imageService.processProductImages).toHaveBeenCalledTimes(1);
+
+      const result = await processImages(job, context);
+
+      expect(imageService.processProductImages).toHaveBeenCalledTimes(2);
+      expect(imageService.processProductImages.mock.calls[1][0][0].buffer.toString()).toBe('second');
+      expect(result.newImages.map(image => image.original)).toEqual([
+        '/uploads/products/3/first.webp',
+        '/uploads/products/3/second.webp'
+      ]);
+    });
+
+    it('should not add the URLs twice when an attempt failed after saving them', async () => {
+      await processImages(job, context);
+      const result = await processImages(job, context);
+
+      expect(imageService.processProductImages).toHaveBeenCalledTimes(2);
+      expect(result.imageUrls).toEqual([
+        '/uploads/products/3/old.webp',
+        '/uploads/products/3/first.webp',
+        '/uploads/products/3/second.webp'
+      ]);
+    });
+  });
+});
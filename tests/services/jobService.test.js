@@ -0,0 +1,80 @@
+const JobService = require('../../services/jobService');
+const RedisJobBackend = require('../../services/jobBackends/redisBackend');
+
+/**
+ * In-memory stand-in for the sorted set commands of a Redis client
+ */
+const fakeClient = () => {
+  const set = new Map();
+
+  return {
+    set,
+    isOpen: true,
+    zAdd: async (key, members, options = {}) => {
+      [].concat(members).forEach(({ score, value }) => {
+        if (!options.NX || !set.has(value)) {
+          set.set(value, score);
+        }
+      });
+    },
+    zRangeByScore: async (key, min, max, { LIMIT }) => [...set.entries()]
+      .filter(([, score]) => score >= min && score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .slice(LIMIT.offset, LIMIT.offset + LIMIT.count)
+      .map(([value]) => value),
+    zRem: async (key, value) => (set.delete(value) ? 1 : 0)
+  };
+};
+
+describe('Job Service', () => {
+  describe('getRetryDelay', () => {
+    it('should double the delay with every failed attempt up to an hour', () => {
+      expect([1, 2, 3, 4].map(attempts => JobService.getRetryDelay(attempts))).toEqual([30, 60, 120, 240]);
+      expect(JobService.getRetryDelay(20)).toBe(3600);
+    });
+  });
+});
+
+describe('Redis Job Backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = new RedisJobBackend({});
+    backend.client = fakeClient();
+  });
+
+  it('should hand out due jobs once, the one that waited longest first', async () => {
+    await backend.push({ id: 1, runAt: new Date('2024-05-01T10:00:00.000Z') });
+    await backend.push({ id: 2, runAt: new Date('2024-05-01T09:00:00.000Z') });
+    await backend.push({ id: 3, runAt: new Date('2024-05-01T12:00:00.000Z') });
+
+    const now = new Date('2024-05-01T11:00:00.000Z');
+
+    expect(await backend.next(5, now)).toEqual([2, 1]);
+    expect(await backend.next(5, now)).toEqual([]);
+    expect(await backend.next(5, new Date('2024-05-01T12:00:00.000Z'))).toEqual([3]);
+  });
+
+  it('should skip a job another worker took first', async () => {
+    await backend.push({ id: 1, runAt: new Date('2024-05-01T10:00:00.000Z') });
+    const { zRem } = backend.client;
+    backend.client.zRem = async () => 0;
+
+    expect(await backend.next(5, new Date('2024-05-01T11:00:00.000Z'))).toEqual([]);
+
+    backend.client.zRem = zRem;
+    await backend.remove({ id: 1 });
+    expect(backend.client.set.size).toBe(0);
+  });
+
+  it('should restore lost jobs without moving the ones it has', async () => {
+    await backend.push({ id: 1, runAt: new Date('2024-05-01T10:00:00.000Z') });
+    await backend.restore([
+      { id: 1, runAt: new Date('2024-05-02T10:00:00.000Z') },
+      { id: 2, runAt: new Date('2024-05-01T08:00:00.000Z') }
+    ]);
+
+    expect(backend.client.set.get('1')).toBe(new Date('2024-05-01T10:00:00.000Z').getTime());
+    expect(await backend.next(5, new Date('2024-05-01T11:00:00.000Z'))).toEqual([2, 1]);
+  });
+});
@@ -0,0 +1,39 @@
+const InventoryService = require('../../services/inventoryService');
+const LotService = require('../../services/lotService');
+
+const lot = (id, quantity, expiresAt = null) => ({ id, lotNumber: `L${id}`, quantity, expiresAt });
+
+describe('Lot Service', () => {
+  describe('planLotAllocation', () => {
+    it('should take the lot that expires first before later ones', () => {
+      const lots = [lot(1, 5, '2030-03-01'), lot(2, 5, '2030-01-01'), lot(3, 5, '2030-02-01')];
+
+      expect(InventoryService.planLotAllocation(lots, 8).map(part => [part.lot.id, part.quantity]))
+        .toEqual([[2, 5], [3, 3]]);
+    });
+
+    it('should take lots without an expiry date after dated lots, and untracked units last', () => {
+      const lots = [lot(1, 2), lot(2, 2, '2030-01-01'), lot(3, 0, '2029-01-01')];
+
+      expect(InventoryService.planLotAllocation(lots, 6).map(part => [part.lot && part.lot.id, part.quantity]))
+        .toEqual([[2, 2], [1, 2], [null, 2]]);
+    });
+
+    it('should take the oldest lot first when lots expire on the same day', () => {
+      const lots = [lot(7, 3, '2030-01-01'), lot(4, 3, '2030-01-01')];
+
+      expect(InventoryService.planLotAllocation(lots, 1).map(part => part.lot.id)).toEqual([4]);
+    });
+  });
+
+  describe('describeExpiry', () => {
+    it('should count the days left until the expiry date', () => {
+      expect(LotService.describeExpiry('2030-01-31', '2030-01-01')).toEqual({ daysUntilExpiry: 30, expired: false });
+      expect(LotService.describeExpiry('2030-01-01', '2030-01-01')).toEqual({ daysUntilExpiry: 0, expired: false });
+    });
+
+    it('should mark a lot expired once its expiry date has passed', () => {
+      expect(LotService.describeExpiry('2029-12-30', '2030-01-01')).toEqual({ daysUntilExpiry: -2, expired: true });
+    });
+  });
+});
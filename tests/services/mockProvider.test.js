@@ -0,0 +1,145 @@
+const MockPaymentProvider = require('../../services/paymentProviders/mockProvider');
+
+describe('Mock Payment Provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockPaymentProvider({ webhookSecret: 'test_secret' });
+  });
+
+  describe('authorize', () => {
+    it('should approve any token except the declined token', async () => {
+      const result = await provider.authorize({
+        amount: 100,
+        currency: 'USD',
+        paymentToken: 'tok_visa',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.reference).toMatch(/^mock_auth_/);
+    });
+
+    it('should decline the declined token', async () => {
+      const result = await provider.authorize({
+        amount: 100,
+        currency: 'USD',
+        paymentToken: 'tok_declined',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toEqual('Card declined');
+    });
+
+    it('should return the same reference for the same request', async () => {
+      const request = { amount: 100, currency: 'USD', paymentToken: 'tok_visa', idempotencyKey: 'key-1' };
+
+      const first = await provider.authorize(request);
+      const second = await new MockPaymentProvider({ webhookSecret: 'test_secret' }).authorize(request);
+
+      expect(first.reference).toEqual(second.reference);
+    });
+  });
+
+  describe('capture', () => {
+    it('should capture an authorization', async () => {
+      const { reference } = await provider.authorize({
+        amount: 100,
+        currency: 'USD',
+        paymentToken: 'tok_visa',
+        idempotencyKey: 'key-1'
+      });
+
+      const result = await provider.capture({ reference, amount: 100 });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should fail for the capture failure token', async () => {
+      const { reference } = await provider.authorize({
+        amount: 100,
+        currency: 'USD',
+        paymentToken: 'tok_capture_fails',
+        idempotencyKey: 'key-1'
+      });
+
+      const result = await provider.capture({ reference, amount: 100 });
+
+      expect(result.success).toBe(false);
+    });
+
+    it('should not capture more than was authorized', async () => {
+      const { reference } = await provider.authorize({
+        amount: 100,
+        currency: 'USD',
+        paymentToken: 'tok_visa',
+        idempotencyKey: 'key-1'
+      });
+
+      const result = await provider.capture({ reference, amount: 150 });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    const body = JSON.stringify({ type: 'payment.captured', data: { reference: 'mock_auth_1', amount: 100 } });
+
+    it('should parse a correctly signed webhook', () => {
+      const event = provider.verifyWebhook({ 'x-mock-signature': provider.sign(body) }, Buffer.from(body));
+
+      expect(event).toEqual({ type: 'payment.captured', reference: 'mock_auth_1', amount: 100 });
+    });
+
+    it('should reject a webhook with a wrong signature', () => {
+      const other = new MockPaymentProvider({ webhookSecret: 'other_secret' });
+      const event = provider.verifyWebhook({ 'x-mock-signature': other.sign(body) }, Buffer.from(body));
+
+      expect(event).toBeNull();
+    });
+
+    it('should reject a webhook without a signature', () => {
+      expect(provider.verifyWebhook({}, Buffer.from(body))).toBeNull();
+    });
+
+    describe('without MOCK_PAYMENT_WEBHOOK_SECRET', () => {
+      const { MOCK_PAYMENT_WEBHOOK_SECRET, NODE_ENV } = process.env;
+
+      beforeEach(() => {
+        delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+      });
+
+      afterEach(() => {
+        if (MOCK_PAYMENT_WEBHOOK_SECRET !== undefined) {
+          process.env.MOCK_PAYMENT_WEBHOOK_SECRET = MOCK_PAYMENT_WEBHOOK_SECRET;
+        }
+        process.env.NODE_ENV = NODE_ENV;
+      });
+
+      it('should sign and verify webhooks with the development secret outside production', () => {
+        const unset = new MockPaymentProvider();
+        const event = unset.verifyWebhook({ 'x-mock-signature': unset.sign(body) }, Buffer.from(body));
+
+        expect(event).toEqual({ type: 'payment.captured', reference: 'mock_auth_1', amount: 100 });
+      });
+
+      it('should only refuse webhooks in production, not payments', async () => {
+        process.env.NODE_ENV = 'production';
+        const unset = new MockPaymentProvider();
+        const result = await unset.authorize({ amount: 100, currency: 'USD', paymentToken: 'tok_visa', idempotencyKey: 'key-1' });
+
+        expect(result.success).toBe(true);
+        expect(() => unset.verifyWebhook({ 'x-mock-signature': 'abc' }, Buffer.from(body)))
+          .toThrow('MOCK_PAYMENT_WEBHOOK_SECRET must be set');
+      });
+
+      it('should read the secret when a webhook is verified', () => {
+        const unset = new MockPaymentProvider();
+        process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test_secret';
+
+        expect(unset.verifyWebhook({ 'x-mock-signature': provider.sign(body) }, Buffer.from(body))).not.toBeNull();
+      });
+    });
+  });
+});
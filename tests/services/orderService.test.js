@@ -0,0 +1,375 @@
+const { sequelize } = require('../../config/database');
+const Order = require('../../models/order');
+const OrderStatusHistory = require('../../models/orderStatusHistory');
+const Product = require('../../models/product');
+const InventoryService = require('../../services/inventoryService');
+const OrderService = require('../../services/orderService');
+const PaymentService = require('../../services/paymentService');
+
+/**
+ * Order as returned by the model, recording its updates
+ */
+const buildOrder = (fields) => {
+  const order = { id: 9, userId: 4, status: 'pending', items: [], ...fields };
+  order.update = jest.fn(async (changes) => Object.assign(order, changes));
+  return order;
+};
+
+describe('Order Service', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = {
+      LOCK: { UPDATE: 'UPDATE' },
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateTotals', () => {
+    it('should add exclusive taxes and shipping on top of the discounted lines', () => {
+      const totals = OrderService.calculateTotals([
+        { unitPrice: 100, quantity: 2, lineTotal: 180, taxAmount: 18, taxInclusive: false },
+        { unitPrice: 19.99, quantity: 3, lineTotal: 59.97, taxAmount: 10, taxInclusive: true }
+      ], 7.5);
+
+      expect(totals).toEqual({
+        subtotal: 259.97,
+        discountTotal: 20,
+        taxTotal: 28,
+        shippingTotal: 7.5,
+        totalAmount: 265.47
+      });
+    });
+
+    it('should round to cents', () => {
+      const totals = OrderService.calculateTotals([
+        { unitPrice: 0.1, quantity: 3, lineTotal: 0.3, taxAmount: 0.015, taxInclusive: false }
+      ]);
+
+      expect(totals.subtotal).toBe(0.3);
+      expect(totals.totalAmount).toBe(0.32);
+      expect(totals.shippingTotal).toBe(0);
+    });
+  });
+
+  describe('getFulfilmentStatus', () => {
+    it('should follow the seller order that is furthest behind', () => {
+      expect(OrderService.getFulfilmentStatus([{ status: 'delivered' }, { status: 'shipped' }])).toBe('shipped');
+      expect(OrderService.getFulfilmentStatus([{ status: 'shipped' }, { status: 'processing' }])).toBe('processing');
+      expect(OrderService.getFulfilmentStatus([{ status: 'delivered' }])).toBe('delivered');
+    });
+
+    it('should ignore cancelled seller orders unless all of them are', () => {
+      expect(OrderService.getFulfilmentStatus([{ status: 'cancelled' }, { status: 'delivered' }])).toBe('delivered');
+      expect(OrderService.getFulfilmentStatus([{ status: 'cancelled' }, { status: 'cancelled' }])).toBe('cancelled');
+    });
+  });
+
+  describe('transitionOrder', () => {
+    it('should change the status and record who changed it', async () => {
+      const order = buildOrder({ status: 'processing' });
+      const create = jest.spyOn(OrderStatusHistory, 'create').mockResolvedValue({});
+
+      await OrderService.transitionOrder(order, 'shipped', { id: 2, role: 'seller' }, {
+        reason: 'Sent',
+        updates: { shippedAt: new Date() },
+        transaction
+      });
+
+      expect(order.status).toBe('shipped');
+      expect(order.shippedAt).toEqual(expect.any(Date));
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 9,
+        fromStatus: 'processing',
+        toStatus: 'shipped',
+        actorId: 2,
+        actorRole: 'seller',
+        reason: 'Sent'
+      }), { transaction });
+    });
+
+    it('should reject a move the state machine does not allow', async () => {
+      const order = buildOrder({ status: 'delivered' });
+      const create = jest.spyOn(OrderStatusHistory, 'create');
+
+      await expect(OrderService.transitionOrder(order, 'processing', null, { transaction }))
+        .rejects.toThrow('Cannot transition order from delivered to processing');
+      expect(order.update).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelOrder', () => {
+    const buyer = { id: 4, role: 'buyer' };
+
+    beforeEach(() => {
+      jest.spyOn(OrderStatusHistory, 'create').mockResolvedValue({});
+      jest.spyOn(OrderService, 'cancelSellerOrders').mockResolvedValue();
+      jest.spyOn(PaymentService, 'releaseOrderPayments').mockResolvedValue([]);
+    });
+
+    it('should release the reservation of a pending order, then its payments', async () => {
+      const order = buildOrder({ items: [{ inventoryId: 1, quantity: 2 }, { inventoryId: null, quantity: 1 }] });
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(order);
+      const releaseStock = jest.spyOn(InventoryService, 'releaseStock').mockResolvedValue();
+
+      await OrderService.cancelOrder(9, buyer, 'Changed my mind');
+
+      expect(releaseStock).toHaveBeenCalledTimes(1);
+      expect(releaseStock).toHaveBeenCalledWith(1, 2, transaction);
+      expect(order.status).toBe('cancelled');
+      expect(order.cancellationReason).toBe('Changed my mind');
+      expect(order.reservationExpiresAt).toBeNull();
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(PaymentService.releaseOrderPayments).toHaveBeenCalledWith(9);
+    });
+
+    it('should not let buyers cancel an order once it is paid', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(buildOrder({ status: 'processing' }));
+
+      await expect(OrderService.cancelOrder(9, buyer)).rejects.toThrow('Cannot cancel an order that is processing');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(PaymentService.releaseOrderPayments).not.toHaveBeenCalled();
+    });
+
+    it('should not let other buyers cancel the order', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(buildOrder());
+
+      await expect(OrderService.cancelOrder(9, { id: 5, role: 'buyer' })).rejects.toThrow('Not authorized to cancel this order');
+    });
+
+    it('should restock what a paid order took when an admin cancels it', async () => {
+      const order = buildOrder({ status: 'processing', items: [{ id: 1, productId: 3, variantId: null, inventoryId: 1, quantity: 3, backorderedQuantity: 1 }] });
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(order);
+      jest.spyOn(InventoryService, 'isSerialized').mockResolvedValue(false);
+      const releaseStock = jest.spyOn(InventoryService, 'releaseStock').mockResolvedValue();
+      const restock = jest.spyOn(InventoryService, 'restock').mockResolvedValue();
+
+      await OrderService.cancelOrder(9, { id: 1, role: 'admin' });
+
+      expect(releaseStock).toHaveBeenCalledWith(1, 1, transaction);
+      expect(restock).toHaveBeenCalledWith(1, 2, transaction, expect.objectContaining({ type: 'return', reference: 'order:9' }));
+      expect(order.status).toBe('cancelled');
+    });
+  });
+
+  describe('buildOrderLines', () => {
+    const product = { id: 3, userId: 7, categoryId: 1, sku: 'TEE', name: 'Tee', basePrice: 20, isActive: true, status: 'published' };
+
+    beforeEach(() => {
+      jest.spyOn(Product, 'findByPk').mockResolvedValue(product);
+    });
+
+    it('should reject more units than are left to sell', async () => {
+      jest.spyOn(InventoryService, 'lockStockRows').mockResolvedValue([
+        { id: 1, warehouseId: null, sku: 'TEE', quantity: 5, reservedQuantity: 4 }
+      ]);
+
+      await expect(OrderService.buildOrderLines([{ productId: 3, quantity: 2 }], transaction, 'US'))
+        .rejects.toThrow('Insufficient stock for TEE');
+    });
+
+    it('should check duplicate lines against their combined quantity', async () => {
+      jest.spyOn(InventoryService, 'lockStockRows').mockResolvedValue([
+        { id: 1, warehouseId: null, sku: 'TEE', quantity: 5, reservedQuantity: 2 }
+      ]);
+
+      await expect(OrderService.buildOrderLines([{ productId: 3, quantity: 2 }, { productId: 3, quantity: 2 }], transaction, 'US'))
+        .rejects.toThrow('Insufficient stock for TEE');
+    });
+  });
+
+  describe('releaseExpiredReservations', () => {
+    const expiredAt = new Date(Date.now() - 60 * 1000);
+
+    beforeEach(() => {
+      jest.spyOn(Order, 'findAll').mockResolvedValue([{ id: 9 }]);
+      jest.spyOn(OrderStatusHistory, 'create').mockResolvedValue({});
+      jest.spyOn(OrderService, 'cancelSellerOrders').mockResolvedValue();
+      jest.spyOn(PaymentService, 'releaseOrderPayments').mockResolvedValue([]);
+    });
+
+    it('should cancel an expired order and release its reservation', async () => {
+      const order = buildOrder({ reservationExpiresAt: expiredAt, items: [{ inventoryId: 1, quantity: 2 }] });
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(order);
+      const releaseStock = jest.spyOn(InventoryService, 'releaseStock').mockResolvedValue();
+
+      await expect(OrderService.releaseExpiredReservations()).resolves.toBe(1);
+
+      expect(releaseStock).toHaveBeenCalledWith(1, 2, transaction);
+      expect(order.status).toBe('cancelled');
+      expect(order.cancellationReason).toBe('Payment was not confirmed in time');
+      expect(order.reservationExpiresAt).toBeNull();
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(PaymentService.releaseOrderPayments).toHaveBeenCalledWith(9);
+    });
+
+    it('should skip an order that was paid since it was listed', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(buildOrder({ status: 'processing', reservationExpiresAt: expiredAt }));
+      const releaseStock = jest.spyOn(InventoryService, 'releaseStock').mockResolvedValue();
+
+      await expect(OrderService.releaseExpiredReservations()).resolves.toBe(0);
+
+      expect(releaseStock).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(PaymentService.releaseOrderPayments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('selectSellerOrders', () => {
+    const sellerOrders = [
+      { id: 1, sellerId: 7, status: 'processing' },
+      { id: 2, sellerId: 8, status: 'shipped' },
+      { id: 3, sellerId: 9, status: 'processing' }
+    ];
+
+    it('should give sellers their own seller order', () => {
+      expect(OrderService.selectSellerOrders(sellerOrders, { id: 8, role: 'seller' }, undefined, 'processing'))
+        .toEqual([sellerOrders[1]]);
+    });
+
+    it('should not let sellers update another seller', () => {
+      expect(() => OrderService.selectSellerOrders(sellerOrders, { id: 7, role: 'seller' }, 8, 'processing'))
+        .toThrow('Sellers can only update their own items');
+    });
+
+    it('should give admins every seller order that can make the step', () => {
+      expect(OrderService.selectSellerOrders(sellerOrders, { id: 1, role: 'admin' }, undefined, 'processing'))
+        .toEqual([sellerOrders[0], sellerOrders[2]]);
+      expect(OrderService.selectSellerOrders(sellerOrders, { id: 1, role: 'admin' }, 9, 'processing'))
+        .toEqual([sellerOrders[2]]);
+    });
+
+    it('should reject a seller without items and a step no seller order can make', () => {
+      expect(() => OrderService.selectSellerOrders(sellerOrders, { id: 6, role: 'seller' }, undefined, 'processing'))
+        .toThrow('The seller has no items in this order');
+      expect(() => OrderService.selectSellerOrders(sellerOrders, { id: 1, role: 'admin' }, undefined, 'delivered'))
+        .toThrow('No part of this order is delivered');
+    });
+  });
+
+  describe('fulfilSellerOrders', () => {
+    /**
+     * Seller order with its parcel, recording their updates
+     */
+    const buildSellerOrder = (id, sellerId, status) => {
+      // Parcels stay pending until the seller order ships
+      const shipment = { id, status: status === 'processing' ? 'pending' : status, carrierCode: 'UPS' };
+      shipment.update = jest.fn(async (changes) => Object.assign(shipment, changes));
+
+      const sellerOrder = { id, orderId: 9, sellerId, status, shipment };
+      sellerOrder.update = jest.fn(async (changes) => Object.assign(sellerOrder, changes));
+      return sellerOrder;
+    };
+
+    let order;
+    let sellerOrders;
+
+    beforeEach(() => {
+      order = buildOrder({ status: 'processing', items: [{ sellerId: 7 }, { sellerId: 8 }] });
+      sellerOrders = [buildSellerOrder(1, 7, 'processing'), buildSellerOrder(2, 8, 'processing')];
+
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue(order);
+      jest.spyOn(OrderService, 'ensureSellerOrders').mockResolvedValue(sellerOrders);
+      jest.spyOn(OrderService, 'shipBackorders').mockResolvedValue();
+      jest.spyOn(OrderService, 'getOrderDetails').mockResolvedValue(order);
+      jest.spyOn(OrderStatusHistory, 'create').mockResolvedValue({});
+    });
+
+    it('should ship only the parcel of the seller and keep the order processing', async () => {
+      await OrderService.fulfilSellerOrders(9, 'shipped', { id: 7, role: 'seller' }, { trackingNumber: '1Z' });
+
+      expect(sellerOrders.map(sellerOrder => sellerOrder.status)).toEqual(['shipped', 'processing']);
+      expect(sellerOrders[0].shipment).toEqual(expect.objectContaining({ status: 'shipped', trackingNumber: '1Z', shippedBy: 7 }));
+      expect(sellerOrders[1].shipment.update).not.toHaveBeenCalled();
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 9,
+        sellerOrderId: 1,
+        fromStatus: 'processing',
+        toStatus: 'shipped'
+      }), { transaction });
+      expect(order.status).toBe('processing');
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should ship the order once the last seller has shipped', async () => {
+      sellerOrders[0].status = 'shipped';
+      sellerOrders[0].shipment.status = 'shipped';
+
+      await OrderService.fulfilSellerOrders(9, 'shipped', { id: 8, role: 'seller' }, { trackingNumber: '2Z' });
+
+      expect(order.status).toBe('shipped');
+      expect(order.shippedAt).toBeInstanceOf(Date);
+      // Each parcel has its own tracking number, the order keeps none of them
+      expect(order.trackingNumber).toBeUndefined();
+    });
+
+    it('should deliver a parcel while another seller has not shipped yet', async () => {
+      sellerOrders[0].status = 'shipped';
+      sellerOrders[0].shipment.status = 'shipped';
+
+      await OrderService.fulfilSellerOrders(9, 'delivered', { id: 1, role: 'admin' });
+
+      expect(sellerOrders.map(sellerOrder => sellerOrder.status)).toEqual(['delivered', 'processing']);
+      expect(order.status).toBe('processing');
+    });
+
+    it('should not let a seller ship a parcel twice', async () => {
+      sellerOrders[0].status = 'shipped';
+      sellerOrders[0].shipment.status = 'shipped';
+
+      await expect(OrderService.fulfilSellerOrders(9, 'shipped', { id: 7, role: 'seller' }))
+        .rejects.toThrow('Cannot transition seller order from shipped to shipped');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markOrderPaid', () => {
+    const capturedPayment = { id: 3, orderId: 9, status: 'captured' };
+
+    it('should move a pending order to processing', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue({ id: 9, status: 'pending' });
+      const startProcessing = jest.spyOn(OrderService, 'startProcessing').mockResolvedValue();
+      const transitionOrder = jest.spyOn(OrderService, 'transitionOrder').mockResolvedValue();
+      const refund = jest.spyOn(PaymentService, 'refund').mockResolvedValue();
+
+      await OrderService.markOrderPaid(9, null, capturedPayment);
+
+      expect(startProcessing).toHaveBeenCalled();
+      expect(transitionOrder).toHaveBeenCalledWith(expect.objectContaining({ id: 9 }), 'processing', null, expect.objectContaining({
+        reason: 'Payment captured'
+      }));
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(refund).not.toHaveBeenCalled();
+    });
+
+    it('should refund a capture that comes after the order was cancelled', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue({ id: 9, status: 'cancelled' });
+      const transitionOrder = jest.spyOn(OrderService, 'transitionOrder');
+      const refund = jest.spyOn(PaymentService, 'refund').mockResolvedValue();
+
+      const order = await OrderService.markOrderPaid(9, null, capturedPayment);
+
+      expect(order.status).toBe('cancelled');
+      expect(transitionOrder).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(refund).toHaveBeenCalledWith(capturedPayment, undefined, 'Captured after the order was cancelled');
+    });
+
+    it('should leave a repeated webhook for a paid order alone', async () => {
+      jest.spyOn(OrderService, 'getOrderById').mockResolvedValue({ id: 9, status: 'processing' });
+      const refund = jest.spyOn(PaymentService, 'refund').mockResolvedValue();
+
+      await OrderService.markOrderPaid(9);
+
+      expect(refund).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const Payment = require('../../models/payment');
+const MockPaymentProvider = require('../../services/paymentProviders/mockProvider');
+const PaymentService = require('../../services/paymentService');
+
+/**
+ * Payment as returned by the model, recording its updates
+ */
+const payment = (status) => {
+  const record = { id: 1, orderId: 9, status, amount: '50.00', capturedAmount: '0.00', refundedAmount: '0.00', provider: 'mock', currency: 'USD' };
+  record.update = jest.fn(async (changes) => Object.assign(record, changes));
+  return record;
+};
+
+describe('Payment Service', () => {
+  describe('refundOrderAmount', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refund the oldest payments first with a key per payment', async () => {
+      const first = { ...payment('partially_refunded'), id: 1, capturedAmount: '30.00', refundedAmount: '10.00' };
+      const second = { ...payment('captured'), id: 2, capturedAmount: '50.00' };
+      first.update = jest.fn(async (changes) => Object.assign(first, changes));
+      second.update = jest.fn(async (changes) => Object.assign(second, changes));
+      jest.spyOn(Payment, 'findAll').mockResolvedValue([first, second]);
+      const refund = jest.spyOn(MockPaymentProvider.prototype, 'refund');
+      const transaction = {};
+
+      await PaymentService.refundOrderAmount(9, 35, 'Return #5', { idempotencyKey: 'key', transaction });
+
+      expect(refund.mock.calls.map(([request]) => [request.amount, request.idempotencyKey])).toEqual([[20, 'key:1'], [15, 'key:2']]);
+      expect(first.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'refunded' }), { transaction });
+      expect(second.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'partially_refunded', refundedAmount: 15 }), { transaction });
+    });
+  });
+
+  describe('handleWebhook', () => {
+    const provider = PaymentService.getProvider('mock');
+    const webhook = (type) => {
+      const body = JSON.stringify({ type, data: { reference: 'mock_auth_1', amount: 50 } });
+      return [{ 'x-mock-signature': provider.sign(body) }, Buffer.from(body)];
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should capture an authorized payment and say it was applied', async () => {
+      const record = payment('authorized');
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(record);
+
+      const result = await PaymentService.handleWebhook('mock', ...webhook('payment.captured'));
+
+      expect(result.applied).toBe(true);
+      expect(record.status).toBe('captured');
+      expect(record.capturedAmount).toBe(50);
+    });
+
+    it('should not apply a capture twice', async () => {
+      const record = payment('captured');
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(record);
+
+      const result = await PaymentService.handleWebhook('mock', ...webhook('payment.captured'));
+
+      expect(result.applied).toBe(false);
+      expect(record.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a webhook with a wrong signature', async () => {
+      const [, body] = webhook('payment.captured');
+
+      await expect(PaymentService.handleWebhook('mock', { 'x-mock-signature': 'wrong' }, body))
+        .rejects.toThrow('Invalid webhook signature');
+    });
+  });
+});
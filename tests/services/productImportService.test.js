@@ -0,0 +1,114 @@
+const { sequelize } = require('../../config/database');
+const Product = require('../../models/product');
+const Category = require('../../models/category');
+const Warehouse = require('../../models/warehouse');
+const ProductImportService = require('../../services/productImportService');
+
+/**
+ * A CSV file of new products, the row given by failLine has a price that does not validate
+ */
+const productFile = (rows, failLine) => ({
+  originalname: 'products.csv',
+  buffer: Buffer.from([
+    'sku,name,basePrice,categoryId',
+    ...Array.from({ length: rows }, (value, index) => `SKU-${index},Item ${index},${index + 2 === failLine ? 'free' : 5},1`)
+  ].join('\n'))
+});
+
+describe('Product Import Service', () => {
+  describe('parseObject', () => {
+    it('should read key=value pairs and JSON objects', () => {
+      expect(ProductImportService.parseObject('color=Red|size=M')).toEqual({ color: 'Red', size: 'M' });
+      expect(ProductImportService.parseObject('{"color":"Red"}')).toEqual({ color: 'Red' });
+    });
+
+    it('should keep text that is not an object for validation to report', () => {
+      expect(ProductImportService.parseObject('red')).toBe('red');
+      expect(ProductImportService.parseObject('{color')).toBe('{color');
+    });
+  });
+
+  describe('readRows', () => {
+    it('should leave empty CSV cells out and split image URLs', () => {
+      const rows = ProductImportService.readRows(Buffer.from('sku,name,imageUrls\nA,,https://a.test/1.jpg|https://a.test/2.jpg'), 'csv');
+
+      expect(rows).toEqual([
+        { line: 2, data: { sku: 'A', imageUrls: ['https://a.test/1.jpg', 'https://a.test/2.jpg'] }, errors: [] }
+      ]);
+    });
+
+    it('should take off the apostrophe exports write in front of formulas', () => {
+      const rows = ProductImportService.readRows(Buffer.from("sku,name,description\n'-A,'=Free money,it's"), 'csv');
+
+      expect(rows[0].data).toEqual({ sku: '-A', name: '=Free money', description: "it's" });
+    });
+
+    it('should reject unknown CSV columns', () => {
+      expect(() => ProductImportService.readRows(Buffer.from('sku,colour\nA,red'), 'csv')).toThrow('Unknown column(s): colour');
+    });
+
+    it('should report JSON Lines that cannot be read on their line', () => {
+      const rows = ProductImportService.readRows(Buffer.from('{"sku":"A"}\n\n[1]\n{bad'), 'jsonl');
+
+      expect(rows.map(row => [row.line, row.errors.length])).toEqual([[1, 0], [3, 1], [4, 1]]);
+    });
+  });
+
+  describe('importProducts', () => {
+    let transactions;
+
+    beforeEach(() => {
+      transactions = [];
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, callback) => {
+        // Savepoints run their callback in the transaction of the chunk
+        if (callback) {
+          return callback(options.transaction);
+        }
+
+        const transaction = {
+          finished: null,
+          commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+          rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+        };
+        transactions.push(transaction);
+        return transaction;
+      });
+      jest.spyOn(Category, 'findAll').mockResolvedValue([{ id: 1, name: 'Shoes' }]);
+      jest.spyOn(Warehouse, 'findAll').mockResolvedValue([]);
+      jest.spyOn(Product, 'findAll').mockResolvedValue([]);
+      jest.spyOn(ProductImportService, 'importProduct').mockImplementation(async row => ({
+        product: { sku: row.sku },
+        action: 'created'
+      }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should commit a real import in chunks and still report rows that failed', async () => {
+      const report = await ProductImportService.importProducts(productFile(250, 150), {}, { id: 1, role: 'admin' });
+
+      expect(report.summary).toEqual({ rows: 250, created: 249, updated: 0, failed: 1 });
+      expect(report.errors).toEqual([expect.objectContaining({ line: 150, sku: 'SKU-148', field: 'basePrice' })]);
+      expect(transactions.map(transaction => transaction.finished)).toEqual(['commit', 'commit', 'commit']);
+    });
+
+    it('should run a dry run in one transaction and roll it back', async () => {
+      const report = await ProductImportService.importProducts(productFile(250), { dryRun: true }, { id: 1, role: 'admin' });
+
+      expect(report.summary.created).toBe(250);
+      expect(transactions.map(transaction => transaction.finished)).toEqual(['rollback']);
+    });
+
+    it('should keep the chunks saved before an import stopped', async () => {
+      const onProgress = async done => {
+        if (done === 150) {
+          throw new Error('Job was cancelled');
+        }
+      };
+
+      await expect(ProductImportService.importProducts(productFile(250), { onProgress }, { id: 1, role: 'admin' }))
+        .rejects.toThrow('Job was cancelled');
+      expect(transactions.map(transaction => transaction.finished)).toEqual(['commit', 'rollback']);
+    });
+  });
+});
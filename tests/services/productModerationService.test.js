@@ -0,0 +1,83 @@
+const Product = require('../../models/product');
+const Variant = require('../../models/variant');
+const ProductStatusHistory = require('../../models/productStatusHistory');
+const ProductModerationService = require('../../services/productModerationService');
+
+const seller = { id: 2, role: 'seller' };
+const admin = { id: 1, role: 'admin' };
+
+const buildProduct = status => Product.build({
+  id: 4,
+  name: 'Trail Shoe',
+  sku: 'TRL-1',
+  basePrice: '89.00',
+  tags: ['running'],
+  status,
+  isActive: true,
+  userId: seller.id
+}, { isNewRecord: false });
+
+describe('Product Moderation Service', () => {
+  describe('canManage', () => {
+    it('should only let admins and the seller of the product manage it', () => {
+      const product = buildProduct('published');
+
+      expect(ProductModerationService.canManage(product, admin)).toBe(true);
+      expect(ProductModerationService.canManage(product, seller)).toBe(true);
+      expect(ProductModerationService.canManage(product, { id: 3, role: 'seller' })).toBe(false);
+      expect(ProductModerationService.canManage(product, { id: 2, role: 'buyer' })).toBe(false);
+      expect(ProductModerationService.canManage(product, null)).toBe(false);
+    });
+  });
+
+  describe('needsReview', () => {
+    it('should send content changes of a reviewed product back to review', () => {
+      expect(ProductModerationService.needsReview(buildProduct('published'), seller, { name: 'Trail Shoe Pro' })).toBe(true);
+      expect(ProductModerationService.needsReview(buildProduct('approved'), seller, { basePrice: 1 })).toBe(true);
+      expect(ProductModerationService.needsReview(buildProduct('published'), seller, { tags: ['running', 'free'] })).toBe(true);
+    });
+
+    it('should let through edits that leave the reviewed content as it is', () => {
+      const product = buildProduct('published');
+
+      expect(ProductModerationService.needsReview(product, seller, { basePrice: 89, tags: ['running'] })).toBe(false);
+      expect(ProductModerationService.needsReview(product, seller, { weight: 0.4, isActive: false })).toBe(false);
+    });
+
+    it('should trust admins and products that were not reviewed yet', () => {
+      expect(ProductModerationService.needsReview(buildProduct('published'), admin, { name: 'Other' })).toBe(false);
+      expect(ProductModerationService.needsReview(buildProduct('draft'), seller, { name: 'Other' })).toBe(false);
+    });
+
+    it('should review new variants and content changes of variants', () => {
+      const variant = Variant.build({ id: 7, productId: 4, sku: 'TRL-1-42', name: 'Size 42', price: '89.00' }, { isNewRecord: false });
+
+      expect(ProductModerationService.needsReview(buildProduct('published'), seller, { sku: 'TRL-1-43' }, null)).toBe(true);
+      expect(ProductModerationService.needsReview(buildProduct('published'), seller, { price: 9 }, variant)).toBe(true);
+      expect(ProductModerationService.needsReview(buildProduct('published'), seller, { price: 89, sku: 'TRL-42' }, variant)).toBe(false);
+    });
+  });
+
+  describe('returnToReview', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should take an edited published product off the storefront until it is approved again', async () => {
+      const product = buildProduct('published');
+      const history = jest.spyOn(ProductStatusHistory, 'create').mockResolvedValue({});
+      jest.spyOn(product, 'update').mockImplementation(async fields => product.set(fields));
+
+      await ProductModerationService.returnToReview(product, seller, {});
+
+      expect(product.status).toBe('pending_review');
+      expect(product.submittedAt).toBeInstanceOf(Date);
+      expect(ProductModerationService.isVisible(product, null)).toBe(false);
+      expect(ProductModerationService.isVisible(product, seller)).toBe(true);
+      expect(history).toHaveBeenCalledWith(expect.objectContaining({
+        productId: 4,
+        fromStatus: 'published',
+        toStatus: 'pending_review',
+        actorId: seller.id
+      }), { transaction: {} });
+    });
+  });
+});
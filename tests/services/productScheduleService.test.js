@@ -0,0 +1,167 @@
+const { Op } = require('sequelize');
+const Product = require('../../models/product');
+const Variant = require('../../models/variant');
+const ProductModerationService = require('../../services/productModerationService');
+const ProductScheduleService = require('../../services/productScheduleService');
+const { ApiError } = require('../../utils/errorHandler');
+
+const now = new Date('2024-06-01T12:00:00.000Z');
+
+const product = {
+  id: 4,
+  name: 'Sneaker Drop',
+  sku: 'SNK-1',
+  status: 'approved',
+  isActive: true,
+  userId: 2,
+  publishAt: new Date('2024-06-05T09:00:00.000Z'),
+  unpublishAt: new Date('2024-06-30T21:00:00.000Z')
+};
+
+describe('Product Schedule Service', () => {
+  describe('isPending', () => {
+    it('should only treat a publishAt in the future as pending', () => {
+      expect(ProductScheduleService.isPending('2024-06-02T00:00:00.000Z', now)).toBe(true);
+      expect(ProductScheduleService.isPending('2024-06-01T12:00:00.000Z', now)).toBe(false);
+      expect(ProductScheduleService.isPending(null, now)).toBe(false);
+    });
+  });
+
+  describe('getVariantActive', () => {
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    it('should keep a variant waiting for its publishAt inactive', () => {
+      expect(ProductScheduleService.getVariantActive(undefined, later)).toBe(false);
+      expect(ProductScheduleService.getVariantActive(undefined, later, true)).toBe(false);
+    });
+
+    it('should let an explicit isActive win over the schedule', () => {
+      expect(ProductScheduleService.getVariantActive(true, later)).toBe(true);
+      expect(ProductScheduleService.getVariantActive(false, undefined, true)).toBe(false);
+    });
+
+    it('should keep the current state without a future publishAt', () => {
+      expect(ProductScheduleService.getVariantActive(undefined, undefined)).toBe(true);
+      expect(ProductScheduleService.getVariantActive(undefined, '2020-01-01T00:00:00.000Z', false)).toBe(false);
+    });
+  });
+
+  describe('withoutSchedule', () => {
+    it('should leave out the scheduled times and keep the rest', () => {
+      expect(ProductScheduleService.withoutSchedule(product)).toEqual({
+        id: 4, name: 'Sneaker Drop', sku: 'SNK-1', status: 'approved', isActive: true, userId: 2
+      });
+    });
+  });
+
+  describe('toEntries', () => {
+    it('should list the publishing and unpublishing of a product', () => {
+      const entries = ProductScheduleService.toEntries('product', product, null, {});
+
+      expect(entries.map(entry => `${entry.action}@${entry.at.toISOString()}`)).toEqual([
+        'publish@2024-06-05T09:00:00.000Z',
+        'unpublish@2024-06-30T21:00:00.000Z'
+      ]);
+      expect(entries[0].product).toEqual({ id: 4, name: 'Sneaker Drop', sku: 'SNK-1', status: 'approved', isActive: true, userId: 2 });
+      expect(entries[0].variant).toBeNull();
+    });
+
+    it('should leave out the changes outside the range', () => {
+      const entries = ProductScheduleService.toEntries('product', product, null, {
+        [Op.gte]: new Date('2024-06-10T00:00:00.000Z')
+      });
+
+      expect(entries.map(entry => entry.action)).toEqual(['unpublish']);
+    });
+
+    it('should take the times of the variant for a variant entry', () => {
+      const variant = { id: 9, name: 'Sneaker Drop 42', sku: 'SNK-1-42', isActive: false, publishAt: null, unpublishAt: new Date('2024-06-20T00:00:00.000Z') };
+      const entries = ProductScheduleService.toEntries('variant', product, variant, {});
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ type: 'variant', action: 'unpublish', variant: { id: 9, sku: 'SNK-1-42', isActive: false } });
+    });
+  });
+
+  describe('runDueSchedules', () => {
+    let changeStatus;
+    let invalidateCatalogCache;
+
+    // Due products by the status they are looked up in, and the variants each bulk update changes
+    const stubDue = ({ approved = [], published = [], activated = 0, deactivated = 0 }) => {
+      jest.spyOn(Product, 'findAll').mockImplementation(async ({ where }) => (
+        where.status === 'approved' ? approved : published
+      ).map(id => ({ id })));
+      jest.spyOn(Product, 'update').mockResolvedValue([0]);
+      jest.spyOn(Variant, 'update').mockImplementation(async values => [values.isActive ? activated : deactivated]);
+    };
+
+    beforeEach(() => {
+      changeStatus = jest.spyOn(ProductModerationService, 'changeStatus').mockResolvedValue({});
+      invalidateCatalogCache = jest.spyOn(ProductModerationService, 'invalidateCatalogCache').mockResolvedValue();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should publish and unpublish the due products and switch the due variants', async () => {
+      stubDue({ approved: [1, 2], published: [3], activated: 2, deactivated: 1 });
+
+      const result = await ProductScheduleService.runDueSchedules(now);
+
+      expect(result).toEqual({ published: 2, unpublished: 1, activated: 2, deactivated: 1 });
+      expect(changeStatus).toHaveBeenCalledWith(1, null, [
+        { status: 'published', fields: { publishedAt: now, publishAt: null }, reason: 'Scheduled publish' }
+      ], { invalidateCache: false });
+      expect(changeStatus).toHaveBeenCalledWith(3, null, [
+        { status: 'approved', fields: { unpublishAt: null }, reason: 'Scheduled unpublish' }
+      ], { invalidateCache: false });
+      expect(Variant.update).toHaveBeenCalledWith(
+        { isActive: true, publishAt: null },
+        { where: { publishAt: { [Op.lte]: now } }, validate: false }
+      );
+      expect(Variant.update).toHaveBeenCalledWith(
+        { isActive: false, unpublishAt: null },
+        { where: { unpublishAt: { [Op.lte]: now } }, validate: false }
+      );
+      expect(invalidateCatalogCache).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop the cache when only products changed', async () => {
+      stubDue({ approved: [1] });
+
+      expect(await ProductScheduleService.runDueSchedules(now)).toEqual({ published: 1, unpublished: 0, activated: 0, deactivated: 0 });
+      expect(invalidateCatalogCache).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the cache alone when nothing was due', async () => {
+      stubDue({});
+
+      expect(await ProductScheduleService.runDueSchedules(now)).toEqual({ published: 0, unpublished: 0, activated: 0, deactivated: 0 });
+      expect(changeStatus).not.toHaveBeenCalled();
+      expect(invalidateCatalogCache).not.toHaveBeenCalled();
+    });
+
+    it('should skip products that were moved in the meantime', async () => {
+      stubDue({ approved: [1, 2] });
+      changeStatus.mockImplementation(async id => {
+        if (id === 1) {
+          throw ApiError.badRequest('Cannot transition product from published to published');
+        }
+      });
+
+      const result = await ProductScheduleService.runDueSchedules(now);
+
+      expect(result.published).toBe(1);
+      expect(changeStatus).toHaveBeenCalledTimes(2);
+    });
+
+    it('should log other failures and go on with the next product', async () => {
+      stubDue({ approved: [1, 2] });
+      const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+      changeStatus.mockRejectedValueOnce(new Error('Lock wait timeout exceeded'));
+
+      expect((await ProductScheduleService.runDueSchedules(now)).published).toBe(1);
+      expect(log).toHaveBeenCalledWith('Scheduled status change of product 1 failed:', expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const ReplenishmentService = require('../../services/replenishmentService');
+
+const options = { safetyDays: 7, coverDays: 30 };
+const today = new Date('2024-01-01T00:00:00.000Z');
+
+const stock = overrides => ({
+  quantity: 20,
+  reservedQuantity: 0,
+  onOrderQuantity: 0,
+  averageDailySales: 2,
+  leadTimeDays: 10,
+  ...overrides
+});
+
+describe('Replenishment Service', () => {
+  describe('computeSuggestion', () => {
+    it('should order today when the stock is already below the reorder point', () => {
+      expect(ReplenishmentService.computeSuggestion(stock(), options, today)).toEqual({
+        stockPosition: 20,
+        safetyStock: 14,
+        reorderPoint: 34,
+        daysOfCover: 10,
+        stockoutDate: '2024-01-11',
+        suggestedOrderDate: '2024-01-01',
+        suggestedQuantity: 74
+      });
+    });
+
+    it('should plan the order for the day the stock reaches the reorder point', () => {
+      const suggestion = ReplenishmentService.computeSuggestion(stock({ quantity: 60 }), options, today);
+
+      expect(suggestion.suggestedOrderDate).toBe('2024-01-14');
+      expect(suggestion.suggestedQuantity).toBe(60);
+      expect(suggestion.stockoutDate).toBe('2024-01-31');
+    });
+
+    it('should count stock on order towards the position but not towards the days of cover', () => {
+      const suggestion = ReplenishmentService.computeSuggestion(stock({ onOrderQuantity: 40 }), options, today);
+
+      expect(suggestion.stockPosition).toBe(60);
+      expect(suggestion.suggestedOrderDate).toBe('2024-01-14');
+      expect(suggestion.daysOfCover).toBe(10);
+    });
+
+    it('should leave reserved units out of the available stock', () => {
+      const suggestion = ReplenishmentService.computeSuggestion(stock({ quantity: 24, reservedQuantity: 4 }), options, today);
+
+      expect(suggestion.stockPosition).toBe(20);
+      expect(suggestion.suggestedQuantity).toBe(74);
+    });
+
+    it('should not suggest anything for a record that did not sell', () => {
+      expect(ReplenishmentService.computeSuggestion(stock({ averageDailySales: 0 }), options, today)).toBeNull();
+    });
+  });
+});
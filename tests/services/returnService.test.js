@@ -0,0 +1,82 @@
+const { sequelize } = require('../../config/database');
+const ReturnRequest = require('../../models/returnRequest');
+const PaymentService = require('../../services/paymentService');
+const ReturnService = require('../../services/returnService');
+
+describe('Return Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refundReturn', () => {
+    const seller = { id: 2, role: 'seller' };
+    let stored;
+    let failSave;
+
+    beforeEach(() => {
+      failSave = false;
+      // The return as saved in the database, each transaction works on a copy of it
+      stored = { id: 5, orderId: 9, sellerId: 2, status: 'received', refundAmount: '40.00', refundedAmount: '0.00', refundKey: null };
+
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async () => {
+        const changes = {};
+        return {
+          LOCK: { UPDATE: 'UPDATE' },
+          changes,
+          commit: jest.fn(async () => Object.assign(stored, changes)),
+          rollback: jest.fn()
+        };
+      });
+      jest.spyOn(ReturnRequest, 'findByPk').mockImplementation(async (id, { transaction }) => ({
+        ...stored,
+        update: jest.fn(async function update(values) {
+          if (values.status === 'refunded' && failSave) {
+            throw new Error('Connection lost');
+          }
+          Object.assign(this, values);
+          Object.assign(transaction.changes, values);
+        })
+      }));
+      jest.spyOn(ReturnService, 'getReturnById').mockImplementation(async () => stored);
+    });
+
+    it('should refund with the key saved before the provider was called', async () => {
+      const refundOrderAmount = jest.spyOn(PaymentService, 'refundOrderAmount').mockResolvedValue([]);
+
+      const result = await ReturnService.refundReturn(5, seller);
+
+      expect(result.status).toBe('refunded');
+      expect(result.refundKey).toEqual(expect.any(String));
+      expect(refundOrderAmount).toHaveBeenCalledWith(9, 40, 'Return #5', expect.objectContaining({
+        idempotencyKey: result.refundKey
+      }));
+    });
+
+    it('should keep the key when saving the refund fails, so a retry sends the same refunds', async () => {
+      const refundOrderAmount = jest.spyOn(PaymentService, 'refundOrderAmount').mockResolvedValue([]);
+      failSave = true;
+
+      await expect(ReturnService.refundReturn(5, seller)).rejects.toThrow('Connection lost');
+
+      expect(stored.status).toBe('received');
+      const { refundKey } = stored;
+      expect(refundKey).toEqual(expect.any(String));
+
+      failSave = false;
+      await ReturnService.refundReturn(5, seller);
+
+      expect(stored.status).toBe('refunded');
+      expect(refundOrderAmount.mock.calls.map(([, , , options]) => options.idempotencyKey)).toEqual([refundKey, refundKey]);
+    });
+
+    it('should not call the provider for a return that cannot be refunded', async () => {
+      const refundOrderAmount = jest.spyOn(PaymentService, 'refundOrderAmount');
+      stored.status = 'requested';
+
+      await expect(ReturnService.refundReturn(5, seller)).rejects.toThrow();
+      await expect(ReturnService.refundReturn(5, { id: 3, role: 'seller' })).rejects.toThrow('Not authorized to manage this return');
+      expect(refundOrderAmount).not.toHaveBeenCalled();
+      expect(stored.refundKey).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const InventoryService = require('../../services/inventoryService');
+const SerialService = require('../../services/serialService');
+
+describe('Serial Service', () => {
+  describe('tracksSerials', () => {
+    it('should follow the product when the variant has no setting of its own', () => {
+      expect(InventoryService.tracksSerials({ isSerialized: true }, { isSerialized: null })).toBe(true);
+      expect(InventoryService.tracksSerials({ isSerialized: false })).toBe(false);
+    });
+
+    it('should use the setting of the variant over the product', () => {
+      expect(InventoryService.tracksSerials({ isSerialized: true }, { isSerialized: false })).toBe(false);
+      expect(InventoryService.tracksSerials({ isSerialized: false }, { isSerialized: true })).toBe(true);
+    });
+  });
+
+  describe('normalize', () => {
+    it('should trim serial numbers', () => {
+      expect(SerialService.normalize([' SN-1 ', 'SN-2'])).toEqual(['SN-1', 'SN-2']);
+    });
+
+    it('should reject a serial number listed twice', () => {
+      expect(() => SerialService.normalize(['SN-1', 'SN-1 '])).toThrow('Serial number SN-1 is listed more than once');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const ShippingService = require('../../services/shippingService');
+
+describe('Shipping Service', () => {
+  describe('getUnitWeight', () => {
+    it('should use the weight of small items', () => {
+      expect(ShippingService.getUnitWeight({ weight: '0.350', length: '18', width: '10', height: '6' })).toBe(0.35);
+    });
+
+    it('should charge bulky items by their volumetric weight', () => {
+      expect(ShippingService.getUnitWeight({ weight: '0.200', length: '40', width: '30', height: '10' })).toBe(2.4);
+    });
+
+    it('should treat items without a weight as weightless', () => {
+      expect(ShippingService.getUnitWeight({ weight: null, length: null, width: null, height: null })).toBe(0);
+    });
+  });
+
+  describe('buildPackages', () => {
+    it('should make one parcel per seller', () => {
+      const packages = ShippingService.buildPackages([
+        { sellerId: 1, quantity: 2, lineTotal: 180, unitWeight: 0.5 },
+        { sellerId: 2, quantity: 1, lineTotal: 20, unitWeight: 2.4 },
+        { sellerId: 1, quantity: 1, lineTotal: 15.5, unitWeight: 0.25 }
+      ]);
+
+      expect(packages).toEqual([
+        { sellerId: 1, weight: 1.25, amount: 195.5 },
+        { sellerId: 2, weight: 2.4, amount: 20 }
+      ]);
+    });
+  });
+
+  describe('calculateRate', () => {
+    const weightMethod = {
+      rateType: 'weight',
+      rates: [{ upTo: 1, price: 5 }, { upTo: 5, price: 9.5 }]
+    };
+
+    it('should charge the first bracket that covers the parcel', () => {
+      expect(ShippingService.calculateRate(weightMethod, { weight: 1, amount: 50 })).toBe(5);
+      expect(ShippingService.calculateRate(weightMethod, { weight: 1.2, amount: 50 })).toBe(9.5);
+    });
+
+    it('should not ship parcels above the last bracket', () => {
+      expect(ShippingService.calculateRate(weightMethod, { weight: 6, amount: 50 })).toBeNull();
+    });
+
+    it('should look up price rates by parcel value', () => {
+      const priceMethod = {
+        rateType: 'price',
+        rates: [{ upTo: 100, price: 10 }, { upTo: null, price: 0 }]
+      };
+
+      expect(ShippingService.calculateRate(priceMethod, { weight: 30, amount: 99.99 })).toBe(10);
+      expect(ShippingService.calculateRate(priceMethod, { weight: 30, amount: 250 })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { Op } = require('sequelize');
+const Category = require('../../models/category');
+const TaxRule = require('../../models/taxRule');
+const TaxService = require('../../services/taxService');
+
+const rule = (overrides) => ({
+  id: 1,
+  name: 'Rule',
+  region: null,
+  categoryId: null,
+  rate: '10.000',
+  inclusive: false,
+  effectiveFrom: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('Tax Service', () => {
+  describe('getRegionHierarchy', () => {
+    it('should cover a subdivision with its country', () => {
+      expect(TaxService.getRegionHierarchy('us-ca')).toEqual(['US-CA', 'US']);
+      expect(TaxService.getRegionHierarchy('RW')).toEqual(['RW']);
+      expect(TaxService.getRegionHierarchy(null)).toEqual([]);
+    });
+  });
+
+  describe('selectRule', () => {
+    const general = rule({ id: 1, region: null });
+    const country = rule({ id: 2, region: 'US' });
+    const state = rule({ id: 3, region: 'US-CA' });
+    const food = rule({ id: 4, region: 'US', categoryId: 7 });
+
+    it('should prefer the most specific region', () => {
+      expect(TaxService.selectRule([general, country, state], 'US-CA', 1).id).toBe(3);
+      expect(TaxService.selectRule([general, country, state], 'US-NY', 1).id).toBe(2);
+      expect(TaxService.selectRule([general, country, state], 'RW', 1).id).toBe(1);
+    });
+
+    it('should let a category rule override the region rate', () => {
+      expect(TaxService.selectRule([general, country, state, food], 'US-CA', 7).id).toBe(4);
+      expect(TaxService.selectRule([general, country, state, food], 'US-CA', 8).id).toBe(3);
+    });
+
+    it('should prefer the most recent rule of the same region', () => {
+      const newer = rule({ id: 5, region: 'US', effectiveFrom: '2025-01-01T00:00:00.000Z' });
+      expect(TaxService.selectRule([country, newer], 'US', 1).id).toBe(5);
+    });
+
+    it('should return null when no rule applies', () => {
+      expect(TaxService.selectRule([country], 'RW', 1)).toBeNull();
+    });
+
+    it('should apply the rule of the closest parent category', () => {
+      const fruit = rule({ id: 6, region: null, categoryId: 9 });
+
+      expect(TaxService.selectRule([general, country, state, food], 'US-CA', 12, [9, 7]).id).toBe(4);
+      expect(TaxService.selectRule([general, country, state, food, fruit], 'US-CA', 12, [9, 7]).id).toBe(6);
+      expect(TaxService.selectRule([general, country, state, food], 'US-CA', 12, [9]).id).toBe(3);
+    });
+  });
+
+  describe('getCategoryAncestors', () => {
+    // Food (7) > Fruit (9) > Apples (12), and a loop between 20 and 21
+    const categories = [
+      { id: 7, parentId: null },
+      { id: 9, parentId: 7 },
+      { id: 12, parentId: 9 },
+      { id: 20, parentId: 21 },
+      { id: 21, parentId: 20 }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Category, 'findAll').mockImplementation(async ({ where }) => (
+        categories.filter(category => where.id.includes(category.id))
+      ));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should list the parents of each category, closest first', async () => {
+      const ancestors = await TaxService.getCategoryAncestors([12, 7, null, 12]);
+
+      expect([...ancestors]).toEqual([[12, [9, 7]], [7, []]]);
+      expect(Category.findAll).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop at a loop in the category tree', async () => {
+      const ancestors = await TaxService.getCategoryAncestors([20]);
+
+      expect(ancestors.get(20)).toEqual([21]);
+    });
+  });
+
+  describe('applyTaxes', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should tax a line of a subcategory with the rule of its parent', async () => {
+      jest.spyOn(Category, 'findAll').mockImplementation(async ({ where }) => (
+        [{ id: 7, parentId: null }, { id: 9, parentId: 7 }].filter(category => where.id.includes(category.id))
+      ));
+      jest.spyOn(TaxRule, 'findAll').mockResolvedValue([
+        rule({ id: 1, region: 'US', rate: '10.000' }),
+        rule({ id: 4, region: 'US', categoryId: 7, rate: '0.000' })
+      ]);
+
+      const { lines } = await TaxService.applyTaxes([
+        { lineTotal: 50, categoryId: 9 },
+        { lineTotal: 50, categoryId: 3 }
+      ], { region: 'US' });
+
+      expect(lines.map(line => line.taxAmount)).toEqual([0, 5]);
+      expect(TaxRule.findAll.mock.calls[0][0].where.categoryId).toEqual(expect.objectContaining({
+        [Op.or]: [null, 9, 7, 3]
+      }));
+    });
+  });
+
+  describe('calculateLineTax', () => {
+    it('should add exclusive taxes on top of the line total', () => {
+      expect(TaxService.calculateLineTax(100, rule({ rate: '7.250' }))).toEqual({
+        taxRate: 7.25,
+        taxInclusive: false,
+        taxAmount: 7.25
+      });
+    });
+
+    it('should take inclusive taxes out of the line total', () => {
+      expect(TaxService.calculateLineTax(118, rule({ rate: '18.000', inclusive: true })).taxAmount).toBe(18);
+    });
+
+    it('should not tax lines without a rule', () => {
+      expect(TaxService.calculateLineTax(50, null)).toEqual({ taxRate: 0, taxInclusive: false, taxAmount: 0 });
+    });
+  });
+});
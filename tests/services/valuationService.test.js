@@ -0,0 +1,148 @@
+const Inventory = require('../../models/inventory');
+const StockMovement = require('../../models/stockMovement');
+const ValuationService = require('../../services/valuationService');
+
+const period = {
+  from: new Date('2024-02-01T00:00:00.000Z'),
+  to: new Date('2024-02-29T23:59:59.999Z')
+};
+
+const move = (id, inventoryId, type, delta, createdAt, extra = {}) => ({
+  id,
+  inventoryId,
+  skuKey: 'product:1',
+  type,
+  delta,
+  unitCost: null,
+  reference: null,
+  createdAt,
+  ...extra
+});
+
+// 10 units at 5, 10 units at 8, then 15 units sold in February
+const purchasesAndSale = [
+  move(1, 1, 'restock', 10, '2024-01-05T10:00:00.000Z', { unitCost: 5 }),
+  move(2, 1, 'restock', 10, '2024-01-20T10:00:00.000Z', { unitCost: 8 }),
+  move(3, 1, 'sale', -15, '2024-02-10T10:00:00.000Z')
+];
+
+describe('Valuation Service', () => {
+  describe('replay', () => {
+    it('should cost sales from the oldest units first with FIFO', () => {
+      const result = ValuationService.replay(purchasesAndSale, 'fifo', period).get(1);
+
+      expect(result.opening).toEqual({ quantity: 20, value: 130 });
+      expect(result.cogs).toBe(90);
+      expect(result.unitsSold).toBe(15);
+      expect(result.closing).toEqual({ quantity: 5, value: 40 });
+    });
+
+    it('should cost sales at the average cost with weighted average', () => {
+      const result = ValuationService.replay(purchasesAndSale, 'weighted_average', period).get(1);
+
+      expect(result.cogs).toBeCloseTo(97.5);
+      expect(result.closing.quantity).toBe(5);
+      expect(result.closing.value).toBeCloseTo(32.5);
+    });
+
+    it('should leave sales outside the period out of the cost of goods sold', () => {
+      const result = ValuationService.replay(purchasesAndSale, 'fifo', {
+        from: new Date('2024-03-01T00:00:00.000Z'),
+        to: new Date('2024-03-31T23:59:59.999Z')
+      }).get(1);
+
+      expect(result.cogs).toBe(0);
+      expect(result.opening).toEqual(result.closing);
+    });
+
+    it('should stop at the end of the period', () => {
+      const result = ValuationService.replay(purchasesAndSale, 'fifo', {
+        from: new Date('2024-01-01T00:00:00.000Z'),
+        to: new Date('2024-01-31T23:59:59.999Z')
+      }).get(1);
+
+      expect(result.opening).toEqual({ quantity: 0, value: 0 });
+      expect(result.closing).toEqual({ quantity: 20, value: 130 });
+    });
+
+    it('should take returned units off the cost of goods sold at the cost on hand', () => {
+      const result = ValuationService.replay([
+        ...purchasesAndSale,
+        move(4, 1, 'return', 5, '2024-02-12T10:00:00.000Z')
+      ], 'weighted_average', period).get(1);
+
+      expect(result.unitsSold).toBe(10);
+      expect(result.cogs).toBeCloseTo(65);
+    });
+
+    it('should carry the cost of transferred units to the receiving record', () => {
+      const results = ValuationService.replay([
+        move(1, 1, 'restock', 10, '2024-02-01T10:00:00.000Z', { unitCost: 5 }),
+        move(2, 1, 'restock', 10, '2024-02-02T10:00:00.000Z', { unitCost: 8 }),
+        move(3, 1, 'transfer', -12, '2024-02-03T10:00:00.000Z', { reference: 'transfer:1' }),
+        move(4, 2, 'transfer', 12, '2024-02-05T10:00:00.000Z', { reference: 'transfer:1' })
+      ], 'fifo', period);
+
+      expect(results.get(1).closing).toEqual({ quantity: 8, value: 64 });
+      expect(results.get(2).closing).toEqual({ quantity: 12, value: 66 });
+    });
+
+    it('should count units without any known cost', () => {
+      const result = ValuationService.replay([
+        move(1, 1, 'adjustment', 4, '2024-02-01T10:00:00.000Z'),
+        move(2, 1, 'restock', 6, '2024-02-02T10:00:00.000Z', { unitCost: 3 })
+      ], 'fifo', period).get(1);
+
+      expect(result.uncostedUnits).toBe(4);
+      expect(result.closing).toEqual({ quantity: 10, value: 18 });
+    });
+  });
+
+  describe('getOpeningBalances', () => {
+    it('should take the stock before the first movement of each record', () => {
+      const balances = ValuationService.getOpeningBalances([
+        { id: 1, quantity: 98 },
+        { id: 2, quantity: 7 },
+        { id: 3, quantity: 5 }
+      ], [
+        { inventoryId: 1, delta: -2, quantityAfter: 98 },
+        { inventoryId: 3, delta: 5, quantityAfter: 5 },
+        { inventoryId: 1, delta: 4, quantityAfter: 102 }
+      ]);
+
+      expect(balances.map(({ inventoryId, delta }) => ({ inventoryId, delta }))).toEqual([
+        { inventoryId: 1, delta: 100 },
+        { inventoryId: 2, delta: 7 }
+      ]);
+    });
+  });
+
+  describe('getValuation', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep stock held before the ledger started when the record was sold from', async () => {
+      jest.spyOn(Inventory, 'findAll').mockResolvedValue([{
+        id: 1,
+        productId: 1,
+        variantId: null,
+        warehouseId: null,
+        quantity: 98,
+        Product: { id: 1, name: 'Lamp', sku: 'LAMP', userId: 2, categoryId: 3, Category: { id: 3, name: 'Home' } },
+        Variant: null,
+        warehouse: null
+      }]);
+      jest.spyOn(StockMovement, 'findAll').mockResolvedValue([
+        { id: 1, inventoryId: 1, type: 'sale', delta: -2, quantityAfter: 98, unitCost: null, reference: 'order:1', createdAt: new Date('2024-02-10T10:00:00.000Z') }
+      ]);
+
+      const { summary } = await ValuationService.getValuation({ from: '2024-02-01', to: '2024-02-29' }, { id: 1, role: 'admin' });
+
+      expect(summary.openingQuantity).toBe(100);
+      expect(summary.unitsSold).toBe(2);
+      expect(summary.quantity).toBe(98);
+      expect(summary.uncostedUnits).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const WarehouseService = require('../../services/warehouseService');
+
+const stockRow = (id, quantity, warehouse, reservedQuantity = 0) => ({
+  id,
+  warehouseId: warehouse ? warehouse.id : null,
+  warehouse,
+  quantity,
+  reservedQuantity
+});
+
+describe('Warehouse Service', () => {
+  const kigali = { id: 1, region: 'RW', priority: 5, isActive: true };
+  const austin = { id: 2, region: 'US-TX', priority: 0, isActive: true };
+  const oakland = { id: 3, region: 'US-CA', priority: 10, isActive: true };
+
+  describe('rankStockRows', () => {
+    it('should prefer the shipping region, then the country, then the priority', () => {
+      const rows = [stockRow(1, 5, kigali), stockRow(2, 5, austin), stockRow(3, 5, oakland)];
+
+      expect(WarehouseService.rankStockRows(rows, 'US-CA').map(row => row.id)).toEqual([3, 2, 1]);
+      expect(WarehouseService.rankStockRows(rows, 'US-NY').map(row => row.id)).toEqual([2, 3, 1]);
+      expect(WarehouseService.rankStockRows(rows, 'DE').map(row => row.id)).toEqual([2, 1, 3]);
+    });
+
+    it('should leave out empty rows and inactive warehouses and use unassigned stock last', () => {
+      const rows = [
+        stockRow(1, 5, null),
+        stockRow(2, 5, { ...austin, isActive: false }),
+        stockRow(3, 5, oakland, 5),
+        stockRow(4, 5, kigali)
+      ];
+
+      expect(WarehouseService.rankStockRows(rows, 'US-CA').map(row => row.id)).toEqual([4, 1]);
+    });
+
+    it('should keep rows without stock available when ranking rows for backorders', () => {
+      const rows = [
+        stockRow(1, 0, null),
+        stockRow(2, 0, { ...austin, isActive: false }),
+        stockRow(3, 2, oakland, 4)
+      ];
+
+      expect(WarehouseService.rankStockRows(rows, 'US-CA', false).map(row => row.id)).toEqual([3, 1]);
+    });
+  });
+
+  describe('allocate', () => {
+    it('should ship the whole line from the best warehouse that has enough stock', () => {
+      const rows = [stockRow(1, 2, oakland), stockRow(2, 10, austin)];
+
+      expect(WarehouseService.allocate(rows, 3, 'US-CA')).toEqual([{ inventory: rows[1], quantity: 3 }]);
+    });
+
+    it('should split the line when no warehouse can ship all of it', () => {
+      const rows = [stockRow(1, 2, oakland), stockRow(2, 4, austin, 1)];
+
+      expect(WarehouseService.allocate(rows, 5, 'US-CA')).toEqual([
+        { inventory: rows[0], quantity: 2 },
+        { inventory: rows[1], quantity: 3 }
+      ]);
+    });
+
+    it('should return null when all warehouses together are short', () => {
+      expect(WarehouseService.allocate([stockRow(1, 2, oakland), stockRow(2, 2, austin)], 5, 'US-CA')).toBeNull();
+    });
+  });
+});
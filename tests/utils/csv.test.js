@@ -0,0 +1,53 @@
+const { parseCsv, toCsv, escapeFormula, unescapeFormula } = require('../../utils/csv');
+
+describe('CSV', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(parseCsv('sku,name\r\nA,Shirt\nB,Hat')).toEqual([
+        { line: 1, fields: ['sku', 'name'] },
+        { line: 2, fields: ['A', 'Shirt'] },
+        { line: 3, fields: ['B', 'Hat'] }
+      ]);
+    });
+
+    it('should read quoted fields with commas, quotes and line breaks', () => {
+      expect(parseCsv('"Shirt, ""blue""","two\nlines"\nnext,row')).toEqual([
+        { line: 1, fields: ['Shirt, "blue"', 'two\nlines'] },
+        { line: 3, fields: ['next', 'row'] }
+      ]);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('\uFEFFsku\n\nA\n')).toEqual([
+        { line: 1, fields: ['sku'] },
+        { line: 3, fields: ['A'] }
+      ]);
+    });
+
+    it('should reject an unclosed quote', () => {
+      expect(() => parseCsv('a\n"b,c')).toThrow('Unclosed quote in the row starting on line 2');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote fields that need it', () => {
+      expect(toCsv(['line', 'message'], [[2, 'Name, "short"'], [3, null]]))
+        .toBe('line,message\r\n2,"Name, ""short"""\r\n3,\r\n');
+    });
+
+    it('should escape text that starts like a formula but not numbers', () => {
+      expect(toCsv(['sku', 'name', 'stock'], [['=HYPERLINK("x")', '@sum', -5], ['+1', "-don't", 2]]))
+        .toBe('sku,name,stock\r\n"\'=HYPERLINK(""x"")",\'@sum,-5\r\n\'+1,\'-don\'t,2\r\n');
+    });
+  });
+
+  describe('escapeFormula', () => {
+    it('should give back the text written, apostrophes included', () => {
+      ['=1+2', '+1', '-1', '@A1', '\tx', "'=1", "''@x", "it's", "'quoted'", 'plain'].forEach((text) => {
+        expect(unescapeFormula(parseCsv(toCsv([text], []))[0].fields[0])).toBe(text);
+      });
+      expect(escapeFormula("'=1")).toBe("''=1");
+      expect(escapeFormula("'quoted'")).toBe("'quoted'");
+    });
+  });
+});
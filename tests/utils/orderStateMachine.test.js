@@ -0,0 +1,41 @@
+const orderStateMachine = require('../../utils/orderStateMachine');
+
+describe('Order State Machine', () => {
+  it('should allow the normal order lifecycle', () => {
+    expect(orderStateMachine.can('pending', 'processing')).toBe(true);
+    expect(orderStateMachine.can('processing', 'shipped')).toBe(true);
+    expect(orderStateMachine.can('shipped', 'delivered')).toBe(true);
+  });
+
+  it('should allow cancelling until the order is shipped', () => {
+    expect(orderStateMachine.can('pending', 'cancelled')).toBe(true);
+    expect(orderStateMachine.can('processing', 'cancelled')).toBe(true);
+    expect(orderStateMachine.can('shipped', 'cancelled')).toBe(false);
+  });
+
+  it('should not allow skipping a status', () => {
+    expect(orderStateMachine.can('pending', 'shipped')).toBe(false);
+    expect(orderStateMachine.can('processing', 'delivered')).toBe(false);
+  });
+
+  it('should throw a 400 error for an invalid transition', () => {
+    expect(() => orderStateMachine.assert('delivered', 'pending')).toThrow('Cannot transition order from delivered to pending');
+
+    try {
+      orderStateMachine.assert('delivered', 'pending');
+    } catch (error) {
+      expect(error.statusCode).toEqual(400);
+    }
+  });
+
+  it('should treat delivered and cancelled as final', () => {
+    expect(orderStateMachine.isFinal('delivered')).toBe(true);
+    expect(orderStateMachine.isFinal('cancelled')).toBe(true);
+    expect(orderStateMachine.isFinal('pending')).toBe(false);
+  });
+
+  it('should list the allowed next statuses', () => {
+    expect(orderStateMachine.allowedFrom('processing')).toEqual(['shipped', 'cancelled']);
+    expect(orderStateMachine.allowedFrom('unknown')).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+const productStateMachine = require('../../utils/productStateMachine');
+
+describe('Product State Machine', () => {
+  it('should allow the normal moderation lifecycle', () => {
+    expect(productStateMachine.can('draft', 'pending_review')).toBe(true);
+    expect(productStateMachine.can('pending_review', 'approved')).toBe(true);
+    expect(productStateMachine.can('approved', 'published')).toBe(true);
+  });
+
+  it('should let a rejected product be submitted again', () => {
+    expect(productStateMachine.can('pending_review', 'rejected')).toBe(true);
+    expect(productStateMachine.can('rejected', 'pending_review')).toBe(true);
+  });
+
+  it('should only publish approved products', () => {
+    expect(() => productStateMachine.assert('draft', 'published')).toThrow('Cannot transition product from draft to published');
+    expect(() => productStateMachine.assert('pending_review', 'published')).toThrow('Cannot transition product from pending_review to published');
+    expect(productStateMachine.can('published', 'approved')).toBe(true);
+  });
+
+  it('should send reviewed products back to review', () => {
+    expect(productStateMachine.can('approved', 'pending_review')).toBe(true);
+    expect(productStateMachine.can('published', 'pending_review')).toBe(true);
+  });
+
+  it('should restore archived products as drafts', () => {
+    expect(productStateMachine.allowedFrom('archived')).toEqual(['draft']);
+    expect(productStateMachine.isFinal('archived')).toBe(false);
+  });
+});
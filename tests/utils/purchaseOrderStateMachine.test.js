@@ -0,0 +1,27 @@
+const purchaseOrderStateMachine = require('../../utils/purchaseOrderStateMachine');
+
+describe('Purchase Order State Machine', () => {
+  it('should allow the normal purchase order lifecycle', () => {
+    expect(purchaseOrderStateMachine.can('draft', 'ordered')).toBe(true);
+    expect(purchaseOrderStateMachine.can('ordered', 'received')).toBe(true);
+  });
+
+  it('should allow several deliveries before the order is received', () => {
+    expect(purchaseOrderStateMachine.can('ordered', 'partially_received')).toBe(true);
+    expect(purchaseOrderStateMachine.can('partially_received', 'partially_received')).toBe(true);
+    expect(purchaseOrderStateMachine.can('partially_received', 'received')).toBe(true);
+  });
+
+  it('should only allow cancelling before the first delivery', () => {
+    expect(purchaseOrderStateMachine.can('draft', 'cancelled')).toBe(true);
+    expect(purchaseOrderStateMachine.can('ordered', 'cancelled')).toBe(true);
+    expect(() => purchaseOrderStateMachine.assert('partially_received', 'cancelled'))
+      .toThrow('Cannot transition purchase order from partially_received to cancelled');
+  });
+
+  it('should treat received and cancelled as final', () => {
+    expect(purchaseOrderStateMachine.isFinal('received')).toBe(true);
+    expect(purchaseOrderStateMachine.isFinal('cancelled')).toBe(true);
+    expect(purchaseOrderStateMachine.isFinal('ordered')).toBe(false);
+  });
+});
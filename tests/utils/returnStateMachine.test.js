@@ -0,0 +1,27 @@
+const returnStateMachine = require('../../utils/returnStateMachine');
+
+describe('Return State Machine', () => {
+  it('should allow the normal return lifecycle', () => {
+    expect(returnStateMachine.can('requested', 'approved')).toBe(true);
+    expect(returnStateMachine.can('approved', 'received')).toBe(true);
+    expect(returnStateMachine.can('received', 'refunded')).toBe(true);
+  });
+
+  it('should only allow rejecting or cancelling before review', () => {
+    expect(returnStateMachine.can('requested', 'rejected')).toBe(true);
+    expect(returnStateMachine.can('requested', 'cancelled')).toBe(true);
+    expect(returnStateMachine.can('approved', 'rejected')).toBe(false);
+    expect(returnStateMachine.can('approved', 'cancelled')).toBe(false);
+  });
+
+  it('should not refund goods that were not received', () => {
+    expect(() => returnStateMachine.assert('approved', 'refunded')).toThrow('Cannot transition return from approved to refunded');
+  });
+
+  it('should treat refunded, rejected and cancelled as final', () => {
+    expect(returnStateMachine.isFinal('refunded')).toBe(true);
+    expect(returnStateMachine.isFinal('rejected')).toBe(true);
+    expect(returnStateMachine.isFinal('cancelled')).toBe(true);
+    expect(returnStateMachine.isFinal('received')).toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+const stocktakeStateMachine = require('../../utils/stocktakeStateMachine');
+
+describe('Stocktake State Machine', () => {
+  it('should allow the normal stocktake lifecycle', () => {
+    expect(stocktakeStateMachine.can('open', 'submitted')).toBe(true);
+    expect(stocktakeStateMachine.can('submitted', 'posted')).toBe(true);
+  });
+
+  it('should allow sending a submitted session back for a recount', () => {
+    expect(stocktakeStateMachine.can('submitted', 'open')).toBe(true);
+  });
+
+  it('should not post counts that were not submitted', () => {
+    expect(() => stocktakeStateMachine.assert('open', 'posted')).toThrow('Cannot transition stocktake from open to posted');
+  });
+
+  it('should treat posted and cancelled as final', () => {
+    expect(stocktakeStateMachine.isFinal('posted')).toBe(true);
+    expect(stocktakeStateMachine.isFinal('cancelled')).toBe(true);
+    expect(stocktakeStateMachine.isFinal('submitted')).toBe(false);
+  });
+});
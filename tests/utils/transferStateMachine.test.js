@@ -0,0 +1,25 @@
+const transferStateMachine = require('../../utils/transferStateMachine');
+
+describe('Transfer State Machine', () => {
+  it('should allow the normal transfer lifecycle', () => {
+    expect(transferStateMachine.can('draft', 'in_transit')).toBe(true);
+    expect(transferStateMachine.can('in_transit', 'received')).toBe(true);
+  });
+
+  it('should allow several partial receipts before the transfer is received', () => {
+    expect(transferStateMachine.can('in_transit', 'partially_received')).toBe(true);
+    expect(transferStateMachine.can('partially_received', 'partially_received')).toBe(true);
+    expect(transferStateMachine.can('partially_received', 'received')).toBe(true);
+  });
+
+  it('should only allow cancelling a draft', () => {
+    expect(transferStateMachine.can('draft', 'cancelled')).toBe(true);
+    expect(() => transferStateMachine.assert('in_transit', 'cancelled')).toThrow('Cannot transition transfer from in_transit to cancelled');
+  });
+
+  it('should treat received and cancelled as final', () => {
+    expect(transferStateMachine.isFinal('received')).toBe(true);
+    expect(transferStateMachine.isFinal('cancelled')).toBe(true);
+    expect(transferStateMachine.isFinal('partially_received')).toBe(false);
+  });
+});
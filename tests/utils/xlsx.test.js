@@ -0,0 +1,98 @@
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const { XlsxWriter, crc32, columnName, escapeXml } = require('../../utils/xlsx');
+
+/**
+ * Writable stream that keeps what it gets, slowly so that writers have to wait for it
+ */
+const collect = () => {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+
+  return { output, buffer: () => Buffer.concat(chunks) };
+};
+
+/**
+ * Read the entries of a zip archive through its central directory
+ */
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26);
+
+    entries[name] = {
+      crc: buffer.readUInt32LE(offset + 16),
+      content: zlib.inflateRawSync(buffer.subarray(start, start + compressedSize))
+    };
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('XLSX', () => {
+  it('should compute CRC-32 checksums in parts', () => {
+    expect(crc32(0, Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(crc32(0, Buffer.from('1234')), Buffer.from('56789'))).toBe(0xcbf43926);
+  });
+
+  it('should name columns like a spreadsheet', () => {
+    expect([0, 25, 26, 27, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  });
+
+  it('should escape XML and drop control characters', () => {
+    expect(escapeXml('a < b & "c"\u0001')).toBe('a &lt; b &amp; &quot;c&quot;');
+  });
+
+  it('should stream a workbook that a zip reader can open', async () => {
+    const { output, buffer } = collect();
+    const writer = new XlsxWriter(output, 'Products');
+
+    await writer.addRow(['sku', 'price', 'active']);
+
+    for (let i = 1; i <= 2000; i += 1) {
+      await writer.addRow([`SKU-${i}`, i + 0.5, i % 2 === 0]);
+    }
+
+    await writer.end();
+    await new Promise(resolve => output.end(resolve));
+
+    const entries = readZip(buffer());
+    const sheet = entries['xl/worksheets/sheet1.xml'];
+
+    expect(Object.keys(entries)).toContain('[Content_Types].xml');
+    expect(entries['xl/workbook.xml'].content.toString()).toContain('<sheet name="Products"');
+    expect(crc32(0, sheet.content)).toBe(sheet.crc);
+    expect(sheet.content.toString()).toContain('<row r="2001"><c r="A2001" t="inlineStr"><is><t xml:space="preserve">SKU-2000</t></is></c><c r="B2001"><v>2000.5</v></c><c r="C2001" t="b"><v>1</v></c></row>');
+    expect(sheet.content.toString().endsWith('</sheetData></worksheet>')).toBe(true);
+  });
+
+  it('should keep text that starts like a formula as text', async () => {
+    const { output, buffer } = collect();
+    const writer = new XlsxWriter(output);
+
+    await writer.addRow(['=1+2', 'plain', -5]);
+    await writer.end();
+    await new Promise(resolve => output.end(resolve));
+
+    const entries = readZip(buffer());
+
+    expect(entries['xl/styles.xml'].content.toString()).toContain('quotePrefix="1"');
+    expect(entries['xl/worksheets/sheet1.xml'].content.toString()).toContain('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">=1+2</t></is></c>'
+      + '<c r="B1" t="inlineStr"><is><t xml:space="preserve">plain</t></is></c><c r="C1"><v>-5</v></c></row>');
+  });
+});
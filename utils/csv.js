@@ -0,0 +1,123 @@
+/**
+ * CSV helpers
+ * Fields follow RFC 4180: separated by commas, quoted with double quotes when they hold
+ * commas, quotes or line breaks, and a quote inside a quoted field is written twice
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text, LF or CRLF line endings
+ * @returns {Array<Object>} - Rows as { line, fields }, line being the line number the row starts on.
+ *   Blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+
+    fields = [];
+    field = '';
+  };
+
+  // A byte order mark left by spreadsheet exports is not part of the first header
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quote in the row starting on line ${rowLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Text a spreadsheet would run as a formula, after any apostrophes already in front of it
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Keep text from running as a formula when the file is opened in a spreadsheet, by writing an
+ * apostrophe in front of it. Text that already has apostrophes in front gets one more, so that
+ * unescapeFormula gives back exactly what was written
+ * @param {string} text - Field text
+ * @returns {string} - Text safe to open in a spreadsheet
+ */
+const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+/**
+ * Take off the apostrophe escapeFormula wrote
+ * @param {string} text - Field text
+ * @returns {string} - Text as it was before it was written
+ */
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text);
+
+/**
+ * Write one row as a CSV line
+ * @param {Array} values - Field values, null and undefined written as empty fields.
+ *   Strings that start like a formula are escaped with escapeFormula
+ * @returns {string} - CSV line ending in CRLF
+ */
+const formatCsvRow = (values) => values
+  .map((value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (typeof value === 'string') {
+      text = escapeFormula(text);
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
+
+/**
+ * Write rows as CSV text
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array>} rows - Field values, null and undefined written as empty fields
+ * @returns {string} - CSV text with CRLF line endings
+ */
+const toCsv = (columns, rows) => [columns, ...rows].map(formatCsvRow).join('');
+
+module.exports = { parseCsv, formatCsvRow, toCsv, escapeFormula, unescapeFormula };
@@ -0,0 +1,46 @@
+/**
+ * Error helpers for the product catalog API
+ */
+
+/**
+ * Operational error with an HTTP status code
+ * Thrown from services and picked up by middleware/errorHandler via statusCode
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @param {Array} details - Optional field level details
+   */
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+
+    if (details) {
+      this.details = details;
+    }
+  }
+
+  static badRequest(message, details) {
+    return new ApiError(400, message, details);
+  }
+
+  static unauthorized(message = 'Unauthorized') {
+    return new ApiError(401, message);
+  }
+
+  static forbidden(message = 'You do not have permission to perform this action') {
+    return new ApiError(403, message);
+  }
+
+  static notFound(message = 'Resource not found') {
+    return new ApiError(404, message);
+  }
+
+  static conflict(message) {
+    return new ApiError(409, message);
+  }
+}
+
+module.exports = { ApiError };
@@ -141,4 +141,31 @@ exports.calculateFinalPrice = (basePrice, discountType, discountValue) => {
     
     // Remove special characters that could be used for SQL injection
     return query.replace(/[;'"\\%_]/g, '');
-  };
\ No newline at end of file
+  };
+  /**
+   * Round a monetary amount to two decimal places
+   * @param {number} amount - Amount to round
+   * @returns {number} - Rounded amount
+   */
+  exports.roundPrice = (amount) => {
+    return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+  };
+
+  /**
+   * Get the catalog price of a product or one of its variants
+   * @param {Object} product - Product instance
+   * @param {Object} variant - Variant instance (optional)
+   * @returns {Object} - unitPrice, discountType, discountValue and finalUnitPrice
+   */
+  exports.getItemPricing = (product, variant = null) => {
+    const source = variant || product;
+    const unitPrice = parseFloat(variant ? variant.price : product.basePrice);
+    const discountValue = parseFloat(source.discountValue) || 0;
+
+    return {
+      unitPrice,
+      discountType: source.discountType,
+      discountValue,
+      finalUnitPrice: exports.roundPrice(exports.calculateFinalPrice(unitPrice, source.discountType, discountValue))
+    };
+  };
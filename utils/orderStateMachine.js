@@ -0,0 +1,18 @@
+/**
+ * Order status state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * pending → processing happens when the payment is captured.
+ * Orders can be cancelled until they are shipped.
+ */
+const orderStateMachine = new StateMachine('order', {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+});
+
+module.exports = orderStateMachine;
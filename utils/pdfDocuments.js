@@ -0,0 +1,235 @@
+/**
+ * PDF rendering for order documents (invoices and packing slips)
+ * Documents are drawn locally with PDFKit using its built-in fonts
+ */
+const PDFDocument = require('pdfkit');
+const { formatPrice } = require('./helpers');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+
+/**
+ * Collect a PDFKit document into a buffer
+ * @param {Function} draw - Called with the document to draw its content
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const renderToBuffer = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string} date - Date to format
+ * @returns {string} - Formatted date
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Draw the document title and its reference lines
+ * @param {Object} doc - PDFKit document
+ * @param {string} title - Document title
+ * @param {Array} references - [label, value] pairs
+ */
+const drawHeader = (doc, title, references) => {
+  doc.font('Helvetica-Bold').fontSize(20).text(title, MARGIN, MARGIN);
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10);
+
+  references.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`);
+  });
+
+  doc.moveDown();
+};
+
+/**
+ * Draw two address blocks side by side
+ * @param {Object} doc - PDFKit document
+ * @param {Object} left - { title, lines }
+ * @param {Object} right - { title, lines }
+ */
+const drawParties = (doc, left, right) => {
+  const top = doc.y;
+  const columnWidth = (doc.page.width - MARGIN * 2) / 2 - 10;
+  const rightX = MARGIN + columnWidth + 20;
+
+  const drawBlock = (block, x) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(block.title, x, top, { width: columnWidth });
+    doc.font('Helvetica');
+    block.lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: columnWidth }));
+    return doc.y;
+  };
+
+  const leftBottom = drawBlock(left, MARGIN);
+  const rightBottom = drawBlock(right, rightX);
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, rightBottom) + 20;
+};
+
+/**
+ * Draw a table, starting a new page when it runs past the bottom margin
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - { header, width, align }
+ * @param {Array} rows - Arrays of cell strings, in column order
+ */
+const drawTable = (doc, columns, rows) => {
+  const bottom = doc.page.height - MARGIN;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = MARGIN;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+    columns.forEach((column, index) => {
+      doc.text(cells[index], x, y, {
+        width: column.width - 4,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  doc.moveTo(MARGIN, doc.y - 4).lineTo(doc.page.width - MARGIN, doc.y - 4).stroke();
+  rows.forEach(row => drawRow(row, false));
+  doc.x = MARGIN;
+};
+
+/**
+ * Draw label/amount pairs aligned to the right edge
+ * @param {Object} doc - PDFKit document
+ * @param {Array} totals - [label, amount, bold] entries
+ */
+const drawTotals = (doc, totals) => {
+  const width = 200;
+  const x = doc.page.width - MARGIN - width;
+
+  doc.moveDown();
+
+  totals.forEach(([label, amount, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, x, y, { width: width / 2 });
+    doc.text(amount, x + width / 2, y, { width: width / 2, align: 'right' });
+    doc.y = y + ROW_HEIGHT;
+  });
+
+  doc.x = MARGIN;
+};
+
+/**
+ * Render an invoice
+ * @param {Object} data - { invoice, order, seller, buyer, lines, taxes } from the invoice service
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+exports.renderInvoice = ({ invoice, order, seller, buyer, lines, taxes }) => renderToBuffer((doc) => {
+  const money = amount => formatPrice(amount, invoice.currency);
+
+  drawHeader(doc, 'INVOICE', [
+    ['Invoice number', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Order', `#${order.id} placed on ${formatDate(order.createdAt)}`]
+  ]);
+
+  drawParties(doc, {
+    title: 'Sold by',
+    lines: [
+      seller.companyName || `${seller.firstName} ${seller.lastName}`,
+      seller.businessAddress,
+      seller.taxId ? `Tax ID: ${seller.taxId}` : null,
+      seller.email
+    ]
+  }, {
+    title: 'Bill to',
+    lines: [`${buyer.firstName} ${buyer.lastName}`, order.shippingAddress, buyer.email]
+  });
+
+  drawTable(doc, [
+    { header: 'SKU', width: 60 },
+    { header: 'Item', width: 125 },
+    { header: 'Qty', width: 30, align: 'right' },
+    { header: 'Unit price', width: 60, align: 'right' },
+    { header: 'Discount', width: 55, align: 'right' },
+    { header: 'Tax rate', width: 45, align: 'right' },
+    { header: 'Tax', width: 55, align: 'right' },
+    { header: 'Total', width: 65, align: 'right' }
+  ], lines.map(line => [
+    line.sku,
+    line.name,
+    String(line.quantity),
+    money(line.unitPrice),
+    line.discount > 0 ? `-${money(line.discount)}` : money(0),
+    `${line.taxRate}%${line.taxInclusive ? ' incl.' : ''}`,
+    money(line.tax),
+    money(line.total)
+  ]));
+
+  drawTotals(doc, [
+    ['Subtotal', money(invoice.subtotal)],
+    ['Discounts', `-${money(invoice.discountTotal)}`],
+    ...taxes.map(tax => [
+      `Tax ${tax.rate}%${tax.inclusive ? ' (included)' : ''}`,
+      money(tax.taxAmount)
+    ]),
+    ...(Number(invoice.shippingTotal) > 0 ? [['Shipping', money(invoice.shippingTotal)]] : []),
+    ['Total', money(invoice.totalAmount), true]
+  ]);
+});
+
+/**
+ * Render a packing slip
+ * Packing slips list what goes in the parcel and carry no prices
+ * @param {Object} data - { order, seller, buyer, lines, shipment } from the invoice service
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+exports.renderPackingSlip = ({ order, seller, buyer, lines, shipment }) => renderToBuffer((doc) => {
+  drawHeader(doc, 'PACKING SLIP', [
+    ['Order', `#${order.id}`],
+    ['Order date', formatDate(order.createdAt)],
+    ...(shipment && shipment.carrierCode ? [['Carrier', shipment.carrierCode.toUpperCase()]] : []),
+    ...(shipment && shipment.trackingNumber ? [['Tracking number', shipment.trackingNumber]] : []),
+    ...(shipment && Number(shipment.weight) > 0 ? [['Weight', `${Number(shipment.weight)} kg`]] : [])
+  ]);
+
+  drawParties(doc, {
+    title: 'From',
+    lines: [seller.companyName || `${seller.firstName} ${seller.lastName}`, seller.businessAddress]
+  }, {
+    title: 'Ship to',
+    lines: [`${buyer.firstName} ${buyer.lastName}`, order.shippingAddress]
+  });
+
+  drawTable(doc, [
+    { header: 'SKU', width: 120 },
+    { header: 'Item', width: 300 },
+    { header: 'Qty', width: 75, align: 'right' }
+  ], lines.map(line => [line.sku, line.name, String(line.quantity)]));
+
+  if (order.notes) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes');
+    doc.font('Helvetica').text(order.notes);
+  }
+});
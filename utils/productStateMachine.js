@@ -0,0 +1,21 @@
+/**
+ * Product moderation state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * Sellers submit drafts for review and an admin approves or rejects them. Only approved products
+ * can be published, and a published product goes back to approved when it is taken off sale.
+ * Approved and published products go back to review when the seller changes their content.
+ * Archived products are restored as drafts, so they are reviewed again before they are sold.
+ */
+const productStateMachine = new StateMachine('product', {
+  draft: ['pending_review', 'archived'],
+  pending_review: ['approved', 'rejected', 'archived'],
+  approved: ['published', 'pending_review', 'archived'],
+  rejected: ['pending_review', 'archived'],
+  published: ['approved', 'pending_review', 'archived'],
+  archived: ['draft']
+});
+
+module.exports = productStateMachine;
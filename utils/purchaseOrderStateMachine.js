@@ -0,0 +1,18 @@
+/**
+ * Purchase order state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * A draft is placed with the supplier once it is complete. Stock can arrive over several deliveries.
+ * An order can be cancelled until the first delivery, after that the rest is closed off on receipt.
+ */
+const purchaseOrderStateMachine = new StateMachine('purchase order', {
+  draft: ['ordered', 'cancelled'],
+  ordered: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received'],
+  received: [],
+  cancelled: []
+});
+
+module.exports = purchaseOrderStateMachine;
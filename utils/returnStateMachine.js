@@ -0,0 +1,19 @@
+/**
+ * Return request state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * The seller reviews a request, then receives the goods before the refund is paid.
+ * Buyers can cancel a request until it has been reviewed.
+ */
+const returnStateMachine = new StateMachine('return', {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received'],
+  received: ['refunded'],
+  refunded: [],
+  rejected: [],
+  cancelled: []
+});
+
+module.exports = returnStateMachine;
@@ -0,0 +1,18 @@
+/**
+ * Seller order status state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * A seller's part follows the order through payment and cancellation,
+ * and is shipped and delivered on its own.
+ */
+const sellerOrderStateMachine = new StateMachine('seller order', {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+});
+
+module.exports = sellerOrderStateMachine;
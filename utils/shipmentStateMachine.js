@@ -0,0 +1,17 @@
+/**
+ * Shipment status state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * Each seller's parcel is created pending with the order and shipped separately.
+ * Parcels that were not shipped are cancelled with their order.
+ */
+const shipmentStateMachine = new StateMachine('shipment', {
+  pending: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+});
+
+module.exports = shipmentStateMachine;
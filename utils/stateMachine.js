@@ -0,0 +1,61 @@
+/**
+ * Finite state machine for status fields
+ */
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Status state machine
+ * Describes which status changes are allowed for a kind of record
+ */
+class StateMachine {
+  /**
+   * @param {string} name - Name of the record, used in error messages
+   * @param {Object} transitions - Map of status to the statuses it can move to
+   */
+  constructor(name, transitions) {
+    this.name = name;
+    this.transitions = transitions;
+    this.states = Object.keys(transitions);
+  }
+
+  /**
+   * Check if a status change is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} - Whether the change is allowed
+   */
+  can(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  /**
+   * Throw if a status change is not allowed
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   */
+  assert(from, to) {
+    if (!this.can(from, to)) {
+      throw ApiError.badRequest(`Cannot transition ${this.name} from ${from} to ${to}`);
+    }
+  }
+
+  /**
+   * Statuses a record can move to from its current status
+   * @param {string} from - Current status
+   * @returns {Array} - Allowed next statuses
+   */
+  allowedFrom(from) {
+    return [...(this.transitions[from] || [])];
+  }
+
+  /**
+   * Check if a status has no way out
+   * @param {string} status - Status to check
+   * @returns {boolean} - Whether the status is final
+   */
+  isFinal(status) {
+    return this.allowedFrom(status).length === 0;
+  }
+}
+
+module.exports = StateMachine;
@@ -0,0 +1,17 @@
+/**
+ * Stocktake session state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * Counts are entered while a session is open and checked by an approver once it is submitted.
+ * The approver posts the adjustments or sends the session back for a recount.
+ */
+const stocktakeStateMachine = new StateMachine('stocktake', {
+  open: ['submitted', 'cancelled'],
+  submitted: ['open', 'posted', 'cancelled'],
+  posted: [],
+  cancelled: []
+});
+
+module.exports = stocktakeStateMachine;
@@ -0,0 +1,18 @@
+/**
+ * Stock transfer state machine
+ */
+const StateMachine = require('./stateMachine');
+
+/**
+ * A draft can still be edited or cancelled. Once dispatched the stock has left the source
+ * warehouse, so a transfer can only be received, in one go or over several receipts.
+ */
+const transferStateMachine = new StateMachine('transfer', {
+  draft: ['in_transit', 'cancelled'],
+  in_transit: ['partially_received', 'received'],
+  partially_received: ['partially_received', 'received'],
+  received: [],
+  cancelled: []
+});
+
+module.exports = transferStateMachine;
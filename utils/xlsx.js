@@ -0,0 +1,325 @@
+/**
+ * Streaming XLSX writer
+ * An XLSX file is a zip archive of XML parts. The worksheet is deflated while its rows are written,
+ * with its sizes and checksum in a data descriptor after the data, so a sheet of any length is
+ * written without holding it in memory. Cells are written as inline strings, numbers or booleans.
+ * Strings that start like a formula get the quote prefix style, the spreadsheet's own leading
+ * apostrophe, so they are shown and kept as text
+ */
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+
+  return crc >>> 0;
+});
+
+/**
+ * Update a CRC-32 checksum with more data
+ * @param {number} crc - Checksum so far, 0 to start
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Checksum
+ */
+const crc32 = (crc, buffer) => {
+  let value = ~crc;
+
+  for (let i = 0; i < buffer.length; i += 1) {
+    value = CRC_TABLE[(value ^ buffer[i]) & 0xff] ^ (value >>> 8);
+  }
+
+  return ~value >>> 0;
+};
+
+/**
+ * Escape text for XML, dropping the control characters XML cannot hold
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => text
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Spreadsheet column name of a zero-based index, A to Z then AA
+ * @param {number} index - Column index
+ * @returns {string} - Column name
+ */
+const columnName = (index) => {
+  let name = '';
+
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+
+  return name;
+};
+
+// Text a spreadsheet would run as a formula, and the style of the cells that keep it as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+const QUOTE_PREFIX_STYLE = 1;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NAME = 'xl/worksheets/sheet1.xml';
+
+const PARTS = {
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="1"><fill><patternFill patternType="none"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>'
+    + '</styleSheet>'
+};
+
+/**
+ * Writes one worksheet as an XLSX file to a writable stream
+ */
+class XlsxWriter {
+  /**
+   * @param {Object} output - Writable stream, such as an HTTP response
+   * @param {string} sheetName - Name of the worksheet
+   */
+  constructor(output, sheetName = 'Sheet1') {
+    this.output = output;
+    this.sheetName = sheetName;
+    this.offset = 0;
+    this.entries = [];
+    this.rowCount = 0;
+    this.sheet = null;
+
+    const now = new Date();
+    this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  }
+
+  /**
+   * Write to the output, waiting when it asks to slow down
+   * @param {Buffer} buffer - Data
+   * @returns {Promise<void>}
+   */
+  async send(buffer) {
+    this.offset += buffer.length;
+
+    if (!this.output.write(buffer)) {
+      await new Promise(resolve => {
+        const done = () => {
+          this.output.removeListener('drain', done);
+          this.output.removeListener('close', done);
+          resolve();
+        };
+        this.output.once('drain', done);
+        this.output.once('close', done);
+      });
+    }
+  }
+
+  /**
+   * Local file header of a zip entry
+   * @param {Object} entry - name, flags, crc and sizes
+   * @returns {Buffer} - Header
+   */
+  localHeader(entry) {
+    const name = Buffer.from(entry.name);
+    const header = Buffer.alloc(30);
+
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(this.dosTime, 10);
+    header.writeUInt16LE(this.dosDate, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    return Buffer.concat([header, name]);
+  }
+
+  /**
+   * Write a small part in one go
+   * @param {string} name - Path in the archive
+   * @param {string} content - XML
+   * @returns {Promise<void>}
+   */
+  async addPart(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      flags: 0,
+      crc: crc32(0, data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    this.entries.push(entry);
+    await this.send(this.localHeader(entry));
+    await this.send(compressed);
+  }
+
+  /**
+   * Write the parts that come before the rows and open the worksheet
+   * @returns {Promise<void>}
+   */
+  async start() {
+    for (const [name, content] of Object.entries(PARTS)) {
+      await this.addPart(name, content);
+    }
+
+    await this.addPart('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"`
+      + ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+
+    // The size of the sheet is only known at the end, it follows the data in a descriptor (flag bit 3)
+    const entry = { name: SHEET_NAME, flags: 0x08, crc: 0, compressedSize: 0, size: 0, offset: this.offset };
+    this.entries.push(entry);
+    await this.send(this.localHeader(entry));
+
+    this.sheet = { entry, deflate: zlib.createDeflateRaw(), pending: Promise.resolve() };
+    this.sheet.deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      this.sheet.pending = this.sheet.pending.then(() => this.send(chunk));
+    });
+
+    await this.writeSheet(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`);
+  }
+
+  /**
+   * Add uncompressed worksheet XML
+   * @param {string} xml - XML
+   * @returns {Promise<void>}
+   */
+  async writeSheet(xml) {
+    const data = Buffer.from(xml);
+    const { entry, deflate } = this.sheet;
+
+    entry.crc = crc32(entry.crc, data);
+    entry.size += data.length;
+
+    if (!deflate.write(data)) {
+      await new Promise(resolve => deflate.once('drain', resolve));
+    }
+
+    await this.sheet.pending;
+  }
+
+  /**
+   * Add a row to the worksheet
+   * @param {Array} values - Cell values, null and undefined leave the cell empty.
+   *   Strings that start like a formula are kept as text with the quote prefix style
+   * @returns {Promise<void>}
+   */
+  async addRow(values) {
+    if (!this.sheet) {
+      await this.start();
+    }
+
+    this.rowCount += 1;
+    const row = this.rowCount;
+    const cells = values.map((value, index) => {
+      const ref = `${columnName(index)}${row}`;
+
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+
+      const text = String(value);
+      const style = FORMULA_START.test(text) ? ` s="${QUOTE_PREFIX_STYLE}"` : '';
+
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+
+    await this.writeSheet(`<row r="${row}">${cells.join('')}</row>`);
+  }
+
+  /**
+   * Close the worksheet and write the zip directory
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (!this.sheet) {
+      await this.start();
+    }
+
+    await this.writeSheet('</sheetData></worksheet>');
+
+    const { entry, deflate } = this.sheet;
+    await new Promise((resolve, reject) => {
+      deflate.once('end', resolve);
+      deflate.once('error', reject);
+      deflate.end();
+    });
+    await this.sheet.pending;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.send(descriptor);
+
+    const directoryOffset = this.offset;
+
+    for (const item of this.entries) {
+      const name = Buffer.from(item.name);
+      const header = Buffer.alloc(46);
+
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(item.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.dosTime, 12);
+      header.writeUInt16LE(this.dosDate, 14);
+      header.writeUInt32LE(item.crc, 16);
+      header.writeUInt32LE(item.compressedSize, 20);
+      header.writeUInt32LE(item.size, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE(item.offset, 42);
+      await this.send(Buffer.concat([header, name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.send(end);
+  }
+}
+
+module.exports = { XlsxWriter, crc32, columnName, escapeXml };
@@ -0,0 +1,28 @@
+const { connectDB } = require('./config/database');
+const setupAssociations = require('./models/associations');
+const { registerJobHandlers } = require('./services/jobHandlers');
+const JobService = require('./services/jobService');
+require('dotenv').config();
+
+// Stand-alone worker for background jobs, so that heavy jobs do not slow down the API.
+// Run as many as needed; set JOB_WORKER_ENABLED=false on the API to leave all jobs to them.
+const start = async () => {
+  await connectDB();
+  setupAssociations();
+  registerJobHandlers();
+  await JobService.startWorker();
+  console.log(`Job worker ${JobService.workerId} started`);
+};
+
+start().catch((error) => {
+  console.error('Job worker start error:', error);
+  process.exit(1);
+});
+
+// Finish the running jobs before leaving
+process.on('SIGTERM', async () => {
+  console.log('👋 SIGTERM RECEIVED. Stopping the job worker');
+  await JobService.stopWorker();
+  await JobService.getBackend().close();
+  process.exit(0);
+});